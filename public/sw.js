@@ -0,0 +1,163 @@
+// Service worker for offline use and session reminders.
+//
+// Offline: the build's asset-manifest.json lists every bundle, so the worker caches all of
+// them plus the app shell on install, and again whenever the app asks (each time it opens
+// online), so a new build is available offline as soon as it has been opened once.
+// Fingerprinted files never change and are served from the cache first; everything else
+// goes to the network first and falls back to the cache. The chat API is never cached.
+//
+// Reminders: the app posts each profile's upcoming reminders here; they are kept in the Cache
+// API, one list per profile, so they survive the worker being stopped and opening one patient
+// never drops another's. They are checked whenever the app pings us or the browser fires a
+// periodic background sync.
+
+const APP_CACHE = 'app-shell';
+const ASSET_MANIFEST = 'asset-manifest.json';
+const SHELL_FILES = ['./', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+// CRA puts an 8-character content hash in every bundle name, e.g. main.1a2b3c4d.js
+const FINGERPRINTED = /\.[0-9a-f]{8}\.(chunk\.)?(js|css)$|\/static\/media\//;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+const precacheUrls = async () => {
+  const response = await fetch(scopeUrl(ASSET_MANIFEST), { cache: 'no-store' });
+  if (!response.ok) throw new Error(`Could not load ${ASSET_MANIFEST}: ${response.status}`);
+  const { files } = await response.json();
+  const bundles = Object.values(files).filter(path => !path.endsWith('.map') && !path.endsWith('.LICENSE.txt'));
+  return [...new Set([...SHELL_FILES, ...bundles].map(scopeUrl))];
+};
+
+// Caches the current build and drops files from older builds
+const precache = async () => {
+  const urls = await precacheUrls();
+  const cache = await caches.open(APP_CACHE);
+  const cached = new Set((await cache.keys()).map(request => request.url));
+  await cache.addAll(urls.filter(url => !(cached.has(url) && FINGERPRINTED.test(url))));
+  const current = new Set(urls);
+  await Promise.all([...cached].filter(url => !current.has(url)).map(url => cache.delete(url)));
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+};
+
+// Refreshes files that are already cached; anything else (e.g. dev-server hot updates) is
+// passed through untouched
+const networkFirst = async (request, cacheKey = request) => {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && await cache.match(cacheKey)) await cache.put(cacheKey, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const REMINDER_CACHE = 'session-reminders';
+const REMINDER_KEY = '/__reminders__';
+// Must match REMINDER_SYNC_TAG in src/program/reminders.js
+const REMINDER_SYNC_TAG = 'session-reminders';
+
+// { profiles: { [profileId]: { reminders, shown } } }. A list saved before reminders were kept
+// per profile is dropped; the app sends it again the next time it opens.
+const readReminders = async () => {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_KEY);
+  const state = response ? await response.json() : null;
+  return state && state.profiles ? state : { profiles: {} };
+};
+
+const writeReminders = async (state) => {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_KEY, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+};
+
+// Updates run one at a time, so two profiles scheduling at once can't overwrite each other
+let pendingUpdate = Promise.resolve();
+const updateReminders = (change) => {
+  pendingUpdate = pendingUpdate
+    .then(readReminders)
+    .then(async (state) => {
+      const next = await change(state);
+      if (next) await writeReminders(next);
+    })
+    .catch(error => console.error('Reminder update failed:', error));
+  return pendingUpdate;
+};
+
+// Replaces one profile's reminders, keeping which of them were already shown
+const scheduleReminders = (profileId, reminders) => updateReminders(({ profiles }) => {
+  const { [profileId]: previous, ...others } = profiles;
+  if (reminders.length === 0) return { profiles: others };
+  const tags = new Set(reminders.map(reminder => reminder.tag));
+  const shown = previous ? previous.shown.filter(tag => tags.has(tag)) : [];
+  return { profiles: { ...others, [profileId]: { reminders, shown } } };
+});
+
+// Shows every reminder whose time has come and that hasn't been shown yet
+const checkReminders = () => updateReminders(async ({ profiles }) => {
+  const now = Date.now();
+  let changed = false;
+  const next = {};
+  for (const [profileId, { reminders, shown }] of Object.entries(profiles)) {
+    const due = reminders.filter(reminder => new Date(reminder.at).getTime() <= now && !shown.includes(reminder.tag));
+    for (const reminder of due) {
+      await self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: `${profileId}:${reminder.tag}`,
+        icon: 'logo192.png',
+        data: { url: self.registration.scope },
+      });
+    }
+    next[profileId] = { reminders, shown: [...shown, ...due.map(reminder => reminder.tag)] };
+    changed = changed || due.length > 0;
+  }
+  return changed ? { profiles: next } : null;
+});
+
+// A failed precache (offline, or a dev server without a manifest) must not stop reminders
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().catch(error => console.error('Precache failed:', error)).then(() => self.skipWaiting()));
+});
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+  if (request.mode === 'navigate') {
+    // Single-page app: every page is index.html
+    event.respondWith(networkFirst(request, scopeUrl('index.html')));
+  } else if (FINGERPRINTED.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const { type, profileId, reminders } = event.data || {};
+  if (type === 'schedule-reminders') {
+    event.waitUntil(scheduleReminders(profileId, reminders).then(checkReminders));
+  } else if (type === 'check-reminders') {
+    event.waitUntil(checkReminders());
+  } else if (type === 'refresh-precache') {
+    event.waitUntil(precache().catch(error => console.error('Precache failed:', error)));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(checkReminders());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    const open = windows.find(client => 'focus' in client);
+    return open ? open.focus() : self.clients.openWindow(event.notification.data.url);
+  }));
+});
@@ -0,0 +1,91 @@
+const http = require('http');
+const { REPLY_LANGUAGES, buildSystemPrompt } = require('./prompt');
+const { sendJson, readBody } = require('./requests');
+const { MAX_CHAT_MESSAGES } = require('../src/chat/limits');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_MESSAGES = MAX_CHAT_MESSAGES;
+const MAX_SUMMARY_CHARS = 4000;
+const ROLES = ['user', 'assistant'];
+
+// Returns an error message, or null when the messages are usable
+const validateMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) return 'messages must be a non-empty array';
+  if (messages.length > MAX_MESSAGES) return `at most ${MAX_MESSAGES} messages are allowed`;
+  const invalid = messages.find(message => !message || !ROLES.includes(message.role)
+    || typeof message.content !== 'string' || message.content.trim() === '');
+  if (invalid) return 'each message needs a role of "user" or "assistant" and non-empty text content';
+  if (messages[messages.length - 1].role !== 'user') return 'the last message must come from the user';
+  return null;
+};
+
+const createChatServer = ({ provider, allowedOrigin = '', timeoutMs = 20000, logger = console }) => {
+  const corsHeaders = allowedOrigin ? {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  } : {};
+
+  const handleChat = async (req, res) => {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+    } catch (error) {
+      sendJson(res, error.status || 400, { error: error.status ? error.message : 'Request body must be JSON' }, { ...corsHeaders, ...error.headers });
+      return;
+    }
+
+    const messages = payload && payload.messages;
+    const invalid = validateMessages(messages);
+    if (invalid) {
+      sendJson(res, 400, { error: invalid }, corsHeaders);
+      return;
+    }
+
+    const language = payload.language || '';
+    if (language && !Object.prototype.hasOwnProperty.call(REPLY_LANGUAGES, language)) {
+      sendJson(res, 400, { error: `language must be one of ${Object.keys(REPLY_LANGUAGES).join(', ')}` }, corsHeaders);
+      return;
+    }
+
+    // Optional client-side digest of turns that no longer fit in the message window
+    const summary = typeof payload.summary === 'string' ? payload.summary.trim().slice(0, MAX_SUMMARY_CHARS) : '';
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const reply = await provider.generate({
+        system: buildSystemPrompt({ language, summary }),
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        signal: controller.signal,
+      });
+      sendJson(res, 200, { reply, provider: provider.name, model: provider.model }, corsHeaders);
+    } catch (error) {
+      // Upstream details stay in the server log
+      logger.error(`Chat provider "${provider.name}" failed:`, error.message);
+      sendJson(res, controller.signal.aborted ? 504 : 502, { error: 'The chat service is unavailable right now' }, corsHeaders);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders);
+      res.end();
+    } else if (req.method === 'GET' && pathname === '/api/health') {
+      sendJson(res, 200, { ok: true, provider: provider.name }, corsHeaders);
+    } else if (req.method === 'POST' && pathname === '/api/chat') {
+      handleChat(req, res).catch(error => {
+        logger.error('Unexpected chat server error:', error);
+        if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' }, corsHeaders);
+      });
+    } else {
+      sendJson(res, 404, { error: 'Not found' }, corsHeaders);
+    }
+  });
+};
+
+module.exports = { createChatServer, validateMessages, MAX_MESSAGES };
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChatServer, validateMessages } = require('./chatServer');
+const { createMockProvider } = require('./providers/mock');
+
+const withServer = async (provider, run, options = {}) => {
+  const server = createChatServer({ provider, logger: { error: () => {} }, ...options });
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    await run(`http://localhost:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const postChat = (baseUrl, body) => fetch(`${baseUrl}/api/chat`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+test('validateMessages requires a non-empty conversation ending with the user', () => {
+  assert.strictEqual(validateMessages([{ role: 'user', content: 'hi' }]), null);
+  assert.match(validateMessages([]), /non-empty/);
+  assert.match(validateMessages([{ role: 'system', content: 'x' }]), /role/);
+  assert.match(validateMessages([{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }]), /last message/);
+});
+
+test('POST /api/chat returns the mock reply deterministically', async () => {
+  await withServer(createMockProvider(), async (baseUrl) => {
+    const first = await (await postChat(baseUrl, { messages: [{ role: 'user', content: 'I feel so tired today' }] })).json();
+    const second = await (await postChat(baseUrl, { messages: [{ role: 'user', content: 'I feel so tired today' }] })).json();
+    assert.strictEqual(first.provider, 'mock');
+    assert.match(first.reply, /Fatigue/);
+    assert.deepStrictEqual(first, second);
+  });
+});
+
+test('passes the system prompt and trimmed messages to the provider', async () => {
+  let received;
+  const provider = { name: 'spy', model: 'spy-1', generate: async (request) => { received = request; return 'ok'; } };
+  await withServer(provider, async (baseUrl) => {
+    const response = await postChat(baseUrl, { messages: [{ role: 'user', content: 'hello', extra: true }] });
+    assert.deepStrictEqual(await response.json(), { reply: 'ok', provider: 'spy', model: 'spy-1' });
+  });
+  assert.match(received.system, /stroke recovery/);
+  assert.deepStrictEqual(received.messages, [{ role: 'user', content: 'hello' }]);
+});
+
+test('appends the summary of older turns to the system prompt', async () => {
+  let received;
+  const provider = { name: 'spy', generate: async (request) => { received = request; return 'ok'; } };
+  await withServer(provider, async (baseUrl) => {
+    await postChat(baseUrl, { messages: [{ role: 'user', content: 'hello' }], summary: 'Earlier the patient said: "my hand is weak".' });
+  });
+  assert.match(received.system, /stroke recovery[\s\S]*my hand is weak/);
+});
+
+test("asks the model to reply in the patient's language", async () => {
+  let received;
+  const provider = { name: 'spy', generate: async (request) => { received = request; return 'ok'; } };
+  await withServer(provider, async (baseUrl) => {
+    await postChat(baseUrl, { messages: [{ role: 'user', content: '你好' }], language: 'zh', summary: 'Earlier the patient said: "我很累".' });
+    assert.strictEqual((await postChat(baseUrl, { messages: [{ role: 'user', content: 'hola' }], language: 'klingon' })).status, 400);
+  });
+  assert.match(received.system, /stroke recovery[\s\S]*Reply in Mandarin Chinese[\s\S]*我很累/);
+});
+
+test('rejects malformed requests', async () => {
+  await withServer(createMockProvider(), async (baseUrl) => {
+    assert.strictEqual((await postChat(baseUrl, 'not json')).status, 400);
+    assert.strictEqual((await postChat(baseUrl, { messages: [] })).status, 400);
+    assert.strictEqual((await fetch(`${baseUrl}/api/unknown`)).status, 404);
+  });
+});
+
+test('answers an oversized body with a 413 and closes the connection', async () => {
+  await withServer(createMockProvider(), async (baseUrl) => {
+    const response = await postChat(baseUrl, { messages: [{ role: 'user', content: 'x'.repeat(1024 * 1024) }] });
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(response.headers.get('connection'), 'close');
+    assert.deepStrictEqual(await response.json(), { error: 'Request body too large' });
+  });
+});
+
+test('hides provider failures behind a 502', async () => {
+  const provider = { name: 'broken', generate: async () => { throw new Error('secret upstream detail'); } };
+  await withServer(provider, async (baseUrl) => {
+    const response = await postChat(baseUrl, { messages: [{ role: 'user', content: 'hello' }] });
+    assert.strictEqual(response.status, 502);
+    assert.ok(!JSON.stringify(await response.json()).includes('secret'));
+  });
+});
+
+test('times out slow providers with a 504', async () => {
+  const provider = {
+    name: 'slow',
+    generate: ({ signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))),
+  };
+  await withServer(provider, async (baseUrl) => {
+    const response = await postChat(baseUrl, { messages: [{ role: 'user', content: 'hello' }] });
+    assert.strictEqual(response.status, 504);
+  }, { timeoutMs: 20 });
+});
+
+test('GET /api/health reports the active provider', async () => {
+  await withServer(createMockProvider(), async (baseUrl) => {
+    assert.deepStrictEqual(await (await fetch(`${baseUrl}/api/health`)).json(), { ok: true, provider: 'mock' });
+  });
+});
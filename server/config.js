@@ -0,0 +1,31 @@
+// All secrets come from the server's environment; nothing here is exposed to the browser bundle.
+const readConfig = (env = process.env) => ({
+  port: Number(env.PORT) || 3001,
+  // Without an explicit provider the server runs fully offline on canned replies
+  provider: (env.CHAT_PROVIDER || 'mock').toLowerCase(),
+  allowedOrigin: env.CHAT_ALLOWED_ORIGIN || '',
+  timeoutMs: Number(env.CHAT_TIMEOUT_MS) || 20000,
+  gemini: {
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || undefined,
+  },
+  openai: {
+    apiKey: env.OPENAI_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL || undefined,
+    model: env.OPENAI_MODEL || undefined,
+  },
+  local: {
+    baseUrl: env.LOCAL_MODEL_URL || undefined,
+    model: env.LOCAL_MODEL || undefined,
+  },
+  // Reference sync server (server/sync.js); relative data directories are inside server/
+  sync: {
+    port: Number(env.SYNC_PORT) || 3002,
+    dataDir: env.SYNC_DATA_DIR || 'sync-data',
+    token: env.SYNC_TOKEN || '',
+    // Backups are encrypted before they leave the device, so any origin may call by default
+    allowedOrigin: env.SYNC_ALLOWED_ORIGIN || '*',
+  },
+});
+
+module.exports = { readConfig };
@@ -0,0 +1,18 @@
+// Chat proxy entry point: `npm run server`. Keys and provider choice come from the environment
+// or from server/.env (see server/.env.example).
+const fs = require('fs');
+const path = require('path');
+const { readConfig } = require('./config');
+const { createProvider } = require('./providers');
+const { createChatServer } = require('./chatServer');
+
+const envFile = path.join(__dirname, '.env');
+if (fs.existsSync(envFile)) process.loadEnvFile(envFile);
+
+const config = readConfig();
+const provider = createProvider(config);
+const server = createChatServer({ provider, allowedOrigin: config.allowedOrigin, timeoutMs: config.timeoutMs });
+
+server.listen(config.port, () => {
+  console.log(`Chat server listening on http://localhost:${config.port} (provider: ${provider.name})`);
+});
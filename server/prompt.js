@@ -0,0 +1,22 @@
+const SYSTEM_PROMPT = 'You are a supportive, empathetic, and encouraging AI assistant for stroke recovery patients. '
+  + 'Provide positive reinforcement, practical advice (if applicable and safe), and emotional support. '
+  + 'Avoid medical advice. Keep responses concise and focused.';
+
+// The languages the app is translated into, by the code the client sends
+const REPLY_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  zh: 'Mandarin Chinese, written in simplified characters',
+};
+
+const languageInstruction = (language) => `The patient uses the app in ${REPLY_LANGUAGES[language]}. `
+  + `Reply in ${REPLY_LANGUAGES[language]} unless they write to you in another language.`;
+
+// The system prompt for one request, with the patient's language and the digest of older turns
+const buildSystemPrompt = ({ language = '', summary = '' } = {}) => [
+  SYSTEM_PROMPT,
+  language ? languageInstruction(language) : '',
+  summary,
+].filter(Boolean).join('\n\n');
+
+module.exports = { SYSTEM_PROMPT, REPLY_LANGUAGES, buildSystemPrompt };
@@ -0,0 +1,32 @@
+const { postJson } = require('./http');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Gemini calls the assistant role "model"
+const toGeminiContents = (messages) => messages.map(({ role, content }) => ({
+  role: role === 'assistant' ? 'model' : 'user',
+  parts: [{ text: content }],
+}));
+
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL, fetchImpl = fetch }) => {
+  if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini provider');
+
+  return {
+    name: 'gemini',
+    model,
+    generate: async ({ system, messages, signal }) => {
+      const data = await postJson(fetchImpl, `${BASE_URL}/models/${encodeURIComponent(model)}:generateContent`, {
+        headers: { 'x-goog-api-key': apiKey },
+        body: {
+          systemInstruction: { parts: [{ text: system }] },
+          contents: toGeminiContents(messages),
+        },
+        signal,
+      }, 'Gemini');
+      return data.candidates?.[0]?.content?.parts?.map(part => part.text).join('') || '';
+    },
+  };
+};
+
+module.exports = { createGeminiProvider, toGeminiContents };
@@ -0,0 +1,16 @@
+// Shared POST-and-parse for the HTTP adapters. Error messages never include the API key.
+const postJson = async (fetchImpl, url, { headers = {}, body, signal }, providerName) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw new Error(`${providerName} API error: ${response.status} - ${response.statusText}`);
+  }
+  return response.json();
+};
+
+module.exports = { postJson };
@@ -0,0 +1,23 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiCompatibleProvider } = require('./openaiCompatible');
+const { createLocalProvider } = require('./local');
+const { createMockProvider } = require('./mock');
+
+// A provider is { name, model, generate({ system, messages, signal }) => Promise<string> },
+// where messages are [{ role: 'user' | 'assistant', content }] oldest first.
+const PROVIDERS = {
+  gemini: (config) => createGeminiProvider(config.gemini),
+  openai: (config) => createOpenAiCompatibleProvider(config.openai),
+  local: (config) => createLocalProvider(config.local),
+  mock: () => createMockProvider(),
+};
+
+const createProvider = (config) => {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown chat provider "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+};
+
+module.exports = { PROVIDERS, createProvider };
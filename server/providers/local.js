@@ -0,0 +1,23 @@
+const { postJson } = require('./http');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const DEFAULT_MODEL = 'llama3.2';
+
+// A model served on this machine through Ollama's chat API; no key leaves the host
+const createLocalProvider = ({ baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, fetchImpl = fetch }) => ({
+  name: 'local',
+  model,
+  generate: async ({ system, messages, signal }) => {
+    const data = await postJson(fetchImpl, `${baseUrl.replace(/\/+$/, '')}/api/chat`, {
+      body: {
+        model,
+        stream: false,
+        messages: [{ role: 'system', content: system }, ...messages],
+      },
+      signal,
+    }, 'Local model');
+    return data.message?.content || '';
+  },
+});
+
+module.exports = { createLocalProvider };
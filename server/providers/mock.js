@@ -0,0 +1,13 @@
+const { mockReply } = require('../../src/chat/mockReplies');
+
+// Deterministic and offline: replies to the latest user message from a fixed rule set
+const createMockProvider = () => ({
+  name: 'mock',
+  model: 'mock',
+  generate: async ({ messages }) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    return mockReply(lastUserMessage ? lastUserMessage.content : '');
+  },
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,23 @@
+const { postJson } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Any server implementing the OpenAI chat completions API (OpenAI, Azure-style gateways, vLLM, LM Studio, ...)
+const createOpenAiCompatibleProvider = ({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, fetchImpl = fetch }) => ({
+  name: 'openai',
+  model,
+  generate: async ({ system, messages, signal }) => {
+    const data = await postJson(fetchImpl, `${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: {
+        model,
+        messages: [{ role: 'system', content: system }, ...messages],
+      },
+      signal,
+    }, 'OpenAI-compatible');
+    return data.choices?.[0]?.message?.content || '';
+  },
+});
+
+module.exports = { createOpenAiCompatibleProvider };
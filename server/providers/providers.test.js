@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProvider } = require('./index');
+const { readConfig } = require('../config');
+
+const fakeFetch = (responseBody, calls) => async (url, options) => {
+  calls.push({ url, options: { ...options, body: JSON.parse(options.body) } });
+  return { ok: true, status: 200, statusText: 'OK', json: async () => responseBody };
+};
+
+const conversation = [
+  { role: 'user', content: 'hello' },
+  { role: 'assistant', content: 'hi there' },
+  { role: 'user', content: 'how are you?' },
+];
+
+test('defaults to the offline mock provider', () => {
+  assert.strictEqual(createProvider(readConfig({})).name, 'mock');
+});
+
+test('rejects unknown providers and a gemini provider without a key', () => {
+  assert.throws(() => createProvider(readConfig({ CHAT_PROVIDER: 'nope' })), /Unknown chat provider/);
+  assert.throws(() => createProvider(readConfig({ CHAT_PROVIDER: 'gemini' })), /GEMINI_API_KEY/);
+});
+
+test('gemini adapter sends the key as a header and maps roles', async () => {
+  const calls = [];
+  const config = readConfig({ CHAT_PROVIDER: 'gemini', GEMINI_API_KEY: 'k' });
+  config.gemini.fetchImpl = fakeFetch({ candidates: [{ content: { parts: [{ text: 'Doing ' }, { text: 'well' }] } }] }, calls);
+  const reply = await createProvider(config).generate({ system: 'sys', messages: conversation });
+
+  assert.strictEqual(reply, 'Doing well');
+  assert.ok(!calls[0].url.includes('key='));
+  assert.strictEqual(calls[0].options.headers['x-goog-api-key'], 'k');
+  assert.deepStrictEqual(calls[0].options.body.systemInstruction, { parts: [{ text: 'sys' }] });
+  assert.deepStrictEqual(calls[0].options.body.contents.map(content => content.role), ['user', 'model', 'user']);
+});
+
+test('openai-compatible adapter prepends the system message', async () => {
+  const calls = [];
+  const config = readConfig({ CHAT_PROVIDER: 'openai', OPENAI_API_KEY: 'k', OPENAI_BASE_URL: 'http://llm.test/v1/', OPENAI_MODEL: 'm' });
+  config.openai.fetchImpl = fakeFetch({ choices: [{ message: { content: 'fine' } }] }, calls);
+  const reply = await createProvider(config).generate({ system: 'sys', messages: conversation });
+
+  assert.strictEqual(reply, 'fine');
+  assert.strictEqual(calls[0].url, 'http://llm.test/v1/chat/completions');
+  assert.strictEqual(calls[0].options.headers.Authorization, 'Bearer k');
+  assert.deepStrictEqual(calls[0].options.body.messages[0], { role: 'system', content: 'sys' });
+  assert.strictEqual(calls[0].options.body.model, 'm');
+});
+
+test('local adapter talks to the Ollama chat API without streaming', async () => {
+  const calls = [];
+  const config = readConfig({ CHAT_PROVIDER: 'local' });
+  config.local.fetchImpl = fakeFetch({ message: { content: 'local reply' } }, calls);
+  const reply = await createProvider(config).generate({ system: 'sys', messages: conversation });
+
+  assert.strictEqual(reply, 'local reply');
+  assert.strictEqual(calls[0].url, 'http://localhost:11434/api/chat');
+  assert.strictEqual(calls[0].options.body.stream, false);
+});
+
+test('upstream errors carry the status but not the key', async () => {
+  const config = readConfig({ CHAT_PROVIDER: 'gemini', GEMINI_API_KEY: 'super-secret' });
+  config.gemini.fetchImpl = async () => ({ ok: false, status: 403, statusText: 'Forbidden' });
+  await assert.rejects(createProvider(config).generate({ system: 's', messages: conversation }), (error) => {
+    assert.match(error.message, /Gemini API error: 403/);
+    assert.ok(!error.message.includes('super-secret'));
+    return true;
+  });
+});
@@ -0,0 +1,26 @@
+// Request/response helpers shared by the chat proxy and the sync server
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Past maxBytes the rest of the body is drained rather than the socket destroyed, so the 413
+// still reaches the client; send the error's headers with it to close the connection afterwards
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      req.removeAllListeners('data');
+      req.resume();
+      reject(Object.assign(new Error('Request body too large'), { status: 413, headers: { Connection: 'close' } }));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+module.exports = { sendJson, readBody };
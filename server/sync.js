@@ -0,0 +1,18 @@
+// Reference sync server entry point: `npm run sync-server`. It stores end-to-end encrypted
+// backups only; see README "Backup and sync". Settings come from the environment or server/.env.
+const fs = require('fs');
+const path = require('path');
+const { readConfig } = require('./config');
+const { createFileSyncStore } = require('./syncStore');
+const { createSyncServer } = require('./syncServer');
+
+const envFile = path.join(__dirname, '.env');
+if (fs.existsSync(envFile)) process.loadEnvFile(envFile);
+
+const { sync } = readConfig();
+const dataDir = path.resolve(__dirname, sync.dataDir);
+const server = createSyncServer({ store: createFileSyncStore(dataDir), token: sync.token, allowedOrigin: sync.allowedOrigin });
+
+server.listen(sync.port, () => {
+  console.log(`Sync server listening on http://localhost:${sync.port} (data in ${dataDir}${sync.token ? ', token required' : ''})`);
+});
@@ -0,0 +1,96 @@
+const http = require('http');
+const { sendJson, readBody } = require('./requests');
+
+// Backups hold a patient's whole history, so they can be far larger than a chat request
+const MAX_BACKUP_BYTES = 20 * 1024 * 1024;
+// Sync codes are random and long enough that they can't be guessed
+const SYNC_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const SYNC_PATH = /^\/api\/sync\/([^/]+)$/;
+
+// GET  /api/sync/:syncId -> { revision, updatedAt, backup } or 404
+// PUT  /api/sync/:syncId <- { backup, baseRevision } -> { revision }
+// A PUT only succeeds when baseRevision matches the stored revision (null for a new code);
+// otherwise it is a 409 and the client pulls, merges and tries again.
+const createSyncServer = ({ store, token = '', allowedOrigin = '*', logger = console }) => {
+  const corsHeaders = allowedOrigin ? {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  } : {};
+
+  // PUTs for the same code run one at a time so the revision check can't race
+  const locks = new Map();
+  const exclusive = (syncId, task) => {
+    const run = (locks.get(syncId) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    locks.set(syncId, settled);
+    settled.then(() => {
+      if (locks.get(syncId) === settled) locks.delete(syncId);
+    });
+    return run;
+  };
+
+  const handleGet = async (syncId, res) => {
+    const record = await store.get(syncId);
+    if (!record) {
+      sendJson(res, 404, { error: 'Nothing has been synced with this code yet' }, corsHeaders);
+      return;
+    }
+    sendJson(res, 200, record, corsHeaders);
+  };
+
+  const handlePut = async (syncId, req, res) => {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req, MAX_BACKUP_BYTES));
+    } catch (error) {
+      sendJson(res, error.status || 400, { error: error.status ? error.message : 'Request body must be JSON' }, { ...corsHeaders, ...error.headers });
+      return;
+    }
+    if (!payload || !payload.backup || typeof payload.backup !== 'object') {
+      sendJson(res, 400, { error: 'backup must be an encrypted backup object' }, corsHeaders);
+      return;
+    }
+    const baseRevision = payload.baseRevision === undefined ? null : payload.baseRevision;
+
+    await exclusive(syncId, async () => {
+      const current = await store.get(syncId);
+      const revision = current ? current.revision : null;
+      if (baseRevision !== revision) {
+        sendJson(res, 409, { error: 'The backup changed on the server; pull and merge first', revision }, corsHeaders);
+        return;
+      }
+      const record = { revision: (revision || 0) + 1, updatedAt: new Date().toISOString(), backup: payload.backup };
+      await store.put(syncId, record);
+      sendJson(res, 200, { revision: record.revision, updatedAt: record.updatedAt }, corsHeaders);
+    });
+  };
+
+  const authorized = (req) => !token || req.headers.authorization === `Bearer ${token}`;
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(SYNC_PATH);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders);
+      res.end();
+    } else if (req.method === 'GET' && pathname === '/api/health') {
+      sendJson(res, 200, { ok: true }, corsHeaders);
+    } else if (!match || !['GET', 'PUT'].includes(req.method)) {
+      sendJson(res, 404, { error: 'Not found' }, corsHeaders);
+    } else if (!authorized(req)) {
+      sendJson(res, 401, { error: 'Missing or wrong access token' }, corsHeaders);
+    } else if (!SYNC_ID_PATTERN.test(match[1])) {
+      sendJson(res, 400, { error: 'Invalid sync code' }, corsHeaders);
+    } else {
+      const handled = req.method === 'GET' ? handleGet(match[1], res) : handlePut(match[1], req, res);
+      handled.catch(error => {
+        logger.error('Unexpected sync server error:', error);
+        if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' }, corsHeaders);
+      });
+    }
+  });
+};
+
+module.exports = { createSyncServer, SYNC_ID_PATTERN, MAX_BACKUP_BYTES };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createSyncServer } = require('./syncServer');
+const { createFileSyncStore, createMemorySyncStore } = require('./syncStore');
+
+const SYNC_ID = 'abcdefghijklmnop1234';
+const backup = { format: 'stroke-recovery-backup', data: 'ciphertext' };
+
+const withServer = async (options, run) => {
+  const server = createSyncServer({ store: createMemorySyncStore(), logger: { error: () => {} }, ...options });
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    await run(`http://localhost:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const put = (baseUrl, body, headers = {}, syncId = SYNC_ID) => fetch(`${baseUrl}/api/sync/${syncId}`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+test('stores a backup and bumps the revision on each update', async () => {
+  await withServer({}, async (baseUrl) => {
+    assert.strictEqual((await fetch(`${baseUrl}/api/sync/${SYNC_ID}`)).status, 404);
+
+    const created = await put(baseUrl, { backup, baseRevision: null });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual((await created.json()).revision, 1);
+
+    const updated = await (await put(baseUrl, { backup: { ...backup, data: 'newer' }, baseRevision: 1 })).json();
+    assert.strictEqual(updated.revision, 2);
+
+    const stored = await (await fetch(`${baseUrl}/api/sync/${SYNC_ID}`)).json();
+    assert.strictEqual(stored.revision, 2);
+    assert.deepStrictEqual(stored.backup, { ...backup, data: 'newer' });
+  });
+});
+
+test('rejects updates based on an old revision with a 409', async () => {
+  await withServer({}, async (baseUrl) => {
+    await put(baseUrl, { backup, baseRevision: null });
+    const stale = await put(baseUrl, { backup, baseRevision: null });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual((await stale.json()).revision, 1);
+
+    // Two devices racing from the same revision: exactly one wins
+    const results = await Promise.all([put(baseUrl, { backup, baseRevision: 1 }), put(baseUrl, { backup, baseRevision: 1 })]);
+    assert.deepStrictEqual(results.map(response => response.status).sort(), [200, 409]);
+  });
+});
+
+test('requires the access token when one is configured', async () => {
+  await withServer({ token: 'clinic-secret' }, async (baseUrl) => {
+    assert.strictEqual((await fetch(`${baseUrl}/api/sync/${SYNC_ID}`)).status, 401);
+    assert.strictEqual((await put(baseUrl, { backup }, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.strictEqual((await put(baseUrl, { backup }, { Authorization: 'Bearer clinic-secret' })).status, 200);
+  });
+});
+
+test('rejects malformed requests', async () => {
+  await withServer({}, async (baseUrl) => {
+    assert.strictEqual((await put(baseUrl, { backup }, {}, 'short')).status, 400);
+    assert.strictEqual((await put(baseUrl, { baseRevision: null })).status, 400);
+    assert.strictEqual((await fetch(`${baseUrl}/api/sync/${SYNC_ID}`, { method: 'PUT', body: 'not json' })).status, 400);
+    assert.strictEqual((await fetch(`${baseUrl}/api/sync/${SYNC_ID}`, { method: 'DELETE' })).status, 404);
+  });
+});
+
+test('file store keeps backups across restarts', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-store-'));
+  try {
+    await createFileSyncStore(dir).put(SYNC_ID, { revision: 1, backup });
+    assert.deepStrictEqual(await createFileSyncStore(dir).get(SYNC_ID), { revision: 1, backup });
+    assert.strictEqual(await createFileSyncStore(dir).get('missing-code-000000'), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// A stored backup is { revision, updatedAt, backup }, where backup is the client's encrypted
+// envelope. The server never sees a passphrase, so it can't read what it keeps.
+
+const createMemorySyncStore = () => {
+  const records = new Map();
+  return {
+    get: async (syncId) => (records.has(syncId) ? JSON.parse(records.get(syncId)) : null),
+    put: async (syncId, record) => {
+      records.set(syncId, JSON.stringify(record));
+    },
+  };
+};
+
+// One JSON file per sync code. Writes go to a temporary file first so a crash mid-write
+// can't leave a truncated backup behind.
+const createFileSyncStore = (dir) => {
+  const fileFor = (syncId) => path.join(dir, `${syncId}.json`);
+  return {
+    get: async (syncId) => {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(syncId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    put: async (syncId, record) => {
+      await fs.mkdir(dir, { recursive: true });
+      const temporary = `${fileFor(syncId)}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(record));
+      await fs.rename(temporary, fileFor(syncId));
+    },
+  };
+};
+
+module.exports = { createMemorySyncStore, createFileSyncStore };
@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('opens the only profile straight into the patient home screen', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('dialog', { name: 'Welcome to Your Stroke Recovery App!' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'Stroke Recovery Companion' })).toBeInTheDocument();
 });
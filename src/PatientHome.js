@@ -0,0 +1,492 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Lightbulb, Award, Smile, Frown, Meh, BarChart3, FileText, BookOpen, CalendarDays, Play, Accessibility, Users, Download, DatabaseBackup } from 'lucide-react';
+import { getExercise, listExercises } from './exercises';
+import ExerciseRunner from './exercises/ExerciseRunner';
+import GuidedSession from './program/GuidedSession';
+import { isDueToday } from './program/program';
+import { startReminderChecks, syncReminders } from './program/reminders';
+import { DB_NAME, openHistoryStore } from './data/historyStore';
+import ProgressDashboard from './components/ProgressDashboard';
+import ExportPanel from './components/ExportPanel';
+import JournalPanel, { SCREENER_SETTINGS_META_KEY } from './components/JournalPanel';
+import ProgramPanel from './components/ProgramPanel';
+import ChatPanel from './components/ChatPanel';
+import BackupPanel from './components/BackupPanel';
+import AccessibilityPanel from './components/AccessibilityPanel';
+import ConnectionStatus from './components/ConnectionStatus';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import { useOnlineStatus } from './offline/useOnlineStatus';
+import { useInstallPrompt } from './offline/useInstallPrompt';
+import { AccessibilityContext } from './accessibility/AccessibilityContext';
+import {
+  ACCESSIBILITY_META_KEY,
+  DEFAULT_ACCESSIBILITY_SETTINGS,
+  applyAccessibility,
+  normalizeAccessibilitySettings,
+} from './accessibility/settings';
+import { createChatClient } from './chat/chatClient';
+import { DEFAULT_SCREENER_SETTINGS, isScreenerDue } from './journal/phq9';
+import { LANGUAGE_META_KEY, normalizeLanguage } from './i18n/i18n';
+import { useTranslation } from './i18n/I18nContext';
+import { DEFAULT_DEMO_SCENARIO, loadScenario } from './demo/scenarios';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// One patient's home screen, working on that patient's own history database. When a therapist
+// manages the patient (`managed`), exercise difficulty and programs are read-only here.
+const PatientHome = ({ profile, isDemoMode, demoScenario = DEFAULT_DEMO_SCENARIO, demoSeed = null, managed = false, onSwitchProfile }) => {
+  const { setLanguage, t } = useTranslation();
+  const [score, setScore] = useState(0);
+  const [sessionCount, setSessionCount] = useState(0);
+  const [activeExerciseId, setActiveExerciseId] = useState(null);
+  const [lastSession, setLastSession] = useState(null);
+  const [feedback, setFeedback] = useState('');
+  const [mood, setMood] = useState(null);
+  const [showWelcomeModal, setShowWelcomeModal] = useState(true);
+  const historyStore = useRef(null);
+  const [historyLoaded, setHistoryLoaded] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showJournal, setShowJournal] = useState(false);
+  const [screenerDue, setScreenerDue] = useState(false);
+  const [showPrograms, setShowPrograms] = useState(false);
+  const [activeProgram, setActiveProgram] = useState(null);
+  const [programsDueToday, setProgramsDueToday] = useState([]);
+  const [accessibility, setAccessibility] = useState(DEFAULT_ACCESSIBILITY_SETTINGS);
+  const [showAccessibility, setShowAccessibility] = useState(false);
+  const online = useOnlineStatus();
+  const { canInstall, install } = useInstallPrompt();
+  // Demo mode (or REACT_APP_CHAT_MOCK=true) answers from canned replies without the chat server
+  const chatClient = useRef(createChatClient({ mock: isDemoMode || process.env.REACT_APP_CHAT_MOCK === 'true' }));
+
+  // Totals, last mood and session, and whether the screener is due, as saved in the store
+  const loadSavedState = useCallback(async (store, isCancelled = () => false) => {
+    const [savedScore, savedSessionCount, moods, sessions, screenings, screenerSettings, savedLanguage] = await Promise.all([
+      store.getMeta('score', 0),
+      store.getMeta('sessionCount', 0),
+      store.listMoods(),
+      store.listSessions({ completedOnly: true }),
+      store.listScreenings(),
+      store.getMeta(SCREENER_SETTINGS_META_KEY, DEFAULT_SCREENER_SETTINGS),
+      store.getMeta(LANGUAGE_META_KEY),
+    ]);
+    if (isCancelled()) return;
+    // A profile that has never chosen a language keeps whatever the picker was showing
+    if (normalizeLanguage(savedLanguage)) setLanguage(normalizeLanguage(savedLanguage));
+    setScore(savedScore);
+    setSessionCount(savedSessionCount);
+    if (moods.length > 0) setMood(moods[moods.length - 1].mood);
+    if (sessions.length > 0) setLastSession(sessions[sessions.length - 1]);
+    setScreenerDue(isScreenerDue(screenings.length > 0 ? screenings[screenings.length - 1].timestamp : null, screenerSettings));
+  }, [setLanguage]);
+
+  // Open the history store (migrating the old localStorage keys) on initial render.
+  // Demo mode gets a throwaway in-memory store, filled from the chosen scenario, so it never
+  // touches real data.
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      const store = await openHistoryStore({ name: profile.dbName, inMemory: isDemoMode });
+      if (cancelled) {
+        store.backend.close();
+        return;
+      }
+      historyStore.current = store;
+
+      const savedAccessibility = await store.getMeta(ACCESSIBILITY_META_KEY, DEFAULT_ACCESSIBILITY_SETTINGS);
+      if (cancelled) return;
+      setAccessibility(normalizeAccessibilitySettings(savedAccessibility));
+
+      if (isDemoMode) {
+        await loadScenario(store, demoScenario, { seed: demoSeed || undefined });
+      } else if (profile.dbName === DB_NAME) {
+        // The pre-profile localStorage data belongs to the profile that kept the original database
+        await store.migrateLegacyStorage();
+      }
+      if (cancelled) return;
+      await loadSavedState(store, () => cancelled);
+      setHistoryLoaded(true);
+    };
+
+    loadHistory().catch(error => console.error('Error loading history:', error));
+    setShowWelcomeModal(true); // Always show welcome modal on app start
+    // Close this profile's database on the way out so a therapist can delete it later
+    return () => {
+      cancelled = true;
+      if (historyStore.current) historyStore.current.backend.close();
+      historyStore.current = null;
+    };
+  }, [isDemoMode, demoScenario, demoSeed, profile.dbName, loadSavedState]);
+
+  // Fire-and-forget write; storage problems are logged rather than interrupting the patient
+  const writeHistory = useCallback((write) => {
+    if (!historyStore.current) return;
+    write(historyStore.current).catch(error => console.error('Error writing to history store:', error));
+  }, []);
+
+  // Keep the running totals in the history store's meta table
+  useEffect(() => {
+    if (historyLoaded) {
+      writeHistory(store => Promise.all([store.setMeta('score', score), store.setMeta('sessionCount', sessionCount)]));
+    }
+  }, [score, sessionCount, historyLoaded, writeHistory]);
+
+  useEffect(() => {
+    applyAccessibility(accessibility);
+  }, [accessibility]);
+
+  // The next profile starts from the default look
+  useEffect(() => () => applyAccessibility(DEFAULT_ACCESSIBILITY_SETTINGS), []);
+
+  const refreshPrograms = useCallback(async () => {
+    const store = historyStore.current;
+    if (!store) return;
+    const [programs, runs] = await Promise.all([store.listPrograms(), store.listProgramRuns({ completedOnly: true })]);
+    setProgramsDueToday(programs.filter(program => isDueToday(program, runs)));
+  }, []);
+
+  // Program reminders: hand the schedule to the service worker and keep nudging it while open.
+  // A change of language schedules them again in the new language.
+  useEffect(() => {
+    if (!historyLoaded) return undefined;
+    refreshPrograms().catch(error => console.error('Error loading programs:', error));
+    if (isDemoMode) return undefined;
+    syncReminders(historyStore.current, profile, t).catch(error => console.error('Error scheduling reminders:', error));
+    return startReminderChecks();
+  }, [historyLoaded, isDemoMode, refreshPrograms, profile, t]);
+
+  const handleStartExercise = (exerciseId) => {
+    setActiveExerciseId(exerciseId);
+    setFeedback('');
+  };
+
+  const handleStartProgram = (program) => {
+    setActiveExerciseId(null);
+    setActiveProgram(program);
+    setShowPrograms(false);
+    setFeedback('');
+  };
+
+  // A guided session counts as one session however many exercises it chained
+  const handleProgramFinish = (program, message) => {
+    setActiveProgram(null);
+    setSessionCount(prev => prev + 1);
+    setFeedback(t('home.complete', { name: program.name, message }));
+    setTimeout(() => setFeedback(''), 4000);
+    refreshPrograms().catch(error => console.error('Error loading programs:', error));
+    if (!isDemoMode) syncReminders(historyStore.current, profile, t).catch(error => console.error('Error scheduling reminders:', error));
+  };
+
+  const handleExerciseComplete = (exercise, summary, message) => {
+    setActiveExerciseId(null);
+    setSessionCount(prev => prev + 1);
+    setLastSession({ exerciseType: exercise.id, summary, completedAt: new Date().toISOString() });
+    setFeedback(t('home.complete', { name: exerciseTitle(exercise), message }));
+    setTimeout(() => setFeedback(''), 4000); // Clear feedback after 4 seconds
+  };
+
+  const exerciseTitle = (exercise) => t(`${exercise.id}.title`, { defaultValue: exercise.title });
+
+  const activeExercise = activeExerciseId && getExercise(activeExerciseId);
+  const lastSessionExercise = lastSession && getExercise(lastSession.exerciseType);
+
+  // A restore or sync may have brought in sessions, programs and settings from another device
+  const handleHistoryRestored = async () => {
+    const store = historyStore.current;
+    if (!store) return;
+    await loadSavedState(store);
+    setAccessibility(normalizeAccessibilitySettings(await store.getMeta(ACCESSIBILITY_META_KEY, DEFAULT_ACCESSIBILITY_SETTINGS)));
+    await refreshPrograms();
+    if (!isDemoMode) await syncReminders(store, profile, t);
+  };
+
+  const handleAccessibilityChange = (next) => {
+    const normalized = normalizeAccessibilitySettings(next);
+    setAccessibility(normalized);
+    writeHistory(store => store.setMeta(ACCESSIBILITY_META_KEY, normalized));
+  };
+
+  // Saved with the profile, so the patient's language follows them to a restored or synced device
+  const handleLanguageChange = (language) => {
+    setLanguage(language);
+    writeHistory(store => store.setMeta(LANGUAGE_META_KEY, language));
+  };
+
+  const handleMoodSelection = (selectedMood) => {
+    setMood(selectedMood);
+    writeHistory(store => store.recordMood(selectedMood));
+    setFeedback(t('home.moodFeedback', { mood: t(`mood.${selectedMood}`) }));
+  };
+
+  return (
+    <AccessibilityContext.Provider value={accessibility}>
+      {/* Darker gradient stops keep the white heading readable; high contrast drops the gradient */}
+      <div className={`min-h-screen ${accessibility.highContrast ? 'bg-black' : 'bg-gradient-to-br from-blue-700 to-purple-800'} text-white flex flex-col items-center justify-center p-4`}>
+
+        {showWelcomeModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="welcome-title"
+              onKeyDown={(e) => { if (e.key === 'Escape') setShowWelcomeModal(false); }}
+              className="bg-white text-gray-800 p-8 rounded-lg shadow-xl max-w-lg w-full text-center"
+            >
+              <h2 id="welcome-title" className="text-3xl font-bold mb-4 text-blue-700">{t('home.welcomeTitle')}</h2>
+              <p className="mb-4">{t('home.welcomeIntro')}</p>
+              <p className="mb-6">{t('home.welcomeDemoNote')}</p>
+              <div className="flex flex-col items-center gap-3">
+                <button
+                  onClick={() => setShowWelcomeModal(false)}
+                  className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-full text-lg shadow-lg transition duration-300"
+                  autoFocus
+                >
+                  {t('home.start')}
+                </button>
+                <button
+                  onClick={() => { setShowWelcomeModal(false); setShowAccessibility(true); }}
+                  className="text-blue-700 font-semibold underline py-2 px-4 flex items-center space-x-2"
+                >
+                  <Accessibility size={20} />
+                  <span>{t('home.accessibilityOptions')}</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <h1 className="text-4xl md:text-5xl font-extrabold mb-4 text-center drop-shadow-lg">
+          {t('app.title')}
+        </h1>
+        <div className="mb-6 flex flex-wrap justify-center gap-3">
+          <button
+            onClick={() => setShowAccessibility(prev => !prev)}
+            aria-expanded={showAccessibility}
+            className="bg-white text-purple-800 hover:bg-purple-100 font-bold py-2 px-5 rounded-full shadow-md transition duration-300 flex items-center space-x-2"
+          >
+            <Accessibility size={20} />
+            <span>{t('home.accessibility')}</span>
+          </button>
+          <LanguageSwitcher onChange={handleLanguageChange} />
+          {onSwitchProfile && (
+            <button
+              onClick={onSwitchProfile}
+              className="bg-white text-purple-800 hover:bg-purple-100 font-bold py-2 px-5 rounded-full shadow-md transition duration-300 flex items-center space-x-2"
+            >
+              <Users size={20} />
+              <span>{t('home.switchProfile', { name: profile.name })}</span>
+            </button>
+          )}
+          {canInstall && (
+            <button
+              onClick={() => install().catch(error => console.error('Error installing app:', error))}
+              className="bg-white text-purple-800 hover:bg-purple-100 font-bold py-2 px-5 rounded-full shadow-md transition duration-300 flex items-center space-x-2"
+            >
+              <Download size={20} />
+              <span>{t('home.install')}</span>
+            </button>
+          )}
+        </div>
+        <ConnectionStatus online={online} />
+
+        {showAccessibility && (
+          <AccessibilityPanel settings={accessibility} onChange={handleAccessibilityChange} onClose={() => setShowAccessibility(false)} />
+        )}
+
+        <div className="bg-white text-gray-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-4xl grid grid-cols-1 md:grid-cols-2 gap-8">
+          {/* Progress & Stats */}
+          <div className="bg-gray-50 p-6 rounded-lg shadow-md flex flex-col items-center">
+            <h2 className="text-2xl font-semibold mb-4 text-purple-700">{t('home.progress')}</h2>
+            <div className="flex items-center space-x-4 mb-4">
+              <Award className="text-yellow-500" size={36} />
+              <p className="text-4xl font-bold text-green-600">{score} <span className="text-xl font-normal text-gray-600">{t('home.points')}</span></p>
+            </div>
+            <p className="text-lg text-gray-700 mb-4">
+              {t('home.sessions')} <span className="font-bold text-blue-600">{sessionCount}</span>
+            </p>
+            {lastSessionExercise && lastSession.summary && (
+              <p className="text-md text-gray-700 mb-4 text-center">
+                {t('home.lastSession')} <span className="font-bold text-blue-600">{exerciseTitle(lastSessionExercise)}</span>
+                {' '}({lastSessionExercise.formatSummary(lastSession.summary, t)})
+              </p>
+            )}
+            <div className="flex flex-wrap justify-center gap-2">
+              <button
+                onClick={() => setShowDashboard(prev => !prev)}
+                disabled={!historyLoaded}
+                className="bg-purple-500 hover:bg-purple-600 disabled:opacity-50 text-white font-bold py-2 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+              >
+                <BarChart3 size={20} />
+                <span>{t(showDashboard ? 'home.hideDashboard' : 'home.viewDashboard')}</span>
+              </button>
+              <button
+                onClick={() => setShowExport(prev => !prev)}
+                disabled={!historyLoaded}
+                className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white font-bold py-2 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+              >
+                <FileText size={20} />
+                <span>{t('home.export')}</span>
+              </button>
+              <button
+                onClick={() => setShowJournal(prev => !prev)}
+                disabled={!historyLoaded}
+                className="bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-2 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+              >
+                <BookOpen size={20} />
+                <span>{t('home.journal')}</span>
+              </button>
+              <button
+                onClick={() => setShowPrograms(prev => !prev)}
+                disabled={!historyLoaded}
+                className="bg-yellow-500 hover:bg-yellow-600 disabled:opacity-50 text-white font-bold py-2 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+              >
+                <CalendarDays size={20} />
+                <span>{t('home.program')}</span>
+              </button>
+              {!isDemoMode && (
+                <button
+                  onClick={() => setShowBackup(prev => !prev)}
+                  disabled={!historyLoaded}
+                  className="bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white font-bold py-2 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+                >
+                  <DatabaseBackup size={20} />
+                  <span>{t('home.backup')}</span>
+                </button>
+              )}
+            </div>
+            <div className="mt-4 w-full">
+              <h3 id="mood-heading" className="text-xl font-semibold mb-3 text-purple-700">{t('home.moodQuestion')}</h3>
+              <div role="group" aria-labelledby="mood-heading" className="flex justify-center space-x-4">
+                <button
+                  onClick={() => handleMoodSelection('positive')}
+                  className={`p-3 rounded-full ${mood === 'positive' ? 'bg-green-200' : 'bg-gray-200'} hover:bg-green-100 transition`}
+                  title={capitalize(t('mood.positive'))}
+                  aria-label={t('home.moodLabel', { mood: t('mood.positive') })}
+                  aria-pressed={mood === 'positive'}
+                >
+                  <Smile className="text-green-500" size={32} />
+                </button>
+                <button
+                  onClick={() => handleMoodSelection('neutral')}
+                  className={`p-3 rounded-full ${mood === 'neutral' ? 'bg-yellow-200' : 'bg-gray-200'} hover:bg-yellow-100 transition`}
+                  title={capitalize(t('mood.neutral'))}
+                  aria-label={t('home.moodLabel', { mood: t('mood.neutral') })}
+                  aria-pressed={mood === 'neutral'}
+                >
+                  <Meh className="text-yellow-500" size={32} />
+                </button>
+                <button
+                  onClick={() => handleMoodSelection('negative')}
+                  className={`p-3 rounded-full ${mood === 'negative' ? 'bg-red-200' : 'bg-gray-200'} hover:bg-red-100 transition`}
+                  title={capitalize(t('mood.negative'))}
+                  aria-label={t('home.moodLabel', { mood: t('mood.negative') })}
+                  aria-pressed={mood === 'negative'}
+                >
+                  <Frown className="text-red-500" size={32} />
+                </button>
+              </div>
+              {/* Always rendered so screen readers announce each new message */}
+              <p className={`text-sm text-center text-gray-600 ${feedback ? 'mt-3' : ''}`} role="status" aria-live="polite">{feedback}</p>
+              {screenerDue && !showJournal && (
+                <p className="text-sm mt-3 text-center text-purple-700">
+                  {t('home.screenerDue')}{' '}
+                  <button onClick={() => setShowJournal(true)} className="underline font-semibold">{t('home.openJournal')}</button>
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Cognitive Exercises */}
+          <div className="bg-gray-50 p-6 rounded-lg shadow-md flex flex-col items-center">
+            <h2 className="text-2xl font-semibold mb-4 text-purple-700">{t('home.exercises')}</h2>
+            {activeProgram ? (
+              <GuidedSession
+                key={activeProgram.id}
+                program={activeProgram}
+                historyStore={historyLoaded ? historyStore.current : null}
+                onPoints={(points) => setScore(prev => Math.max(0, prev + points))}
+                onFinish={handleProgramFinish}
+                onCancel={() => setActiveProgram(null)}
+              />
+            ) : !activeExercise ? (
+              <div className="grid grid-cols-1 gap-4 w-full">
+                {programsDueToday.map(program => (
+                  <button
+                    key={program.id}
+                    onClick={() => handleStartProgram(program)}
+                    className="bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-6 rounded-lg transition duration-300 flex items-center justify-center space-x-2"
+                  >
+                    <Play size={20} />
+                    <span>{t('home.todaysSession', { name: program.name })}</span>
+                  </button>
+                ))}
+                {listExercises().map(exercise => {
+                  const Icon = exercise.icon || Lightbulb;
+                  return (
+                    <button
+                      key={exercise.id}
+                      onClick={() => handleStartExercise(exercise.id)}
+                      className={`${exercise.color || 'bg-blue-500 hover:bg-blue-600'} text-white font-bold py-3 px-6 rounded-lg transition duration-300 flex items-center justify-center space-x-2`}
+                    >
+                      <Icon size={20} />
+                      <span>{exerciseTitle(exercise)}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <ExerciseRunner
+                key={activeExercise.id}
+                exercise={activeExercise}
+                historyStore={historyLoaded ? historyStore.current : null}
+                difficultyLocked={managed}
+                onPoints={(points) => setScore(prev => Math.max(0, prev + points))}
+                onComplete={handleExerciseComplete}
+                onCancel={() => setActiveExerciseId(null)}
+              />
+            )}
+          </div>
+
+          {showDashboard && historyLoaded && (
+            <ProgressDashboard historyStore={historyStore.current} onClose={() => setShowDashboard(false)} />
+          )}
+
+          {showJournal && historyLoaded && (
+            <JournalPanel historyStore={historyStore.current} onClose={() => setShowJournal(false)} onScreenerDueChange={setScreenerDue} />
+          )}
+
+          {showPrograms && historyLoaded && (
+            <ProgramPanel
+              historyStore={historyStore.current}
+              profile={profile}
+              onClose={() => setShowPrograms(false)}
+              onStartProgram={handleStartProgram}
+              canEdit={!managed}
+              onProgramsChange={() => refreshPrograms().catch(error => console.error('Error loading programs:', error))}
+            />
+          )}
+
+          {showExport && historyLoaded && (
+            <ExportPanel historyStore={historyStore.current} onClose={() => setShowExport(false)} />
+          )}
+
+          {showBackup && historyLoaded && (
+            <BackupPanel
+              historyStore={historyStore.current}
+              profileName={profile.name}
+              onClose={() => setShowBackup(false)}
+              onRestored={() => handleHistoryRestored().catch(error => console.error('Error reloading history:', error))}
+            />
+          )}
+
+          {/* Crisis Management Chatbot */}
+          <ChatPanel historyStore={historyLoaded ? historyStore.current : null} chatClient={chatClient.current} />
+        </div>
+      </div>
+    </AccessibilityContext.Provider>
+  );
+};
+
+export default PatientHome;
\ No newline at end of file
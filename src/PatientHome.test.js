@@ -0,0 +1,17 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import PatientHome from './PatientHome';
+import { buildScenario } from './demo/scenarios';
+import { ROLES } from './data/profileStore';
+
+const DEMO_PROFILE = { id: 'demo', name: 'Demo', role: ROLES.patient, dbName: 'demo-test', hasPin: false };
+
+test('demo mode shows the chosen scenario instead of fixed numbers', async () => {
+  const { stores } = buildScenario('firstWeek', { seed: 'demo' });
+  const meta = Object.fromEntries(stores.meta.map(row => [row.key, row.value]));
+
+  render(<PatientHome profile={DEMO_PROFILE} isDemoMode demoScenario="firstWeek" demoSeed="demo" />);
+
+  const sessions = screen.getByText(/Total Sessions Completed/);
+  await waitFor(() => expect(sessions).toHaveTextContent(`Total Sessions Completed: ${meta.sessionCount}`));
+  expect(screen.getByText(String(meta.score))).toHaveTextContent(`${meta.score} points`);
+});
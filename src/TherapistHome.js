@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart3, CalendarDays, DatabaseBackup, FileText, KeyRound, SlidersHorizontal, Stethoscope, UserPlus, UserX, Users } from 'lucide-react';
+import { openHistoryStore } from './data/historyStore';
+import { ROLES } from './data/profileStore';
+import { clearReminders } from './program/reminders';
+import ProgressDashboard from './components/ProgressDashboard';
+import ExerciseSettingsPanel from './components/ExerciseSettingsPanel';
+import ProgramPanel from './components/ProgramPanel';
+import ExportPanel from './components/ExportPanel';
+import BackupPanel from './components/BackupPanel';
+import ProfileForm from './components/ProfileForm';
+
+const TABS = [
+  { id: 'progress', label: 'Progress', icon: BarChart3 },
+  { id: 'settings', label: 'Exercise settings', icon: SlidersHorizontal },
+  { id: 'program', label: 'Program', icon: CalendarDays },
+  { id: 'export', label: 'Export', icon: FileText },
+  { id: 'backup', label: 'Backup', icon: DatabaseBackup },
+];
+
+// The therapist's screen: pick any patient on this device, review their progress and set
+// their exercise difficulty and programs. The patient's own database is opened read-write.
+const TherapistHome = ({ profile, profileStore, profiles, onProfilesChange, onSwitchProfile }) => {
+  const patients = profiles.filter(candidate => candidate.role === ROLES.patient);
+  const [selectedId, setSelectedId] = useState(patients.length > 0 ? patients[0].id : null);
+  const [patientStore, setPatientStore] = useState(null);
+  const [tab, setTab] = useState('progress');
+  const [creatingRole, setCreatingRole] = useState(null);
+  const [status, setStatus] = useState('');
+  const selected = patients.find(patient => patient.id === selectedId) || null;
+  const selectedDbName = selected && selected.dbName;
+
+  useEffect(() => {
+    if (!selectedDbName) return undefined;
+    let cancelled = false;
+    let opened = null;
+    setPatientStore(null);
+    openHistoryStore({ name: selectedDbName })
+      .then(store => {
+        opened = store;
+        if (cancelled) store.backend.close();
+        else setPatientStore(store);
+      })
+      .catch(error => console.error('Error opening patient history:', error));
+    return () => {
+      cancelled = true;
+      if (opened) opened.backend.close();
+    };
+  }, [selectedDbName]);
+
+  const handleCreate = async ({ name, pin }) => {
+    const created = await profileStore.createProfile({ name, pin, role: creatingRole });
+    setCreatingRole(null);
+    await onProfilesChange();
+    if (created.role === ROLES.patient) setSelectedId(created.id);
+    setStatus(`Added ${created.name}.`);
+  };
+
+  const handleClearPin = async () => {
+    if (!window.confirm(`Remove the PIN from ${selected.name}'s profile? They can set a new one later.`)) return;
+    try {
+      await profileStore.setPin(selected.id, null);
+      await onProfilesChange();
+      setStatus(`${selected.name}'s PIN was removed.`);
+    } catch (error) {
+      console.error('Error removing PIN:', error);
+      setStatus(`Could not remove the PIN: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${selected.name}'s profile and all of their history from this device? This cannot be undone.`)) return;
+    try {
+      if (patientStore) patientStore.backend.close();
+      setPatientStore(null);
+      await profileStore.deleteProfile(selected.id);
+      clearReminders(selected.id).catch(error => console.error('Error clearing reminders:', error));
+      setSelectedId(null);
+      await onProfilesChange();
+      setStatus(`${selected.name}'s profile was deleted.`);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      setStatus(`Could not delete the profile: ${error.message}`);
+    }
+  };
+
+  const renderTab = () => {
+    if (!patientStore) return <p className="text-gray-600">Loading {selected.name}'s history...</p>;
+    switch (tab) {
+      case 'settings':
+        return <ExerciseSettingsPanel key={selected.id} historyStore={patientStore} />;
+      case 'program':
+        return <ProgramPanel key={selected.id} historyStore={patientStore} profile={selected} />;
+      case 'export':
+        return <ExportPanel key={selected.id} historyStore={patientStore} />;
+      case 'backup':
+        return <BackupPanel key={selected.id} historyStore={patientStore} profileName={selected.name} />;
+      default:
+        return <ProgressDashboard key={selected.id} historyStore={patientStore} />;
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-700 to-purple-800 text-white flex flex-col items-center justify-center p-4">
+      <h1 className="text-4xl md:text-5xl font-extrabold mb-4 text-center drop-shadow-lg">
+        Stroke Recovery Companion
+      </h1>
+      <div className="mb-6 flex flex-wrap justify-center gap-3">
+        <p className="flex items-center space-x-2 text-lg font-semibold">
+          <Stethoscope size={22} />
+          <span>Therapist view: {profile.name}</span>
+        </p>
+        <button
+          onClick={onSwitchProfile}
+          className="bg-white text-purple-800 hover:bg-purple-100 font-bold py-2 px-5 rounded-full shadow-md transition duration-300 flex items-center space-x-2"
+        >
+          <Users size={20} />
+          <span>Switch profile</span>
+        </button>
+      </div>
+
+      <div className="bg-white text-gray-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-4xl">
+        <h2 className="text-2xl font-semibold mb-4 text-purple-700">Patients</h2>
+        {patients.length === 0 ? (
+          <p className="text-gray-600 mb-4">No patient profiles on this device yet.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label="Patients">
+            {patients.map(patient => (
+              <button
+                key={patient.id}
+                aria-pressed={patient.id === selectedId}
+                onClick={() => { setSelectedId(patient.id); setStatus(''); }}
+                className={`py-2 px-4 rounded-lg border-2 font-semibold transition ${
+                  patient.id === selectedId ? 'border-purple-600 bg-purple-100 text-purple-800' : 'border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                {patient.name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {creatingRole ? (
+          <div className="mb-4">
+            <ProfileForm
+              title={creatingRole === ROLES.therapist ? 'New therapist profile' : 'New patient profile'}
+              requirePin={creatingRole === ROLES.therapist}
+              onSave={handleCreate}
+              onCancel={() => setCreatingRole(null)}
+            />
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2 mb-4">
+            <button onClick={() => setCreatingRole(ROLES.patient)} className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2">
+              <UserPlus size={18} />
+              <span>Add patient</span>
+            </button>
+            <button onClick={() => setCreatingRole(ROLES.therapist)} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2">
+              <Stethoscope size={18} />
+              <span>Add therapist</span>
+            </button>
+            {selected && selected.hasPin && (
+              <button onClick={handleClearPin} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2">
+                <KeyRound size={18} />
+                <span>Remove {selected.name}'s PIN</span>
+              </button>
+            )}
+            {selected && (
+              <button onClick={handleDelete} className="bg-red-100 hover:bg-red-200 text-red-700 font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2">
+                <UserX size={18} />
+                <span>Delete {selected.name}</span>
+              </button>
+            )}
+          </div>
+        )}
+        <p className="text-sm text-gray-600 mb-4" role="status">{status}</p>
+
+        {selected && (
+          <>
+            <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label={`${selected.name}'s records`}>
+              {TABS.map(({ id, label, icon: Icon }) => (
+                <button
+                  key={id}
+                  aria-pressed={tab === id}
+                  onClick={() => setTab(id)}
+                  className={`py-2 px-4 rounded-lg font-semibold transition flex items-center space-x-2 ${
+                    tab === id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
+                  }`}
+                >
+                  <Icon size={18} />
+                  <span>{label}</span>
+                </button>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              {renderTab()}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TherapistHome;
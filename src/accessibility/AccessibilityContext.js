@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_ACCESSIBILITY_SETTINGS } from './settings';
+
+// Lets exercises ask for the on-screen pads without threading settings through the
+// plugin interface. Screens that only need the global classes don't have to read it.
+export const AccessibilityContext = createContext(DEFAULT_ACCESSIBILITY_SETTINGS);
+
+export const useAccessibility = () => useContext(AccessibilityContext);
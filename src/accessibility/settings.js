@@ -0,0 +1,64 @@
+// Accessibility mode for patients with aphasia, low vision or the use of only one hand.
+// Settings live in the history store's meta table and are applied as classes and a root
+// font size on <html>, so every screen picks them up without knowing about them:
+//
+//   a11y-large-targets   buttons and inputs grow to at least 56px (see index.css)
+//   a11y-high-contrast   black on white with strong borders and focus rings
+//
+// Tailwind sizes are in rem, so scaling the root font size scales the whole layout.
+
+export const ACCESSIBILITY_META_KEY = 'accessibility';
+
+export const FONT_SCALES = [
+  { value: 1, label: 'Normal' },
+  { value: 1.25, label: 'Large' },
+  { value: 1.5, label: 'Larger' },
+  { value: 1.75, label: 'Largest' },
+];
+
+export const DEFAULT_ACCESSIBILITY_SETTINGS = {
+  largeTargets: false,
+  highContrast: false,
+  fontScale: 1,
+  onScreenPad: false, // number pad for Digit Span, arrow pad for the attention grid
+};
+
+export const normalizeAccessibilitySettings = (settings = {}) => {
+  const merged = { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...settings };
+  return {
+    largeTargets: Boolean(merged.largeTargets),
+    highContrast: Boolean(merged.highContrast),
+    fontScale: FONT_SCALES.some(scale => scale.value === merged.fontScale) ? merged.fontScale : DEFAULT_ACCESSIBILITY_SETTINGS.fontScale,
+    onScreenPad: Boolean(merged.onScreenPad),
+  };
+};
+
+export const isAccessibilityModeOn = (settings) => {
+  const normalized = normalizeAccessibilitySettings(settings);
+  return normalized.largeTargets || normalized.highContrast || normalized.onScreenPad
+    || normalized.fontScale !== DEFAULT_ACCESSIBILITY_SETTINGS.fontScale;
+};
+
+// Every setting switched on at once, for the one-tap "accessibility mode" button
+export const ACCESSIBILITY_MODE_PRESET = {
+  largeTargets: true,
+  highContrast: true,
+  fontScale: 1.25,
+  onScreenPad: true,
+};
+
+export const accessibilityClasses = (settings) => {
+  const normalized = normalizeAccessibilitySettings(settings);
+  return [
+    normalized.largeTargets && 'a11y-large-targets',
+    normalized.highContrast && 'a11y-high-contrast',
+  ].filter(Boolean);
+};
+
+const ALL_CLASSES = ['a11y-large-targets', 'a11y-high-contrast'];
+
+export const applyAccessibility = (settings, root = document.documentElement) => {
+  const active = accessibilityClasses(settings);
+  ALL_CLASSES.forEach(name => root.classList.toggle(name, active.includes(name)));
+  root.style.fontSize = `${normalizeAccessibilitySettings(settings).fontScale * 100}%`;
+};
@@ -0,0 +1,37 @@
+import {
+  ACCESSIBILITY_MODE_PRESET,
+  DEFAULT_ACCESSIBILITY_SETTINGS,
+  accessibilityClasses,
+  applyAccessibility,
+  isAccessibilityModeOn,
+  normalizeAccessibilitySettings,
+} from './settings';
+
+test('fills in defaults and rejects unknown font scales', () => {
+  expect(normalizeAccessibilitySettings()).toEqual(DEFAULT_ACCESSIBILITY_SETTINGS);
+  expect(normalizeAccessibilitySettings({ fontScale: 3, highContrast: 1 })).toEqual({
+    ...DEFAULT_ACCESSIBILITY_SETTINGS,
+    highContrast: true,
+  });
+  expect(normalizeAccessibilitySettings({ fontScale: 1.5 }).fontScale).toBe(1.5);
+});
+
+test('reports whether any accessibility setting is on', () => {
+  expect(isAccessibilityModeOn(DEFAULT_ACCESSIBILITY_SETTINGS)).toBe(false);
+  expect(isAccessibilityModeOn({ fontScale: 1.25 })).toBe(true);
+  expect(isAccessibilityModeOn(ACCESSIBILITY_MODE_PRESET)).toBe(true);
+});
+
+test('applies classes and font scale to the root element', () => {
+  const root = document.createElement('html');
+  root.classList.add('a11y-high-contrast', 'other');
+  expect(accessibilityClasses({ largeTargets: true })).toEqual(['a11y-large-targets']);
+
+  applyAccessibility({ largeTargets: true, fontScale: 1.5 }, root);
+  expect([...root.classList]).toEqual(['other', 'a11y-large-targets']);
+  expect(root.style.fontSize).toBe('150%');
+
+  applyAccessibility(DEFAULT_ACCESSIBILITY_SETTINGS, root);
+  expect([...root.classList]).toEqual(['other']);
+  expect(root.style.fontSize).toBe('100%');
+});
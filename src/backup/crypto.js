@@ -0,0 +1,75 @@
+// Backups are encrypted on the device with a key derived from the patient's passphrase
+// (PBKDF2-SHA256 into AES-256-GCM), so a backup file or a sync server copy is unreadable
+// without it. The passphrase is never stored or sent anywhere; if it is lost, so is the backup.
+
+export const BACKUP_FORMAT = 'stroke-recovery-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_ITERATIONS = 600000;
+export const PASSPHRASE_MIN_LENGTH = 8;
+
+export const cryptoSupported = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+export const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+export const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// Binds the ciphertext to the envelope's format, so it can't be relabelled as something else
+const associatedData = () => new TextEncoder().encode(`${BACKUP_FORMAT}:${BACKUP_VERSION}`);
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const isBackupEnvelope = (value) => Boolean(value && value.format === BACKUP_FORMAT && value.data);
+
+export const encryptJson = async (value, passphrase, { iterations = BACKUP_ITERATIONS } = {}) => {
+  if (!cryptoSupported()) throw new Error('Encrypted backups need a secure (https) connection.');
+  if (!passphrase || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+    throw new Error(`The passphrase needs at least ${PASSPHRASE_MIN_LENGTH} characters.`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, iterations);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: associatedData() },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(data),
+  };
+};
+
+export const decryptJson = async (envelope, passphrase) => {
+  if (!cryptoSupported()) throw new Error('Encrypted backups need a secure (https) connection.');
+  if (!isBackupEnvelope(envelope)) throw new Error('This is not a Stroke Recovery backup file.');
+  if (envelope.version > BACKUP_VERSION) throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+  const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv), additionalData: associatedData() },
+      key,
+      fromBase64(envelope.data)
+    );
+  } catch (error) {
+    // AES-GCM can't tell a wrong passphrase from a damaged file
+    throw new Error('Wrong passphrase, or the backup is damaged.');
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ */
+// WebCrypto's subtle API isn't in jsdom, so these run against Node's implementation.
+import { webcrypto } from 'crypto';
+import { decryptJson, encryptJson, isBackupEnvelope } from './crypto';
+
+// Far below the real iteration count, to keep the tests fast
+const options = { iterations: 1000 };
+
+beforeAll(() => {
+  if (!global.crypto) global.crypto = webcrypto;
+});
+
+test('round-trips JSON through an encrypted envelope', async () => {
+  const value = { stores: { moods: [{ id: 'm1', mood: 'positive' }] }, note: 'ünïcode ✓' };
+  const envelope = await encryptJson(value, 'correct horse', options);
+  expect(isBackupEnvelope(envelope)).toBe(true);
+  expect(envelope.kdf).toEqual(expect.objectContaining({ name: 'PBKDF2', iterations: 1000 }));
+  expect(JSON.stringify(envelope)).not.toContain('positive');
+  await expect(decryptJson(envelope, 'correct horse')).resolves.toEqual(value);
+});
+
+test('rejects a wrong passphrase, a tampered file and short passphrases', async () => {
+  const envelope = await encryptJson({ secret: true }, 'correct horse', options);
+  await expect(decryptJson(envelope, 'wrong horse')).rejects.toThrow(/Wrong passphrase/);
+  const tampered = { ...envelope, data: envelope.data.replace(/^./, char => (char === 'A' ? 'B' : 'A')) };
+  await expect(decryptJson(tampered, 'correct horse')).rejects.toThrow(/damaged/);
+  await expect(decryptJson({ hello: 'world' }, 'correct horse')).rejects.toThrow(/not a Stroke Recovery backup/);
+  await expect(encryptJson({}, 'short', options)).rejects.toThrow(/at least 8/);
+});
@@ -0,0 +1,167 @@
+// A snapshot is the plain (unencrypted) content of one profile's history store:
+// { format, schemaVersion, exportedAt, stores: { [storeName]: rows }, deleted }.
+//
+// Two snapshots are merged record by record, so restoring a backup or syncing never throws
+// away anything recorded on this device:
+// - trials, moods, safety events and screenings are never edited, so they are merged by ID;
+// - sessions and program runs only move forward, so the more complete copy wins;
+// - conversations, journal days, programs and settings are last-writer-wins on updatedAt.
+// Deleted conversations and programs stay deleted unless edited after the deletion.
+// The points and session totals are then worked out again from the merged trials, sessions and
+// program runs, so activity on each device adds up.
+
+import { DELETIONS_META_KEY, SCHEMA_VERSION, STORES, STORE_DEFINITIONS } from '../data/historyStore';
+
+export const SNAPSHOT_FORMAT = 'stroke-recovery-snapshot';
+export const SYNC_META_KEY = 'sync';
+
+// Per-device state that never leaves the device
+const LOCAL_META_KEYS = [SYNC_META_KEY, DELETIONS_META_KEY];
+
+const keyOf = (storeName, row) => row[STORE_DEFINITIONS[storeName].keyPath];
+
+const newerBy = (field) => (local, remote) => ((remote[field] || '') > (local[field] || '') ? remote : local);
+
+const progress = (record) => (record.completedAt ? 1e6 : 0) + (record.steps ? record.steps.length : 0);
+
+const keepLocal = (local) => local;
+
+const MERGE_RULES = {
+  [STORES.trials]: keepLocal,
+  [STORES.moods]: keepLocal,
+  [STORES.safetyEvents]: keepLocal,
+  [STORES.screenings]: keepLocal,
+  [STORES.sessions]: (local, remote) => (progress(remote) > progress(local) ? remote : local),
+  [STORES.programRuns]: (local, remote) => (progress(remote) > progress(local) ? remote : local),
+  [STORES.conversations]: newerBy('updatedAt'),
+  [STORES.journal]: newerBy('updatedAt'),
+  [STORES.programs]: newerBy('updatedAt'),
+  [STORES.meta]: newerBy('updatedAt'),
+};
+
+// What the history records add up to. A program run counts as one session however many
+// exercises it chained, the same way the home screen counts it.
+const recordedTotals = (stores) => {
+  const sessions = (stores[STORES.sessions] || []).filter(session => session.completedAt).length;
+  const runs = stores[STORES.programRuns] || [];
+  const programSteps = runs.reduce((total, run) => total + (run.steps ? run.steps.length : 0), 0);
+  return {
+    score: (stores[STORES.trials] || []).reduce((total, trial) => total + (trial.points || 0), 0),
+    sessionCount: Math.max(0, sessions - programSteps) + runs.filter(run => run.completedAt).length,
+  };
+};
+
+const metaRow = (stores, key) => (stores[STORES.meta] || []).find(row => row.key === key);
+
+const metaValue = (stores, key) => {
+  const row = metaRow(stores, key);
+  return row ? Number(row.value) || 0 : 0;
+};
+
+// Totals from the merged records, plus whatever either device counted without a record behind
+// it (points carried over from before the history store existed)
+const mergeTotals = (local, remote, stores) => {
+  const merged = recordedTotals(stores);
+  const localRecorded = recordedTotals(local.stores);
+  const remoteRecorded = recordedTotals(remote.stores);
+  return Object.keys(merged).flatMap(key => {
+    const carried = Math.max(
+      metaValue(local.stores, key) - localRecorded[key],
+      metaValue(remote.stores, key) - remoteRecorded[key],
+      0,
+    );
+    const value = merged[key] + carried;
+    const existing = metaRow(local.stores, key);
+    // Unchanged totals keep their row, so a sync with nothing new writes nothing
+    if (existing && Number(existing.value) === value) return [existing];
+    if (!existing && !metaRow(remote.stores, key) && value === 0) return [];
+    return [{ key, value, updatedAt: new Date().toISOString() }];
+  });
+};
+
+export const exportSnapshot = async (historyStore) => {
+  const entries = await Promise.all(Object.values(STORES).map(async storeName => [storeName, await historyStore.backend.getAll(storeName)]));
+  const stores = Object.fromEntries(entries);
+  stores[STORES.meta] = stores[STORES.meta].filter(row => !LOCAL_META_KEYS.includes(row.key));
+  return {
+    format: SNAPSHOT_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    stores,
+    deleted: await historyStore.getMeta(DELETIONS_META_KEY, {}),
+  };
+};
+
+export const validateSnapshot = (snapshot) => {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !snapshot.stores) {
+    throw new Error('The backup does not contain Stroke Recovery history.');
+  }
+  if (snapshot.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+  }
+  return snapshot;
+};
+
+// The later deletion time wins, so a record deleted on both devices stays deleted
+const mergeDeletions = (local = {}, remote = {}) => {
+  const merged = {};
+  for (const storeName of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    merged[storeName] = { ...local[storeName] };
+    for (const [id, deletedAt] of Object.entries(remote[storeName] || {})) {
+      if (!merged[storeName][id] || deletedAt > merged[storeName][id]) merged[storeName][id] = deletedAt;
+    }
+  }
+  return merged;
+};
+
+export const mergeSnapshots = (local, remote) => {
+  const deleted = mergeDeletions(local.deleted, remote.deleted);
+  const stores = {};
+  for (const storeName of Object.values(STORES)) {
+    const rows = new Map((local.stores[storeName] || []).map(row => [keyOf(storeName, row), row]));
+    for (const row of remote.stores[storeName] || []) {
+      const key = keyOf(storeName, row);
+      if (storeName === STORES.meta && LOCAL_META_KEYS.includes(key)) continue;
+      rows.set(key, rows.has(key) ? MERGE_RULES[storeName](rows.get(key), row) : row);
+    }
+    const deletions = deleted[storeName] || {};
+    stores[storeName] = [...rows.values()].filter(row => {
+      const deletedAt = deletions[keyOf(storeName, row)];
+      return !deletedAt || (row.updatedAt || '') > deletedAt;
+    });
+  }
+  const totals = mergeTotals(local, remote, stores);
+  stores[STORES.meta] = [
+    ...stores[STORES.meta].filter(row => !totals.some(total => total.key === row.key)),
+    ...totals,
+  ];
+  return { format: SNAPSHOT_FORMAT, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), stores, deleted };
+};
+
+// Merges an incoming snapshot into the history store, writing only what changed.
+// Returns the merged snapshot and how many records were added, updated and removed.
+export const restoreSnapshot = async (historyStore, incoming) => {
+  validateSnapshot(incoming);
+  const local = await exportSnapshot(historyStore);
+  const merged = mergeSnapshots(local, incoming);
+  const counts = { added: 0, updated: 0, removed: 0 };
+
+  for (const storeName of Object.values(STORES)) {
+    const before = new Map(local.stores[storeName].map(row => [keyOf(storeName, row), row]));
+    for (const row of merged.stores[storeName]) {
+      const key = keyOf(storeName, row);
+      const existing = before.get(key);
+      before.delete(key);
+      if (existing && JSON.stringify(existing) === JSON.stringify(row)) continue;
+      await historyStore.backend.put(storeName, row);
+      counts[existing ? 'updated' : 'added'] += 1;
+    }
+    // Whatever is left was deleted on the other device
+    for (const key of before.keys()) {
+      await historyStore.backend.delete(storeName, key);
+      counts.removed += 1;
+    }
+  }
+  await historyStore.setMeta(DELETIONS_META_KEY, merged.deleted);
+  return { merged, ...counts };
+};
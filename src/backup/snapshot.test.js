@@ -0,0 +1,114 @@
+import { DELETIONS_META_KEY, STORES, openHistoryStore } from '../data/historyStore';
+import { SYNC_META_KEY, exportSnapshot, mergeSnapshots, restoreSnapshot } from './snapshot';
+
+const snapshotWith = (stores, deleted = {}) => ({
+  format: 'stroke-recovery-snapshot',
+  schemaVersion: 1,
+  stores,
+  deleted,
+});
+
+test('merges never-edited records by ID and keeps the more complete session', () => {
+  const local = snapshotWith({
+    trials: [{ id: 't1', correct: true }],
+    sessions: [{ id: 's1', completedAt: null }],
+  });
+  const remote = snapshotWith({
+    trials: [{ id: 't1', correct: false }, { id: 't2', correct: true }],
+    sessions: [{ id: 's1', completedAt: '2026-03-01T10:00:00.000Z' }],
+  });
+  const { stores } = mergeSnapshots(local, remote);
+  expect(stores.trials).toEqual([{ id: 't1', correct: true }, { id: 't2', correct: true }]);
+  expect(stores.sessions).toEqual([{ id: 's1', completedAt: '2026-03-01T10:00:00.000Z' }]);
+});
+
+test('editable records and settings are last-writer-wins; counters keep the larger total', () => {
+  const local = snapshotWith({
+    journal: [{ date: '2026-03-01', notes: 'old', updatedAt: '2026-03-01T08:00:00.000Z' }],
+    meta: [
+      { key: 'dailySessionGoal', value: 3, updatedAt: '2026-03-02T00:00:00.000Z' },
+      { key: 'score', value: 900, updatedAt: '2026-03-03T00:00:00.000Z' },
+    ],
+  });
+  const remote = snapshotWith({
+    journal: [{ date: '2026-03-01', notes: 'new', updatedAt: '2026-03-01T20:00:00.000Z' }],
+    meta: [
+      { key: 'dailySessionGoal', value: 5, updatedAt: '2026-03-01T00:00:00.000Z' },
+      { key: 'score', value: 1200, updatedAt: '2026-03-01T00:00:00.000Z' },
+      { key: SYNC_META_KEY, value: { syncId: 'other-device' } },
+    ],
+  });
+  const { stores } = mergeSnapshots(local, remote);
+  expect(stores.journal[0].notes).toBe('new');
+  expect(Object.fromEntries(stores.meta.map(row => [row.key, row.value]))).toEqual({ dailySessionGoal: 3, score: 1200 });
+});
+
+test('two devices add up their points and sessions', () => {
+  const played = (device, sessions) => ({
+    trials: Array.from({ length: sessions }, (_, i) => ({ id: `${device}-t${i}`, sessionId: `${device}-s${i}`, points: 10 })),
+    sessions: Array.from({ length: sessions }, (_, i) => ({ id: `${device}-s${i}`, completedAt: '2026-03-01T10:00:00.000Z' })),
+    meta: [
+      { key: 'score', value: sessions * 10, updatedAt: '2026-03-01T10:00:00.000Z' },
+      { key: 'sessionCount', value: sessions, updatedAt: '2026-03-01T10:00:00.000Z' },
+    ],
+  });
+  const phone = played('phone', 3);
+  // The tablet also still has 420 points carried over from before the history store existed
+  const tablet = played('tablet', 2);
+  tablet.meta[0].value += 420;
+
+  const { stores } = mergeSnapshots(snapshotWith(phone), snapshotWith(tablet));
+  expect(Object.fromEntries(stores.meta.map(row => [row.key, row.value]))).toEqual({ score: 50 + 420, sessionCount: 5 });
+
+  // Merging the result back in again changes nothing
+  const again = mergeSnapshots(snapshotWith(stores), snapshotWith(tablet));
+  expect(again.stores.meta).toEqual(stores.meta);
+});
+
+test('deletions win unless the record was edited afterwards', () => {
+  const local = snapshotWith({ conversations: [] }, { conversations: { c1: '2026-03-02T00:00:00.000Z', c2: '2026-03-02T00:00:00.000Z' } });
+  const remote = snapshotWith({
+    conversations: [
+      { id: 'c1', updatedAt: '2026-03-01T00:00:00.000Z' },
+      { id: 'c2', updatedAt: '2026-03-05T00:00:00.000Z' },
+    ],
+  });
+  const merged = mergeSnapshots(local, remote);
+  expect(merged.stores.conversations.map(conversation => conversation.id)).toEqual(['c2']);
+  expect(merged.deleted.conversations).toHaveProperty('c1');
+});
+
+test('restoring merges a backup into an existing store and is idempotent', async () => {
+  const tablet = await openHistoryStore({ inMemory: true });
+  await tablet.recordMood('positive', '2026-03-01T09:00:00.000Z');
+  await tablet.saveJournalEntry('2026-03-01', { notes: 'From the tablet' });
+  const backup = await exportSnapshot(tablet);
+
+  const phone = await openHistoryStore({ inMemory: true });
+  await phone.recordMood('neutral', '2026-03-02T09:00:00.000Z');
+  const conversation = await phone.saveConversation(phone.createConversation([{ role: 'user', content: 'hi' }]));
+  await phone.setMeta(SYNC_META_KEY, { syncId: 'phone-only' });
+
+  const first = await restoreSnapshot(phone, backup);
+  expect(first).toEqual(expect.objectContaining({ added: 2, updated: 0, removed: 0 }));
+  expect((await phone.listMoods()).map(entry => entry.mood)).toEqual(['positive', 'neutral']);
+  expect((await phone.getJournalEntry('2026-03-01')).notes).toBe('From the tablet');
+  expect(await phone.getMeta(SYNC_META_KEY)).toEqual({ syncId: 'phone-only' });
+
+  const again = await restoreSnapshot(phone, backup);
+  expect(again).toEqual(expect.objectContaining({ added: 0, updated: 0, removed: 0 }));
+
+  // Deleted on the tablet after the phone's conversation was copied over
+  await restoreSnapshot(tablet, await exportSnapshot(phone));
+  await tablet.deleteConversation(conversation.id);
+  const result = await restoreSnapshot(phone, await exportSnapshot(tablet));
+  expect(result.removed).toBe(1);
+  expect(await phone.listConversations()).toEqual([]);
+  expect(Object.keys(await phone.getMeta(DELETIONS_META_KEY))).toEqual([STORES.conversations]);
+});
+
+test('refuses backups from a newer schema', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  await expect(restoreSnapshot(store, { ...snapshotWith({}), schemaVersion: 999 })).rejects.toThrow(/newer version/);
+  await expect(restoreSnapshot(store, { hello: 'world' })).rejects.toThrow(/does not contain/);
+});
@@ -0,0 +1,70 @@
+// Client for the self-hostable sync server (server/syncServer.js). The server keeps one
+// encrypted backup per sync code; every device that knows the code and the passphrase pulls
+// it, merges it with its own history and pushes the result back.
+
+import { decryptJson, encryptJson, toBase64 } from './crypto';
+import { restoreSnapshot, exportSnapshot } from './snapshot';
+
+export const SYNC_URL = process.env.REACT_APP_SYNC_URL || '';
+export const SYNC_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const MAX_SYNC_ATTEMPTS = 3;
+
+// 18 random bytes -> 24 URL-safe characters
+export const createSyncId = () => toBase64(crypto.getRandomValues(new Uint8Array(18))).replace(/\+/g, '-').replace(/\//g, '_');
+
+export const isConflictError = (error) => Boolean(error && error.conflict);
+
+export const createSyncClient = ({ serverUrl, token = '', fetchImpl = (...args) => fetch(...args) }) => {
+  const request = async (syncId, options = {}) => {
+    const url = `${serverUrl.replace(/\/+$/, '')}/api/sync/${encodeURIComponent(syncId)}`;
+    const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    try {
+      return await fetchImpl(url, { ...options, headers });
+    } catch (error) {
+      throw Object.assign(new Error(`Sync server unreachable: ${error.message}`), { offline: true });
+    }
+  };
+
+  const fail = async (response) => {
+    const body = await response.json().catch(() => ({}));
+    return Object.assign(new Error(`Sync server error: ${response.status} - ${body.error || response.statusText}`), { status: response.status });
+  };
+
+  return {
+    // -> { revision, updatedAt, backup }, or null when nothing was synced with this code yet
+    pull: async (syncId) => {
+      const response = await request(syncId);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await fail(response);
+      return response.json();
+    },
+    // -> { revision, updatedAt }; rejects with a conflict error if someone else pushed first
+    push: async (syncId, backup, baseRevision) => {
+      const response = await request(syncId, { method: 'PUT', body: JSON.stringify({ backup, baseRevision }) });
+      if (response.status === 409) {
+        const { revision } = await response.json().catch(() => ({}));
+        throw Object.assign(new Error('Another device synced at the same time'), { conflict: true, revision });
+      }
+      if (!response.ok) throw await fail(response);
+      return response.json();
+    },
+  };
+};
+
+// Pull, merge into the local store, push the merged history. A conflict means another device
+// pushed in between, so we pull again and merge that too.
+export const syncHistory = async ({ historyStore, client, syncId, passphrase, encryptOptions }) => {
+  for (let attempt = 1; ; attempt++) {
+    const remote = await client.pull(syncId);
+    const result = remote
+      ? await restoreSnapshot(historyStore, await decryptJson(remote.backup, passphrase))
+      : { merged: await exportSnapshot(historyStore), added: 0, updated: 0, removed: 0 };
+    try {
+      const backup = await encryptJson(result.merged, passphrase, encryptOptions);
+      const { revision, updatedAt } = await client.push(syncId, backup, remote ? remote.revision : null);
+      return { revision, syncedAt: updatedAt, added: result.added, updated: result.updated, removed: result.removed };
+    } catch (error) {
+      if (!isConflictError(error) || attempt >= MAX_SYNC_ATTEMPTS) throw error;
+    }
+  }
+};
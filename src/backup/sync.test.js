@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { openHistoryStore } from '../data/historyStore';
+import { createSyncClient, createSyncId, syncHistory, SYNC_ID_PATTERN } from './sync';
+
+const encryptOptions = { iterations: 1000 };
+const passphrase = 'our family tablet';
+
+beforeAll(() => {
+  if (!global.crypto) global.crypto = webcrypto;
+});
+
+// Same revision rules as server/syncServer.js
+const createFakeServer = () => {
+  let record = null;
+  const server = { pushes: 0 };
+  server.pull = async () => (record ? JSON.parse(JSON.stringify(record)) : null);
+  server.push = async (syncId, backup, baseRevision) => {
+    server.pushes += 1;
+    const revision = record ? record.revision : null;
+    if (baseRevision !== revision) throw Object.assign(new Error('conflict'), { conflict: true, revision });
+    record = { revision: (revision || 0) + 1, updatedAt: new Date().toISOString(), backup };
+    return { revision: record.revision, updatedAt: record.updatedAt };
+  };
+  return server;
+};
+
+test('sync codes are URL-safe and long enough for the server', () => {
+  const syncId = createSyncId();
+  expect(syncId).toMatch(SYNC_ID_PATTERN);
+  expect(createSyncId()).not.toBe(syncId);
+});
+
+test('two devices end up with the union of their histories', async () => {
+  const server = createFakeServer();
+  const syncId = createSyncId();
+  const tablet = await openHistoryStore({ inMemory: true });
+  const phone = await openHistoryStore({ inMemory: true });
+  await tablet.recordMood('positive', '2026-03-01T09:00:00.000Z');
+  await phone.recordMood('neutral', '2026-03-02T09:00:00.000Z');
+
+  const first = await syncHistory({ historyStore: tablet, client: server, syncId, passphrase, encryptOptions });
+  expect(first.revision).toBe(1);
+  const second = await syncHistory({ historyStore: phone, client: server, syncId, passphrase, encryptOptions });
+  expect(second).toEqual(expect.objectContaining({ revision: 2, added: 1 }));
+  await syncHistory({ historyStore: tablet, client: server, syncId, passphrase, encryptOptions });
+
+  for (const store of [tablet, phone]) {
+    expect((await store.listMoods()).map(entry => entry.mood)).toEqual(['positive', 'neutral']);
+  }
+});
+
+test('retries after another device pushed first', async () => {
+  const server = createFakeServer();
+  const syncId = createSyncId();
+  const store = await openHistoryStore({ inMemory: true });
+  const realPull = server.pull;
+  let raced = false;
+  // Another device syncs between this device's pull and push
+  server.pull = async (id) => {
+    const current = await realPull(id);
+    if (!raced) {
+      raced = true;
+      const other = await openHistoryStore({ inMemory: true });
+      await other.recordMood('negative');
+      await syncHistory({ historyStore: other, client: { ...server, pull: realPull }, syncId, passphrase, encryptOptions });
+    }
+    return current;
+  };
+  const result = await syncHistory({ historyStore: store, client: server, syncId, passphrase, encryptOptions });
+  expect(result.revision).toBe(2);
+  expect((await store.listMoods()).map(entry => entry.mood)).toEqual(['negative']);
+});
+
+test('a wrong passphrase stops the sync before anything is pushed', async () => {
+  const server = createFakeServer();
+  const syncId = createSyncId();
+  await syncHistory({ historyStore: await openHistoryStore({ inMemory: true }), client: server, syncId, passphrase, encryptOptions });
+  await expect(syncHistory({ historyStore: await openHistoryStore({ inMemory: true }), client: server, syncId, passphrase: 'not the passphrase', encryptOptions }))
+    .rejects.toThrow(/Wrong passphrase/);
+  expect(server.pushes).toBe(1);
+});
+
+test('http client sends the token and reports conflicts and missing backups', async () => {
+  const fetchImpl = jest.fn()
+    .mockResolvedValueOnce({ status: 404, ok: false })
+    .mockResolvedValueOnce({ status: 409, ok: false, json: async () => ({ revision: 4 }) })
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+  const client = createSyncClient({ serverUrl: 'http://localhost:3002/', token: 'clinic', fetchImpl });
+
+  await expect(client.pull('abcdefghijklmnop')).resolves.toBeNull();
+  expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:3002/api/sync/abcdefghijklmnop');
+  expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBe('Bearer clinic');
+  await expect(client.push('abcdefghijklmnop', {}, 3)).rejects.toEqual(expect.objectContaining({ conflict: true, revision: 4 }));
+  await expect(client.pull('abcdefghijklmnop')).rejects.toEqual(expect.objectContaining({ offline: true }));
+});
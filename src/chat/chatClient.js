@@ -0,0 +1,45 @@
+import { mockReply } from './mockReplies';
+
+// Served by the chat proxy in server/ (proxied in development via package.json "proxy").
+// Point REACT_APP_CHAT_API_URL at the proxy when it lives on another origin.
+export const CHAT_ENDPOINT = process.env.REACT_APP_CHAT_API_URL || '/api/chat';
+
+// fetch only rejects when the request never got an answer (no connection, server down),
+// so those messages can be kept and sent later; an error status from the proxy can't.
+export const isOfflineError = (error) => Boolean(error && error.offline);
+
+// Talks to the server-side proxy; API keys never reach the browser. The language code tells
+// the proxy which language to answer in.
+export const createHttpChatClient = ({ endpoint = CHAT_ENDPOINT, fetchImpl = (...args) => fetch(...args) } = {}) => ({
+  mode: 'http',
+  send: async (messages, { summary = '', language = '' } = {}) => {
+    let response;
+    try {
+      response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messages, ...(summary && { summary }), ...(language && { language }) }),
+      });
+    } catch (error) {
+      throw Object.assign(new Error(`Chat service unreachable: ${error.message}`), { offline: true });
+    }
+    if (!response.ok) {
+      throw new Error(`Chat service error: ${response.status} - ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.reply || '';
+  },
+});
+
+// Same canned replies as the server's mock provider, without needing the server (demo mode, tests)
+export const createMockChatClient = () => ({
+  mode: 'mock',
+  send: async (messages) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    return mockReply(lastUserMessage ? lastUserMessage.content : '');
+  },
+});
+
+export const createChatClient = ({ mock = false, ...options } = {}) => (
+  mock ? createMockChatClient() : createHttpChatClient(options)
+);
@@ -0,0 +1,42 @@
+import { createHttpChatClient, createMockChatClient, isOfflineError } from './chatClient';
+
+const conversation = [{ role: 'user', content: 'I feel so tired' }];
+
+test('http client posts the conversation to the proxy and returns the reply', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ reply: 'Rest helps.', provider: 'mock' }) });
+  const client = createHttpChatClient({ endpoint: '/api/chat', fetchImpl });
+
+  await expect(client.send(conversation)).resolves.toBe('Rest helps.');
+  expect(fetchImpl).toHaveBeenCalledWith('/api/chat', expect.objectContaining({ method: 'POST' }));
+  expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual({ messages: conversation });
+  expect(fetchImpl.mock.calls[0][1].headers).not.toHaveProperty('x-goog-api-key');
+
+  await client.send(conversation, { summary: 'Earlier the patient said: "hi".' });
+  expect(JSON.parse(fetchImpl.mock.calls[1][1].body).summary).toBe('Earlier the patient said: "hi".');
+
+  await client.send(conversation, { language: 'zh' });
+  expect(JSON.parse(fetchImpl.mock.calls[2][1].body)).toEqual({ messages: conversation, language: 'zh' });
+});
+
+test('http client surfaces proxy errors', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 502, statusText: 'Bad Gateway' });
+  await expect(createHttpChatClient({ fetchImpl }).send(conversation)).rejects.toThrow('Chat service error: 502');
+  const error = await createHttpChatClient({ fetchImpl }).send(conversation).catch(caught => caught);
+  expect(isOfflineError(error)).toBe(false);
+});
+
+test('http client marks unreachable-service errors as offline', async () => {
+  const fetchImpl = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const error = await createHttpChatClient({ fetchImpl }).send(conversation).catch(caught => caught);
+  expect(error.message).toMatch(/unreachable/);
+  expect(isOfflineError(error)).toBe(true);
+});
+
+test('mock client is deterministic and answers the latest user message', async () => {
+  const client = createMockChatClient();
+  const first = await client.send([{ role: 'user', content: 'hello' }, { role: 'assistant', content: 'Hi' }, ...conversation]);
+  expect(first).toMatch(/Fatigue/);
+  await expect(client.send(conversation)).resolves.toBe(first);
+  await expect(client.send([{ role: 'user', content: 'purple giraffes' }]))
+    .resolves.toBe(await client.send([{ role: 'user', content: 'purple giraffes' }]));
+});
@@ -0,0 +1,73 @@
+// Decides how much of a conversation is sent to the model. Recent turns go verbatim, newest
+// first, until the token budget runs out; anything older is folded into a short summary of
+// what the patient said, which the server adds to the system prompt. The number of messages is
+// capped at the server's limit as well, so a long run of short turns never gets rejected.
+
+import { MAX_CHAT_MESSAGES } from './limits';
+
+export const CONTEXT_TOKEN_BUDGET = 1500;
+export const SUMMARY_TOKEN_BUDGET = 300;
+
+// Chinese, Japanese and Korean characters are usually a token each
+const CJK = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+
+const charTokens = (char) => (CJK.test(char) ? 1 : 0.25);
+
+// Rough count (about four characters per token for English, one per CJK character); good
+// enough for a budget
+export const estimateTokens = (text) => Math.ceil([...String(text || '')].reduce((total, char) => total + charTokens(char), 0));
+
+const truncate = (text, maxTokens) => {
+  if (estimateTokens(text) <= maxTokens) return text;
+  let kept = '';
+  let used = 0;
+  for (const char of text) {
+    // Leave room for the ellipsis
+    if (used + charTokens(char) > maxTokens - 1) break;
+    kept += char;
+    used += charTokens(char);
+  }
+  return `${kept.trimEnd()}...`;
+};
+
+// Extractive summary of the patient's own words, most recent first within the budget
+export const summarizeTurns = (messages, maxTokens = SUMMARY_TOKEN_BUDGET) => {
+  const said = [];
+  let used = 0;
+  for (const { content } of messages.filter(message => message.role === 'user').reverse()) {
+    const quote = `"${truncate(content.trim(), 60)}"`;
+    if (used + estimateTokens(quote) > maxTokens) break;
+    said.unshift(quote);
+    used += estimateTokens(quote);
+  }
+  return said.length > 0 ? `Earlier in this conversation the patient said: ${said.join('; ')}.` : '';
+};
+
+// messages: [{ role, content }] oldest first, ending with the patient's new message.
+// Returns { messages, summary } ready for the chat client.
+export const buildChatContext = (messages, {
+  tokenBudget = CONTEXT_TOKEN_BUDGET,
+  summaryBudget = SUMMARY_TOKEN_BUDGET,
+  maxMessages = MAX_CHAT_MESSAGES,
+} = {}) => {
+  const turns = messages.map(({ role, content }) => ({ role, content }));
+  const earliest = Math.max(0, turns.length - maxMessages);
+  let start = turns.length;
+  let used = 0;
+  while (start > earliest && used + estimateTokens(turns[start - 1].content) <= tokenBudget) {
+    start--;
+    used += estimateTokens(turns[start].content);
+  }
+  // The newest message always goes, trimmed if it alone exceeds the budget
+  if (start === turns.length && turns.length > 0) {
+    start = turns.length - 1;
+    turns[start] = { ...turns[start], content: truncate(turns[start].content, tokenBudget) };
+  }
+  // Providers expect the conversation to open with the user
+  while (start < turns.length - 1 && turns[start].role !== 'user') start++;
+
+  return {
+    messages: turns.slice(start),
+    summary: summarizeTurns(turns.slice(0, start), summaryBudget),
+  };
+};
@@ -0,0 +1,66 @@
+import { buildChatContext, estimateTokens, summarizeTurns } from './context';
+import { MAX_CHAT_MESSAGES } from './limits';
+
+const turn = (role, content) => ({ role, content, timestamp: '2026-01-02T10:00:00.000Z' });
+
+test('sends a short conversation in full without a summary', () => {
+  const messages = [turn('assistant', 'How are you?'), turn('user', 'Tired'), turn('assistant', 'Rest helps.'), turn('user', 'Thanks')];
+  expect(buildChatContext(messages)).toEqual({
+    messages: [
+      { role: 'user', content: 'Tired' },
+      { role: 'assistant', content: 'Rest helps.' },
+      { role: 'user', content: 'Thanks' },
+    ],
+    summary: '',
+  });
+});
+
+test('keeps the newest turns within the budget and summarises what the patient said earlier', () => {
+  const long = 'x'.repeat(40); // 10 tokens
+  const messages = [
+    turn('user', 'My name is Ana and my left hand is weak'),
+    turn('assistant', long),
+    turn('user', long),
+    turn('assistant', long),
+    turn('user', 'What should I practise today?'),
+  ];
+  const { messages: sent, summary } = buildChatContext(messages, { tokenBudget: 30 });
+
+  expect(sent.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+  expect(sent[sent.length - 1].content).toBe('What should I practise today?');
+  expect(sent.reduce((total, message) => total + estimateTokens(message.content), 0)).toBeLessThanOrEqual(30);
+  expect(summary).toContain('My name is Ana and my left hand is weak');
+});
+
+test('always sends the newest message, trimmed to the budget', () => {
+  const { messages } = buildChatContext([turn('user', 'y'.repeat(400))], { tokenBudget: 10 });
+  expect(messages).toHaveLength(1);
+  expect(estimateTokens(messages[0].content)).toBeLessThanOrEqual(10);
+});
+
+test('summary stays within its own budget, favouring recent patient messages', () => {
+  const messages = Array.from({ length: 20 }, (_, index) => turn('user', `message number ${index}`));
+  const summary = summarizeTurns(messages, 20);
+  expect(summary).toContain('message number 19');
+  expect(summary).not.toContain('message number 0"');
+  expect(summarizeTurns([turn('assistant', 'only the assistant')])).toBe('');
+});
+
+test('never sends more messages than the chat server accepts', () => {
+  const messages = Array.from({ length: 40 }, (_, index) => [turn('user', `ok ${index}`), turn('assistant', 'Good.')]).flat();
+  messages.push(turn('user', 'One more thing'));
+  const { messages: sent, summary } = buildChatContext(messages);
+
+  expect(messages).toHaveLength(81);
+  expect(sent.length).toBeLessThanOrEqual(MAX_CHAT_MESSAGES);
+  expect(sent[0].role).toBe('user');
+  expect(sent[sent.length - 1].content).toBe('One more thing');
+  expect(summary).toContain('ok 0');
+});
+
+test('counts Chinese text per character', () => {
+  expect(estimateTokens('我今天很累')).toBe(5);
+  expect(estimateTokens('tired 我很累')).toBe(5);
+  const { messages } = buildChatContext([turn('user', '累'.repeat(400))], { tokenBudget: 10 });
+  expect(estimateTokens(messages[0].content)).toBeLessThanOrEqual(10);
+});
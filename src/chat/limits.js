@@ -0,0 +1,7 @@
+// Limits the browser and the chat server must agree on. Kept as CommonJS so the Node server
+// can require it without a build step.
+
+// Messages per request; the server rejects anything longer
+const MAX_CHAT_MESSAGES = 50;
+
+module.exports = { MAX_CHAT_MESSAGES };
@@ -0,0 +1,50 @@
+// Deterministic canned replies, used by the server's mock provider and by the browser in demo mode.
+// Kept as CommonJS so the Node server can require it without a build step.
+
+const RULES = [
+  {
+    keywords: ['hello', 'hi', 'hey', 'good morning', 'good evening'],
+    reply: "Hello! I'm here to support you. How are you feeling today?",
+  },
+  {
+    keywords: ['sad', 'down', 'depressed', 'lonely', 'hopeless', 'cry'],
+    reply: "I'm sorry you're feeling this way. Those feelings are very common during recovery, and it can help to share them with someone you trust. What has been weighing on you most?",
+  },
+  {
+    keywords: ['tired', 'exhausted', 'fatigue', 'sleep'],
+    reply: 'Fatigue is a normal part of stroke recovery. Short rests between activities can make a big difference. Be gentle with yourself today.',
+  },
+  {
+    keywords: ['frustrated', 'angry', 'annoyed', 'hard', 'difficult', "can't"],
+    reply: "It's understandable to feel frustrated. Recovery takes time, and progress isn't always a straight line. Every attempt still counts.",
+  },
+  {
+    keywords: ['exercise', 'therapy', 'practice', 'progress', 'better', 'improve'],
+    reply: "That's great to hear! Regular practice really does help. Try to keep your sessions short and consistent, and celebrate each small win.",
+  },
+  {
+    keywords: ['thank', 'thanks'],
+    reply: "You're very welcome. I'm here whenever you want to talk.",
+  },
+];
+
+const FALLBACK_REPLIES = [
+  "Thank you for sharing that with me. Tell me a little more about how you're feeling.",
+  'I hear you. Remember that every small step forward is part of your recovery.',
+  "That sounds important. What would help you most right now?",
+];
+
+// Whole-word match so "hi" doesn't fire on "this"
+const containsKeyword = (text, keyword) => new RegExp(`(^|[^a-z'])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`).test(text);
+
+// Same input always picks the same fallback
+const hashText = (text) => [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+const mockReply = (text) => {
+  const normalized = String(text || '').toLowerCase().trim();
+  const rule = RULES.find(({ keywords }) => keywords.some(keyword => containsKeyword(normalized, keyword)));
+  if (rule) return rule.reply;
+  return FALLBACK_REPLIES[hashText(normalized) % FALLBACK_REPLIES.length];
+};
+
+module.exports = { mockReply, FALLBACK_REPLIES };
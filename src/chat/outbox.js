@@ -0,0 +1,18 @@
+// Messages typed while offline are saved in their conversation with `queued: true` and sent
+// together once the connection is back. Nothing but a fixed escalation reply answers while
+// offline, so one reply from the model covers every queued message in a conversation.
+
+export const countQueued = (conversation) => conversation.messages.filter(message => message.queued).length;
+
+export const hasQueuedMessages = (conversation) => countQueued(conversation) > 0;
+
+export const countAllQueued = (conversations) => conversations.reduce((total, conversation) => total + countQueued(conversation), 0);
+
+// Queues the patient's messages after the last reply, e.g. when sending failed mid-request
+export const queueUnanswered = (messages) => {
+  let lastReply = -1;
+  messages.forEach((message, index) => { if (message.role === 'assistant') lastReply = index; });
+  return messages.map((message, index) => (index > lastReply && message.role === 'user' ? { ...message, queued: true } : message));
+};
+
+export const markSent = (messages) => messages.map(({ queued, ...message }) => message);
@@ -0,0 +1,22 @@
+import { countAllQueued, countQueued, hasQueuedMessages, markSent, queueUnanswered } from './outbox';
+
+const messages = [
+  { role: 'user', content: 'Hello' },
+  { role: 'assistant', content: 'Hi there' },
+  { role: 'user', content: 'I feel tired' },
+  { role: 'user', content: 'and dizzy' },
+];
+
+test('queues only the messages after the last reply', () => {
+  const queued = queueUnanswered(messages);
+  expect(queued.map(message => Boolean(message.queued))).toEqual([false, false, true, true]);
+  expect(countQueued({ messages: queued })).toBe(2);
+  expect(hasQueuedMessages({ messages })).toBe(false);
+  expect(countAllQueued([{ messages: queued }, { messages }])).toBe(2);
+});
+
+test('marking messages sent drops the flag and keeps the rest', () => {
+  const sent = markSent(queueUnanswered(messages));
+  expect(sent).toEqual(messages);
+  expect(sent[2]).not.toHaveProperty('queued');
+});
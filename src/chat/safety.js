@@ -0,0 +1,158 @@
+// Local, rule-based safety screen for the chatbot. Patient messages are checked before they
+// reach the model and model replies are checked before they reach the patient. The rules
+// deliberately err on the side of escalating: a false alarm costs a card, a miss costs more.
+// Every rule set covers each language the app is translated into, since a patient may write
+// in any of them whatever language is on screen. Spanish rules are written without accents
+// (the text is matched with its accents removed) and Chinese rules without word boundaries.
+
+import { DEFAULT_LANGUAGE, translate } from '../i18n/i18n';
+
+export const SAFETY_CATEGORIES = {
+  selfHarm: 'selfHarm',
+  strokeWarning: 'strokeWarning',
+  medicalEmergency: 'medicalEmergency',
+  unsafeAdvice: 'unsafeAdvice',
+};
+
+// Deployments outside North America set their own numbers at build time
+export const EMERGENCY_NUMBER = process.env.REACT_APP_EMERGENCY_NUMBER || '911';
+export const CRISIS_LINE = {
+  label: process.env.REACT_APP_CRISIS_LINE_LABEL || '988 Suicide & Crisis Lifeline',
+  number: process.env.REACT_APP_CRISIS_LINE_NUMBER || '988',
+};
+
+// History store meta key for the { name, phone } shown on every escalation card
+export const CAREGIVER_META_KEY = 'caregiverContact';
+
+// BE-FAST: the stroke warning signs patients and caregivers are taught to check, in order.
+// The letter, sign and check for each are in the locale files (safety.letter.balance, ...).
+export const BE_FAST = ['balance', 'eyes', 'face', 'arms', 'speech', 'time'];
+
+const INPUT_RULES = {
+  [SAFETY_CATEGORIES.selfHarm]: [
+    /\bsuicid(e|al)\b/,
+    /\b(kill|hurt|harm|cut|injur)\w*\s+(my ?self|myself)\b/,
+    /\b(end|take)\s+my\s+(own\s+)?life\b/,
+    /\b(want|wish|going|plan|planning)\s+to\s+die\b/,
+    /\bbetter off (dead|without me)\b/,
+    /\bno (reason|point) (to|in) (live|living|going on)\b/,
+    /\bdon'?t want to (live|be alive|wake up)\b/,
+    /\b(wish|want) (i|i'?d) (was|were|had been|to be) dead\b/,
+    /\b(i'?d|i would) rather (be|i was|i were) dead\b/,
+    /\bend(ing)? it all\b/,
+    /\b(don'?t|do not) want to be (here|around|alive) any ?more\b/,
+    /\boverdose\b/,
+    /\bsuicid(io|arme|arse)\b/,
+    /\b(matarme|quitarme la vida|hacerme dano|lastimarme|cortarme las venas)\b/,
+    /\b(quiero|quisiera|voy a|pienso) morir(me)?\b/,
+    /\bno quiero (vivir|seguir viviendo|despertar(me)?|seguir aqui|estar aqui)\b/,
+    /\b(ojala|quisiera|preferiria) (estar|estuviera) muert[oa]\b/,
+    /\b(acabar|terminar) con todo\b/,
+    /\bestarian mejor sin mi\b/,
+    /\bsobredosis\b/,
+    /自杀|轻生|不想活|想死|结束(我的|自己的)?生命|伤害自己|割腕|活着没(有)?意思|(希望|宁愿)(我)?(已经)?死了|不如死了|一了百了/,
+  ],
+  [SAFETY_CATEGORIES.strokeWarning]: [
+    /\bsudden(ly)?\b.{0,40}\b(weak|weakness|numb|numbness|confus|dizz|vision|balance|headache|can'?t (speak|talk|see|move|walk))/,
+    /\b(face|mouth|smile|eyelid)\b.{0,20}\b(droop|drooping|droops|sagging|uneven)\b/,
+    /\bdroop(y|ing)?\b.{0,20}\b(face|mouth|smile)\b/,
+    /\bslurr(ed|ing)\b/,
+    /\b(can'?t|cannot|unable to) (speak|talk|get (my )?words out|understand what people)\b/,
+    /\b(can'?t|cannot) (feel|move|lift) my ((left|right) )?(arm|leg|hand|face|foot)\b/,
+    /\bone side of my (face|body)\b/,
+    /\b(lost|losing|double|blurr(ed|y)) (my )?vision\b/,
+    /\bworst headache\b/,
+    /\b(having|had|think i'?m having) (a|another) stroke\b/,
+    /\b(de repente|repentin[ao]|subitamente)\b.{0,40}\b(debil|debilidad|entumecid|adormecid|confus|mareo|vision|equilibrio|dolor de cabeza|no puedo (hablar|ver|mover|caminar))/,
+    /\b(cara|boca|sonrisa)\b.{0,20}\b(caida|torcida|colgando|se me cae)\b/,
+    /\b(arrastro|arrastrando) las palabras\b/,
+    /\bno (puedo|consigo) (hablar|sacar las palabras|entender lo que me dicen)\b/,
+    /\bno (puedo|consigo) (sentir|mover|levantar) (el|la|mi) (brazo|pierna|mano|cara|pie)( (izquierd[oa]|derech[oa]))?\b/,
+    /\bun lado de (la|mi) (cara|cuerpo)\b/,
+    /\bvision (doble|borrosa)\b|\bperdi la vision\b/,
+    /\bpeor dolor de cabeza\b/,
+    /\b(tengo|tuve|estoy teniendo|creo que tengo) (un|otro) (ictus|derrame)\b/,
+    /突然.{0,10}(无力|没力气|麻木|发麻|头晕|看不清|说不出话|走不了路|站不稳)/,
+    /(脸|嘴|嘴角).{0,6}(歪|下垂|不对称)/,
+    /口齿不清|说话含糊|说不出话|大舌头/,
+    /(一侧|半边)(脸|身体|身子)/,
+    /重影|视力模糊|看不见了/,
+    /(又|好像|可能|是不是)(要)?(中风|卒中)了?/,
+  ],
+  [SAFETY_CATEGORIES.medicalEmergency]: [
+    /\bchest pains?\b/,
+    /\b(can'?t|cannot|trouble|hard to|struggling to) breathe?\b/,
+    /\bseizures?\b/,
+    /\b(fainted|passed out|blacked out)\b/,
+    /\bdolor (de|en el) pecho\b/,
+    /\b(no puedo|me cuesta) respirar\b/,
+    /\b(convulsion|convulsiones|ataque epileptico)\b/,
+    /\bme (desmaye|desmayo)\b/,
+    /胸(口)?(痛|疼|闷)|喘不(上|过)气|呼吸困难|抽搐|癫痫发作|晕倒|昏倒/,
+  ],
+};
+
+// Model output the patient must never see, whatever the prompt said
+const OUTPUT_RULES = {
+  [SAFETY_CATEGORIES.unsafeAdvice]: [
+    /\b(stop|skip|double|increase|reduce|change)\b.{0,30}\b(medication|medicine|meds|pills?|dose|dosage|blood thinners?|warfarin|aspirin)\b/,
+    /\btake \d+\s?(mg|milligrams|tablets|pills)\b/,
+    /\byou (should|could|might as well) (hurt|harm|kill) yourself\b/,
+    /\b(no need|don'?t need) to (call|see|contact) (a|your)? ?(doctor|emergency|911|ambulance)\b/,
+    /\b(deje|dejar|suspenda|suspender|duplique|duplicar|aumente|aumentar|reduzca|reducir|cambie|cambiar)\b.{0,30}\b(medicacion|medicamentos?|medicinas?|pastillas?|dosis|anticoagulantes?|sintrom|warfarina|aspirina)\b/,
+    /\btome \d+\s?(mg|miligramos|comprimidos|pastillas)\b/,
+    /\bno (hace falta|necesita) (llamar|ir) (al|a) (medico|urgencias|emergencias)\b/,
+    /(停|停止|停用|加倍|加量|增加|减少|减量|换).{0,4}(药|剂量|阿司匹林|华法林|抗凝)/,
+    /吃\d+\s?(毫克|片|粒)/,
+    /不(用|需要)(去)?(看医生|叫救护车|打急救电话|去医院)/,
+  ],
+};
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[‘’]/g, "'")
+  .replace(/\s+/g, ' ');
+
+const matchRules = (rules, text) => {
+  const normalized = normalize(text);
+  const matches = [];
+  Object.entries(rules).forEach(([category, patterns]) => {
+    patterns.forEach(pattern => {
+      const match = normalized.match(pattern);
+      if (match) matches.push({ category, phrase: match[0] });
+    });
+  });
+  const categories = [...new Set(matches.map(match => match.category))];
+  return { flagged: categories.length > 0, categories, matches };
+};
+
+// Screens what the patient typed, before anything is sent to the model
+export const classifyMessage = (text) => matchRules(INPUT_RULES, text);
+
+// Screens the model's reply; crisis language in the reply itself is fine, unsafe advice is not
+export const classifyReply = (text) => matchRules(OUTPUT_RULES, text);
+
+// Fixed replies shown in place of a model response; the text is in the locale files
+const escalationText = (category, language) => translate(language, `safety.reply.${category}`, {
+  crisisLine: CRISIS_LINE.number,
+  emergency: EMERGENCY_NUMBER,
+});
+
+export const ESCALATION_REPLIES = Object.fromEntries(
+  Object.values(SAFETY_CATEGORIES).map(category => [category, escalationText(category, DEFAULT_LANGUAGE)])
+);
+
+// Most urgent first, so a message that trips several rules gets the most important reply
+const PRIORITY = [
+  SAFETY_CATEGORIES.strokeWarning,
+  SAFETY_CATEGORIES.medicalEmergency,
+  SAFETY_CATEGORIES.selfHarm,
+  SAFETY_CATEGORIES.unsafeAdvice,
+];
+
+export const escalationReply = (categories, language = DEFAULT_LANGUAGE) => {
+  const category = PRIORITY.find(candidate => categories.includes(candidate));
+  return escalationText(category, language);
+};
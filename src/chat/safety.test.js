@@ -0,0 +1,67 @@
+import { classifyMessage, classifyReply, escalationReply, SAFETY_CATEGORIES, ESCALATION_REPLIES } from './safety';
+
+test.each([
+  ["I've been thinking about killing myself", SAFETY_CATEGORIES.selfHarm],
+  ['Sometimes I feel everyone would be better off without me', SAFETY_CATEGORIES.selfHarm],
+  ['I don’t want to wake up tomorrow', SAFETY_CATEGORIES.selfHarm],
+  ['My arm suddenly went weak and numb', SAFETY_CATEGORIES.strokeWarning],
+  ['my wife says my face is drooping on the left', SAFETY_CATEGORIES.strokeWarning],
+  ['My speech is slurred since this morning', SAFETY_CATEGORIES.strokeWarning],
+  ["I can't move my leg", SAFETY_CATEGORIES.strokeWarning],
+  ["I can't feel my left arm", SAFETY_CATEGORIES.strokeWarning],
+  ["I can't move my right leg", SAFETY_CATEGORIES.strokeWarning],
+  ['I wish I was dead', SAFETY_CATEGORIES.selfHarm],
+  ["I'd rather be dead", SAFETY_CATEGORIES.selfHarm],
+  ['I feel like ending it all', SAFETY_CATEGORIES.selfHarm],
+  ["I don't want to be here anymore", SAFETY_CATEGORIES.selfHarm],
+  ['I have chest pain', SAFETY_CATEGORIES.medicalEmergency],
+  ['A veces pienso en quitarme la vida', SAFETY_CATEGORIES.selfHarm],
+  ['De repente tengo el brazo débil', SAFETY_CATEGORIES.strokeWarning],
+  ['No puedo mover la pierna', SAFETY_CATEGORIES.strokeWarning],
+  ['No puedo sentir el brazo izquierdo', SAFETY_CATEGORIES.strokeWarning],
+  ['Ojalá estuviera muerta', SAFETY_CATEGORIES.selfHarm],
+  ['A veces quiero acabar con todo', SAFETY_CATEGORIES.selfHarm],
+  ['Me duele mucho, tengo dolor en el pecho', SAFETY_CATEGORIES.medicalEmergency],
+  ['我真的不想活了', SAFETY_CATEGORIES.selfHarm],
+  ['我宁愿死了算了', SAFETY_CATEGORIES.selfHarm],
+  ['我的嘴角突然歪了', SAFETY_CATEGORIES.strokeWarning],
+  ['今天早上突然说不出话', SAFETY_CATEGORIES.strokeWarning],
+  ['我胸口疼', SAFETY_CATEGORIES.medicalEmergency],
+])('flags "%s" as %s', (text, category) => {
+  const result = classifyMessage(text);
+  expect(result.flagged).toBe(true);
+  expect(result.categories).toContain(category);
+  expect(result.matches[0].phrase).toBeTruthy();
+});
+
+test.each([
+  'I finished my digit span exercise today',
+  'I feel a bit down after my check-up',
+  'Therapy was hard but I kept going',
+  'My speech therapist says my words are getting clearer',
+  'Hoy terminé el ejercicio de memoria',
+  'Mi fisioterapeuta dice que hablo mejor',
+  '我今天完成了记忆练习',
+  '康复训练很累，但我坚持下来了',
+])('does not flag everyday recovery talk: "%s"', (text) => {
+  expect(classifyMessage(text)).toEqual({ flagged: false, categories: [], matches: [] });
+});
+
+test('screens model replies for unsafe advice but allows crisis resources', () => {
+  expect(classifyReply('You could stop taking your blood thinner for a few days.').categories).toEqual([SAFETY_CATEGORIES.unsafeAdvice]);
+  expect(classifyReply('Try to take 400 mg of ibuprofen.').flagged).toBe(true);
+  expect(classifyReply('If you ever feel suicidal, please call 988.').flagged).toBe(false);
+  expect(classifyReply('Puede dejar de tomar la aspirina unos días.').flagged).toBe(true);
+  expect(classifyReply('你可以先停用阿司匹林几天。').flagged).toBe(true);
+});
+
+test('escalationReply picks the most urgent category', () => {
+  expect(escalationReply([SAFETY_CATEGORIES.selfHarm, SAFETY_CATEGORIES.strokeWarning])).toBe(ESCALATION_REPLIES.strokeWarning);
+  expect(escalationReply([SAFETY_CATEGORIES.unsafeAdvice])).toBe(ESCALATION_REPLIES.unsafeAdvice);
+});
+
+test('escalationReply answers in the patient\'s language', () => {
+  expect(escalationReply([SAFETY_CATEGORIES.strokeWarning], 'es')).toMatch(/911/);
+  expect(escalationReply([SAFETY_CATEGORIES.strokeWarning], 'es')).not.toBe(ESCALATION_REPLIES.strokeWarning);
+  expect(escalationReply([SAFETY_CATEGORIES.selfHarm], 'zh')).toMatch(/988/);
+});
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Accessibility, X } from 'lucide-react';
+import {
+  ACCESSIBILITY_MODE_PRESET,
+  DEFAULT_ACCESSIBILITY_SETTINGS,
+  FONT_SCALES,
+  isAccessibilityModeOn,
+} from '../accessibility/settings';
+import { useTranslation } from '../i18n/I18nContext';
+
+const SWITCHES = ['largeTargets', 'highContrast', 'onScreenPad'];
+
+const optionClass = (active) => `py-3 px-4 rounded-lg border-2 font-semibold transition ${
+  active ? 'border-purple-600 bg-purple-100 text-purple-800' : 'border-gray-300 bg-white text-gray-800 hover:bg-gray-100'
+}`;
+
+// Every control is a single tap; nothing needs typing, dragging or holding two keys
+const AccessibilityPanel = ({ settings, onChange, onClose }) => {
+  const { t } = useTranslation();
+  const modeOn = isAccessibilityModeOn(settings);
+
+  return (
+    <section aria-labelledby="accessibility-heading" className="bg-gray-50 text-gray-800 p-6 rounded-lg shadow-md w-full max-w-4xl mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 id="accessibility-heading" className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <Accessibility size={24} />
+          <span>{t('accessibility.title')}</span>
+        </h2>
+        <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" aria-label={t('accessibility.close')}>
+          <X size={24} />
+        </button>
+      </div>
+
+      <button
+        onClick={() => onChange(modeOn ? DEFAULT_ACCESSIBILITY_SETTINGS : ACCESSIBILITY_MODE_PRESET)}
+        className="w-full mb-4 bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg text-lg transition duration-300"
+      >
+        {t(modeOn ? 'accessibility.turnOff' : 'accessibility.turnOn')}
+      </button>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        {SWITCHES.map(id => (
+          <button
+            key={id}
+            role="switch"
+            aria-checked={settings[id]}
+            onClick={() => onChange({ ...settings, [id]: !settings[id] })}
+            className={`${optionClass(settings[id])} text-left`}
+          >
+            <span className="block">{t(`accessibility.${id}`)}: {t(settings[id] ? 'accessibility.on' : 'accessibility.off')}</span>
+            <span className="block text-sm font-normal text-gray-600">{t(`accessibility.${id}.hint`)}</span>
+          </button>
+        ))}
+      </div>
+
+      <h3 id="font-scale-label" className="font-semibold mb-2">{t('accessibility.textSize')}</h3>
+      <div role="radiogroup" aria-labelledby="font-scale-label" className="flex flex-wrap gap-2">
+        {FONT_SCALES.map(scale => (
+          <button
+            key={scale.value}
+            role="radio"
+            aria-checked={settings.fontScale === scale.value}
+            onClick={() => onChange({ ...settings, fontScale: scale.value })}
+            className={optionClass(settings.fontScale === scale.value)}
+            // Fixed sizes so the preview doesn't grow again with the root scale
+            style={{ fontSize: `${scale.value * 16}px` }}
+          >
+            {t(`accessibility.fontScale.${scale.value}`, { defaultValue: scale.label })}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default AccessibilityPanel;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { DatabaseBackup, Download, Upload, RefreshCw, X } from 'lucide-react';
+import { downloadFile } from '../reports/download';
+import { toDateKey } from '../data/metrics';
+import { PASSPHRASE_MIN_LENGTH, cryptoSupported, decryptJson, encryptJson } from '../backup/crypto';
+import { SYNC_META_KEY, exportSnapshot, restoreSnapshot } from '../backup/snapshot';
+import { SYNC_ID_PATTERN, SYNC_URL, createSyncClient, createSyncId, syncHistory } from '../backup/sync';
+import { useTranslation } from '../i18n/I18nContext';
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-gray-800';
+const buttonClass = 'bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2';
+
+const describeChanges = ({ added, updated, removed }, t) => (
+  added + updated + removed === 0
+    ? t('backup.nothingNew')
+    : t('backup.changes', { added, updated, removed })
+);
+
+// Encrypted backup file, restore, and sync between devices through a self-hosted server.
+// The passphrase is asked for every time and never saved.
+const BackupPanel = ({ historyStore, profileName = '', onClose, onRestored }) => {
+  const { language, t } = useTranslation();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [restoreFile, setRestoreFile] = useState(null);
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [sync, setSync] = useState({ serverUrl: SYNC_URL, token: '', syncId: '' });
+  const [syncPassphrase, setSyncPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+  const supported = cryptoSupported();
+
+  useEffect(() => {
+    let cancelled = false;
+    historyStore.getMeta(SYNC_META_KEY)
+      .then(saved => { if (!cancelled && saved) setSync(prev => ({ ...prev, ...saved })); })
+      .catch(error => console.error('Error loading sync settings:', error));
+    return () => { cancelled = true; };
+  }, [historyStore]);
+
+  // Runs one action at a time and reports the outcome in the status line
+  const run = (actionKey, action) => async (e) => {
+    if (e) e.preventDefault();
+    const label = t(actionKey);
+    setBusy(true);
+    setStatus(t('backup.working', { action: label }));
+    try {
+      setStatus(await action());
+    } catch (error) {
+      console.error(`Error during ${actionKey}:`, error);
+      setStatus(t('backup.failed', { action: label, message: error.message }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleBackup = run('backup.action.backup', async () => {
+    if (passphrase !== confirmPassphrase) throw new Error(t('backup.error.mismatch'));
+    const backup = await encryptJson(await exportSnapshot(historyStore), passphrase);
+    const name = profileName.trim().replace(/[^A-Za-z0-9_-]+/g, '-') || 'profile';
+    downloadFile(`stroke-recovery-backup_${name}_${toDateKey(new Date())}.json`, JSON.stringify(backup), 'application/json');
+    setPassphrase('');
+    setConfirmPassphrase('');
+    return t('backup.downloaded');
+  });
+
+  const handleRestore = run('backup.action.restore', async () => {
+    if (!restoreFile) throw new Error(t('backup.error.noFile'));
+    let envelope;
+    try {
+      envelope = JSON.parse(await restoreFile.text());
+    } catch (error) {
+      throw new Error(t('backup.error.notBackup'));
+    }
+    const result = await restoreSnapshot(historyStore, await decryptJson(envelope, restorePassphrase));
+    setRestorePassphrase('');
+    if (onRestored) onRestored();
+    return t('backup.restored', { changes: describeChanges(result, t) });
+  });
+
+  const handleSync = run('backup.action.sync', async () => {
+    if (!sync.serverUrl.trim()) throw new Error(t('backup.error.noServer'));
+    if (!SYNC_ID_PATTERN.test(sync.syncId)) throw new Error(t('backup.error.syncCode'));
+    const client = createSyncClient({ serverUrl: sync.serverUrl.trim(), token: sync.token.trim() });
+    const result = await syncHistory({ historyStore, client, syncId: sync.syncId, passphrase: syncPassphrase });
+    const saved = { serverUrl: sync.serverUrl.trim(), token: sync.token.trim(), syncId: sync.syncId, revision: result.revision, lastSyncedAt: result.syncedAt };
+    setSync(saved);
+    await historyStore.setMeta(SYNC_META_KEY, saved);
+    if (onRestored) onRestored();
+    return t('backup.synced', { changes: describeChanges(result, t) });
+  });
+
+  const handleStopSync = async () => {
+    if (!window.confirm(t('backup.confirmStop'))) return;
+    setSync({ serverUrl: sync.serverUrl, token: '', syncId: '' });
+    try {
+      await historyStore.setMeta(SYNC_META_KEY, null);
+      setStatus(t('backup.stopped'));
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+    }
+  };
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md text-gray-700">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <DatabaseBackup size={24} />
+          <span>{t('backup.title')}</span>
+        </h2>
+        {onClose && (
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" title={t('backup.close')}>
+            <X size={24} />
+          </button>
+        )}
+      </div>
+      {!supported && (
+        <p className="mb-4 text-red-600">{t('backup.needsHttps')}</p>
+      )}
+
+      <form onSubmit={handleBackup} className="mb-6">
+        <h3 className="text-lg font-semibold text-blue-700 mb-2">{t('backup.saveHeading')}</h3>
+        <p className="text-sm mb-3">{t('backup.saveIntro', { min: PASSPHRASE_MIN_LENGTH })}</p>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col">
+            {t('backup.passphrase')}
+            <input type="password" autoComplete="new-password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex flex-col">
+            {t('backup.passphraseAgain')}
+            <input type="password" autoComplete="new-password" value={confirmPassphrase} onChange={(e) => setConfirmPassphrase(e.target.value)} className={inputClass} />
+          </label>
+          <button type="submit" disabled={busy || !supported || !passphrase} className={buttonClass}>
+            <Download size={18} />
+            <span>{t('backup.download')}</span>
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={handleRestore} className="mb-6">
+        <h3 className="text-lg font-semibold text-blue-700 mb-2">{t('backup.restoreHeading')}</h3>
+        <p className="text-sm mb-3">{t('backup.restoreIntro')}</p>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col">
+            {t('backup.file')}
+            <input type="file" accept="application/json,.json" onChange={(e) => setRestoreFile(e.target.files[0] || null)} className="p-1 text-gray-800" />
+          </label>
+          <label className="flex flex-col">
+            {t('backup.passphrase')}
+            <input type="password" autoComplete="current-password" value={restorePassphrase} onChange={(e) => setRestorePassphrase(e.target.value)} className={inputClass} />
+          </label>
+          <button type="submit" disabled={busy || !supported || !restoreFile || !restorePassphrase} className={buttonClass}>
+            <Upload size={18} />
+            <span>{t('backup.restore')}</span>
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={handleSync}>
+        <h3 className="text-lg font-semibold text-blue-700 mb-2">{t('backup.syncHeading')}</h3>
+        <p className="text-sm mb-3">{t('backup.syncIntro')}</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+          <label className="flex flex-col">
+            {t('backup.server')}
+            <input type="url" placeholder="https://sync.example.org" value={sync.serverUrl} onChange={(e) => setSync(prev => ({ ...prev, serverUrl: e.target.value }))} className={inputClass} />
+          </label>
+          <label className="flex flex-col">
+            {t('backup.token')}
+            <input type="password" autoComplete="off" value={sync.token} onChange={(e) => setSync(prev => ({ ...prev, token: e.target.value }))} className={inputClass} />
+          </label>
+          <label className="flex flex-col">
+            {t('backup.syncCode')}
+            <span className="flex gap-2">
+              <input type="text" spellCheck={false} value={sync.syncId} onChange={(e) => setSync(prev => ({ ...prev, syncId: e.target.value.trim() }))} className={`${inputClass} flex-grow min-w-0 font-mono`} />
+              <button type="button" onClick={() => setSync(prev => ({ ...prev, syncId: createSyncId() }))} disabled={busy || !supported} className="bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-800 font-bold py-2 px-3 rounded-lg transition">
+                {t('backup.newCode')}
+              </button>
+            </span>
+          </label>
+          <label className="flex flex-col">
+            {t('backup.passphrase')}
+            <input type="password" autoComplete="current-password" value={syncPassphrase} onChange={(e) => setSyncPassphrase(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <button type="submit" disabled={busy || !supported || !syncPassphrase} className={buttonClass}>
+            <RefreshCw size={18} className={busy ? 'animate-spin' : ''} />
+            <span>{t('backup.syncNow')}</span>
+          </button>
+          {sync.lastSyncedAt && (
+            <>
+              <span className="text-sm">{t('backup.lastSynced', { time: new Date(sync.lastSyncedAt).toLocaleString(language) })}</span>
+              <button type="button" onClick={handleStopSync} disabled={busy} className="text-sm font-semibold text-red-600 underline">
+                {t('backup.stopSync')}
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+
+      <p className="mt-4 text-sm" role="status">{status}</p>
+    </div>
+  );
+};
+
+export default BackupPanel;
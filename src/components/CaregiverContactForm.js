@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Edits the caregiver shown on the escalation card
+const CaregiverContactForm = ({ contact, onSave, onCancel }) => {
+  const { t } = useTranslation();
+  const [name, setName] = useState(contact?.name || '');
+  const [phone, setPhone] = useState(contact?.phone || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(phone.trim() ? { name: name.trim(), phone: phone.trim() } : null);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4 bg-white border border-gray-200 rounded-md p-4 text-gray-700 grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+      <label className="flex flex-col">
+        {t('caregiver.name')}
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} className="p-2 border border-gray-300 rounded-md text-gray-800" />
+      </label>
+      <label className="flex flex-col">
+        {t('caregiver.phone')}
+        <input type="tel" value={phone} onChange={(e) => setPhone(e.target.value)} className="p-2 border border-gray-300 rounded-md text-gray-800" />
+      </label>
+      <div className="flex gap-2">
+        <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300">
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CaregiverContactForm;
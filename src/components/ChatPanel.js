@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Loader, Send, MessageSquare, MessageSquarePlus, History, Trash2, ArrowLeft, Phone, Clock } from 'lucide-react';
+import { buildChatContext } from '../chat/context';
+import { CAREGIVER_META_KEY, classifyMessage, classifyReply, escalationReply } from '../chat/safety';
+import { isOfflineError } from '../chat/chatClient';
+import { countQueued, hasQueuedMessages, markSent, queueUnanswered } from '../chat/outbox';
+import { useOnlineStatus } from '../offline/useOnlineStatus';
+import { useTranslation } from '../i18n/I18nContext';
+import EscalationCard from './EscalationCard';
+import CaregiverContactForm from './CaregiverContactForm';
+
+// Stand-in until the history store has loaded, or when it isn't available
+const draftConversation = () => ({ id: null, title: '', messages: [] });
+
+const formatDate = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+// Replies come in the language on screen; the safety screen and its fixed replies cover every
+// language the app is translated into
+const ChatPanel = ({ historyStore, chatClient }) => {
+  const { language, t } = useTranslation();
+  const [conversation, setConversation] = useState(draftConversation);
+  const [conversations, setConversations] = useState([]);
+  const [showPastChats, setShowPastChats] = useState(false);
+  const [input, setInput] = useState('');
+  const [isTyping, setIsTyping] = useState(false);
+  const [escalation, setEscalation] = useState(null);
+  const [caregiver, setCaregiver] = useState(null);
+  const [showCaregiverForm, setShowCaregiverForm] = useState(false);
+  const conversationRef = useRef(conversation);
+  const sendingRef = useRef(false);
+  const chatMessagesEndRef = useRef(null);
+  const online = useOnlineStatus();
+
+  const refreshConversations = () => {
+    if (!historyStore) return Promise.resolve();
+    return historyStore.listConversations()
+      .then(list => setConversations(list.reverse()))
+      .catch(error => console.error('Error loading conversations:', error));
+  };
+
+  const showConversation = (next) => {
+    conversationRef.current = next;
+    setConversation(next);
+  };
+
+  // Reopen the most recent conversation once the store is ready. Anything typed before
+  // then becomes a new saved conversation instead of being dropped.
+  useEffect(() => {
+    if (!historyStore) return undefined;
+    let cancelled = false;
+    const loadConversations = async () => {
+      const draft = conversationRef.current;
+      if (draft.messages.length > 0) {
+        showConversation(await historyStore.saveConversation(historyStore.createConversation(draft.messages)));
+      }
+      const list = await historyStore.listConversations();
+      if (cancelled) return;
+      setConversations([...list].reverse());
+      if (draft.messages.length === 0) {
+        showConversation(list.length > 0 ? list[list.length - 1] : historyStore.createConversation());
+      }
+    };
+    loadConversations().catch(error => console.error('Error loading conversations:', error));
+    historyStore.getMeta(CAREGIVER_META_KEY)
+      .then(contact => { if (!cancelled) setCaregiver(contact); })
+      .catch(error => console.error('Error loading caregiver contact:', error));
+    return () => { cancelled = true; };
+  }, [historyStore]);
+
+  // Scroll to the bottom of the chat history
+  useEffect(() => {
+    chatMessagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [conversation]);
+
+  // Shows the change straight away and saves it in the background
+  const updateConversation = (next) => {
+    showConversation(next);
+    if (historyStore && next.id) {
+      historyStore.saveConversation(next)
+        .then(refreshConversations)
+        .catch(error => console.error('Error saving conversation:', error));
+    }
+    return next;
+  };
+
+  const appendMessage = (role, content, extra = {}, earlier = conversationRef.current.messages) => (
+    updateConversation({ ...conversationRef.current, messages: [...earlier, { role, content, timestamp: new Date().toISOString(), ...extra }] })
+  );
+
+  // Once the model has answered, even with a reply the safety screen replaced, everything
+  // queued before it counts as sent. The reply to a screened crisis message and the error
+  // reply leave the flags alone, so queued messages still go out.
+  const appendReply = (content) => appendMessage('assistant', content, {}, markSent(conversationRef.current.messages));
+
+  // Shows the escalation card, answers with the fixed reply and logs what triggered it
+  const escalate = (stage, screening, text) => {
+    setEscalation(screening.categories);
+    const reply = escalationReply(screening.categories, language);
+    if (stage === 'output') appendReply(reply);
+    else appendMessage('assistant', reply);
+    if (historyStore) {
+      historyStore.recordSafetyEvent({
+        conversationId: conversationRef.current.id,
+        stage,
+        categories: screening.categories,
+        matches: screening.matches,
+        text,
+      }).catch(error => console.error('Error logging safety event:', error));
+    }
+  };
+
+  // Answers everything the patient has said since the last reply. If the chat service can't
+  // be reached, those messages are queued and go out once the connection is back.
+  const requestReply = async () => {
+    sendingRef.current = true;
+    setIsTyping(true);
+    try {
+      const context = buildChatContext(conversationRef.current.messages);
+      const aiResponseText = await chatClient.send(context.messages, { summary: context.summary, language });
+      const replyScreening = classifyReply(aiResponseText);
+      if (replyScreening.flagged) {
+        escalate('output', replyScreening, aiResponseText);
+      } else {
+        appendReply(aiResponseText || t('chat.noReply'));
+      }
+    } catch (error) {
+      if (isOfflineError(error)) {
+        const current = conversationRef.current;
+        updateConversation({ ...current, messages: queueUnanswered(current.messages) });
+      } else {
+        console.error('Error communicating with the chat service:', error);
+        appendMessage('assistant', t('chat.error'));
+      }
+    } finally {
+      sendingRef.current = false;
+      setIsTyping(false);
+    }
+  };
+
+  // Sends what was typed offline once the connection is back, or when a conversation with
+  // waiting messages is opened while online. Read through a ref so the latest store, client
+  // and language are used.
+  const requestReplyRef = useRef(requestReply);
+  requestReplyRef.current = requestReply;
+  useEffect(() => {
+    if (online && !sendingRef.current && hasQueuedMessages(conversationRef.current)) requestReplyRef.current();
+  }, [online, conversation.id]);
+
+  const handleSend = async () => {
+    const text = input.trim();
+    if (text === '' || isTyping) return;
+
+    // Crisis messages never go to the model, and the escalation card works offline too
+    const screening = classifyMessage(text);
+    const queue = !online && !screening.flagged;
+    appendMessage('user', text, queue ? { queued: true } : {});
+    setInput('');
+
+    if (screening.flagged) {
+      escalate('input', screening, text);
+    } else if (!queue) {
+      await requestReply();
+    }
+  };
+
+  const handleSaveCaregiver = (contact) => {
+    setCaregiver(contact);
+    setShowCaregiverForm(false);
+    if (historyStore) {
+      historyStore.setMeta(CAREGIVER_META_KEY, contact).catch(error => console.error('Error saving caregiver contact:', error));
+    }
+  };
+
+  const handleNewConversation = () => {
+    showConversation(historyStore ? historyStore.createConversation() : draftConversation());
+    setShowPastChats(false);
+  };
+
+  const handleOpenConversation = (selected) => {
+    showConversation(selected);
+    setShowPastChats(false);
+  };
+
+  const handleDeleteConversation = async (selected) => {
+    if (!window.confirm(t('chat.confirmDelete', { title: selected.title || t('chat.untitled') }))) return;
+    try {
+      await historyStore.deleteConversation(selected.id);
+      if (selected.id === conversationRef.current.id) showConversation(historyStore.createConversation());
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
+
+  const headerButtonClass = 'p-2 rounded-full hover:bg-gray-200 transition disabled:opacity-50 text-purple-700';
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md flex flex-col">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <MessageSquare size={24} />
+          <span>{t('chat.title')}</span>
+        </h2>
+        <div className="flex gap-1">
+          <button onClick={() => setShowCaregiverForm(prev => !prev)} className={headerButtonClass} title={t('chat.caregiverContact')}>
+            <Phone size={24} />
+          </button>
+          <button onClick={handleNewConversation} disabled={isTyping} className={headerButtonClass} title={t('chat.newConversation')}>
+            <MessageSquarePlus size={24} />
+          </button>
+          <button
+            onClick={() => setShowPastChats(prev => !prev)}
+            disabled={isTyping || !historyStore}
+            className={headerButtonClass}
+            title={t(showPastChats ? 'chat.backToConversation' : 'chat.pastConversations')}
+          >
+            {showPastChats ? <ArrowLeft size={24} /> : <History size={24} />}
+          </button>
+        </div>
+      </div>
+
+      {showCaregiverForm && (
+        <CaregiverContactForm contact={caregiver} onSave={handleSaveCaregiver} onCancel={() => setShowCaregiverForm(false)} />
+      )}
+      {escalation && (
+        <EscalationCard categories={escalation} caregiver={caregiver} onDismiss={() => setEscalation(null)} />
+      )}
+
+      {showPastChats ? (
+        <div className="flex-grow bg-white border border-gray-200 rounded-md p-4 overflow-y-auto h-64 text-gray-800">
+          {conversations.length === 0 && <p className="text-gray-500">{t('chat.noConversations')}</p>}
+          <ul className="divide-y divide-gray-200">
+            {conversations.map(saved => (
+              <li key={saved.id} className="flex items-center justify-between py-2">
+                <button onClick={() => handleOpenConversation(saved)} className="text-left flex-grow hover:text-purple-700">
+                  <span className={`block font-semibold ${saved.id === conversation.id ? 'text-purple-700' : ''}`}>{saved.title || t('chat.untitled')}</span>
+                  <span className="block text-sm text-gray-500">
+                    {formatDate(saved.updatedAt)} · {t('chat.messageCount', { count: saved.messages.length })}
+                    {hasQueuedMessages(saved) && ` · ${t('chat.waitingCount', { count: countQueued(saved) })}`}
+                  </span>
+                </button>
+                <button
+                  onClick={() => handleDeleteConversation(saved)}
+                  className="p-2 rounded-full text-red-500 hover:bg-red-100 transition"
+                  title={t('chat.deleteConversation')}
+                >
+                  <Trash2 size={20} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <>
+          <div className="flex-grow bg-white border border-gray-200 rounded-md p-4 overflow-y-auto mb-4 h-64" role="log" aria-live="polite" aria-label={t('chat.conversation')}>
+            {conversation.messages.map((msg, index) => (
+              <div key={index} className={`mb-2 ${msg.role === 'user' ? 'text-right' : 'text-left'}`}>
+                <span className={`inline-block px-3 py-1 rounded-lg ${msg.role === 'user' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'}`}>
+                  <strong>{t(msg.role === 'user' ? 'chat.you' : 'chat.ai')}:</strong> {msg.content}
+                </span>
+                {msg.queued && (
+                  <span className="block text-xs text-gray-500 mt-1">
+                    <Clock className="inline mr-1" size={12} />{t('chat.waiting')}
+                  </span>
+                )}
+              </div>
+            ))}
+            {isTyping && (
+              <div className="mb-2 text-left">
+                <span className="inline-block px-3 py-1 rounded-lg bg-gray-100 text-gray-800">
+                  <Loader className="inline animate-spin mr-2" size={16} />{t('chat.typing')}
+                </span>
+              </div>
+            )}
+            <div ref={chatMessagesEndRef} />
+          </div>
+          <div role="status" className="text-sm text-gray-600 mb-2">
+            {!online && t('chat.offline')}
+            {online && !isTyping && hasQueuedMessages(conversation) && (
+              <span>
+                {t('chat.unreachable')}{' '}
+                <button onClick={requestReply} className="font-semibold text-purple-700 underline">{t('chat.tryAgain')}</button>
+              </span>
+            )}
+          </div>
+          <form
+            className="flex"
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleSend();
+            }}
+          >
+            <input
+              type="text"
+              className="flex-grow min-w-0 p-3 border border-gray-300 rounded-l-md text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              placeholder={t('chat.placeholder')}
+              aria-label={t('chat.message')}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+            />
+            <button
+              type="submit"
+              aria-label={t('chat.send')}
+              className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-5 rounded-r-md transition duration-300 flex items-center justify-center"
+            >
+              <Send size={20} />
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChatPanel;
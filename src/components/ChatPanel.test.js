@@ -0,0 +1,86 @@
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import ChatPanel from './ChatPanel';
+import { openHistoryStore } from '../data/historyStore';
+import { createMockChatClient } from '../chat/chatClient';
+import { ESCALATION_REPLIES, SAFETY_CATEGORIES } from '../chat/safety';
+
+// The canned-reply provider, wrapped so each test can see what reached it
+const renderChat = async (send = createMockChatClient().send) => {
+  const store = await openHistoryStore({ inMemory: true });
+  const chatClient = { mode: 'mock', send: jest.fn(send) };
+  render(<ChatPanel historyStore={store} chatClient={chatClient} />);
+  // Let the panel open its conversation from the store before anything is typed
+  await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+  return { store, chatClient };
+};
+
+const sendMessage = (text) => {
+  fireEvent.change(screen.getByRole('textbox', { name: 'Message' }), { target: { value: text } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send message' }));
+};
+
+test('answers from the provider and saves the conversation', async () => {
+  const { store, chatClient } = await renderChat();
+
+  sendMessage('I feel so tired today');
+
+  const log = screen.getByRole('log', { name: 'Conversation' });
+  expect(await within(log).findByText(/Fatigue is a normal part of stroke recovery/)).toBeInTheDocument();
+  expect(chatClient.send).toHaveBeenCalledTimes(1);
+  expect(chatClient.send.mock.calls[0][1]).toMatchObject({ language: 'en' });
+  await waitFor(async () => {
+    const [saved] = await store.listConversations();
+    expect(saved.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+  });
+  expect(await store.listSafetyEvents()).toEqual([]);
+});
+
+test('a crisis message never reaches the provider and is logged', async () => {
+  const { store, chatClient } = await renderChat();
+
+  sendMessage("I've been thinking about killing myself");
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Please get help now');
+  expect(within(screen.getByRole('log')).getByText(ESCALATION_REPLIES.selfHarm)).toBeInTheDocument();
+  expect(chatClient.send).not.toHaveBeenCalled();
+  await waitFor(async () => {
+    const [event] = await store.listSafetyEvents();
+    expect(event).toMatchObject({ stage: 'input', categories: [SAFETY_CATEGORIES.selfHarm] });
+  });
+});
+
+test('unsafe advice from the provider is replaced by the escalation card', async () => {
+  const { store } = await renderChat(async () => 'You could stop taking your blood thinner for a few days.');
+
+  sendMessage('Should I keep taking my medication?');
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Please check with your care team');
+  expect(screen.queryByText(/blood thinner/)).not.toBeInTheDocument();
+  await waitFor(async () => {
+    const [event] = await store.listSafetyEvents();
+    expect(event).toMatchObject({ stage: 'output', categories: [SAFETY_CATEGORIES.unsafeAdvice] });
+  });
+});
+
+test('a crisis message typed offline leaves earlier queued messages waiting to send', async () => {
+  const { store, chatClient } = await renderChat();
+  act(() => { window.dispatchEvent(new Event('offline')); });
+
+  sendMessage('I feel so tired today');
+  sendMessage("I've been thinking about killing myself");
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Please get help now');
+  const log = screen.getByRole('log', { name: 'Conversation' });
+  expect(within(log).getByText('Waiting to send')).toBeInTheDocument();
+  expect(chatClient.send).not.toHaveBeenCalled();
+
+  act(() => { window.dispatchEvent(new Event('online')); });
+
+  await waitFor(() => expect(within(log).queryByText('Waiting to send')).not.toBeInTheDocument());
+  expect(chatClient.send).toHaveBeenCalledTimes(1);
+  expect(chatClient.send.mock.calls[0][0]).toContainEqual({ role: 'user', content: 'I feel so tired today' });
+  await waitFor(async () => {
+    const [saved] = await store.listConversations();
+    expect(saved.messages.some(message => message.queued)).toBe(false);
+  });
+});
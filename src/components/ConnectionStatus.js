@@ -0,0 +1,20 @@
+import React from 'react';
+import { WifiOff } from 'lucide-react';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Kept mounted so screen readers announce the change when the connection drops
+const ConnectionStatus = ({ online }) => {
+  const { t } = useTranslation();
+  return (
+    <div role="status" className="flex justify-center">
+      {!online && (
+        <p className="mb-4 bg-amber-100 text-amber-900 font-semibold py-2 px-5 rounded-full shadow-md flex items-center space-x-2">
+          <WifiOff size={20} />
+          <span>{t('connection.offline')}</span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
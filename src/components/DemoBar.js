@@ -0,0 +1,41 @@
+import React from 'react';
+import { RotateCcw, Presentation } from 'lucide-react';
+import { DEMO_SCENARIOS } from '../demo/scenarios';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Sits above the demo patient's screen. Restart reloads the same scenario and seed, so a
+// walkthrough can be given again exactly as rehearsed.
+const DemoBar = ({ scenarioId, seed, onChangeScenario, onRestart }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="bg-yellow-300 text-yellow-900 px-4 py-2 flex flex-wrap items-center justify-center gap-3 text-sm font-semibold">
+      <span className="flex items-center space-x-2">
+        <Presentation size={18} aria-hidden="true" />
+        <span>{t('demo.banner')}</span>
+      </span>
+      <label className="flex items-center space-x-2">
+        <span>{t('demo.scenario')}</span>
+        <select
+          value={scenarioId}
+          onChange={(e) => onChangeScenario(e.target.value)}
+          className="bg-white rounded-md px-2 py-1 font-semibold focus:outline-none focus:ring-2 focus:ring-yellow-600 cursor-pointer"
+        >
+          {Object.entries(DEMO_SCENARIOS).map(([id, scenario]) => (
+            <option key={id} value={id}>{t(`demo.scenario.${id}`, { defaultValue: scenario.title })}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        onClick={onRestart}
+        className="bg-yellow-700 hover:bg-yellow-800 text-white py-1 px-3 rounded-md flex items-center space-x-1 focus:outline-none focus:ring-2 focus:ring-yellow-900"
+      >
+        <RotateCcw size={16} aria-hidden="true" />
+        <span>{t('demo.restart')}</span>
+      </button>
+      {seed && <span className="font-mono text-xs">{t('demo.seed', { seed })}</span>}
+    </div>
+  );
+};
+
+export default DemoBar;
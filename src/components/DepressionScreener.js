@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { PHQ9_ITEMS, PHQ9_RESPONSES } from '../journal/phq9';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Filled dots stand in for "how often" so the simple format doesn't depend on reading the label
+const FrequencyPicture = ({ value }) => (
+  <span className="flex justify-center space-x-1" aria-hidden="true">
+    {PHQ9_RESPONSES.slice(1).map(response => (
+      <span
+        key={response}
+        className={`inline-block w-3 h-3 rounded-full border border-purple-500 ${response <= value ? 'bg-purple-500' : 'bg-white'}`}
+      />
+    ))}
+  </span>
+);
+
+const DepressionScreener = ({ format = 'standard', onSubmit, onCancel }) => {
+  const { t } = useTranslation();
+  const [answers, setAnswers] = useState({});
+  const simple = format === 'simple';
+  const complete = PHQ9_ITEMS.every(item => answers[item.id] !== undefined);
+  // The standard wording is the questionnaire as published; simple is the app's shorter version
+  const wording = (key) => t(simple ? `${key}.simple` : key);
+
+  return (
+    <div className="text-gray-800">
+      <p className={`mb-4 font-semibold ${simple ? 'text-xl' : ''}`}>{wording('phq9.prompt')}</p>
+      <ol className="space-y-4">
+        {PHQ9_ITEMS.map((item, index) => (
+          <li key={item.id}>
+            <p id={`phq9-${item.id}`} className={simple ? 'text-lg font-semibold mb-2' : 'mb-2'}>
+              {index + 1}. {wording(`phq9.item.${item.id}`)}
+            </p>
+            <div role="radiogroup" aria-labelledby={`phq9-${item.id}`} className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {PHQ9_RESPONSES.map(response => {
+                const selected = answers[item.id] === response;
+                return (
+                  <button
+                    key={response}
+                    role="radio"
+                    aria-checked={selected}
+                    onClick={() => setAnswers(prev => ({ ...prev, [item.id]: response }))}
+                    className={`rounded-lg border-2 transition ${simple ? 'py-3 text-lg' : 'py-2 text-sm'} ${
+                      selected ? 'border-purple-600 bg-purple-100 font-bold' : 'border-gray-200 bg-white hover:bg-gray-100'
+                    }`}
+                  >
+                    {simple && <FrequencyPicture value={response} />}
+                    {wording(`phq9.response.${response}`)}
+                  </button>
+                );
+              })}
+            </div>
+          </li>
+        ))}
+      </ol>
+      <div className="flex justify-end gap-2 mt-4">
+        <button onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300">
+          {t('phq9.notNow')}
+        </button>
+        <button
+          onClick={() => onSubmit(answers)}
+          disabled={!complete}
+          className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg transition duration-300"
+        >
+          {t('phq9.submit')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DepressionScreener;
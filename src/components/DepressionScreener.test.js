@@ -0,0 +1,31 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import DepressionScreener from './DepressionScreener';
+import { I18nContext } from '../i18n/I18nContext';
+import { PHQ9_ITEMS } from '../journal/phq9';
+
+const renderScreener = (language, format, onSubmit = jest.fn()) => render(
+  <I18nContext.Provider value={{ language, setLanguage: () => {} }}>
+    <DepressionScreener format={format} onSubmit={onSubmit} onCancel={() => {}} />
+  </I18nContext.Provider>,
+);
+
+test('asks the published Spanish PHQ-9 and submits the same answers as in English', () => {
+  const onSubmit = jest.fn();
+  renderScreener('es', 'standard', onSubmit);
+
+  expect(screen.getByText(/¿qué tan seguido ha tenido molestias/)).toBeInTheDocument();
+  const groups = screen.getAllByRole('radiogroup');
+  expect(groups).toHaveLength(PHQ9_ITEMS.length);
+  expect(groups[0]).toHaveAccessibleName('1. Poco interés o placer en hacer cosas');
+  groups.forEach(group => fireEvent.click(within(group).getByRole('radio', { name: 'Varios días' })));
+  fireEvent.click(screen.getByRole('button', { name: 'Enviar' }));
+
+  expect(onSubmit).toHaveBeenCalledWith(Object.fromEntries(PHQ9_ITEMS.map(item => [item.id, 1])));
+});
+
+test('the aphasia-friendly wording is translated too', () => {
+  renderScreener('zh', 'simple');
+
+  expect(screen.getAllByRole('radiogroup')[1]).toHaveAccessibleName('2. 心情不好');
+  expect(screen.getAllByRole('radio', { name: '每天' })).toHaveLength(PHQ9_ITEMS.length);
+});
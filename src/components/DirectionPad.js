@@ -0,0 +1,40 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowLeft, ArrowRight } from 'lucide-react';
+import { useTranslation } from '../i18n/I18nContext';
+
+const keyClass = 'min-h-[3.5rem] rounded-lg border-2 border-gray-300 bg-white text-gray-800 hover:bg-gray-100 transition duration-300 flex items-center justify-center';
+
+// Arrow keys plus a select key in the middle, so a grid can be worked through with one
+// thumb instead of reaching across the screen.
+const DirectionPad = ({ onMove, onSelect, selectLabel }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="grid grid-cols-3 gap-2 w-full max-w-xs mx-auto mt-4">
+      <span />
+      <button type="button" onClick={() => onMove(-1, 0)} aria-label={t('directionPad.up')} className={keyClass}>
+        <ArrowUp size={28} />
+      </button>
+      <span />
+      <button type="button" onClick={() => onMove(0, -1)} aria-label={t('directionPad.left')} className={keyClass}>
+        <ArrowLeft size={28} />
+      </button>
+      <button
+        type="button"
+        onClick={onSelect}
+        className="min-h-[3.5rem] rounded-lg border-2 border-purple-600 bg-purple-600 text-white text-lg font-bold hover:bg-purple-700 transition duration-300"
+      >
+        {selectLabel || t('directionPad.mark')}
+      </button>
+      <button type="button" onClick={() => onMove(0, 1)} aria-label={t('directionPad.right')} className={keyClass}>
+        <ArrowRight size={28} />
+      </button>
+      <span />
+      <button type="button" onClick={() => onMove(1, 0)} aria-label={t('directionPad.down')} className={keyClass}>
+        <ArrowDown size={28} />
+      </button>
+      <span />
+    </div>
+  );
+};
+
+export default DirectionPad;
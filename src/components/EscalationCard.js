@@ -0,0 +1,67 @@
+import React from 'react';
+import { AlertTriangle, Phone, X } from 'lucide-react';
+import { BE_FAST, CRISIS_LINE, EMERGENCY_NUMBER, SAFETY_CATEGORIES } from '../chat/safety';
+import { useTranslation } from '../i18n/I18nContext';
+
+const telHref = (number) => `tel:${String(number).replace(/[^\d+]/g, '')}`;
+
+const CallLink = ({ number, label, className }) => (
+  <a href={telHref(number)} className={`flex items-center justify-center space-x-2 font-bold py-3 px-5 rounded-lg transition duration-300 ${className}`}>
+    <Phone size={20} />
+    <span>{label}</span>
+  </a>
+);
+
+// Fixed content only: nothing on this card comes from the model
+const EscalationCard = ({ categories, caregiver, onDismiss }) => {
+  const { t } = useTranslation();
+  const strokeSigns = categories.includes(SAFETY_CATEGORIES.strokeWarning);
+  const selfHarm = categories.includes(SAFETY_CATEGORIES.selfHarm);
+  const adviceOnly = categories.every(category => category === SAFETY_CATEGORIES.unsafeAdvice);
+  const title = t(strokeSigns ? 'safety.title.stroke' : adviceOnly ? 'safety.title.advice' : 'safety.title.help');
+
+  return (
+    <div role="alert" className="mb-4 bg-red-50 border-2 border-red-500 text-gray-800 rounded-lg p-4">
+      <div className="flex items-start justify-between mb-3">
+        <h3 className="text-xl font-bold text-red-700 flex items-center space-x-2">
+          <AlertTriangle size={24} />
+          <span>{title}</span>
+        </h3>
+        <button onClick={onDismiss} className="p-1 rounded-full hover:bg-red-100 transition" title={t('safety.dismiss')}>
+          <X size={20} />
+        </button>
+      </div>
+
+      {strokeSigns && (
+        <ul className="mb-3 space-y-1">
+          {BE_FAST.map(id => {
+            const letter = t(`safety.letter.${id}`);
+            return (
+              <li key={id}>
+                {letter && <><span className="font-bold text-red-700">{letter}</span> – </>}
+                <span className="font-semibold">{t(`safety.sign.${id}`)}:</span> {t(`safety.check.${id}`)}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {selfHarm && (
+        <p className="mb-3">{t('safety.notAlone')}</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        <CallLink number={EMERGENCY_NUMBER} label={t('safety.call', { name: EMERGENCY_NUMBER })} className="bg-red-600 hover:bg-red-700 text-white" />
+        {selfHarm && (
+          <CallLink number={CRISIS_LINE.number} label={CRISIS_LINE.label} className="bg-purple-600 hover:bg-purple-700 text-white" />
+        )}
+        {caregiver && caregiver.phone ? (
+          <CallLink number={caregiver.phone} label={t('safety.call', { name: caregiver.name || t('safety.caregiver') })} className="bg-blue-500 hover:bg-blue-600 text-white" />
+        ) : (
+          <p className="text-sm text-gray-600 self-center">{t('safety.addCaregiver')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EscalationCard;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+import DifficultyForm from '../exercises/DifficultyForm';
+import { difficultyMetaKey } from '../exercises/ExerciseRunner';
+import { listExercises, resolveDifficulty } from '../exercises';
+
+// Lets a therapist set the difficulty a patient's exercises start at. These are the same
+// settings the patient's own settings form saves, so the next session picks them up.
+const ExerciseSettingsPanel = ({ historyStore, onClose }) => {
+  const [settings, setSettings] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(listExercises().map(exercise => historyStore.getMeta(difficultyMetaKey(exercise.id), exercise.defaultDifficulty)
+      .then(saved => [exercise.id, resolveDifficulty(exercise, saved)])))
+      .then(entries => {
+        if (cancelled) return;
+        setSettings(Object.fromEntries(entries));
+        setLoading(false);
+      })
+      .catch(error => console.error('Error loading exercise settings:', error));
+    return () => { cancelled = true; };
+  }, [historyStore]);
+
+  // Saved as typed; the runner clamps half-typed numbers when the session starts
+  const handleChange = (exerciseId, changes) => {
+    const next = { ...settings[exerciseId], ...changes };
+    setSettings(prev => ({ ...prev, [exerciseId]: next }));
+    historyStore.setMeta(difficultyMetaKey(exerciseId), next).catch(error => console.error('Error saving exercise settings:', error));
+  };
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md text-gray-800">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <SlidersHorizontal size={24} />
+          <span>Exercise Settings</span>
+        </h2>
+        {onClose && (
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" title="Close exercise settings">
+            <X size={24} />
+          </button>
+        )}
+      </div>
+      {loading ? (
+        <p className="text-gray-600">Loading settings...</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {listExercises().map(exercise => (
+            <section key={exercise.id} className="bg-white border border-gray-200 rounded-md p-4">
+              <h3 className="text-lg font-semibold text-blue-700 mb-3">{exercise.title}</h3>
+              <DifficultyForm
+                exerciseId={exercise.id}
+                schema={exercise.difficultySchema}
+                value={settings[exercise.id]}
+                onChange={(changes) => handleChange(exercise.id, changes)}
+              />
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExerciseSettingsPanel;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Download, Printer, FileText, X } from 'lucide-react';
+import { downloadFile, dateRangeToIso } from '../reports/download';
+import { trialsToCsv } from '../reports/csv';
+import { buildObservationBundle } from '../reports/fhir';
+import { buildSummaryReport, printSummaryReport } from '../reports/summaryReport';
+import { toDateKey } from '../data/metrics';
+import { useTranslation } from '../i18n/I18nContext';
+
+// The panel follows the patient's language; the files themselves are for the care team and stay
+// in English
+const ExportPanel = ({ historyStore, onClose }) => {
+  const { t } = useTranslation();
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState(toDateKey(new Date()));
+  const [status, setStatus] = useState('');
+
+  const loadRange = async () => {
+    const range = dateRangeToIso({ from, to });
+    const [sessions, trials, moods] = await Promise.all([
+      historyStore.listSessions({ ...range, completedOnly: true }),
+      historyStore.listTrials(range),
+      historyStore.listMoods(range),
+    ]);
+    return { sessions, trials, moods };
+  };
+
+  // Wraps each export so errors end up in the status line rather than the console only
+  const runExport = (labelKey, exportFn) => async () => {
+    const label = t(labelKey);
+    setStatus(t('export.preparing', { label }));
+    try {
+      await exportFn(await loadRange());
+      setStatus(t('export.ready', { label }));
+    } catch (error) {
+      console.error(`Error exporting ${labelKey}:`, error);
+      setStatus(t('export.failed', { label, message: error.message }));
+    }
+  };
+
+  const fileSuffix = `${from || 'start'}_to_${to || 'today'}`;
+
+  const handlePrintReport = () => {
+    const reportWindow = window.open('', '_blank');
+    return runExport('export.label.report', ({ sessions, trials, moods }) => (
+      printSummaryReport(buildSummaryReport({ sessions, trials, moods, from, to }), reportWindow)
+    ))();
+  };
+
+  const handleCsv = runExport('export.label.csv', ({ trials }) => (
+    downloadFile(`stroke-recovery-trials_${fileSuffix}.csv`, trialsToCsv(trials), 'text/csv')
+  ));
+
+  const handleFhir = runExport('export.label.fhir', ({ sessions, moods }) => (
+    downloadFile(
+      `stroke-recovery-observations_${fileSuffix}.json`,
+      JSON.stringify(buildObservationBundle({ sessions, moods }), null, 2),
+      'application/fhir+json'
+    )
+  ));
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <FileText size={24} />
+          <span>{t('export.title')}</span>
+        </h2>
+        {onClose && (
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" title={t('export.close')}>
+            <X size={24} />
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-4 mb-4 text-gray-700">
+        <label className="flex flex-col">
+          {t('export.from')}
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="p-2 border border-gray-300 rounded-md text-gray-800" />
+        </label>
+        <label className="flex flex-col">
+          {t('export.to')}
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="p-2 border border-gray-300 rounded-md text-gray-800" />
+        </label>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <button
+          onClick={handlePrintReport}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg transition duration-300 flex items-center justify-center space-x-2"
+        >
+          <Printer size={20} />
+          <span>{t('export.report')}</span>
+        </button>
+        <button
+          onClick={handleCsv}
+          className="bg-green-500 hover:bg-green-600 text-white font-bold py-3 px-6 rounded-lg transition duration-300 flex items-center justify-center space-x-2"
+        >
+          <Download size={20} />
+          <span>{t('export.csv')}</span>
+        </button>
+        <button
+          onClick={handleFhir}
+          className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-3 px-6 rounded-lg transition duration-300 flex items-center justify-center space-x-2"
+        >
+          <Download size={20} />
+          <span>{t('export.fhir')}</span>
+        </button>
+      </div>
+      {status && <p className="text-sm mt-3 text-gray-600" role="status">{status}</p>}
+    </div>
+  );
+};
+
+export default ExportPanel;
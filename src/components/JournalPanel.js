@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BookOpen, X, Stethoscope } from 'lucide-react';
+import DepressionScreener from './DepressionScreener';
+import EscalationCard from './EscalationCard';
+import { toDateKey } from '../data/metrics';
+import { CAREGIVER_META_KEY, SAFETY_CATEGORIES } from '../chat/safety';
+import { SYMPTOM_FIELDS, SYMPTOM_MIN, SYMPTOM_MAX, emptyJournalEntry } from '../journal/journal';
+import { DEFAULT_SCREENER_SETTINGS, isScreenerDue, scorePhq9 } from '../journal/phq9';
+import { useTranslation } from '../i18n/I18nContext';
+
+export const SCREENER_SETTINGS_META_KEY = 'screenerSettings';
+const RECENT_DAYS = 14;
+
+const formatDay = (date, language) => new Date(`${date}T00:00:00`).toLocaleDateString(language, { weekday: 'short', month: 'short', day: 'numeric' });
+
+const JournalPanel = ({ historyStore, onClose, onScreenerDueChange }) => {
+  const { language, t } = useTranslation();
+  const today = toDateKey(new Date());
+  const [entry, setEntry] = useState(emptyJournalEntry(today));
+  const [recentEntries, setRecentEntries] = useState([]);
+  const [lastScreening, setLastScreening] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_SCREENER_SETTINGS);
+  const [caregiver, setCaregiver] = useState(null);
+  const [showScreener, setShowScreener] = useState(false);
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const loadRecent = useCallback(async () => {
+    const from = toDateKey(new Date(Date.now() - (RECENT_DAYS - 1) * 24 * 60 * 60 * 1000));
+    const [entries, moods] = await Promise.all([
+      historyStore.listJournalEntries({ from }),
+      historyStore.listMoods(),
+    ]);
+    // Last mood picked on each day
+    const moodByDay = Object.fromEntries(moods.map(mood => [toDateKey(mood.timestamp), mood.mood]));
+    const entriesByDay = Object.fromEntries(entries.map(saved => [saved.date, saved]));
+    // A day shows up if it has a journal entry, a mood check-in or both
+    const days = [...new Set([...Object.keys(entriesByDay), ...Object.keys(moodByDay).filter(date => date >= from)])];
+    setRecentEntries(days.sort().reverse().map(date => ({ ...emptyJournalEntry(date), ...entriesByDay[date], mood: moodByDay[date] })));
+  }, [historyStore]);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      historyStore.getJournalEntry(today),
+      historyStore.listScreenings(),
+      historyStore.getMeta(SCREENER_SETTINGS_META_KEY, DEFAULT_SCREENER_SETTINGS),
+      historyStore.getMeta(CAREGIVER_META_KEY),
+      loadRecent(),
+    ]).then(([savedEntry, screenings, savedSettings, contact]) => {
+      if (cancelled) return;
+      if (savedEntry) setEntry({ ...emptyJournalEntry(today), ...savedEntry });
+      setLastScreening(screenings.length > 0 ? screenings[screenings.length - 1] : null);
+      setSettings({ ...DEFAULT_SCREENER_SETTINGS, ...savedSettings });
+      setCaregiver(contact);
+      setLoading(false);
+    }).catch(error => console.error('Error loading journal:', error));
+    return () => { cancelled = true; };
+  }, [historyStore, today, loadRecent]);
+
+  const screenerDue = isScreenerDue(lastScreening && lastScreening.timestamp, settings);
+  const severityLabel = (severity) => t(`phq9.severity.${severity}`);
+
+  useEffect(() => {
+    if (!loading && onScreenerDueChange) onScreenerDueChange(screenerDue);
+  }, [loading, screenerDue, onScreenerDueChange]);
+
+  const handleSaveEntry = async (e) => {
+    e.preventDefault();
+    try {
+      const { date, ...changes } = entry;
+      await historyStore.saveJournalEntry(date, changes);
+      await loadRecent();
+      setStatus(t('journal.saved'));
+    } catch (error) {
+      console.error('Error saving journal entry:', error);
+      setStatus(t('journal.saveFailed', { message: error.message }));
+    }
+  };
+
+  const handleSettingsChange = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    historyStore.setMeta(SCREENER_SETTINGS_META_KEY, next).catch(error => console.error('Error saving screener settings:', error));
+  };
+
+  const handleScreenerSubmit = async (answers) => {
+    const scored = scorePhq9(answers);
+    setShowScreener(false);
+    setResult(scored);
+    try {
+      setLastScreening(await historyStore.recordScreening({ instrument: 'phq9', format: settings.format, answers, ...scored }));
+      if (scored.selfHarmPositive) {
+        await historyStore.recordSafetyEvent({
+          stage: 'screener',
+          categories: [SAFETY_CATEGORIES.selfHarm],
+          matches: [{ category: SAFETY_CATEGORIES.selfHarm, phrase: `PHQ-9 item 9 answered ${answers.selfHarm}` }],
+        });
+      }
+    } catch (error) {
+      console.error('Error saving screening:', error);
+    }
+  };
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md text-gray-800">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <BookOpen size={24} />
+          <span>{t('journal.title')}</span>
+        </h2>
+        <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" title={t('journal.close')}>
+          <X size={24} />
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-600">{t('journal.loading')}</p>
+      ) : (
+        <>
+          {result && result.selfHarmPositive && (
+            <EscalationCard categories={[SAFETY_CATEGORIES.selfHarm]} caregiver={caregiver} onDismiss={() => setResult({ ...result, selfHarmPositive: false })} />
+          )}
+          {result && result.needsClinician && (
+            <div role="alert" className="mb-4 bg-yellow-50 border-2 border-yellow-400 rounded-lg p-4">
+              <h3 className="text-lg font-bold text-yellow-800 flex items-center space-x-2 mb-2">
+                <Stethoscope size={22} />
+                <span>{t('journal.clinicianTitle')}</span>
+              </h3>
+              <p>{t('journal.clinicianBody', { score: result.score, severity: severityLabel(result.severity) })}</p>
+            </div>
+          )}
+          {result && !result.needsClinician && (
+            <p className="mb-4 text-green-700">{t('journal.thanks', { score: result.score, severity: severityLabel(result.severity) })}</p>
+          )}
+
+          <section className="bg-white border border-gray-200 rounded-md p-4 mb-4">
+            <div className="flex flex-wrap items-center justify-between mb-3 gap-2">
+              <h3 className="text-lg font-semibold text-purple-700">{t('journal.checkIn')}</h3>
+              <div className="flex flex-wrap gap-3 text-sm">
+                <label className="flex items-center space-x-1">
+                  <input type="checkbox" checked={settings.enabled} onChange={(e) => handleSettingsChange({ enabled: e.target.checked })} />
+                  <span>{t('journal.remindEvery')}</span>
+                  <select
+                    value={settings.intervalDays}
+                    onChange={(e) => handleSettingsChange({ intervalDays: Number(e.target.value) })}
+                    className="p-1 border border-gray-300 rounded-md"
+                  >
+                    {[7, 14, 28].map(days => <option key={days} value={days}>{t('journal.days', { count: days })}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center space-x-1">
+                  <span>{t('journal.wording')}</span>
+                  <select value={settings.format} onChange={(e) => handleSettingsChange({ format: e.target.value })} className="p-1 border border-gray-300 rounded-md">
+                    <option value="standard">{t('journal.wording.standard')}</option>
+                    <option value="simple">{t('journal.wording.simple')}</option>
+                  </select>
+                </label>
+              </div>
+            </div>
+            {showScreener ? (
+              <DepressionScreener format={settings.format} onSubmit={handleScreenerSubmit} onCancel={() => setShowScreener(false)} />
+            ) : (
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="text-gray-700">
+                  {lastScreening
+                    ? t('journal.lastCheckIn', { date: new Date(lastScreening.timestamp).toLocaleDateString(language), score: lastScreening.score })
+                    : t('journal.noCheckIn')}
+                  {screenerDue && <span className="font-bold text-purple-700"> {t('journal.checkInDue')}</span>}
+                </p>
+                <button
+                  onClick={() => { setResult(null); setShowScreener(true); }}
+                  className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300"
+                >
+                  {t('journal.startCheckIn')}
+                </button>
+              </div>
+            )}
+          </section>
+
+          <form onSubmit={handleSaveEntry} className="bg-white border border-gray-200 rounded-md p-4 mb-4">
+            <h3 className="text-lg font-semibold text-purple-700 mb-3">{t('journal.today', { date: formatDay(today, language) })}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+              {SYMPTOM_FIELDS.map(field => (
+                <label key={field.id} className="flex flex-col">
+                  <span className="flex justify-between">
+                    <span>{t(`journal.symptom.${field.id}`)}</span>
+                    <span className="font-bold">{entry[field.id] === null ? '–' : entry[field.id]}</span>
+                  </span>
+                  <input
+                    type="range"
+                    min={SYMPTOM_MIN}
+                    max={SYMPTOM_MAX}
+                    value={entry[field.id] === null ? Math.round((SYMPTOM_MIN + SYMPTOM_MAX) / 2) : entry[field.id]}
+                    onChange={(e) => setEntry(prev => ({ ...prev, [field.id]: Number(e.target.value) }))}
+                    className={entry[field.id] === null ? 'opacity-50' : ''}
+                  />
+                  <span className="flex justify-between text-xs text-gray-500">
+                    <span>{t(`journal.symptom.${field.id}.low`)}</span>
+                    <span>{t(`journal.symptom.${field.id}.high`)}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <label className="flex flex-col mb-3">
+              {t('journal.notes')}
+              <textarea
+                value={entry.notes}
+                onChange={(e) => setEntry(prev => ({ ...prev, notes: e.target.value }))}
+                rows={3}
+                placeholder={t('journal.notesPlaceholder')}
+                className="p-2 border border-gray-300 rounded-md"
+              />
+            </label>
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600" role="status">{status}</p>
+              <button type="submit" className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-5 rounded-lg transition duration-300">
+                {t('common.save')}
+              </button>
+            </div>
+          </form>
+
+          <section className="bg-white border border-gray-200 rounded-md p-4">
+            <h3 className="text-lg font-semibold text-purple-700 mb-3">{t('journal.recent', { days: RECENT_DAYS })}</h3>
+            {recentEntries.length === 0 ? (
+              <p className="text-gray-600">{t('journal.noEntries')}</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {recentEntries.map(saved => (
+                  <li key={saved.date} className="py-2">
+                    <p className="font-semibold">
+                      {formatDay(saved.date, language)}
+                      {saved.mood && <span className="font-normal text-gray-600"> · {t('home.moodLabel', { mood: t(`mood.short.${saved.mood}`) })}</span>}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {SYMPTOM_FIELDS.filter(field => saved[field.id] !== null && saved[field.id] !== undefined)
+                        .map(field => t('journal.symptomValue', { symptom: t(`journal.symptom.${field.id}`), value: saved[field.id], max: SYMPTOM_MAX }))
+                        .join(' · ')}
+                    </p>
+                    {saved.notes && <p className="text-sm whitespace-pre-wrap">{saved.notes}</p>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JournalPanel;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LANGUAGES } from '../i18n/i18n';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Each language is listed in its own script, so a patient can find theirs whatever is on screen
+const LanguageSwitcher = ({ onChange }) => {
+  const { language, t } = useTranslation();
+
+  return (
+    <label className="bg-white text-purple-800 font-bold py-2 px-5 rounded-full shadow-md flex items-center space-x-2">
+      <Languages size={20} aria-hidden="true" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={language}
+        onChange={(e) => onChange(e.target.value)}
+        className="bg-transparent font-bold focus:outline-none cursor-pointer"
+      >
+        {Object.values(LANGUAGES).map(option => (
+          <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
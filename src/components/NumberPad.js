@@ -0,0 +1,59 @@
+import React from 'react';
+import { Delete, Check } from 'lucide-react';
+import { useTranslation } from '../i18n/I18nContext';
+
+const DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+const keyClass = 'min-h-[3.5rem] rounded-lg text-2xl font-bold border-2 transition duration-300';
+
+// Phone-style keypad so a number can be entered with one hand and no on-screen keyboard.
+// The value is a plain digit string; the pad never submits an empty answer. A masked pad
+// (for PINs) shows dots and only announces how many digits have been entered.
+const NumberPad = ({ value, onChange, onSubmit, submitLabel, maxLength = 12, masked = false }) => {
+  const { t } = useTranslation();
+  const press = (digit) => {
+    if (value.length < maxLength) onChange(value + digit);
+  };
+
+  return (
+    <div className="w-full max-w-xs mx-auto">
+      <output
+        aria-live="polite"
+        aria-label={masked ? t('numberPad.pinDigits', { count: value.length }) : t('numberPad.answer')}
+        className="block min-h-[3.5rem] mb-3 p-3 border-2 border-gray-400 rounded-md text-3xl font-bold tracking-widest text-gray-800 bg-white"
+      >
+        {masked ? '•'.repeat(value.length) : value.split('').join(' ')}
+      </output>
+      <div className="grid grid-cols-3 gap-2">
+        {DIGITS.map(digit => (
+          <button key={digit} type="button" onClick={() => press(digit)} className={`${keyClass} bg-white border-gray-300 text-gray-800 hover:bg-gray-100`}>
+            {digit}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange(value.slice(0, -1))}
+          disabled={value.length === 0}
+          aria-label={t('numberPad.delete')}
+          className={`${keyClass} bg-gray-200 border-gray-300 text-gray-800 hover:bg-gray-300 disabled:opacity-50 flex items-center justify-center`}
+        >
+          <Delete size={28} />
+        </button>
+        <button type="button" onClick={() => press('0')} className={`${keyClass} bg-white border-gray-300 text-gray-800 hover:bg-gray-100`}>
+          0
+        </button>
+        <button
+          type="button"
+          onClick={onSubmit}
+          disabled={value.length === 0}
+          aria-label={submitLabel || t('numberPad.check')}
+          className={`${keyClass} bg-purple-600 border-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 flex items-center justify-center`}
+        >
+          <Check size={28} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NumberPad;
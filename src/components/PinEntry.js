@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Lock } from 'lucide-react';
+import NumberPad from './NumberPad';
+import { PIN_MAX_LENGTH } from '../profiles/pin';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Unlocks a profile. After a few wrong PINs the pad is disabled for a short while, which is
+// enough to stop another patient guessing on a shared tablet. The count and the lockout are
+// kept in the profile store, so going back and reopening the profile doesn't reset them.
+const PinEntry = ({ profile, profileStore, onSuccess, onCancel }) => {
+  const { t } = useTranslation();
+  const [pin, setPin] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [message, setMessage] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const showLockout = useCallback((until) => {
+    setLockedUntil(until);
+    setMessage(t('pin.tooMany', { seconds: Math.ceil((until - Date.now()) / 1000) }));
+  }, [t]);
+
+  useEffect(() => {
+    let cancelled = false;
+    profileStore.pinLockedUntil(profile.id)
+      .then(until => { if (until && !cancelled) showLockout(until); })
+      .catch(error => console.error('Error checking PIN lockout:', error));
+    return () => { cancelled = true; };
+  }, [profileStore, profile.id, showLockout]);
+
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+    const timer = setTimeout(() => {
+      setLockedUntil(null);
+      setMessage('');
+    }, lockedUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  const handleSubmit = async () => {
+    if (checking || lockedUntil) return;
+    setChecking(true);
+    try {
+      const result = await profileStore.verifyPin(profile.id, pin);
+      if (result.ok) {
+        onSuccess(profile);
+        return;
+      }
+      setPin('');
+      if (result.lockedUntil) {
+        showLockout(result.lockedUntil);
+      } else {
+        setMessage(t('pin.wrong'));
+      }
+    } catch (error) {
+      console.error('Error checking PIN:', error);
+      setMessage(t('pin.checkFailed', { message: error.message }));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="text-center">
+      <h3 className="text-xl font-bold text-purple-700 mb-2 flex items-center justify-center space-x-2">
+        <Lock size={22} />
+        <span>{t('pin.title', { name: profile.name })}</span>
+      </h3>
+      <p className="min-h-[1.5rem] mb-2 text-red-600" role="alert">{message}</p>
+      {lockedUntil ? (
+        <p className="text-gray-600 mb-4">{t('pin.unlockSoon')}</p>
+      ) : (
+        <NumberPad value={pin} onChange={setPin} onSubmit={handleSubmit} submitLabel={t('pin.unlock')} maxLength={PIN_MAX_LENGTH} masked />
+      )}
+      <button onClick={onCancel} className="mt-4 bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-3 px-6 rounded-lg transition duration-300">
+        {t('common.back')}
+      </button>
+    </div>
+  );
+};
+
+export default PinEntry;
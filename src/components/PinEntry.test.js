@@ -0,0 +1,56 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import PinEntry from './PinEntry';
+import { openProfileStore } from '../data/profileStore';
+import { MAX_PIN_ATTEMPTS } from '../profiles/pin';
+
+// WebCrypto's subtle API and TextEncoder aren't in jsdom, so PINs are hashed with Node's
+beforeAll(() => {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+const renderPinEntry = (profile, profileStore) => render(
+  <PinEntry profile={profile} profileStore={profileStore} onSuccess={jest.fn()} onCancel={jest.fn()} />,
+);
+
+const enterPin = async (digits) => {
+  digits.split('').forEach(digit => fireEvent.click(screen.getByRole('button', { name: digit })));
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+  // A wrong PIN clears the pad (or replaces it with the lockout notice)
+  await waitFor(() => expect(screen.queryByLabelText(`PIN, ${digits.length} digits entered`)).not.toBeInTheDocument());
+};
+
+test('the lockout survives leaving the PIN screen and coming back', async () => {
+  const profileStore = await openProfileStore({ inMemory: true });
+  const profile = await profileStore.createProfile({ name: 'Anna', pin: '1234' });
+
+  const { unmount } = renderPinEntry(profile, profileStore);
+  for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS; attempt++) {
+    await enterPin('9999');
+  }
+  expect(screen.getByRole('alert')).toHaveTextContent('Too many wrong PINs');
+  unmount();
+
+  renderPinEntry(profile, profileStore);
+  await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Too many wrong PINs'));
+  expect(screen.queryByRole('button', { name: 'Unlock' })).not.toBeInTheDocument();
+  expect(await profileStore.verifyPin(profile.id, '1234')).toMatchObject({ ok: false });
+});
+
+test('a locked PIN unlocks again after the wait, and a right PIN clears the count', async () => {
+  const profileStore = await openProfileStore({ inMemory: true });
+  const profile = await profileStore.createProfile({ name: 'Anna', pin: '1234' });
+  const now = Date.now();
+
+  for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS - 1; attempt++) {
+    expect(await profileStore.verifyPin(profile.id, '9999', now)).toEqual({ ok: false, lockedUntil: null });
+  }
+  const { lockedUntil } = await profileStore.verifyPin(profile.id, '9999', now);
+  expect(lockedUntil).toBeGreaterThan(now);
+  expect(await profileStore.pinLockedUntil(profile.id, now)).toBe(lockedUntil);
+
+  expect(await profileStore.verifyPin(profile.id, '1234', lockedUntil)).toEqual({ ok: true, lockedUntil: null });
+  expect(await profileStore.verifyPin(profile.id, '9999', lockedUntil)).toEqual({ ok: false, lockedUntil: null });
+});
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { PIN_MAX_LENGTH, PIN_MIN_LENGTH, isValidPin, pinSupported } from '../profiles/pin';
+import { useTranslation } from '../i18n/I18nContext';
+
+// New profile: a name and, optionally (required for therapists), a PIN typed twice
+const ProfileForm = ({ title, requirePin = false, onSave, onCancel }) => {
+  const { t } = useTranslation();
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const canUsePin = pinSupported();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problems = [];
+    if (!name.trim()) problems.push(t('profileForm.nameMissing'));
+    if (requirePin && !pin) problems.push(t('profileForm.pinMissing'));
+    if (pin && !isValidPin(pin)) problems.push(t('profileForm.pinLength', { min: PIN_MIN_LENGTH, max: PIN_MAX_LENGTH }));
+    if (pin && pin !== confirmPin) problems.push(t('profileForm.pinMismatch'));
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    setSaving(true);
+    try {
+      await onSave({ name: name.trim(), pin: pin || null });
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      setErrors([error.message]);
+      setSaving(false);
+    }
+  };
+
+  const pinInputClass = 'p-2 border border-gray-300 rounded-md text-gray-800 tracking-widest';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-md p-4 text-left text-gray-700">
+      <h3 className="text-lg font-semibold text-purple-700 mb-3">{title}</h3>
+      <label className="flex flex-col mb-3">
+        {t('profileForm.name')}
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md text-gray-800"
+          autoFocus
+        />
+      </label>
+      {canUsePin ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+          <label className="flex flex-col">
+            {t(requirePin ? 'profileForm.pin' : 'profileForm.pinOptional')}
+            <input type="password" inputMode="numeric" autoComplete="new-password" value={pin} onChange={(e) => setPin(e.target.value)} className={pinInputClass} />
+          </label>
+          <label className="flex flex-col">
+            {t('profileForm.pinAgain')}
+            <input type="password" inputMode="numeric" autoComplete="new-password" value={confirmPin} onChange={(e) => setConfirmPin(e.target.value)} className={pinInputClass} />
+          </label>
+        </div>
+      ) : (
+        <p className="mb-3 text-sm text-gray-600">{t('profileForm.httpsOnly')}</p>
+      )}
+      {errors.length > 0 && (
+        <ul role="alert" className="mb-3 text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300">
+          {t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving || (requirePin && !canUsePin)}
+          className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg transition duration-300"
+        >
+          {t('profileForm.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProfileForm;
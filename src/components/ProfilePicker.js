@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Lock, Stethoscope, User, UserPlus } from 'lucide-react';
+import PinEntry from './PinEntry';
+import ProfileForm from './ProfileForm';
+import { ROLES } from '../data/profileStore';
+import { useTranslation } from '../i18n/I18nContext';
+
+// "Who is using the app?" screen. Patients can add themselves; therapist access can only be
+// set up here while the device has no therapist yet, otherwise a patient could give
+// themselves access to everyone's data. Further therapists are added from the therapist view.
+const ProfilePicker = ({ profiles, profileStore, onOpen, onProfilesChange }) => {
+  const { t } = useTranslation();
+  const [unlocking, setUnlocking] = useState(null);
+  const [creatingRole, setCreatingRole] = useState(null);
+  const hasTherapist = profiles.some(profile => profile.role === ROLES.therapist);
+
+  const handleSelect = (profile) => {
+    if (profile.hasPin) {
+      setUnlocking(profile);
+    } else {
+      onOpen(profile);
+    }
+  };
+
+  const handleCreate = async ({ name, pin }) => {
+    const profile = await profileStore.createProfile({ name, pin, role: creatingRole });
+    setCreatingRole(null);
+    await onProfilesChange();
+    onOpen(profile);
+  };
+
+  if (unlocking) {
+    return (
+      <PinEntry
+        profile={unlocking}
+        profileStore={profileStore}
+        onSuccess={onOpen}
+        onCancel={() => setUnlocking(null)}
+      />
+    );
+  }
+
+  if (creatingRole) {
+    return (
+      <ProfileForm
+        title={t(creatingRole === ROLES.therapist ? 'picker.setUpTherapist' : 'picker.newPatient')}
+        requirePin={creatingRole === ROLES.therapist}
+        onSave={handleCreate}
+        onCancel={() => setCreatingRole(null)}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-semibold text-purple-700 mb-4 text-center">{t('picker.heading')}</h2>
+      <ul className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+        {profiles.map(profile => {
+          const Icon = profile.role === ROLES.therapist ? Stethoscope : User;
+          return (
+            <li key={profile.id}>
+              <button
+                onClick={() => handleSelect(profile)}
+                className="w-full bg-white border-2 border-gray-200 hover:border-purple-500 rounded-lg p-4 text-left text-gray-800 transition duration-300 flex items-center space-x-3"
+              >
+                <Icon size={32} className="text-purple-600" aria-hidden="true" />
+                <span className="flex-grow">
+                  <span className="block text-xl font-bold">{profile.name}</span>
+                  <span className="block text-sm text-gray-600">{t(profile.role === ROLES.therapist ? 'picker.therapist' : 'picker.patient')}</span>
+                </span>
+                {profile.hasPin && <Lock size={20} className="text-gray-500" aria-label={t('picker.pinProtected')} />}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex flex-wrap justify-center gap-3">
+        <button
+          onClick={() => setCreatingRole(ROLES.patient)}
+          className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-3 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+        >
+          <UserPlus size={20} />
+          <span>{t('picker.addPatient')}</span>
+        </button>
+        {!hasTherapist && (
+          <button
+            onClick={() => setCreatingRole(ROLES.therapist)}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-3 px-5 rounded-lg transition duration-300 flex items-center space-x-2"
+          >
+            <Stethoscope size={20} />
+            <span>{t('picker.setUpTherapist')}</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePicker;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import DifficultyForm from '../exercises/DifficultyForm';
+import { getExercise, listExercises } from '../exercises';
+import { MAX_ROUNDS, WEEKDAYS, validateProgram } from '../program/program';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Form for a clinician or caregiver to prescribe a weekly program
+const ProgramEditor = ({ program, onSave, onCancel }) => {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(program);
+  const [errors, setErrors] = useState([]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateBlock = (index, changes) => update({
+    blocks: draft.blocks.map((block, i) => (i === index ? { ...block, ...changes } : block)),
+  });
+
+  const toggleDay = (day) => update({
+    days: draft.days.includes(day) ? draft.days.filter(d => d !== day) : [...draft.days, day].sort(),
+  });
+
+  const handleAddBlock = () => update({
+    blocks: [...draft.blocks, { exerciseId: listExercises()[0].id, rounds: 1, difficulty: {} }],
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problems = validateProgram(draft, getExercise, t);
+    setErrors(problems);
+    if (problems.length === 0) onSave({ ...draft, name: draft.name.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-md p-4 mb-4 text-gray-700">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <label className="flex flex-col">
+          {t('program.name')}
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder={t('program.namePlaceholder')}
+            className="p-2 border border-gray-300 rounded-md text-gray-800"
+          />
+        </label>
+        <div className="flex items-end gap-4">
+          <label className="flex flex-col">
+            {t('program.reminderTime')}
+            <input
+              type="time"
+              value={draft.reminderTime}
+              onChange={(e) => update({ reminderTime: e.target.value })}
+              className="p-2 border border-gray-300 rounded-md text-gray-800"
+            />
+          </label>
+          <label className="flex items-center space-x-2 pb-2">
+            <input type="checkbox" checked={draft.remindersEnabled} onChange={(e) => update({ remindersEnabled: e.target.checked })} />
+            <span>{t('program.sendReminders')}</span>
+          </label>
+        </div>
+      </div>
+
+      <fieldset className="mb-4">
+        <legend className="mb-2">{t('program.days')}</legend>
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map(day => (
+            <button
+              key={day}
+              type="button"
+              aria-pressed={draft.days.includes(day)}
+              onClick={() => toggleDay(day)}
+              className={`py-2 px-3 rounded-lg border-2 transition ${
+                draft.days.includes(day) ? 'border-purple-600 bg-purple-100 font-bold' : 'border-gray-200 hover:bg-gray-100'
+              }`}
+            >
+              {t(`program.weekday.${day}`)}
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      <h4 className="font-semibold mb-2">{t('program.exercises')}</h4>
+      <ol className="space-y-3 mb-3">
+        {draft.blocks.map((block, index) => {
+          const exercise = getExercise(block.exerciseId);
+          return (
+            <li key={index} className="border border-gray-200 rounded-md p-3">
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <span className="font-bold">{index + 1}.</span>
+                <select
+                  value={block.exerciseId}
+                  onChange={(e) => updateBlock(index, { exerciseId: e.target.value, difficulty: {} })}
+                  className="p-2 border border-gray-300 rounded-md text-gray-800"
+                  aria-label={t('program.exercise', { number: index + 1 })}
+                >
+                  {listExercises().map(option => (
+                    <option key={option.id} value={option.id}>{t(`${option.id}.title`, { defaultValue: option.title })}</option>
+                  ))}
+                </select>
+                <label className="flex items-center space-x-2">
+                  <span>{t('program.rounds')}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_ROUNDS}
+                    value={block.rounds}
+                    onChange={(e) => updateBlock(index, { rounds: parseInt(e.target.value, 10) || 1 })}
+                    className="w-16 p-2 border border-gray-300 rounded-md text-gray-800"
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => update({ blocks: draft.blocks.filter((_, i) => i !== index) })}
+                  className="ml-auto p-2 rounded-full text-red-500 hover:bg-red-100 transition"
+                  title={t('program.removeExercise')}
+                >
+                  <Trash2 size={20} />
+                </button>
+              </div>
+              {exercise && (
+                <DifficultyForm
+                  exerciseId={exercise.id}
+                  schema={exercise.difficultySchema}
+                  value={{ ...exercise.defaultDifficulty, ...block.difficulty }}
+                  onChange={(changes) => updateBlock(index, { difficulty: { ...block.difficulty, ...changes } })}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      <button
+        type="button"
+        onClick={handleAddBlock}
+        className="mb-4 flex items-center space-x-1 text-purple-700 font-semibold hover:underline"
+      >
+        <Plus size={18} />
+        <span>{t('program.addExercise')}</span>
+      </button>
+
+      {errors.length > 0 && (
+        <ul role="alert" className="mb-3 text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300">
+          {t('common.cancel')}
+        </button>
+        <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300">
+          {t('program.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProgramEditor;
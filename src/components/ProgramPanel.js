@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarDays, X, Plus, Trash2, Play, Bell, Pencil } from 'lucide-react';
+import ProgramEditor from './ProgramEditor';
+import { getExercise } from '../exercises';
+import { describeProgram, isDueToday, newProgram, programAdherence } from '../program/program';
+import { notificationPermission, requestReminderPermission, syncReminders } from '../program/reminders';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Without canEdit (a therapist manages this patient) programs can be started but not changed
+const ProgramPanel = ({ historyStore, profile, onClose, onStartProgram, onProgramsChange, canEdit = true }) => {
+  const { t } = useTranslation();
+  const [programs, setPrograms] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [permission, setPermission] = useState(notificationPermission);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    const [savedPrograms, savedRuns] = await Promise.all([
+      historyStore.listPrograms(),
+      historyStore.listProgramRuns({ completedOnly: true }),
+    ]);
+    setPrograms(savedPrograms);
+    setRuns(savedRuns);
+    setLoading(false);
+  }, [historyStore]);
+
+  useEffect(() => {
+    load().catch(error => console.error('Error loading programs:', error));
+  }, [load]);
+
+  // Reload, refresh the worker's reminders and let the app update its "due today" list
+  const afterChange = async () => {
+    await load();
+    syncReminders(historyStore, profile, t).catch(error => console.error('Error scheduling reminders:', error));
+    if (onProgramsChange) onProgramsChange();
+  };
+
+  const handleSave = async (program) => {
+    try {
+      await historyStore.saveProgram(program);
+      setEditing(null);
+      await afterChange();
+    } catch (error) {
+      console.error('Error saving program:', error);
+    }
+  };
+
+  const handleDelete = async (program) => {
+    if (!window.confirm(t('program.confirmDelete', { name: program.name }))) return;
+    try {
+      await historyStore.deleteProgram(program.id);
+      await afterChange();
+    } catch (error) {
+      console.error('Error deleting program:', error);
+    }
+  };
+
+  const handleEnableReminders = async () => {
+    setPermission(await requestReminderPermission());
+    syncReminders(historyStore, profile, t).catch(error => console.error('Error scheduling reminders:', error));
+  };
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md text-gray-800">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <CalendarDays size={24} />
+          <span>{t('program.title')}</span>
+        </h2>
+        {onClose && (
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" title={t('program.close')}>
+            <X size={24} />
+          </button>
+        )}
+      </div>
+
+      {permission !== 'granted' && permission !== 'unsupported' && (
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4 bg-white border border-gray-200 rounded-md p-3">
+          <p>{t(permission === 'denied' ? 'program.notificationsBlocked' : 'program.notificationsOff')}</p>
+          {permission === 'default' && (
+            <button onClick={handleEnableReminders} className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2">
+              <Bell size={18} />
+              <span>{t('program.turnOnReminders')}</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {!canEdit ? (
+        <p className="mb-4 text-gray-600">{t('program.therapistSets')}</p>
+      ) : editing ? (
+        <ProgramEditor program={editing} onSave={handleSave} onCancel={() => setEditing(null)} />
+      ) : (
+        <button
+          onClick={() => setEditing(newProgram())}
+          className="mb-4 bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-2"
+        >
+          <Plus size={18} />
+          <span>{t('program.new')}</span>
+        </button>
+      )}
+
+      {loading ? (
+        <p className="text-gray-600">{t('program.loading')}</p>
+      ) : programs.length === 0 ? (
+        <p className="text-gray-600">{t('program.none')}</p>
+      ) : (
+        <ul className="space-y-3">
+          {programs.map(program => {
+            const adherence = programAdherence(program, runs);
+            const done = adherence.filter(day => day.completed).length;
+            return (
+              <li key={program.id} className="bg-white border border-gray-200 rounded-md p-4">
+                <div className="flex flex-wrap items-start justify-between gap-2">
+                  <div>
+                    <p className="font-bold text-lg">{program.name}</p>
+                    <p className="text-gray-600">{describeProgram(program, getExercise, t)}</p>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {t('program.adherence', { done, total: adherence.length })}
+                      {' '}
+                      {adherence.map(day => (
+                        <span key={day.date} title={day.date} className={`inline-block w-3 h-3 rounded-full ml-1 ${day.completed ? 'bg-green-500' : 'bg-gray-300'}`} />
+                      ))}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    {onStartProgram && (
+                      <button
+                        onClick={() => onStartProgram(program)}
+                        className={`${isDueToday(program, runs) ? 'bg-green-500 hover:bg-green-600' : 'bg-blue-500 hover:bg-blue-600'} text-white font-bold py-2 px-4 rounded-lg transition duration-300 flex items-center space-x-1`}
+                      >
+                        <Play size={18} />
+                        <span>{t('program.start')}</span>
+                      </button>
+                    )}
+                    {canEdit && (
+                      <>
+                        <button onClick={() => setEditing(program)} className="p-2 rounded-full hover:bg-gray-200 transition" title={t('program.edit')}>
+                          <Pencil size={20} />
+                        </button>
+                        <button onClick={() => handleDelete(program)} className="p-2 rounded-full text-red-500 hover:bg-red-100 transition" title={t('program.delete')}>
+                          <Trash2 size={20} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProgramPanel;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart3, X } from 'lucide-react';
+import TrendChart from './TrendChart';
+import {
+  DEFAULT_DAILY_SESSION_GOAL,
+  digitSpanSeries,
+  fluencySeries,
+  attentionSeries,
+  moodSeries,
+  symptomSeries,
+  screeningSeries,
+  weeklyAdherence,
+} from '../data/metrics';
+import { SYMPTOM_FIELDS, SYMPTOM_MIN, SYMPTOM_MAX } from '../journal/journal';
+import { useTranslation } from '../i18n/I18nContext';
+
+// moodSeries scores a negative mood 1 and a positive one 3
+const MOODS = { 1: 'negative', 2: 'neutral', 3: 'positive' };
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+const formatNumber = (value) => (Number.isInteger(value) ? value : value.toFixed(1));
+
+const ProgressDashboard = ({ historyStore, onClose }) => {
+  const { language, t } = useTranslation();
+  const [sessions, setSessions] = useState([]);
+  const [moods, setMoods] = useState([]);
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [screenings, setScreenings] = useState([]);
+  const [dailyGoal, setDailyGoal] = useState(DEFAULT_DAILY_SESSION_GOAL);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      historyStore.listSessions({ completedOnly: true }),
+      historyStore.listMoods(),
+      historyStore.getMeta('dailySessionGoal', DEFAULT_DAILY_SESSION_GOAL),
+      historyStore.listJournalEntries(),
+      historyStore.listScreenings(),
+    ]).then(([savedSessions, savedMoods, savedGoal, savedEntries, savedScreenings]) => {
+      if (cancelled) return;
+      setSessions(savedSessions);
+      setMoods(savedMoods);
+      setJournalEntries(savedEntries);
+      setScreenings(savedScreenings);
+      setDailyGoal(savedGoal);
+      setLoading(false);
+    }).catch(error => console.error('Error loading progress history:', error));
+    return () => { cancelled = true; };
+  }, [historyStore]);
+
+  const handleGoalChange = (e) => {
+    const goal = Math.max(1, parseInt(e.target.value, 10) || 1);
+    setDailyGoal(goal);
+    historyStore.setMeta('dailySessionGoal', goal).catch(error => console.error('Error saving session goal:', error));
+  };
+
+  const adherence = weeklyAdherence(sessions, dailyGoal);
+  const daysOnGoal = adherence.filter(day => day.metGoal).length;
+  const busiestDay = Math.max(dailyGoal, ...adherence.map(day => day.count));
+
+  return (
+    <div className="col-span-1 md:col-span-2 bg-gray-50 p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-purple-700 flex items-center space-x-2">
+          <BarChart3 size={24} />
+          <span>{t('dashboard.title')}</span>
+        </h2>
+        {onClose && (
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 transition" title={t('dashboard.close')}>
+            <X size={24} />
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-600">{t('dashboard.loading')}</p>
+      ) : (
+        <>
+          <section className="bg-white border border-gray-200 rounded-md p-4 mb-4">
+            <div className="flex flex-wrap items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-purple-700">{t('dashboard.thisWeek')}</h3>
+              <label className="text-sm text-gray-700">
+                {t('dashboard.dailyGoal')}{' '}
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={dailyGoal}
+                  onChange={handleGoalChange}
+                  className="w-16 p-1 border border-gray-300 rounded-md text-gray-800"
+                /> {t('dashboard.sessions')}
+              </label>
+            </div>
+            <div className="flex items-end justify-between h-32 space-x-2">
+              {adherence.map(day => (
+                <div key={day.date} className="flex-1 flex flex-col items-center justify-end h-full">
+                  <span className="text-xs text-gray-600">{day.count}</span>
+                  <div
+                    className={`w-full rounded-t ${day.metGoal ? 'bg-green-500' : 'bg-blue-300'}`}
+                    style={{ height: `${(day.count / busiestDay) * 100}%` }}
+                    title={t('dashboard.dayCount', { date: day.date, count: day.count, goal: dailyGoal })}
+                  />
+                  <span className="text-xs text-gray-600 mt-1">
+                    {new Date(`${day.date}T00:00:00`).toLocaleDateString(language, { weekday: 'short' })}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-gray-700 mt-3">
+              {t('dashboard.goalMet', { days: daysOnGoal })}
+            </p>
+          </section>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <TrendChart
+              title={t('dashboard.digitSpan')}
+              emptyText={t('dashboard.noData')}
+              series={[
+                { label: t('dashboard.forward'), color: '#3b82f6', points: digitSpanSeries(sessions, 'forward') },
+                { label: t('dashboard.backward'), color: '#8b5cf6', points: digitSpanSeries(sessions, 'backward') },
+              ]}
+              formatValue={formatNumber}
+            />
+            <TrendChart
+              title={t('dashboard.animals')}
+              emptyText={t('dashboard.noData')}
+              series={[{ label: t('verbalFluency.category.animals'), color: '#22c55e', points: fluencySeries(sessions, 'animals') }]}
+              yMin={0}
+              formatValue={formatNumber}
+            />
+            <TrendChart
+              title={t('dashboard.letterFluency')}
+              emptyText={t('dashboard.noData')}
+              series={[{ label: t('dashboard.words'), color: '#f97316', points: fluencySeries(sessions, ['letterF', 'letterA', 'letterS']) }]}
+              yMin={0}
+              formatValue={formatNumber}
+            />
+            <TrendChart
+              title={t('selectiveAttention.title')}
+              emptyText={t('dashboard.noData')}
+              series={[
+                { label: t('dashboard.accuracy'), color: '#3b82f6', points: attentionSeries(sessions, 'accuracy') },
+                { label: t('dashboard.hitRate'), color: '#22c55e', points: attentionSeries(sessions, 'hitRate') },
+                { label: t('dashboard.falseAlarms'), color: '#ef4444', points: attentionSeries(sessions, 'falseAlarmRate') },
+              ]}
+              yMin={0}
+              yMax={1}
+              formatValue={formatPercent}
+            />
+            <TrendChart
+              title={t('dashboard.mood')}
+              emptyText={t('dashboard.noData')}
+              series={[{ label: t('dashboard.mood'), color: '#eab308', points: moodSeries(moods) }]}
+              yMin={1}
+              yMax={3}
+              formatValue={(value) => t(`mood.short.${MOODS[Math.round(value)]}`)}
+            />
+            <TrendChart
+              title={t('dashboard.journal')}
+              emptyText={t('dashboard.noData')}
+              series={SYMPTOM_FIELDS.map(field => ({ label: t(`journal.symptom.${field.id}`), color: field.color, points: symptomSeries(journalEntries, field.id) }))}
+              yMin={SYMPTOM_MIN}
+              yMax={SYMPTOM_MAX}
+              formatValue={formatNumber}
+            />
+            <TrendChart
+              title={t('dashboard.phq9')}
+              emptyText={t('dashboard.noData')}
+              series={[{ label: t('dashboard.score'), color: '#a855f7', points: screeningSeries(screenings) }]}
+              yMin={0}
+              yMax={27}
+              formatValue={formatNumber}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProgressDashboard;
@@ -0,0 +1,75 @@
+import React from 'react';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 30 };
+
+const toTime = (date) => new Date(`${date}T00:00:00`).getTime();
+
+// Small dependency-free SVG line chart. `series` is [{ label, color, points: [{ date, value }] }].
+const TrendChart = ({ title, series, yMin, yMax, formatValue = (value) => value, emptyText = 'No data yet' }) => {
+  const points = series.flatMap(line => line.points);
+
+  if (points.length === 0) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-md p-4">
+        <h3 className="text-lg font-semibold text-purple-700 mb-2">{title}</h3>
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      </div>
+    );
+  }
+
+  const times = points.map(point => toTime(point.date));
+  const values = points.map(point => point.value);
+  const tMin = Math.min(...times);
+  const tMax = Math.max(...times);
+  const low = yMin ?? Math.min(...values);
+  const high = yMax ?? Math.max(...values);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // A single day (or a flat line) is drawn in the middle rather than dividing by zero
+  const x = (date) => PADDING.left + (tMax === tMin ? plotWidth / 2 : ((toTime(date) - tMin) / (tMax - tMin)) * plotWidth);
+  const y = (value) => PADDING.top + (high === low ? plotHeight / 2 : (1 - (value - low) / (high - low)) * plotHeight);
+
+  const firstDate = points.reduce((a, b) => (a.date < b.date ? a : b)).date;
+  const lastDate = points.reduce((a, b) => (a.date > b.date ? a : b)).date;
+
+  return (
+    <figure className="bg-white border border-gray-200 rounded-md p-4">
+      <figcaption className="text-lg font-semibold text-purple-700 mb-2">{title}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="#d1d5db" />
+        <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="#d1d5db" />
+        <text x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end" fontSize="9" fill="#6b7280">{formatValue(high)}</text>
+        <text x={PADDING.left - 4} y={HEIGHT - PADDING.bottom} textAnchor="end" fontSize="9" fill="#6b7280">{formatValue(low)}</text>
+        <text x={PADDING.left} y={HEIGHT - 4} fontSize="9" fill="#6b7280">{firstDate}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" fontSize="9" fill="#6b7280">{lastDate}</text>
+        {series.map(line => (
+          <g key={line.label}>
+            <polyline
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={line.points.map(point => `${x(point.date)},${y(point.value)}`).join(' ')}
+            />
+            {line.points.map(point => (
+              <circle key={point.date} cx={x(point.date)} cy={y(point.value)} r="3" fill={line.color}>
+                <title>{`${line.label} ${point.date}: ${formatValue(point.value)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <div className="flex justify-center space-x-4 text-sm mt-1">
+          {series.map(line => (
+            <span key={line.label} style={{ color: line.color }}>● {line.label}</span>
+          ))}
+        </div>
+      )}
+    </figure>
+  );
+};
+
+export default TrendChart;
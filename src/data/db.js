@@ -0,0 +1,93 @@
+// Thin promise wrapper around IndexedDB, with an in-memory fallback for environments
+// that don't have it (jsdom, some private browsing modes, demo mode).
+// Both backends expose the same small interface: getAll, get, put, delete, clear. `persistent`
+// says whether anything written survives a reload.
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const createIndexedDbBackend = (db) => {
+  const run = (storeName, mode, operation) => {
+    const transaction = db.transaction(storeName, mode);
+    return promisify(operation(transaction.objectStore(storeName)));
+  };
+
+  return {
+    kind: 'indexeddb',
+    persistent: true,
+    getAll: (storeName) => run(storeName, 'readonly', store => store.getAll()),
+    get: (storeName, key) => run(storeName, 'readonly', store => store.get(key)),
+    put: (storeName, value) => run(storeName, 'readwrite', store => store.put(value)),
+    delete: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)),
+    clear: (storeName) => run(storeName, 'readwrite', store => store.clear()),
+    close: () => db.close(),
+  };
+};
+
+// Mirrors the subset of IndexedDB behaviour we rely on: keyPath lookups and structured copies.
+export const createMemoryBackend = (storeDefinitions) => {
+  const stores = new Map(Object.entries(storeDefinitions).map(([name, { keyPath }]) => [name, { keyPath, rows: new Map() }]));
+  const getStore = (storeName) => {
+    const store = stores.get(storeName);
+    if (!store) throw new Error(`Unknown object store: ${storeName}`);
+    return store;
+  };
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    kind: 'memory',
+    persistent: false,
+    getAll: async (storeName) => Array.from(getStore(storeName).rows.values()).map(copy),
+    get: async (storeName, key) => copy(getStore(storeName).rows.get(key)),
+    put: async (storeName, value) => {
+      const store = getStore(storeName);
+      store.rows.set(value[store.keyPath], copy(value));
+      return value[store.keyPath];
+    },
+    delete: async (storeName, key) => {
+      getStore(storeName).rows.delete(key);
+    },
+    clear: async (storeName) => {
+      getStore(storeName).rows.clear();
+    },
+    close: () => {},
+  };
+};
+
+export const isIndexedDbAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+// `upgrades[n]` migrates a database from version n to n + 1, so the schema version is upgrades.length.
+export const openDatabase = async ({ name, upgrades, storeDefinitions, inMemory = false }) => {
+  if (inMemory || !isIndexedDbAvailable()) {
+    return createMemoryBackend(storeDefinitions);
+  }
+
+  const request = window.indexedDB.open(name, upgrades.length);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    for (let version = event.oldVersion; version < upgrades.length; version++) {
+      upgrades[version](db, request.transaction);
+    }
+  };
+
+  try {
+    return createIndexedDbBackend(await promisify(request));
+  } catch (error) {
+    console.error('Could not open IndexedDB, falling back to in-memory storage:', error);
+    return createMemoryBackend(storeDefinitions);
+  }
+};
+
+// Removes a whole database, e.g. when a profile is deleted. Open connections must be closed first.
+export const deleteDatabase = (name) => new Promise((resolve, reject) => {
+  if (!isIndexedDbAvailable()) {
+    resolve();
+    return;
+  }
+  const request = window.indexedDB.deleteDatabase(name);
+  request.onsuccess = () => resolve();
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => console.error(`Deleting database "${name}" is waiting for open connections to close`);
+});
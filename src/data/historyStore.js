@@ -0,0 +1,363 @@
+// Versioned local history of everything the patient does in the app.
+// Every exercise attempt is stored as a trial, grouped into sessions; small key/value
+// settings (running score, session count, ...) live in the meta store.
+
+import { openDatabase } from './db';
+
+export const DB_NAME = 'strokeRecovery';
+
+export const STORES = {
+  trials: 'trials',
+  sessions: 'sessions',
+  moods: 'moods',
+  meta: 'meta',
+  conversations: 'conversations',
+  safetyEvents: 'safetyEvents',
+  journal: 'journal',
+  screenings: 'screenings',
+  programs: 'programs',
+  programRuns: 'programRuns',
+};
+
+export const STORE_DEFINITIONS = {
+  [STORES.trials]: { keyPath: 'id' },
+  [STORES.sessions]: { keyPath: 'id' },
+  [STORES.moods]: { keyPath: 'id' },
+  [STORES.meta]: { keyPath: 'key' },
+  [STORES.conversations]: { keyPath: 'id' },
+  [STORES.safetyEvents]: { keyPath: 'id' },
+  [STORES.journal]: { keyPath: 'date' },
+  [STORES.screenings]: { keyPath: 'id' },
+  [STORES.programs]: { keyPath: 'id' },
+  [STORES.programRuns]: { keyPath: 'id' },
+};
+
+// Append-only list of schema migrations; never edit an entry once it has shipped.
+const UPGRADES = [
+  // v0 -> v1: initial schema
+  (db) => {
+    const trials = db.createObjectStore(STORES.trials, { keyPath: 'id' });
+    trials.createIndex('sessionId', 'sessionId');
+    trials.createIndex('exerciseType', 'exerciseType');
+    trials.createIndex('timestamp', 'timestamp');
+    const sessions = db.createObjectStore(STORES.sessions, { keyPath: 'id' });
+    sessions.createIndex('exerciseType', 'exerciseType');
+    sessions.createIndex('startedAt', 'startedAt');
+    const moods = db.createObjectStore(STORES.moods, { keyPath: 'id' });
+    moods.createIndex('timestamp', 'timestamp');
+    db.createObjectStore(STORES.meta, { keyPath: 'key' });
+  },
+  // v1 -> v2: saved chat conversations
+  (db) => {
+    const conversations = db.createObjectStore(STORES.conversations, { keyPath: 'id' });
+    conversations.createIndex('updatedAt', 'updatedAt');
+  },
+  // v2 -> v3: chatbot safety escalations
+  (db) => {
+    const safetyEvents = db.createObjectStore(STORES.safetyEvents, { keyPath: 'id' });
+    safetyEvents.createIndex('timestamp', 'timestamp');
+  },
+  // v3 -> v4: daily journal and depression screenings
+  (db) => {
+    db.createObjectStore(STORES.journal, { keyPath: 'date' });
+    const screenings = db.createObjectStore(STORES.screenings, { keyPath: 'id' });
+    screenings.createIndex('timestamp', 'timestamp');
+  },
+  // v4 -> v5: prescribed training programs and their guided sessions
+  (db) => {
+    db.createObjectStore(STORES.programs, { keyPath: 'id' });
+    const programRuns = db.createObjectStore(STORES.programRuns, { keyPath: 'id' });
+    programRuns.createIndex('programId', 'programId');
+    programRuns.createIndex('startedAt', 'startedAt');
+  },
+];
+
+export const SCHEMA_VERSION = UPGRADES.length;
+
+// localStorage keys used before the history store existed
+export const LEGACY_KEYS = {
+  score: 'recoveryScore',
+  sessionCount: 'recoverySessionCount',
+  mood: 'userMood',
+  digitSpanSessions: 'digitSpanSessions',
+};
+
+export const createId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+const now = () => new Date().toISOString();
+
+const inRange = (timestamp, { from, to } = {}) => (
+  (!from || timestamp >= from) && (!to || timestamp <= to)
+);
+
+// meta key holding { [storeName]: { [recordId]: deletedAt } }, so sync doesn't bring back
+// records that were deleted on another device
+export const DELETIONS_META_KEY = 'deletedRecords';
+
+const byTimestamp = (field) => (a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0);
+
+export const createHistoryStore = (backend) => {
+  const getMeta = async (key, fallback = null) => {
+    const row = await backend.get(STORES.meta, key);
+    return row ? row.value : fallback;
+  };
+
+  // updatedAt lets backup and sync pick the newer value of a setting
+  const setMeta = (key, value) => backend.put(STORES.meta, { key, value, updatedAt: now() });
+
+  const recordDeletion = async (storeName, id) => {
+    const deletions = await getMeta(DELETIONS_META_KEY, {});
+    await setMeta(DELETIONS_META_KEY, { ...deletions, [storeName]: { ...deletions[storeName], [id]: now() } });
+  };
+
+  // programRunId ties each step of a guided program run to its run
+  const startSession = async (exerciseType, params = {}, programRunId = null) => {
+    const session = { id: createId(), exerciseType, params, programRunId, startedAt: now(), completedAt: null, summary: null };
+    await backend.put(STORES.sessions, session);
+    return session;
+  };
+
+  const finishSession = async (sessionId, summary = {}) => {
+    const session = await backend.get(STORES.sessions, sessionId);
+    if (!session) throw new Error(`Unknown session: ${sessionId}`);
+    const finished = { ...session, completedAt: now(), summary };
+    await backend.put(STORES.sessions, finished);
+    return finished;
+  };
+
+  // trial: { sessionId, exerciseType, params, stimulus, response, correct, reactionTimesMs, points }
+  const recordTrial = async (trial) => {
+    const record = {
+      id: createId(),
+      sessionId: null,
+      params: {},
+      stimulus: null,
+      response: null,
+      correct: null,
+      reactionTimesMs: [],
+      points: 0,
+      timestamp: now(),
+      ...trial,
+    };
+    await backend.put(STORES.trials, record);
+    return record;
+  };
+
+  const recordMood = async (mood, timestamp = now()) => {
+    const entry = { id: createId(), mood, timestamp };
+    await backend.put(STORES.moods, entry);
+    return entry;
+  };
+
+  const listTrials = async ({ exerciseType, sessionId, from, to } = {}) => (
+    (await backend.getAll(STORES.trials))
+      .filter(trial => (!exerciseType || trial.exerciseType === exerciseType)
+        && (!sessionId || trial.sessionId === sessionId)
+        && inRange(trial.timestamp, { from, to }))
+      .sort(byTimestamp('timestamp'))
+  );
+
+  const listSessions = async ({ exerciseType, from, to, completedOnly = false } = {}) => (
+    (await backend.getAll(STORES.sessions))
+      .filter(session => (!exerciseType || session.exerciseType === exerciseType)
+        && (!completedOnly || session.completedAt)
+        && inRange(session.startedAt, { from, to }))
+      .sort(byTimestamp('startedAt'))
+  );
+
+  const listMoods = async (range) => (
+    (await backend.getAll(STORES.moods))
+      .filter(entry => inRange(entry.timestamp, range))
+      .sort(byTimestamp('timestamp'))
+  );
+
+  // conversation: { id, title, createdAt, updatedAt, messages: [{ role: 'user' | 'assistant', content, timestamp }] }
+  const createConversation = (messages = []) => {
+    const timestamp = now();
+    return { id: createId(), title: '', createdAt: timestamp, updatedAt: timestamp, messages };
+  };
+
+  const saveConversation = async (conversation) => {
+    const firstUserMessage = conversation.messages.find(message => message.role === 'user');
+    const saved = {
+      ...conversation,
+      title: conversation.title || (firstUserMessage ? firstUserMessage.content.slice(0, 60) : ''),
+      updatedAt: now(),
+    };
+    await backend.put(STORES.conversations, saved);
+    return saved;
+  };
+
+  const getConversation = (id) => backend.get(STORES.conversations, id);
+
+  const listConversations = async () => (
+    (await backend.getAll(STORES.conversations)).sort(byTimestamp('updatedAt'))
+  );
+
+  const deleteConversation = async (id) => {
+    await backend.delete(STORES.conversations, id);
+    await recordDeletion(STORES.conversations, id);
+  };
+
+  // event: { conversationId, stage: 'input' | 'output', categories, matches, text }
+  const recordSafetyEvent = async (event) => {
+    const entry = { id: createId(), timestamp: now(), ...event };
+    await backend.put(STORES.safetyEvents, entry);
+    return entry;
+  };
+
+  const listSafetyEvents = async (range) => (
+    (await backend.getAll(STORES.safetyEvents))
+      .filter(entry => inRange(entry.timestamp, range))
+      .sort(byTimestamp('timestamp'))
+  );
+
+  // Merges changes into the entry for a 'YYYY-MM-DD' day, creating it if needed
+  const saveJournalEntry = async (date, changes) => {
+    const existing = await backend.get(STORES.journal, date);
+    const entry = { date, ...existing, ...changes, updatedAt: now() };
+    await backend.put(STORES.journal, entry);
+    return entry;
+  };
+
+  const getJournalEntry = (date) => backend.get(STORES.journal, date);
+
+  // Date keys compare as strings, so from/to are 'YYYY-MM-DD' here
+  const listJournalEntries = async (range) => (
+    (await backend.getAll(STORES.journal))
+      .filter(entry => inRange(entry.date, range))
+      .sort(byTimestamp('date'))
+  );
+
+  // screening: { instrument, format, answers, score, severity, selfHarmPositive, needsClinician }
+  const recordScreening = async (screening) => {
+    const entry = { id: createId(), timestamp: now(), ...screening };
+    await backend.put(STORES.screenings, entry);
+    return entry;
+  };
+
+  const listScreenings = async (range) => (
+    (await backend.getAll(STORES.screenings))
+      .filter(entry => inRange(entry.timestamp, range))
+      .sort(byTimestamp('timestamp'))
+  );
+
+  // See src/program/program.js for the program shape
+  const saveProgram = async (program) => {
+    const timestamp = now();
+    const saved = { id: createId(), createdAt: timestamp, ...program, updatedAt: timestamp };
+    await backend.put(STORES.programs, saved);
+    return saved;
+  };
+
+  const listPrograms = async () => (await backend.getAll(STORES.programs)).sort(byTimestamp('createdAt'));
+
+  const deleteProgram = async (id) => {
+    await backend.delete(STORES.programs, id);
+    await recordDeletion(STORES.programs, id);
+  };
+
+  // A run is one guided session of a program: { id, programId, startedAt, completedAt, steps }
+  const startProgramRun = async (programId) => {
+    const run = { id: createId(), programId, startedAt: now(), completedAt: null, steps: [] };
+    await backend.put(STORES.programRuns, run);
+    return run;
+  };
+
+  // step: { exerciseId, round, summary }
+  const recordProgramStep = async (runId, step) => {
+    const run = await backend.get(STORES.programRuns, runId);
+    if (!run) throw new Error(`Unknown program run: ${runId}`);
+    const updated = { ...run, steps: [...run.steps, { ...step, completedAt: now() }] };
+    await backend.put(STORES.programRuns, updated);
+    return updated;
+  };
+
+  const finishProgramRun = async (runId) => {
+    const run = await backend.get(STORES.programRuns, runId);
+    if (!run) throw new Error(`Unknown program run: ${runId}`);
+    const finished = { ...run, completedAt: now() };
+    await backend.put(STORES.programRuns, finished);
+    return finished;
+  };
+
+  const listProgramRuns = async ({ programId, from, to, completedOnly = false } = {}) => (
+    (await backend.getAll(STORES.programRuns))
+      .filter(run => (!programId || run.programId === programId)
+        && (!completedOnly || run.completedAt)
+        && inRange(run.startedAt, { from, to }))
+      .sort(byTimestamp('startedAt'))
+  );
+
+  // One-off import of the pre-history localStorage keys. Safe to call on every load.
+  const migrateLegacyStorage = async (storage = window.localStorage) => {
+    if (await getMeta('legacyMigratedAt')) return false;
+
+    const score = parseInt(storage.getItem(LEGACY_KEYS.score), 10);
+    const sessionCount = parseInt(storage.getItem(LEGACY_KEYS.sessionCount), 10);
+    const mood = storage.getItem(LEGACY_KEYS.mood);
+    const digitSpanSessions = JSON.parse(storage.getItem(LEGACY_KEYS.digitSpanSessions) || '[]');
+
+    if (!isNaN(score)) await setMeta('score', score);
+    if (!isNaN(sessionCount)) await setMeta('sessionCount', sessionCount);
+    // The old code wrote the string "null" when no mood had been picked
+    if (mood && mood !== 'null') await recordMood(mood);
+    for (const { completedAt, ...summary } of digitSpanSessions) {
+      await backend.put(STORES.sessions, {
+        id: createId(),
+        exerciseType: 'digitSpan',
+        params: { direction: summary.direction },
+        startedAt: completedAt,
+        completedAt,
+        summary,
+      });
+    }
+
+    // If IndexedDB couldn't be opened the copy above is lost on reload, so the originals stay
+    if (backend.persistent) Object.values(LEGACY_KEYS).forEach(key => storage.removeItem(key));
+    await setMeta('legacyMigratedAt', now());
+    return true;
+  };
+
+  return {
+    backend,
+    getMeta,
+    setMeta,
+    startSession,
+    finishSession,
+    recordTrial,
+    recordMood,
+    listTrials,
+    listSessions,
+    listMoods,
+    createConversation,
+    saveConversation,
+    getConversation,
+    listConversations,
+    deleteConversation,
+    recordSafetyEvent,
+    listSafetyEvents,
+    saveJournalEntry,
+    getJournalEntry,
+    listJournalEntries,
+    recordScreening,
+    listScreenings,
+    saveProgram,
+    listPrograms,
+    deleteProgram,
+    startProgramRun,
+    recordProgramStep,
+    finishProgramRun,
+    listProgramRuns,
+    migrateLegacyStorage,
+  };
+};
+
+export const openHistoryStore = async ({ name = DB_NAME, inMemory = false } = {}) => {
+  const backend = await openDatabase({ name, upgrades: UPGRADES, storeDefinitions: STORE_DEFINITIONS, inMemory });
+  return createHistoryStore(backend);
+};
@@ -0,0 +1,146 @@
+import { DELETIONS_META_KEY, LEGACY_KEYS, STORE_DEFINITIONS, createHistoryStore, openHistoryStore } from './historyStore';
+import { createMemoryBackend } from './db';
+
+// Stands in for IndexedDB, which jsdom doesn't have
+const openPersistentStore = () => createHistoryStore({ ...createMemoryBackend(STORE_DEFINITIONS), persistent: true });
+
+beforeEach(() => localStorage.clear());
+
+test('migrates the legacy localStorage keys once and removes them', async () => {
+  localStorage.setItem(LEGACY_KEYS.score, '420');
+  localStorage.setItem(LEGACY_KEYS.sessionCount, '7');
+  localStorage.setItem(LEGACY_KEYS.mood, 'neutral');
+  localStorage.setItem(LEGACY_KEYS.digitSpanSessions, JSON.stringify([
+    { direction: 'forward', maxSpan: 5, completedAt: '2026-01-02T10:00:00.000Z' },
+  ]));
+
+  const store = openPersistentStore();
+  expect(await store.migrateLegacyStorage()).toBe(true);
+  expect(await store.migrateLegacyStorage()).toBe(false);
+
+  expect(await store.getMeta('score')).toBe(420);
+  expect(await store.getMeta('sessionCount')).toBe(7);
+  expect((await store.listMoods()).map(entry => entry.mood)).toEqual(['neutral']);
+  const [session] = await store.listSessions({ exerciseType: 'digitSpan' });
+  expect(session.summary).toEqual({ direction: 'forward', maxSpan: 5 });
+  expect(localStorage.getItem(LEGACY_KEYS.score)).toBeNull();
+});
+
+test('keeps the legacy keys when the history only lives in memory', async () => {
+  localStorage.setItem(LEGACY_KEYS.score, '420');
+  localStorage.setItem(LEGACY_KEYS.mood, 'neutral');
+
+  const store = await openHistoryStore({ inMemory: true });
+  expect(store.backend.persistent).toBe(false);
+  expect(await store.migrateLegacyStorage()).toBe(true);
+
+  expect(await store.getMeta('score')).toBe(420);
+  expect(localStorage.getItem(LEGACY_KEYS.score)).toBe('420');
+  expect(localStorage.getItem(LEGACY_KEYS.mood)).toBe('neutral');
+});
+
+test('leaves the legacy keys alone when IndexedDB fails to open', async () => {
+  localStorage.setItem(LEGACY_KEYS.score, '420');
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.indexedDB = {
+    open: () => {
+      const request = { error: new Error('QuotaExceededError') };
+      setTimeout(() => request.onerror());
+      return request;
+    },
+  };
+  try {
+    const store = await openHistoryStore();
+    await store.migrateLegacyStorage();
+    expect(store.backend.persistent).toBe(false);
+    expect(localStorage.getItem(LEGACY_KEYS.score)).toBe('420');
+  } finally {
+    delete window.indexedDB;
+    error.mockRestore();
+  }
+});
+
+test('ignores the "null" mood the old code wrote when nothing was picked', async () => {
+  localStorage.setItem(LEGACY_KEYS.mood, 'null');
+  const store = await openHistoryStore({ inMemory: true });
+  await store.migrateLegacyStorage();
+  expect(await store.listMoods()).toEqual([]);
+});
+
+test('records trials against a session and filters them', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  const session = await store.startSession('digitSpan', { direction: 'forward' });
+  await store.recordTrial({ sessionId: session.id, exerciseType: 'digitSpan', stimulus: [1, 2, 3], response: [1, 2, 3], correct: true });
+  await store.recordTrial({ exerciseType: 'animalNaming', response: 'cat', correct: true });
+  await store.finishSession(session.id, { maxSpan: 3 });
+
+  const trials = await store.listTrials({ sessionId: session.id });
+  expect(trials).toHaveLength(1);
+  expect(trials[0]).toMatchObject({ exerciseType: 'digitSpan', correct: true, reactionTimesMs: [] });
+  expect(await store.listSessions({ completedOnly: true })).toEqual([
+    expect.objectContaining({ id: session.id, summary: { maxSpan: 3 } }),
+  ]);
+});
+
+test('saves, lists and deletes chat conversations', async () => {
+  jest.useFakeTimers().setSystemTime(new Date('2026-01-02T10:00:00.000Z'));
+  const store = await openHistoryStore({ inMemory: true });
+  const first = await store.saveConversation(store.createConversation([
+    { role: 'user', content: 'I had a hard day at therapy', timestamp: '2026-01-02T10:00:00.000Z' },
+  ]));
+  jest.setSystemTime(new Date('2026-01-02T10:05:00.000Z'));
+  const second = await store.saveConversation(store.createConversation());
+
+  expect(first.title).toBe('I had a hard day at therapy');
+  expect(second.title).toBe('');
+  expect((await store.listConversations()).map(conversation => conversation.id)).toEqual([first.id, second.id]);
+
+  jest.setSystemTime(new Date('2026-01-02T10:10:00.000Z'));
+  await store.saveConversation({ ...first, messages: [...first.messages, { role: 'assistant', content: 'That sounds tough.' }] });
+  expect((await store.getConversation(first.id)).messages).toHaveLength(2);
+  expect((await store.listConversations()).map(conversation => conversation.id)).toEqual([second.id, first.id]);
+
+  await store.deleteConversation(first.id);
+  expect(await store.getConversation(first.id)).toBeUndefined();
+  // Remembered so sync doesn't restore it from another device
+  expect(await store.getMeta(DELETIONS_META_KEY)).toEqual({ conversations: { [first.id]: '2026-01-02T10:10:00.000Z' } });
+  jest.useRealTimers();
+});
+
+test('logs chatbot safety events', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  await store.recordSafetyEvent({ conversationId: 'c1', stage: 'input', categories: ['strokeWarning'], text: 'my face is drooping' });
+  expect(await store.listSafetyEvents()).toEqual([
+    expect.objectContaining({ conversationId: 'c1', stage: 'input', categories: ['strokeWarning'], timestamp: expect.any(String) }),
+  ]);
+  expect(await store.listSafetyEvents({ to: '2000-01-01T00:00:00.000Z' })).toEqual([]);
+});
+
+test('keeps one journal entry per day, merging later changes', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  await store.saveJournalEntry('2026-03-02', { fatigue: 6, notes: 'Long therapy day' });
+  await store.saveJournalEntry('2026-03-01', { pain: 2 });
+  await store.saveJournalEntry('2026-03-02', { fatigue: 4 });
+
+  expect(await store.getJournalEntry('2026-03-02')).toMatchObject({ fatigue: 4, notes: 'Long therapy day' });
+  expect((await store.listJournalEntries()).map(entry => entry.date)).toEqual(['2026-03-01', '2026-03-02']);
+  expect((await store.listJournalEntries({ from: '2026-03-02' })).map(entry => entry.date)).toEqual(['2026-03-02']);
+});
+
+test('saves programs and records a guided run step by step', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  const program = await store.saveProgram({ name: 'Mon/Wed/Fri', days: [1, 3, 5], blocks: [] });
+  const renamed = await store.saveProgram({ ...program, name: 'Weekdays' });
+  expect(renamed).toMatchObject({ id: program.id, createdAt: program.createdAt, name: 'Weekdays' });
+  expect(await store.listPrograms()).toHaveLength(1);
+
+  const run = await store.startProgramRun(program.id);
+  await store.recordProgramStep(run.id, { exerciseId: 'digitSpan', round: 1, summary: { maxSpan: 5 } });
+  expect(await store.listProgramRuns({ completedOnly: true })).toEqual([]);
+  await store.finishProgramRun(run.id);
+
+  const [finished] = await store.listProgramRuns({ programId: program.id, completedOnly: true });
+  expect(finished.steps).toEqual([expect.objectContaining({ exerciseId: 'digitSpan', summary: { maxSpan: 5 } })]);
+  await store.deleteProgram(program.id);
+  expect(await store.listPrograms()).toEqual([]);
+});
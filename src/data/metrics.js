@@ -0,0 +1,114 @@
+// Turns raw history (sessions, moods, journal entries, screenings) into the per-day series the progress dashboard plots.
+
+export const MOOD_VALUES = {
+  negative: 1,
+  neutral: 2,
+  positive: 3,
+};
+
+export const DEFAULT_DAILY_SESSION_GOAL = 2;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar day, so a session at 11pm counts for the day the patient experienced it
+export const toDateKey = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const groupByDay = (items, getTimestamp) => items.reduce((days, item) => {
+  const key = toDateKey(getTimestamp(item));
+  (days[key] = days[key] || []).push(item);
+  return days;
+}, {});
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Averages one value per session into one point per day, dropping sessions with no value.
+const dailyAverage = (sessions, getValue) => {
+  const days = groupByDay(sessions.filter(session => getValue(session) !== null), session => session.completedAt);
+  return Object.keys(days).sort().map(date => ({ date, value: mean(days[date].map(getValue)) }));
+};
+
+const completed = (sessions, exerciseType) => sessions.filter(session => (
+  session.exerciseType === exerciseType && session.completedAt && session.summary
+));
+
+export const digitSpanSeries = (sessions, direction) => dailyAverage(
+  completed(sessions, 'digitSpan').filter(session => !direction || session.summary.direction === direction),
+  session => session.summary.maxSpan ?? null
+);
+
+// Words per 60 seconds for one or more fluency categories. Sessions recorded before the
+// verbal fluency module (exerciseType "animalNaming") count as the animals category.
+export const fluencyPerMinute = ({ summary, params }) => {
+  if (summary.count === undefined) return null;
+  const durationMs = summary.durationMs || params?.durationMs || 60000;
+  return summary.count * (60000 / durationMs);
+};
+
+export const fluencyCategoryOf = (session) => (
+  session.exerciseType === 'animalNaming' ? 'animals' : session.summary?.category || session.params?.category
+);
+
+export const fluencySeries = (sessions, categories = 'animals') => {
+  const wanted = [].concat(categories);
+  return dailyAverage(
+    [...completed(sessions, 'verbalFluency'), ...completed(sessions, 'animalNaming')]
+      .filter(session => wanted.includes(fluencyCategoryOf(session))),
+    fluencyPerMinute
+  );
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+export const attentionRates = (summary) => {
+  const nonTargets = summary.itemCount - summary.targetCount;
+  return {
+    accuracy: ratio(summary.hits, summary.targetCount + summary.falseAlarms),
+    hitRate: ratio(summary.hits, summary.targetCount),
+    falseAlarmRate: ratio(summary.falseAlarms, nonTargets),
+  };
+};
+
+export const attentionSeries = (sessions, rate) => dailyAverage(
+  completed(sessions, 'selectiveAttention').filter(session => session.summary.itemCount !== undefined),
+  session => attentionRates(session.summary)[rate]
+);
+
+// The last check-in of each day is the one we plot
+export const moodSeries = (moods) => {
+  const days = groupByDay(moods.filter(entry => MOOD_VALUES[entry.mood]), entry => entry.timestamp);
+  return Object.keys(days).sort().map(date => ({ date, value: MOOD_VALUES[days[date][days[date].length - 1].mood] }));
+};
+
+// Journal entries are already one per day; untouched sliders (null) leave a gap
+export const symptomSeries = (entries, field) => entries
+  .filter(entry => typeof entry[field] === 'number')
+  .map(entry => ({ date: entry.date, value: entry[field] }))
+  .sort((a, b) => (a.date < b.date ? -1 : 1));
+
+// Latest screener score on each day it was taken
+export const screeningSeries = (screenings) => {
+  const days = groupByDay(screenings, entry => entry.timestamp);
+  return Object.keys(days).sort().map(date => ({ date, value: days[date][days[date].length - 1].score }));
+};
+
+// The exercises of one guided program run count as one session, on the day the last of them
+// finished, the same way the home screen counts them
+const oncePerProgramRun = (sessions) => {
+  const lastOfRun = new Map();
+  sessions.forEach(session => { if (session.programRunId) lastOfRun.set(session.programRunId, session); });
+  return sessions.filter(session => !session.programRunId || lastOfRun.get(session.programRunId) === session);
+};
+
+// Completed sessions for each of the last `days` days (oldest first) against the daily goal
+export const weeklyAdherence = (sessions, goal = DEFAULT_DAILY_SESSION_GOAL, today = new Date(), days = 7) => {
+  const counts = groupByDay(oncePerProgramRun(sessions.filter(session => session.completedAt)), session => session.completedAt);
+  return Array.from({ length: days }, (_, i) => {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i));
+    const date = toDateKey(day);
+    const count = (counts[date] || []).length;
+    return { date, count, metGoal: count >= goal };
+  });
+};
@@ -0,0 +1,83 @@
+import { attentionSeries, digitSpanSeries, fluencySeries, moodSeries, screeningSeries, symptomSeries, weeklyAdherence } from './metrics';
+
+const session = (exerciseType, completedAt, summary, params = {}) => ({
+  id: `${exerciseType}-${completedAt}`,
+  exerciseType,
+  params,
+  startedAt: completedAt,
+  completedAt,
+  summary,
+});
+
+test('averages max span per day and direction', () => {
+  const sessions = [
+    session('digitSpan', '2026-03-01T09:00:00', { direction: 'forward', maxSpan: 4 }),
+    session('digitSpan', '2026-03-01T18:00:00', { direction: 'forward', maxSpan: 6 }),
+    session('digitSpan', '2026-03-02T09:00:00', { direction: 'backward', maxSpan: 3 }),
+  ];
+  expect(digitSpanSeries(sessions, 'forward')).toEqual([{ date: '2026-03-01', value: 5 }]);
+  expect(digitSpanSeries(sessions, 'backward')).toEqual([{ date: '2026-03-02', value: 3 }]);
+});
+
+test('normalises fluency counts to a 60 second window', () => {
+  const sessions = [session('animalNaming', '2026-03-01T09:00:00', { count: 6 }, { durationMs: 30000 })];
+  expect(fluencySeries(sessions)).toEqual([{ date: '2026-03-01', value: 12 }]);
+});
+
+test('computes attention hit and false alarm rates', () => {
+  const sessions = [
+    session('selectiveAttention', '2026-03-01T09:00:00', { hits: 3, misses: 1, falseAlarms: 2, targetCount: 4, itemCount: 20 }),
+  ];
+  expect(attentionSeries(sessions, 'hitRate')).toEqual([{ date: '2026-03-01', value: 0.75 }]);
+  expect(attentionSeries(sessions, 'falseAlarmRate')).toEqual([{ date: '2026-03-01', value: 2 / 16 }]);
+});
+
+test('plots the last mood check-in of each day', () => {
+  const moods = [
+    { mood: 'negative', timestamp: '2026-03-01T08:00:00' },
+    { mood: 'positive', timestamp: '2026-03-01T20:00:00' },
+    { mood: 'neutral', timestamp: '2026-03-02T08:00:00' },
+  ];
+  expect(moodSeries(moods)).toEqual([{ date: '2026-03-01', value: 3 }, { date: '2026-03-02', value: 2 }]);
+});
+
+test('counts completed sessions per day for the last week against the goal', () => {
+  const sessions = [
+    session('digitSpan', '2026-03-07T09:00:00', {}),
+    session('digitSpan', '2026-03-07T10:00:00', {}),
+    session('digitSpan', '2026-03-05T10:00:00', {}),
+    { ...session('digitSpan', '2026-03-06T10:00:00', {}), completedAt: null },
+  ];
+  const week = weeklyAdherence(sessions, 2, new Date(2026, 2, 7));
+  expect(week).toHaveLength(7);
+  expect(week[0].date).toBe('2026-03-01');
+  expect(week.slice(4)).toEqual([
+    { date: '2026-03-05', count: 1, metGoal: false },
+    { date: '2026-03-06', count: 0, metGoal: false },
+    { date: '2026-03-07', count: 2, metGoal: true },
+  ]);
+});
+
+test('counts a guided program run as one session however many exercises it chained', () => {
+  const step = (exerciseType, completedAt) => ({ ...session(exerciseType, completedAt, {}), programRunId: 'run-1' });
+  const sessions = [
+    step('digitSpan', '2026-03-07T09:00:00'),
+    step('verbalFluency', '2026-03-07T09:05:00'),
+    step('selectiveAttention', '2026-03-07T09:10:00'),
+    session('digitSpan', '2026-03-07T18:00:00', {}),
+  ];
+  expect(weeklyAdherence(sessions, 2, new Date(2026, 2, 7)).pop()).toEqual({ date: '2026-03-07', count: 2, metGoal: true });
+});
+
+test('plots journal sliders per day, skipping untouched ones, and the latest screener score', () => {
+  const entries = [
+    { date: '2026-03-02', fatigue: 3, pain: null },
+    { date: '2026-03-01', fatigue: 7, pain: 2 },
+  ];
+  expect(symptomSeries(entries, 'fatigue')).toEqual([{ date: '2026-03-01', value: 7 }, { date: '2026-03-02', value: 3 }]);
+  expect(symptomSeries(entries, 'pain')).toEqual([{ date: '2026-03-01', value: 2 }]);
+  expect(screeningSeries([
+    { timestamp: '2026-03-01T09:00:00', score: 12 },
+    { timestamp: '2026-03-01T10:00:00', score: 8 },
+  ])).toEqual([{ date: '2026-03-01', value: 8 }]);
+});
@@ -0,0 +1,129 @@
+// Local profiles for a device shared by several patients. Each patient profile points at its own
+// history database, so one patient's sessions never mix with another's. A therapist profile has
+// no history of its own; it opens the patients' databases to review and prescribe.
+
+import { deleteDatabase, openDatabase } from './db';
+import { DB_NAME, createId } from './historyStore';
+import { MAX_PIN_ATTEMPTS, PIN_LOCKOUT_MS, checkPin, hashPin } from '../profiles/pin';
+
+export const PROFILES_DB_NAME = 'strokeRecoveryProfiles';
+
+export const ROLES = {
+  patient: 'patient',
+  therapist: 'therapist',
+};
+
+const PROFILES = 'profiles';
+const STORE_DEFINITIONS = { [PROFILES]: { keyPath: 'id' } };
+
+// Append-only list of schema migrations; never edit an entry once it has shipped.
+const UPGRADES = [
+  // v0 -> v1: profiles
+  (db) => {
+    db.createObjectStore(PROFILES, { keyPath: 'id' });
+  },
+];
+
+// The first profile keeps the database the app used before profiles existed
+export const DEFAULT_PROFILE_NAME = 'Me';
+
+export const historyDbName = (profileId) => `${DB_NAME}-${profileId}`;
+
+// What the UI gets: everything except the PIN hash and the failed-attempt bookkeeping
+const toPublic = ({ pin, pinFailures, pinLockedUntil, ...profile }) => ({ ...profile, hasPin: Boolean(pin) });
+
+export const createProfileStore = (backend) => {
+  const getRecord = async (id) => {
+    const record = await backend.get(PROFILES, id);
+    if (!record) throw new Error(`Unknown profile: ${id}`);
+    return record;
+  };
+
+  const listProfiles = async () => (await backend.getAll(PROFILES))
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0))
+    .map(toPublic);
+
+  const createProfile = async ({ name, role = ROLES.patient, pin = null, dbName }) => {
+    if (!name || !name.trim()) throw new Error('Give the profile a name.');
+    if (role === ROLES.therapist && !pin) throw new Error('A therapist profile needs a PIN.');
+    const id = createId();
+    const record = {
+      id,
+      name: name.trim(),
+      role,
+      pin: pin ? await hashPin(pin) : null,
+      dbName: role === ROLES.patient ? dbName || historyDbName(id) : null,
+      createdAt: new Date().toISOString(),
+    };
+    await backend.put(PROFILES, record);
+    return toPublic(record);
+  };
+
+  // Creates the first patient profile on a device that has none yet
+  const ensureDefaultProfile = async () => {
+    const profiles = await listProfiles();
+    if (profiles.length > 0) return profiles;
+    await createProfile({ name: DEFAULT_PROFILE_NAME, dbName: DB_NAME });
+    return listProfiles();
+  };
+
+  const renameProfile = async (id, name) => {
+    if (!name || !name.trim()) throw new Error('Give the profile a name.');
+    const record = { ...(await getRecord(id)), name: name.trim() };
+    await backend.put(PROFILES, record);
+    return toPublic(record);
+  };
+
+  // pin === null removes it (patients only; a therapist profile always keeps one)
+  const setPin = async (id, pin) => {
+    const record = await getRecord(id);
+    if (!pin && record.role === ROLES.therapist) throw new Error('A therapist profile needs a PIN.');
+    const updated = { ...record, pin: pin ? await hashPin(pin) : null, pinFailures: 0, pinLockedUntil: null };
+    await backend.put(PROFILES, updated);
+    return toPublic(updated);
+  };
+
+  // Time (ms) until which the profile's PIN pad is locked, or null
+  const pinLockedUntil = async (id, now = Date.now()) => {
+    const { pinLockedUntil: until } = await getRecord(id);
+    return until && until > now ? until : null;
+  };
+
+  // -> { ok, lockedUntil }. Wrong tries and the lockout are saved with the profile, so leaving
+  // the PIN screen or reloading the app doesn't give another round of guesses.
+  const verifyPin = async (id, pin, now = Date.now()) => {
+    const record = await getRecord(id);
+    if (record.pinLockedUntil && record.pinLockedUntil > now) return { ok: false, lockedUntil: record.pinLockedUntil };
+    if (await checkPin(pin, record.pin)) {
+      if (record.pinFailures || record.pinLockedUntil) await backend.put(PROFILES, { ...record, pinFailures: 0, pinLockedUntil: null });
+      return { ok: true, lockedUntil: null };
+    }
+    const failures = (record.pinFailures || 0) + 1;
+    const lockedUntil = failures >= MAX_PIN_ATTEMPTS ? now + PIN_LOCKOUT_MS : null;
+    await backend.put(PROFILES, { ...record, pinFailures: lockedUntil ? 0 : failures, pinLockedUntil: lockedUntil });
+    return { ok: false, lockedUntil };
+  };
+
+  // Deletes the profile and, for a patient, all of their history
+  const deleteProfile = async (id) => {
+    const record = await getRecord(id);
+    await backend.delete(PROFILES, id);
+    if (record.dbName) await deleteDatabase(record.dbName);
+  };
+
+  return {
+    listProfiles,
+    createProfile,
+    ensureDefaultProfile,
+    renameProfile,
+    setPin,
+    pinLockedUntil,
+    verifyPin,
+    deleteProfile,
+  };
+};
+
+export const openProfileStore = async ({ inMemory = false } = {}) => {
+  const backend = await openDatabase({ name: PROFILES_DB_NAME, upgrades: UPGRADES, storeDefinitions: STORE_DEFINITIONS, inMemory });
+  return createProfileStore(backend);
+};
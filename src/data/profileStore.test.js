@@ -0,0 +1,35 @@
+import { DB_NAME } from './historyStore';
+import { DEFAULT_PROFILE_NAME, ROLES, historyDbName, openProfileStore } from './profileStore';
+
+test('the first profile keeps the existing history database', async () => {
+  const store = await openProfileStore({ inMemory: true });
+  const [profile] = await store.ensureDefaultProfile();
+  expect(profile).toMatchObject({ name: DEFAULT_PROFILE_NAME, role: ROLES.patient, dbName: DB_NAME, hasPin: false });
+  expect(await store.ensureDefaultProfile()).toHaveLength(1);
+});
+
+test('gives every new patient their own history database', async () => {
+  const store = await openProfileStore({ inMemory: true });
+  const anna = await store.createProfile({ name: ' Anna ' });
+  const ben = await store.createProfile({ name: 'Ben' });
+  expect(anna.name).toBe('Anna');
+  expect(anna.dbName).toBe(historyDbName(anna.id));
+  expect(ben.dbName).not.toBe(anna.dbName);
+  expect((await store.listProfiles()).map(profile => profile.name)).toEqual(['Anna', 'Ben']);
+
+  await store.deleteProfile(anna.id);
+  expect((await store.listProfiles()).map(profile => profile.name)).toEqual(['Ben']);
+});
+
+test('a therapist profile has no history of its own and needs a PIN', async () => {
+  const store = await openProfileStore({ inMemory: true });
+  await expect(store.createProfile({ name: 'Dr Lee', role: ROLES.therapist })).rejects.toThrow(/needs a PIN/);
+  await expect(store.createProfile({ name: '  ' })).rejects.toThrow(/name/);
+});
+
+test('a profile without a PIN opens without one', async () => {
+  const store = await openProfileStore({ inMemory: true });
+  const profile = await store.createProfile({ name: 'Anna' });
+  expect(await store.verifyPin(profile.id, '')).toEqual({ ok: true, lockedUntil: null });
+  expect((await store.listProfiles())[0]).not.toHaveProperty('pin');
+});
@@ -0,0 +1,319 @@
+// Demo scenarios: generated patient histories for clinic demos, manual testing and regression
+// tests. A scenario is built as a backup snapshot and merged in with restoreSnapshot, the
+// same path as restoring a backup, so the dashboard, reports and therapist view read it like
+// real data. Sessions are played through each exercise's own engine and scoreTrial, so the
+// trials and summaries have exactly the shape the app records. The same scenario, seed and
+// date always give the same history, IDs included.
+
+import { SNAPSHOT_FORMAT, restoreSnapshot } from '../backup/snapshot';
+import { SCHEMA_VERSION, STORES } from '../data/historyStore';
+import { toDateKey } from '../data/metrics';
+import { getExercise } from '../exercises';
+import { applyTrialResult, createStaircase, generateSequence, summarizeSession } from '../exercises/digitSpan/engine';
+import { addFluencyEntry, createFluencyState, summarizeFluency } from '../exercises/verbalFluency/engine';
+import { CATEGORIES } from '../exercises/verbalFluency/lexicon';
+import { generateGrid } from '../exercises/selectiveAttention/engine';
+import { CAREGIVER_META_KEY, SAFETY_CATEGORIES, classifyMessage, escalationReply } from '../chat/safety';
+import { mockReply } from '../chat/mockReplies';
+import { PHQ9_ITEMS, scorePhq9 } from '../journal/phq9';
+import { createRandom, pick, randomInt, shuffled } from '../random/random';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const at = (now, daysAgo, hour, minute = 0) => new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysAgo, hour, minute);
+
+// Collects rows per store, with IDs that depend only on the order records are made in
+const createHistory = (prefix) => {
+  let count = 0;
+  const stores = Object.fromEntries(Object.values(STORES).map(storeName => [storeName, []]));
+  return {
+    stores,
+    id: () => `${prefix}-${(count += 1)}`,
+    add: (storeName, row) => {
+      stores[storeName].push(row);
+      return row;
+    },
+  };
+};
+
+// Records a session and its trials the way ExerciseRunner does; returns the points scored
+const recordSession = (history, exerciseId, params, startedAt, play) => {
+  const exercise = getExercise(exerciseId);
+  const sessionId = history.id();
+  let clock = startedAt.getTime();
+  const recordTrial = (attempt, elapsedMs) => {
+    clock += elapsedMs;
+    const { details, ...result } = exercise.scoreTrial(attempt, params);
+    history.add(STORES.trials, { id: history.id(), sessionId, exerciseType: exerciseId, ...result, timestamp: new Date(clock).toISOString() });
+    return { ...result, details };
+  };
+  const summary = play(recordTrial);
+  history.add(STORES.sessions, {
+    id: sessionId,
+    exerciseType: exerciseId,
+    params,
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date(clock).toISOString(),
+    summary,
+  });
+  return summary.points;
+};
+
+// Sequences up to `span` digits are usually right, longer ones usually wrong
+const playDigitSpan = (history, random, startedAt, { span }) => {
+  const params = { ...getExercise('digitSpan').defaultDifficulty, trialsPerSession: 8 };
+  return recordSession(history, 'digitSpan', params, startedAt, (recordTrial) => {
+    let staircase = createStaircase(params.direction, params.startLength);
+    for (let i = 0; i < params.trialsPerSession; i++) {
+      const sequence = generateSequence(staircase.length, random);
+      const reach = sequence.length <= Math.floor(span) ? 0.9 : sequence.length === Math.floor(span) + 1 ? (span % 1) * 0.8 : 0.1;
+      const answer = random() < reach ? sequence : sequence.map((digit, j) => (j === sequence.length - 1 ? (digit + 1) % 10 : digit));
+      const result = recordTrial({
+        sequence,
+        direction: params.direction,
+        input: answer.join(''),
+        reactionTimeMs: randomInt(random, 1500, 4500),
+      }, randomInt(random, 6000, 12000));
+      staircase = applyTrialResult(staircase, { sequence, response: result.response, correct: result.correct });
+    }
+    return summarizeSession(staircase);
+  });
+};
+
+// Names quickly at first and slows down, with the odd repeat or wrong-category word
+const playVerbalFluency = (history, random, startedAt, { wordsPerMinute }) => {
+  const params = getExercise('verbalFluency').defaultDifficulty;
+  const durationMs = params.durationSeconds * 1000;
+  return recordSession(history, 'verbalFluency', params, startedAt, (recordTrial) => {
+    const words = shuffled(random, CATEGORIES[params.category].words).slice(0, Math.max(3, Math.round(wordsPerMinute + (random() - 0.5) * 4)));
+    if (random() < 0.5) words.splice(randomInt(random, 2, words.length), 0, words[1]);
+    if (random() < 0.3) words.splice(randomInt(random, 1, words.length), 0, pick(random, ['table', 'apple', 'chair', 'car']));
+
+    let state = createFluencyState(params.category);
+    let elapsedMs = 0;
+    words.forEach((word, i) => {
+      const nextMs = Math.min(durationMs - 1, Math.round(durationMs * ((i + random()) / words.length) ** 1.4));
+      const added = addFluencyEntry(state, word, nextMs);
+      state = added.state;
+      recordTrial({ category: params.category, language: 'en', entry: added.entry }, nextMs - elapsedMs);
+      elapsedMs = nextMs;
+    });
+    return summarizeFluency(state, durationMs);
+  });
+};
+
+// leftPenalty lowers the hit rate on the left half, as in left-sided neglect
+const playSelectiveAttention = (history, random, startedAt, { hitRate, leftPenalty, seconds }) => {
+  const params = getExercise('selectiveAttention').defaultDifficulty;
+  return recordSession(history, 'selectiveAttention', params, startedAt, (recordTrial) => {
+    const grid = generateGrid(params, random);
+    const found = grid.cells.filter(cell => cell.isTarget && random() < hitRate - (cell.side === 'left' ? leftPenalty : 0));
+    const mistakes = grid.cells.filter(cell => !cell.isTarget && random() < 0.03);
+    const completionTimeMs = Math.round(seconds * 1000 * (0.9 + random() * 0.2));
+    const selected = shuffled(random, [...found, ...mistakes]).map(cell => cell.index);
+    const taps = selected.map((index, i) => ({ index, atMs: Math.round((completionTimeMs * (i + 1)) / (selected.length + 1)) }));
+    return recordTrial({ grid, selected, taps, completionTimeMs }, completionTimeMs).details;
+  });
+};
+
+// Spreads a PHQ-9 total over the items; item 9 (self-harm) is only set when asked for
+const phq9Answers = (random, score, selfHarm = 0) => {
+  const items = PHQ9_ITEMS.filter(item => item.id !== 'selfHarm');
+  const answers = Object.fromEntries(items.map(item => [item.id, 0]));
+  for (let remaining = clamp(score - selfHarm, 0, items.length * 3); remaining > 0;) {
+    const item = pick(random, items);
+    if (answers[item.id] < 3) {
+      answers[item.id] += 1;
+      remaining -= 1;
+    }
+  }
+  return { ...answers, selfHarm };
+};
+
+const moodFor = (wellbeing) => (wellbeing > 0.62 ? 'positive' : wellbeing > 0.38 ? 'neutral' : 'negative');
+
+const JOURNAL_NOTES = {
+  good: ['Walked to the shop with my cane.', 'Made tea by myself.', 'Read a few pages of the paper.', 'Grandchildren visited.'],
+  bad: ['Stayed in bed most of the morning.', 'Could not face my exercises.', 'Everything feels slow.', 'Did not sleep much.'],
+};
+
+const addConversation = (history, startedAt, lines) => {
+  let clock = startedAt.getTime();
+  const messages = lines.map(([role, content]) => {
+    clock += 45000;
+    return { role, content, timestamp: new Date(clock).toISOString() };
+  });
+  const firstUserMessage = messages.find(message => message.role === 'user');
+  return history.add(STORES.conversations, {
+    id: history.id(),
+    title: firstUserMessage ? firstUserMessage.content.slice(0, 60) : '',
+    createdAt: startedAt.toISOString(),
+    updatedAt: new Date(clock).toISOString(),
+    messages,
+  });
+};
+
+// A patient message the safety screen catches, answered with the escalation card's reply
+// and logged as ChatPanel would
+const addCrisisConversation = (history, startedAt, opening, text) => {
+  const screening = classifyMessage(text);
+  const conversation = addConversation(history, startedAt, [
+    ['user', opening],
+    ['assistant', mockReply(opening)],
+    ['user', text],
+    ['assistant', escalationReply(screening.categories)],
+  ]);
+  history.add(STORES.safetyEvents, {
+    id: history.id(),
+    timestamp: conversation.messages[2].timestamp,
+    conversationId: conversation.id,
+    stage: 'input',
+    categories: screening.categories,
+    matches: screening.matches,
+    text,
+  });
+};
+
+// Each scenario describes the patient over `days` days, `progress` running from 0 (first
+// day) to 1 (yesterday). Today is left free for a live session.
+export const DEMO_SCENARIOS = {
+  improving: {
+    id: 'improving',
+    title: '8 weeks of steady improvement',
+    days: 56,
+    practiceRate: () => 0.8,
+    ability: (progress) => ({
+      span: 4 + 2.6 * progress,
+      wordsPerMinute: 10 + 8 * progress,
+      hitRate: 0.72 + 0.26 * progress,
+      leftPenalty: 0.25 * (1 - progress),
+      seconds: 100 - 45 * progress,
+    }),
+    wellbeing: (progress) => 0.4 + 0.45 * progress,
+    screenerScore: (progress) => Math.round(12 - 9 * progress),
+    extras: (history, now) => {
+      history.add(STORES.programs, {
+        id: history.id(),
+        name: 'Morning practice',
+        days: [1, 3, 5],
+        reminderTime: '10:00',
+        remindersEnabled: false,
+        blocks: [
+          { exerciseId: 'digitSpan', difficulty: getExercise('digitSpan').defaultDifficulty, rounds: 1 },
+          { exerciseId: 'verbalFluency', difficulty: getExercise('verbalFluency').defaultDifficulty, rounds: 1 },
+        ],
+        createdAt: at(now, 42, 9).toISOString(),
+        updatedAt: at(now, 42, 9).toISOString(),
+      });
+      addConversation(history, at(now, 3, 19), [
+        ['user', 'Hello'],
+        ['assistant', mockReply('Hello')],
+        ['user', 'My therapist says my exercise scores keep getting better'],
+        ['assistant', mockReply('My therapist says my exercise scores keep getting better')],
+      ]);
+    },
+  },
+  decliningMood: {
+    id: 'decliningMood',
+    title: 'Declining mood with a crisis event',
+    days: 28,
+    practiceRate: (progress) => 0.85 - 0.6 * progress,
+    ability: () => ({ span: 4.6, wordsPerMinute: 12, hitRate: 0.85, leftPenalty: 0.1, seconds: 80 }),
+    wellbeing: (progress) => 0.65 - 0.55 * progress,
+    screenerScore: (progress) => Math.round(6 + 12 * progress),
+    screenerSelfHarm: (progress) => (progress > 0.9 ? 1 : 0),
+    extras: (history, now) => {
+      history.add(STORES.meta, { key: CAREGIVER_META_KEY, value: { name: 'Maria', phone: '555-0100' }, updatedAt: at(now, 27, 9).toISOString() });
+      addCrisisConversation(history, at(now, 2, 22), 'I feel so down and lonely tonight', 'Sometimes I think everyone would be better off without me');
+    },
+  },
+  firstWeek: {
+    id: 'firstWeek',
+    title: 'First week home from hospital',
+    days: 6,
+    practiceRate: () => 0.7,
+    ability: (progress) => ({ span: 3.4 + 0.4 * progress, wordsPerMinute: 7, hitRate: 0.6, leftPenalty: 0.3, seconds: 120 }),
+    wellbeing: () => 0.45,
+    screenerScore: () => 9,
+    extras: () => {},
+  },
+};
+
+export const DEFAULT_DEMO_SCENARIO = 'improving';
+
+const SCREENER_INTERVAL_DAYS = 14;
+
+// ?scenario= in the address, then REACT_APP_DEMO_SCENARIO at build time
+export const loadDemoScenarioId = (search = typeof window !== 'undefined' ? window.location.search : '') => {
+  const requested = new URLSearchParams(search).get('scenario') || process.env.REACT_APP_DEMO_SCENARIO;
+  return DEMO_SCENARIOS[requested] ? requested : DEFAULT_DEMO_SCENARIO;
+};
+
+export const buildScenario = (scenarioId, { seed = scenarioId, now = new Date() } = {}) => {
+  const scenario = DEMO_SCENARIOS[scenarioId];
+  if (!scenario) throw new Error(`Unknown demo scenario: ${scenarioId}`);
+  const random = createRandom(`${seed}:scenario`);
+  const history = createHistory(scenario.id);
+  let score = 0;
+  let sessionCount = 0;
+
+  for (let daysAgo = scenario.days; daysAgo >= 1; daysAgo--) {
+    const progress = (scenario.days - daysAgo) / Math.max(1, scenario.days - 1);
+    const ability = scenario.ability(progress);
+    const wellbeing = clamp(scenario.wellbeing(progress) + (random() - 0.5) * 0.2, 0, 1);
+    const day = at(now, daysAgo, 9);
+
+    history.add(STORES.moods, { id: history.id(), mood: moodFor(wellbeing), timestamp: at(now, daysAgo, 9, randomInt(random, 0, 30)).toISOString() });
+
+    if (random() < scenario.practiceRate(progress)) {
+      const plays = [playDigitSpan, daysAgo % 2 ? playVerbalFluency : playSelectiveAttention];
+      for (const [i, play] of plays.entries()) {
+        score += play(history, random, at(now, daysAgo, 10 + i * 5, randomInt(random, 0, 45)), ability);
+        sessionCount += 1;
+      }
+    }
+
+    if (daysAgo % 2 === 0) {
+      const notes = JOURNAL_NOTES[wellbeing > 0.5 ? 'good' : 'bad'];
+      history.add(STORES.journal, {
+        date: toDateKey(day),
+        fatigue: clamp(Math.round((1 - wellbeing) * 9 + random() * 2), 0, 10),
+        pain: clamp(Math.round((1 - wellbeing) * 5 + random() * 2), 0, 10),
+        sleep: clamp(Math.round(wellbeing * 8 + random() * 2), 0, 10),
+        notes: random() < 0.5 ? pick(random, notes) : '',
+        updatedAt: at(now, daysAgo, 20).toISOString(),
+      });
+    }
+
+    // Counted back from yesterday, so the latest check-in reflects the end of the scenario
+    if ((daysAgo - 1) % SCREENER_INTERVAL_DAYS === 0) {
+      const answers = phq9Answers(random, scenario.screenerScore(progress), scenario.screenerSelfHarm ? scenario.screenerSelfHarm(progress) : 0);
+      const screening = history.add(STORES.screenings, {
+        id: history.id(),
+        timestamp: at(now, daysAgo, 20, 30).toISOString(),
+        instrument: 'phq9',
+        format: 'standard',
+        answers,
+        ...scorePhq9(answers),
+      });
+      if (screening.selfHarmPositive) {
+        history.add(STORES.safetyEvents, {
+          id: history.id(),
+          timestamp: screening.timestamp,
+          stage: 'screener',
+          categories: [SAFETY_CATEGORIES.selfHarm],
+          matches: [{ category: SAFETY_CATEGORIES.selfHarm, phrase: `PHQ-9 item 9 answered ${answers.selfHarm}` }],
+        });
+      }
+    }
+  }
+
+  scenario.extras(history, now);
+  const updatedAt = now.toISOString();
+  history.add(STORES.meta, { key: 'score', value: score, updatedAt });
+  history.add(STORES.meta, { key: 'sessionCount', value: sessionCount, updatedAt });
+
+  return { format: SNAPSHOT_FORMAT, schemaVersion: SCHEMA_VERSION, exportedAt: updatedAt, stores: history.stores, deleted: {} };
+};
+
+export const loadScenario = (historyStore, scenarioId, options) => restoreSnapshot(historyStore, buildScenario(scenarioId, options));
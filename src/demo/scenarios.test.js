@@ -0,0 +1,47 @@
+import { DEMO_SCENARIOS, buildScenario, loadDemoScenarioId, loadScenario } from './scenarios';
+import { openHistoryStore } from '../data/historyStore';
+import { digitSpanSeries } from '../data/metrics';
+
+const NOW = new Date(2026, 2, 2, 12);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+test.each(Object.keys(DEMO_SCENARIOS))('%s is the same every time for the same seed and date', (scenarioId) => {
+  expect(buildScenario(scenarioId, { now: NOW })).toEqual(buildScenario(scenarioId, { now: NOW }));
+  expect(buildScenario(scenarioId, { now: NOW, seed: 'other' })).not.toEqual(buildScenario(scenarioId, { now: NOW }));
+});
+
+test('the improving patient gets better over the eight weeks', () => {
+  const { stores } = buildScenario('improving', { now: NOW });
+  const spans = digitSpanSeries(stores.sessions).map(point => point.value);
+  expect(spans.length).toBeGreaterThan(30);
+  expect(mean(spans.slice(-10))).toBeGreaterThan(mean(spans.slice(0, 10)));
+  const screenings = stores.screenings.sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+  expect(screenings[screenings.length - 1].score).toBeLessThan(screenings[0].score);
+  expect(stores.safetyEvents).toEqual([]);
+});
+
+test('the declining patient has a crisis event and a screener that needs a clinician', () => {
+  const { stores } = buildScenario('decliningMood', { now: NOW });
+  expect(stores.safetyEvents.map(event => event.stage).sort()).toEqual(['input', 'screener']);
+  const chat = stores.safetyEvents.find(event => event.stage === 'input');
+  expect(stores.conversations.map(conversation => conversation.id)).toContain(chat.conversationId);
+  const latest = stores.screenings.sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1)).pop();
+  expect(latest).toMatchObject({ needsClinician: true, selfHarmPositive: true });
+});
+
+test('loads into a history store with totals that match the sessions', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  await loadScenario(store, 'firstWeek', { now: NOW });
+  const sessions = await store.listSessions({ completedOnly: true });
+  expect(sessions.length).toBeGreaterThan(0);
+  expect(await store.getMeta('sessionCount')).toBe(sessions.length);
+  expect(await store.getMeta('score')).toBe(sessions.reduce((total, session) => total + session.summary.points, 0));
+  const trials = await store.listTrials({ sessionId: sessions[0].id });
+  expect(trials.length).toBeGreaterThan(0);
+});
+
+test('picks the scenario from the address, falling back to the default', () => {
+  expect(loadDemoScenarioId('?scenario=decliningMood')).toBe('decliningMood');
+  expect(loadDemoScenarioId('?scenario=nope')).toBe('improving');
+});
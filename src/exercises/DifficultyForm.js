@@ -0,0 +1,46 @@
+import React from 'react';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Renders an exercise's difficultySchema as a settings form. Options meant for other languages
+// are hidden unless already chosen, so a saved choice is never silently changed.
+const DifficultyForm = ({ exerciseId, schema, value, onChange, disabled = false }) => {
+  const { language, t } = useTranslation();
+  const label = (key, fallback) => t(`${exerciseId}.${key}`, { defaultValue: fallback });
+
+  return (
+    <div className="grid grid-cols-1 gap-3 text-left text-gray-700">
+      {Object.entries(schema).map(([field, spec]) => (
+        <label key={field} className="flex items-center justify-between">
+          {label(field, spec.label)}
+          {spec.type === 'select' ? (
+            <select
+              value={String(value[field])}
+              disabled={disabled}
+              // Option values may be numbers; map the DOM string back to the original value
+              onChange={(e) => onChange({ [field]: spec.options.find(option => String(option.value) === e.target.value).value })}
+              className="p-2 border border-gray-300 rounded-md text-gray-800"
+            >
+              {spec.options
+                .filter(option => !option.languages || option.languages.includes(language) || option.value === value[field])
+                .map(option => (
+                  <option key={String(option.value)} value={String(option.value)}>{label(`${field}.${option.value}`, option.label)}</option>
+                ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              min={spec.min}
+              max={spec.max}
+              value={value[field]}
+              disabled={disabled}
+              onChange={(e) => onChange({ [field]: e.target.value === '' ? '' : Number(e.target.value) })}
+              className="w-20 p-2 border border-gray-300 rounded-md text-gray-800"
+            />
+          )}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default DifficultyForm;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import DifficultyForm from './DifficultyForm';
+import { resolveDifficulty } from './registry';
+import { useTranslation } from '../i18n/I18nContext';
+import { useRandomSource } from '../random/RandomContext';
+
+export const difficultyMetaKey = (exerciseId) => `difficulty:${exerciseId}`;
+
+// Runs one session of any registered exercise: settings form, history session bookkeeping,
+// trial scoring/recording and completion. The exercise's own Component only handles its task.
+// With a presetDifficulty (a prescribed program step) the settings form is skipped and the
+// patient's own saved settings are left alone. With difficultyLocked (a therapist manages this
+// patient) the saved settings are shown but can't be changed. A programRunId marks the session
+// as a step of that guided program run. Each run gets its own random
+// stream, which is seeded when the app has a seed. The exercise only starts once the run's
+// history session exists, so every trial is recorded against it.
+const ExerciseRunner = ({ exercise, historyStore, presetDifficulty, programRunId = null, difficultyLocked = false, onPoints, onComplete, onCancel }) => {
+  const { t } = useTranslation();
+  const randomSource = useRandomSource();
+  const [random, setRandom] = useState(null);
+  const [difficulty, setDifficulty] = useState(presetDifficulty || exercise.defaultDifficulty);
+  const [running, setRunning] = useState(Boolean(presetDifficulty));
+  const [feedback, setFeedback] = useState('');
+  const sessionId = useRef(null);
+  const autoStarted = useRef(false);
+
+  // Fire-and-forget write; storage problems are logged rather than interrupting an exercise
+  const writeHistory = (write) => {
+    if (!historyStore) return Promise.resolve();
+    return write(historyStore).catch(error => console.error('Error writing to history store:', error));
+  };
+
+  useEffect(() => {
+    if (!historyStore || presetDifficulty) return undefined;
+    let cancelled = false;
+    historyStore.getMeta(difficultyMetaKey(exercise.id), exercise.defaultDifficulty)
+      .then(saved => { if (!cancelled) setDifficulty(resolveDifficulty(exercise, saved)); })
+      .catch(error => console.error('Error loading exercise settings:', error));
+    return () => { cancelled = true; };
+  }, [exercise, historyStore, presetDifficulty]);
+
+  const handleDifficultyChange = (changes) => {
+    setDifficulty(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleStart = (selected = difficulty) => {
+    const resolved = resolveDifficulty(exercise, selected);
+    setDifficulty(resolved);
+    setFeedback('');
+    setRandom(null);
+    setRunning(true);
+    sessionId.current = null;
+    const stream = randomSource(exercise.id);
+    // The exercise mounts once its session is open, so no trial is recorded without one
+    writeHistory(async store => {
+      if (!presetDifficulty && !difficultyLocked) await store.setMeta(difficultyMetaKey(exercise.id), resolved);
+      sessionId.current = (await store.startSession(exercise.id, resolved, programRunId)).id;
+    }).then(() => setRandom(() => stream));
+  };
+
+  // A prescribed step starts on mount. Guarded so StrictMode's double mount doesn't open two
+  // history sessions
+  const startOnMount = useRef(handleStart);
+  useEffect(() => {
+    if (presetDifficulty && !autoStarted.current) {
+      autoStarted.current = true;
+      startOnMount.current(presetDifficulty);
+    }
+  }, [presetDifficulty]);
+
+  // Scores and records one attempt, and hands the standard trial result back to the exercise
+  const handleTrial = (attempt) => {
+    const { details, ...result } = exercise.scoreTrial(attempt, difficulty);
+    const trialSessionId = sessionId.current;
+    writeHistory(store => store.recordTrial({ sessionId: trialSessionId, exerciseType: exercise.id, ...result }));
+    if (result.points) onPoints(result.points);
+    return { ...result, details };
+  };
+
+  const handleComplete = (summary) => {
+    const finishedSessionId = sessionId.current;
+    if (finishedSessionId) {
+      writeHistory(store => store.finishSession(finishedSessionId, summary));
+    }
+    sessionId.current = null;
+    setRunning(false);
+    onComplete(exercise, summary, exercise.formatSummary(summary, t));
+  };
+
+  if (!running) {
+    return (
+      <div className="w-full">
+        <h3 className="text-xl font-bold mb-2 text-blue-700">{t(`${exercise.id}.title`, { defaultValue: exercise.title })}</h3>
+        {exercise.description && <p className="text-gray-600 mb-4">{t(`${exercise.id}.description`, { defaultValue: exercise.description })}</p>}
+        <DifficultyForm exerciseId={exercise.id} schema={exercise.difficultySchema} value={difficulty} onChange={handleDifficultyChange} disabled={difficultyLocked} />
+        {difficultyLocked && <p className="text-sm text-gray-600 mt-2">{t('runner.therapistSets')}</p>}
+        <div className="flex justify-center gap-4 mt-4">
+          <button
+            onClick={onCancel}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-3 px-6 rounded-lg transition duration-300"
+          >
+            {t('common.back')}
+          </button>
+          <button
+            onClick={() => handleStart()}
+            className={`${exercise.color || 'bg-blue-500 hover:bg-blue-600'} text-white font-bold py-3 px-6 rounded-lg transition duration-300`}
+          >
+            {t('runner.start')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Still opening the history session
+  if (!random) return null;
+
+  const { Component } = exercise;
+  return (
+    <div className="w-full text-center">
+      <p className="text-xl font-bold mb-4 text-blue-700" role="status" aria-live="polite">{feedback}</p>
+      <Component difficulty={difficulty} random={random} onTrial={handleTrial} onComplete={handleComplete} setFeedback={setFeedback} />
+      <button
+        onClick={onCancel}
+        className="mt-6 text-sm text-gray-500 underline hover:text-gray-700"
+      >
+        {t('runner.stop')}
+      </button>
+    </div>
+  );
+};
+
+export default ExerciseRunner;
@@ -0,0 +1,128 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ExerciseRunner from './ExerciseRunner';
+import { getExercise } from '.';
+import { openHistoryStore } from '../data/historyStore';
+import { RandomContext } from '../random/RandomContext';
+import { createRandom, createRandomSource } from '../random/random';
+import { generateSequence } from './digitSpan/engine';
+import { generateGrid } from './selectiveAttention/engine';
+
+const SEED = 'test';
+
+// A seeded run, so the test can work out the digits and grid the patient will see
+const renderRunner = async (exerciseId, presetDifficulty) => {
+  const store = await openHistoryStore({ inMemory: true });
+  const onPoints = jest.fn();
+  const onComplete = jest.fn();
+  render(
+    <RandomContext.Provider value={createRandomSource(SEED)}>
+      <ExerciseRunner
+        exercise={getExercise(exerciseId)}
+        historyStore={store}
+        presetDifficulty={presetDifficulty}
+        onPoints={onPoints}
+        onComplete={onComplete}
+        onCancel={() => {}}
+      />
+    </RandomContext.Provider>,
+  );
+  await screen.findByRole('button', { name: 'Stop exercise' });
+  return { store, onPoints, onComplete };
+};
+
+const advance = (ms) => act(() => { jest.advanceTimersByTime(ms); });
+
+const savedSession = async (store) => {
+  let sessions = [];
+  await waitFor(async () => {
+    sessions = await store.listSessions({ completedOnly: true });
+    expect(sessions).toHaveLength(1);
+  });
+  return { session: sessions[0], trials: await store.listTrials({ sessionId: sessions[0].id }) };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('digit span scores each answer and saves the session', async () => {
+  const digitSpan = getExercise('digitSpan');
+  const { store, onPoints, onComplete } = await renderRunner('digitSpan', { ...digitSpan.defaultDifficulty, trialsPerSession: 4 });
+  const random = createRandom(`${SEED}:digitSpan:0`);
+
+  // Two right at each length steps the sequence up by one; the last answer is deliberately wrong
+  const lengths = [3, 3, 4, 4];
+  lengths.forEach((length, i) => {
+    if (i > 0) advance(2000);
+    const sequence = generateSequence(length, random);
+    advance(1000 + length * 1000);
+    const answer = i === lengths.length - 1 ? '0'.repeat(length) : sequence.join('');
+    fireEvent.change(screen.getByRole('textbox', { name: 'Your answer' }), { target: { value: answer } });
+    fireEvent.click(screen.getByRole('button', { name: 'Check' }));
+  });
+
+  expect(onPoints.mock.calls.map(([points]) => points)).toEqual([30, 30, 40]);
+  expect(onComplete).toHaveBeenCalledTimes(1);
+  const { session, trials } = await savedSession(store);
+  expect(session.exerciseType).toBe('digitSpan');
+  expect(trials.map(trial => trial.correct)).toEqual([true, true, true, false]);
+  expect(trials.map(trial => trial.stimulus.length)).toEqual(lengths);
+});
+
+test('selective attention scores the marked cells and saves the grid', async () => {
+  const selectiveAttention = getExercise('selectiveAttention');
+  const difficulty = { ...selectiveAttention.defaultDifficulty, rows: 4, cols: 6, targetCount: 4 };
+  const { store, onPoints, onComplete } = await renderRunner('selectiveAttention', difficulty);
+  const grid = generateGrid(difficulty, createRandom(`${SEED}:selectiveAttention:0`));
+
+  const cellName = (cell) => `Row ${cell.row + 1}, column ${cell.col + 1}: ${cell.symbol}`;
+  const [missed, ...found] = grid.cells.filter(cell => cell.isTarget);
+  const distractor = grid.cells.find(cell => !cell.isTarget);
+  [...found, distractor].forEach(cell => fireEvent.click(screen.getByRole('button', { name: cellName(cell) })));
+  expect(screen.getByRole('button', { name: cellName(missed) })).toHaveAttribute('aria-pressed', 'false');
+  fireEvent.click(screen.getByRole('button', { name: 'Done' }));
+
+  expect(onPoints).toHaveBeenCalledWith(found.length * 10 - 5);
+  const [, summary] = onComplete.mock.calls[0];
+  expect(summary).toMatchObject({ hits: found.length, misses: 1, falseAlarms: 1 });
+  const { trials } = await savedSession(store);
+  expect(trials).toHaveLength(1);
+  expect(trials[0].stimulus.map(cell => cell.symbol)).toEqual(grid.cells.map(cell => cell.symbol));
+});
+
+test('a run started from the settings form records every trial against its session', async () => {
+  const store = await openHistoryStore({ inMemory: true });
+  render(
+    <RandomContext.Provider value={createRandomSource(SEED)}>
+      <ExerciseRunner exercise={getExercise('selectiveAttention')} historyStore={store} onPoints={() => {}} onComplete={() => {}} onCancel={() => {}} />
+    </RandomContext.Provider>,
+  );
+  fireEvent.click(await screen.findByRole('button', { name: 'Start' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Done' }));
+
+  const { session, trials } = await savedSession(store);
+  expect(trials).toHaveLength(1);
+  expect(trials[0].sessionId).toBe(session.id);
+  expect(await store.listTrials()).toHaveLength(1);
+});
+
+test('verbal fluency credits new category words until the timer runs out', async () => {
+  const verbalFluency = getExercise('verbalFluency');
+  const { store, onComplete } = await renderRunner('verbalFluency', { ...verbalFluency.defaultDifficulty, durationSeconds: 30 });
+
+  ['cat', 'dog', 'Cats', 'hammer', 'horse'].forEach(word => {
+    fireEvent.change(screen.getByRole('textbox', { name: 'Word' }), { target: { value: word } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    advance(1000);
+  });
+  advance(30000);
+
+  const [, summary] = onComplete.mock.calls[0];
+  expect(summary).toMatchObject({ category: 'animals', count: 3, perseverations: 1, intrusions: 1 });
+  const { trials } = await savedSession(store);
+  expect(trials).toHaveLength(5);
+});
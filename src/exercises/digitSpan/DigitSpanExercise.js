@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Volume2 } from 'lucide-react';
+import NumberPad from '../../components/NumberPad';
+import MicButton from '../../speech/MicButton';
+import { useAccessibility } from '../../accessibility/AccessibilityContext';
+import { useTranslation } from '../../i18n/I18nContext';
+import { useSpeechRecognition } from '../../speech/useSpeechRecognition';
+import { PRESENTATIONS, RESPONSE_MODES, cancelSpeech, speak, speechSynthesisSupported } from '../../speech/speech';
+import {
+  DIRECTIONS,
+  DIGIT_ON_MS,
+  DIGIT_GAP_MS,
+  digitsFromSpeech,
+  generateSequence,
+  createStaircase,
+  applyTrialResult,
+  isSessionComplete,
+  summarizeSession,
+} from './engine';
+
+const LEAD_MS = 1000; // Give a moment before the first digit
+const FEEDBACK_MS = 2000;
+
+const DigitSpanExercise = ({ difficulty, random = Math.random, onTrial, onComplete, setFeedback }) => {
+  const { onScreenPad } = useAccessibility();
+  const { language, speechLang, t } = useTranslation();
+  const [staircase, setStaircase] = useState(() => createStaircase(difficulty.direction, difficulty.startLength));
+  const [sequence, setSequence] = useState([]);
+  const [phase, setPhase] = useState('presenting'); // presenting | responding | feedback
+  const [presentedDigit, setPresentedDigit] = useState(null);
+  const [input, setInput] = useState('');
+  // Spoken presentation falls back to the screen when the browser has no voices
+  const [audio] = useState(() => difficulty.presentation === PRESENTATIONS.audio && speechSynthesisSupported());
+  const spokenAnswers = difficulty.responseMode === RESPONSE_MODES.spoken;
+  const recognition = useSpeechRecognition({
+    onFinal: (transcript) => {
+      const digits = digitsFromSpeech(transcript, language);
+      setInput(onScreenPad ? digits.replace(/ /g, '') : digits);
+    },
+  });
+  const timers = useRef([]);
+  const promptedAt = useRef(null);
+  const active = useRef(true);
+
+  const schedule = (callback, delay) => {
+    timers.current.push(setTimeout(callback, delay));
+  };
+
+  // Digits and prompts are read by a voice for the patient's language
+  const say = (text) => speak(text, { lang: speechLang });
+
+  // Shows the digits one at a time, then hands over to the response input
+  const presentTrial = (current) => {
+    const next = generateSequence(current.length, random);
+    setSequence(next);
+    setInput('');
+    setPresentedDigit(null);
+    setPhase('presenting');
+    setFeedback(t('digitSpan.trial', {
+      trial: current.trials.length + 1,
+      total: difficulty.trialsPerSession,
+      length: next.length,
+      instruction: t(audio ? 'digitSpan.listen' : 'digitSpan.watch'),
+    }));
+    if (audio) say(t('digitSpan.spoken.listen'));
+
+    next.forEach((digit, i) => {
+      const onset = LEAD_MS + i * (DIGIT_ON_MS + DIGIT_GAP_MS);
+      schedule(() => (audio ? say(String(digit)) : setPresentedDigit(digit)), onset);
+      schedule(() => setPresentedDigit(null), onset + DIGIT_ON_MS);
+    });
+    schedule(() => {
+      const backward = current.direction === DIRECTIONS.backward;
+      const verb = spokenAnswers ? 'say' : 'enter';
+      promptedAt.current = Date.now();
+      setPhase('responding');
+      setFeedback(t(`digitSpan.${verb}${backward ? 'Backward' : ''}`));
+
+      // Listen only once the spoken prompt has finished, so the app doesn't hear itself
+      const prompted = audio ? say(t(backward ? 'digitSpan.spoken.nowBackward' : 'digitSpan.spoken.now')) : Promise.resolve();
+      prompted.then(() => {
+        if (!active.current) return;
+        promptedAt.current = Date.now();
+        if (spokenAnswers) recognition.start();
+      });
+    }, LEAD_MS + next.length * (DIGIT_ON_MS + DIGIT_GAP_MS));
+  };
+
+  // The first trial is presented once, on mount; later ones follow each answer
+  const firstTrial = useRef(() => presentTrial(staircase));
+  useEffect(() => {
+    const pending = timers;
+    active.current = true;
+    firstTrial.current();
+    return () => {
+      active.current = false;
+      pending.current.forEach(clearTimeout);
+      cancelSpeech();
+    };
+  }, []);
+
+  const handleSubmit = (e) => {
+    if (e) e.preventDefault();
+    recognition.stop();
+    const result = onTrial({
+      sequence,
+      direction: staircase.direction,
+      input,
+      reactionTimeMs: Date.now() - promptedAt.current,
+    });
+    const next = applyTrialResult(staircase, { sequence, response: result.response, correct: result.correct });
+    setStaircase(next);
+
+    if (isSessionComplete(next, difficulty.trialsPerSession)) {
+      onComplete(summarizeSession(next));
+      return;
+    }
+
+    setPhase('feedback');
+    setFeedback(result.correct
+      ? t('digitSpan.correct', { points: result.points })
+      : t('digitSpan.wrong', { sequence: sequence.join(' ') }));
+    if (audio) say(t(result.correct ? 'digitSpan.spoken.correct' : 'digitSpan.spoken.wrong'));
+    schedule(() => presentTrial(next), FEEDBACK_MS);
+  };
+
+  const fallbackNote = difficulty.presentation === PRESENTATIONS.audio && !audio && (
+    <p className="text-sm text-gray-600 mb-2" role="status">
+      {t('digitSpan.noVoices')}
+    </p>
+  );
+
+  if (phase === 'presenting') {
+    return (
+      <>
+        {fallbackNote}
+        {audio ? (
+          <p className="h-24 flex items-center justify-center space-x-3 text-3xl font-bold text-gray-800">
+            <Volume2 size={40} aria-hidden="true" />
+            <span>{t('digitSpan.listening')}</span>
+          </p>
+        ) : (
+          <p className="text-7xl font-extrabold text-gray-800 h-24" aria-live="polite">
+            {presentedDigit !== null ? presentedDigit : ''}
+          </p>
+        )}
+      </>
+    );
+  }
+
+  if (phase === 'responding') {
+    return (
+      <>
+        {spokenAnswers && <MicButton recognition={recognition} label={t('digitSpan.sayNumbers')} />}
+        {onScreenPad ? (
+          <NumberPad value={input} onChange={setInput} onSubmit={handleSubmit} maxLength={sequence.length} />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <input
+              type="text"
+              inputMode="numeric"
+              className="w-full p-3 border border-gray-300 rounded-md text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={t('digitSpan.placeholder')}
+              aria-label={t('numberPad.answer')}
+              autoFocus={!spokenAnswers}
+            />
+            <button
+              type="submit"
+              className="mt-4 bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-5 rounded-lg transition duration-300"
+            >
+              {t('digitSpan.check')}
+            </button>
+          </form>
+        )}
+      </>
+    );
+  }
+
+  return null;
+};
+
+export default DigitSpanExercise;
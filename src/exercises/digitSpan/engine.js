@@ -0,0 +1,164 @@
+// Digit Span protocol: forward and backward recall with a 2-up/2-down staircase.
+// Everything in here is pure so the App component only has to handle timing and UI.
+
+export const DIRECTIONS = {
+  forward: 'forward',
+  backward: 'backward',
+};
+
+export const MIN_SPAN = 2;
+export const MAX_SPAN = 9;
+
+// Backward recall is harder, so it starts one digit shorter (as in the WAIS-style protocol).
+export const START_SPAN = {
+  forward: 3,
+  backward: 2,
+};
+
+export const TRIALS_PER_SESSION = 12;
+export const CORRECT_TO_STEP_UP = 2;
+export const MISSES_TO_STEP_DOWN = 2;
+
+// Presentation timing for one-digit-at-a-time display. Spoken digits use the same one-per-second
+// rate as the clinical auditory test.
+export const DIGIT_ON_MS = 800;
+export const DIGIT_GAP_MS = 200;
+
+const clampSpan = (length) => Math.min(MAX_SPAN, Math.max(MIN_SPAN, length));
+
+// Random digits without immediate repeats, which are easy to chunk and inflate the span.
+export const generateSequence = (length, random = Math.random) => {
+  const sequence = [];
+  while (sequence.length < length) {
+    const digit = Math.floor(random() * 10);
+    if (digit !== sequence[sequence.length - 1]) {
+      sequence.push(digit);
+    }
+  }
+  return sequence;
+};
+
+export const expectedResponse = (sequence, direction) => (
+  direction === DIRECTIONS.backward ? [...sequence].reverse() : [...sequence]
+);
+
+// Accepts "1 2 3", "1,2,3" or "123" - only the digits matter.
+export const parseResponse = (input) => (
+  (input.match(/\d/g) || []).map(Number)
+);
+
+// Words a speech recognizer may return for a single digit, per language, including common
+// mishearings. Spanish is matched without accents.
+const SPOKEN_DIGITS = {
+  en: {
+    zero: 0, oh: 0, o: 0,
+    one: 1, won: 1,
+    two: 2, to: 2, too: 2,
+    three: 3, tree: 3,
+    four: 4, for: 4, fore: 4,
+    five: 5,
+    six: 6,
+    seven: 7,
+    eight: 8, ate: 8,
+    nine: 9,
+  },
+  es: {
+    cero: 0,
+    uno: 1, un: 1, una: 1,
+    dos: 2,
+    tres: 3,
+    cuatro: 4,
+    cinco: 5,
+    seis: 6,
+    siete: 7,
+    ocho: 8,
+    nueve: 9,
+  },
+  // Read one character at a time; 幺 is the "one" used when reading out phone numbers
+  zh: {
+    零: 0, 〇: 0,
+    一: 1, 幺: 1,
+    二: 2, 两: 2,
+    三: 3,
+    四: 4,
+    五: 5,
+    六: 6,
+    七: 7,
+    八: 8,
+    九: 9,
+  },
+};
+
+const spokenTokens = (transcript, language) => (language === 'zh'
+  // Chinese is written without spaces between words
+  ? transcript.match(/\d+|\S/gu) || []
+  : transcript.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[^a-z0-9]+/));
+
+// Turns a spoken answer ("one two three", "1 2 3", "123", "for to nine", "uno dos", "一二三")
+// into a digit string for parseResponse. Anything that isn't a digit ("um", "y", "然后") is dropped.
+export const digitsFromSpeech = (transcript, language = 'en') => {
+  const words = SPOKEN_DIGITS[language] || SPOKEN_DIGITS.en;
+  return spokenTokens(transcript, language)
+    .flatMap(token => {
+      if (/^\d+$/.test(token)) return token.split('');
+      return words[token] !== undefined ? [String(words[token])] : [];
+    })
+    .join(' ');
+};
+
+export const isCorrectResponse = (sequence, direction, response) => {
+  const expected = expectedResponse(sequence, direction);
+  return expected.length === response.length && expected.every((digit, i) => digit === response[i]);
+};
+
+// Number of digits recalled in the right serial position, useful as a partial-credit measure.
+export const countDigitsInPosition = (sequence, direction, response) => {
+  const expected = expectedResponse(sequence, direction);
+  return expected.reduce((count, digit, i) => (response[i] === digit ? count + 1 : count), 0);
+};
+
+export const createStaircase = (direction = DIRECTIONS.forward, startLength = START_SPAN[direction]) => ({
+  direction,
+  length: clampSpan(startLength),
+  consecutiveCorrect: 0,
+  consecutiveMisses: 0,
+  maxSpan: 0,
+  trials: [],
+});
+
+// Returns the next staircase state after a trial; the input state is not modified.
+export const applyTrialResult = (staircase, { sequence, response, correct }) => {
+  const trials = [...staircase.trials, { length: staircase.length, sequence, response, correct }];
+  const maxSpan = correct ? Math.max(staircase.maxSpan, staircase.length) : staircase.maxSpan;
+  let { length } = staircase;
+  let consecutiveCorrect = correct ? staircase.consecutiveCorrect + 1 : 0;
+  let consecutiveMisses = correct ? 0 : staircase.consecutiveMisses + 1;
+
+  if (consecutiveCorrect >= CORRECT_TO_STEP_UP) {
+    length = clampSpan(length + 1);
+    consecutiveCorrect = 0;
+  } else if (consecutiveMisses >= MISSES_TO_STEP_DOWN) {
+    length = clampSpan(length - 1);
+    consecutiveMisses = 0;
+  }
+
+  return { ...staircase, length, consecutiveCorrect, consecutiveMisses, maxSpan, trials };
+};
+
+export const isSessionComplete = (staircase, trialsPerSession = TRIALS_PER_SESSION) => (
+  staircase.trials.length >= trialsPerSession
+);
+
+// Longer sequences are worth more; a miss costs nothing so a bad day isn't punished twice.
+export const pointsForTrial = (length, correct) => (correct ? length * 10 : 0);
+
+export const summarizeSession = (staircase) => {
+  const correctTrials = staircase.trials.filter(trial => trial.correct).length;
+  return {
+    direction: staircase.direction,
+    maxSpan: staircase.maxSpan,
+    trialCount: staircase.trials.length,
+    correctTrials,
+    points: staircase.trials.reduce((total, trial) => total + pointsForTrial(trial.length, trial.correct), 0),
+  };
+};
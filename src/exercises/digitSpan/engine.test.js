@@ -0,0 +1,65 @@
+import {
+  DIRECTIONS,
+  MAX_SPAN,
+  MIN_SPAN,
+  applyTrialResult,
+  createStaircase,
+  digitsFromSpeech,
+  generateSequence,
+  isCorrectResponse,
+  parseResponse,
+  summarizeSession,
+} from './engine';
+
+const run = (staircase, outcomes) => outcomes.reduce(
+  (state, correct) => applyTrialResult(state, { sequence: [], response: [], correct }),
+  staircase
+);
+
+test('generates sequences of the requested length without immediate repeats', () => {
+  const sequence = generateSequence(9);
+  expect(sequence).toHaveLength(9);
+  sequence.slice(1).forEach((digit, i) => expect(digit).not.toBe(sequence[i]));
+});
+
+test('backward recall expects the reversed sequence', () => {
+  expect(isCorrectResponse([1, 2, 3], DIRECTIONS.forward, parseResponse('1 2 3'))).toBe(true);
+  expect(isCorrectResponse([1, 2, 3], DIRECTIONS.backward, parseResponse('3,2,1'))).toBe(true);
+  expect(isCorrectResponse([1, 2, 3], DIRECTIONS.backward, parseResponse('123'))).toBe(false);
+});
+
+test('reads spoken answers as digits', () => {
+  expect(digitsFromSpeech('one two three')).toBe('1 2 3');
+  expect(digitsFromSpeech('1 2 3')).toBe('1 2 3');
+  expect(digitsFromSpeech('5,47')).toBe('5 4 7');
+  expect(digitsFromSpeech('um for to nine and oh')).toBe('4 2 9 0');
+  expect(parseResponse(digitsFromSpeech('Eight, six.'))).toEqual([8, 6]);
+  expect(digitsFromSpeech('I forgot')).toBe('');
+});
+
+test('turns Spanish and Chinese spoken digits into a digit string', () => {
+  expect(digitsFromSpeech('Uno, dos y tres', 'es')).toBe('1 2 3');
+  expect(digitsFromSpeech('seis 4 cero', 'es')).toBe('6 4 0');
+  expect(digitsFromSpeech('一二三', 'zh')).toBe('1 2 3');
+  expect(digitsFromSpeech('五，幺，然后二九', 'zh')).toBe('5 1 2 9');
+  expect(digitsFromSpeech('7 8', 'zh')).toBe('7 8');
+});
+
+test('staircase steps up after two correct and down after two misses', () => {
+  const start = createStaircase(DIRECTIONS.forward);
+  expect(run(start, [true]).length).toBe(start.length);
+  expect(run(start, [true, true]).length).toBe(start.length + 1);
+  expect(run(start, [true, false, true]).length).toBe(start.length);
+  expect(run(start, [false, false]).length).toBe(start.length - 1);
+});
+
+test('staircase stays within span limits', () => {
+  expect(run(createStaircase(DIRECTIONS.backward), [false, false, false, false]).length).toBe(MIN_SPAN);
+  expect(run(createStaircase(DIRECTIONS.forward, MAX_SPAN), [true, true]).length).toBe(MAX_SPAN);
+});
+
+test('max span is the longest correctly recalled length', () => {
+  const staircase = run(createStaircase(DIRECTIONS.forward), [true, true, true, false, false]);
+  expect(staircase.maxSpan).toBe(4);
+  expect(summarizeSession(staircase)).toMatchObject({ maxSpan: 4, trialCount: 5, correctTrials: 3 });
+});
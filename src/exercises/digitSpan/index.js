@@ -0,0 +1,80 @@
+import DigitSpanExercise from './DigitSpanExercise';
+import { PRESENTATIONS, RESPONSE_MODES } from '../../speech/speech';
+import { translateEnglish } from '../../i18n/i18n';
+import {
+  DIRECTIONS,
+  MIN_SPAN,
+  MAX_SPAN,
+  START_SPAN,
+  TRIALS_PER_SESSION,
+  parseResponse,
+  isCorrectResponse,
+  pointsForTrial,
+} from './engine';
+
+const digitSpan = {
+  id: 'digitSpan',
+  title: 'Digit Span Test',
+  description: 'Watch or listen to the digits one at a time, then repeat them. The sequence grows as you get them right.',
+  color: 'bg-blue-500 hover:bg-blue-600',
+  difficultySchema: {
+    direction: {
+      type: 'select',
+      label: 'Recall order',
+      options: [
+        { value: DIRECTIONS.forward, label: 'Forward (same order)' },
+        { value: DIRECTIONS.backward, label: 'Backward (reverse order)' },
+      ],
+    },
+    startLength: { type: 'number', label: 'Starting length', min: MIN_SPAN, max: MAX_SPAN },
+    trialsPerSession: { type: 'number', label: 'Trials', min: 4, max: 20 },
+    presentation: {
+      type: 'select',
+      label: 'Digits are',
+      options: [
+        { value: PRESENTATIONS.visual, label: 'Shown on screen' },
+        { value: PRESENTATIONS.audio, label: 'Spoken aloud' },
+      ],
+    },
+    responseMode: {
+      type: 'select',
+      label: 'Answer by',
+      options: [
+        { value: RESPONSE_MODES.typed, label: 'Typing or tapping' },
+        { value: RESPONSE_MODES.spoken, label: 'Speaking' },
+      ],
+    },
+  },
+  defaultDifficulty: {
+    direction: DIRECTIONS.forward,
+    startLength: START_SPAN.forward,
+    trialsPerSession: TRIALS_PER_SESSION,
+    presentation: PRESENTATIONS.visual,
+    responseMode: RESPONSE_MODES.typed,
+  },
+  Component: DigitSpanExercise,
+
+  // attempt: { sequence, direction, input, reactionTimeMs }
+  scoreTrial: ({ sequence, direction, input, reactionTimeMs }) => {
+    const response = parseResponse(input);
+    const correct = isCorrectResponse(sequence, direction, response);
+    return {
+      params: { direction, length: sequence.length },
+      stimulus: sequence,
+      response,
+      correct,
+      reactionTimesMs: [reactionTimeMs],
+      points: pointsForTrial(sequence.length, correct),
+    };
+  },
+
+  formatSummary: (summary, t = translateEnglish) => t('digitSpan.summary', {
+    direction: t(`digitSpan.${summary.direction}`),
+    maxSpan: summary.maxSpan,
+    correct: summary.correctTrials,
+    total: summary.trialCount,
+    points: summary.points,
+  }),
+};
+
+export default digitSpan;
@@ -0,0 +1,9 @@
+// Built-in exercises. New exercises are registered here (or from anywhere else before the menu renders).
+import { registerExercise } from './registry';
+import digitSpan from './digitSpan';
+import verbalFluency from './verbalFluency';
+import selectiveAttention from './selectiveAttention';
+
+[digitSpan, verbalFluency, selectiveAttention].forEach(registerExercise);
+
+export { registerExercise, getExercise, listExercises, resolveDifficulty, validateExercise } from './registry';
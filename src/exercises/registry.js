@@ -0,0 +1,86 @@
+// Exercise plugin registry. The exercise menu and the session runner are driven entirely
+// by what is registered here, so adding an exercise means adding a module, not editing App.js.
+//
+// An exercise plugin is a plain object:
+//
+//   {
+//     id: 'digitSpan',                 // also used as the history store's exerciseType
+//     title: 'Digit Span Test',
+//     description: 'Remember a growing sequence of digits.',
+//     color: 'bg-blue-500 hover:bg-blue-600',
+//     difficultySchema: {              // rendered as the settings form before a session
+//       direction: { type: 'select', label: 'Recall', options: [{ value: 'forward', label: 'Forward' }] },
+//       startLength: { type: 'number', label: 'Starting length', min: 2, max: 9 },
+//     },
+//     defaultDifficulty: { direction: 'forward', startLength: 3 },
+//     Component,                       // runs one session, see below
+//     scoreTrial(attempt, difficulty), // -> standard trial result
+//     formatSummary(summary, t),       // -> one-line message shown when the session ends
+//   }
+//
+// Titles, descriptions and settings labels are shown in English unless the locale files have
+// `<id>.title`, `<id>.description`, `<id>.<field>` or `<id>.<field>.<value>`. A select option
+// with `languages: ['en', 'es']` is only offered in those languages. formatSummary gets the
+// translate function for the language on screen (English when it is left out).
+//
+// The Component can read the patient's language with useTranslation() from src/i18n.
+// The Component receives { difficulty, random, onTrial, onComplete, setFeedback }. It calls
+// onTrial(attempt) for every attempt; the runner scores it with scoreTrial, records it and
+// returns the trial result. It calls onComplete(summary) once when the session is over.
+// Anything random (sequences, grids) should come from `random`, a Math.random-style function
+// that is seeded for demos and tests, so a run can be replayed.
+//
+// A standard trial result is
+//   { params, stimulus, response, correct, reactionTimesMs, points, details }
+// where `details` holds anything exercise-specific the component needs back.
+
+const REQUIRED_FIELDS = ['id', 'title', 'difficultySchema', 'defaultDifficulty', 'Component', 'scoreTrial', 'formatSummary'];
+
+const exercises = new Map();
+
+export const validateExercise = (exercise) => {
+  const missing = REQUIRED_FIELDS.filter(field => exercise[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Exercise "${exercise.id || '(no id)'}" is missing: ${missing.join(', ')}`);
+  }
+  Object.keys(exercise.difficultySchema).forEach(field => {
+    if (exercise.defaultDifficulty[field] === undefined) {
+      throw new Error(`Exercise "${exercise.id}" has no default for difficulty field "${field}"`);
+    }
+  });
+  return exercise;
+};
+
+export const registerExercise = (exercise) => {
+  validateExercise(exercise);
+  if (exercises.has(exercise.id)) {
+    throw new Error(`Exercise "${exercise.id}" is already registered`);
+  }
+  exercises.set(exercise.id, exercise);
+  return exercise;
+};
+
+export const getExercise = (id) => exercises.get(id) || null;
+
+export const listExercises = () => Array.from(exercises.values());
+
+// Fills in missing fields from the defaults and clamps/validates against the schema,
+// so stored settings from an older version of an exercise can't break it.
+export const resolveDifficulty = (exercise, difficulty = {}) => Object.entries(exercise.difficultySchema).reduce(
+  (resolved, [field, spec]) => {
+    const value = difficulty[field];
+    const fallback = exercise.defaultDifficulty[field];
+    if (spec.type === 'number') {
+      const number = Number(value);
+      resolved[field] = Number.isFinite(number) && value !== null && value !== ''
+        ? Math.min(spec.max ?? number, Math.max(spec.min ?? number, number))
+        : fallback;
+    } else if (spec.type === 'select') {
+      resolved[field] = spec.options.some(option => option.value === value) ? value : fallback;
+    } else {
+      resolved[field] = value ?? fallback;
+    }
+    return resolved;
+  },
+  {}
+);
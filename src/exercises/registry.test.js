@@ -0,0 +1,49 @@
+import { getExercise, listExercises, registerExercise, resolveDifficulty, validateExercise } from './index';
+
+const plugin = (overrides = {}) => ({
+  id: 'testExercise',
+  title: 'Test',
+  difficultySchema: {
+    level: { type: 'number', label: 'Level', min: 1, max: 5 },
+    mode: { type: 'select', label: 'Mode', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }] },
+  },
+  defaultDifficulty: { level: 2, mode: 'a' },
+  Component: () => null,
+  scoreTrial: () => ({ correct: true, points: 1 }),
+  formatSummary: () => 'done',
+  ...overrides,
+});
+
+test('registers the built-in exercises in menu order', () => {
+  expect(listExercises().map(exercise => exercise.id)).toEqual(['digitSpan', 'verbalFluency', 'selectiveAttention']);
+});
+
+test('every built-in exercise satisfies the plugin interface', () => {
+  listExercises().forEach(exercise => expect(() => validateExercise(exercise)).not.toThrow());
+});
+
+test('rejects incomplete or duplicate plugins', () => {
+  expect(() => registerExercise(plugin({ scoreTrial: undefined }))).toThrow(/missing: scoreTrial/);
+  expect(() => registerExercise(plugin({ defaultDifficulty: { level: 1 } }))).toThrow(/no default/);
+  registerExercise(plugin());
+  expect(getExercise('testExercise').title).toBe('Test');
+  expect(() => registerExercise(plugin())).toThrow(/already registered/);
+});
+
+test('resolves stored difficulty against the schema', () => {
+  const exercise = plugin();
+  expect(resolveDifficulty(exercise, { level: 9, mode: 'z', stale: true })).toEqual({ level: 5, mode: 'a' });
+  expect(resolveDifficulty(exercise, { level: '' })).toEqual({ level: 2, mode: 'a' });
+});
+
+test('built-in scoring returns standard trial results', () => {
+  const result = getExercise('digitSpan').scoreTrial({ sequence: [1, 2, 3], direction: 'backward', input: '3 2 1', reactionTimeMs: 900 });
+  expect(result).toEqual({
+    params: { direction: 'backward', length: 3 },
+    stimulus: [1, 2, 3],
+    response: [3, 2, 1],
+    correct: true,
+    reactionTimesMs: [900],
+    points: 30,
+  });
+});
@@ -0,0 +1,60 @@
+import React, { useRef } from 'react';
+import { moveCursor } from './engine';
+import { useTranslation } from '../../i18n/I18nContext';
+
+const ARROW_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+// Grid of large tap targets; marked cells are struck through like a pen-and-paper cancellation sheet.
+// Only the cursor cell is in the tab order; arrow keys move between cells and Enter or Space marks.
+const CancellationGrid = ({ grid, selected, onToggle, cursor = 0, onCursorChange, showCursor = false, disabled = false }) => {
+  const { t } = useTranslation();
+  const cellRefs = useRef([]);
+
+  const handleKeyDown = (e) => {
+    const step = ARROW_STEPS[e.key];
+    if (!step || !onCursorChange) return;
+    e.preventDefault();
+    const next = moveCursor(grid, cursor, ...step);
+    onCursorChange(next);
+    if (cellRefs.current[next]) cellRefs.current[next].focus();
+  };
+
+  return (
+    <div
+      role="group"
+      aria-label={t('selectiveAttention.grid', { target: grid.target })}
+      className="grid gap-1 w-full"
+      style={{ gridTemplateColumns: `repeat(${grid.cols}, minmax(0, 1fr))` }}
+      onKeyDown={handleKeyDown}
+    >
+      {grid.cells.map(cell => {
+        const isSelected = selected.includes(cell.index);
+        return (
+          <button
+            key={cell.index}
+            ref={element => { cellRefs.current[cell.index] = element; }}
+            type="button"
+            tabIndex={cell.index === cursor ? 0 : -1}
+            onClick={() => { if (onCursorChange) onCursorChange(cell.index); onToggle(cell.index); }}
+            disabled={disabled}
+            aria-pressed={isSelected}
+            aria-label={t('selectiveAttention.cell', { row: cell.row + 1, col: cell.col + 1, symbol: cell.symbol })}
+            className={`aspect-square min-h-[2.75rem] rounded-md text-2xl font-bold transition
+              ${isSelected ? 'bg-red-200 text-red-700 line-through' : 'bg-white text-gray-800 hover:bg-gray-100'}
+              ${showCursor && cell.index === cursor ? 'ring-4 ring-blue-600 relative z-10' : ''}
+              border border-gray-300`}
+          >
+            {cell.symbol}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CancellationGrid;
@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useRef } from 'react';
+import CancellationGrid from './CancellationGrid';
+import DirectionPad from '../../components/DirectionPad';
+import { useAccessibility } from '../../accessibility/AccessibilityContext';
+import { useTranslation } from '../../i18n/I18nContext';
+import { generateGrid, moveCursor, toggleSelection } from './engine';
+
+const SelectiveAttentionExercise = ({ difficulty, random = Math.random, onTrial, onComplete, setFeedback }) => {
+  const { onScreenPad } = useAccessibility();
+  const { t } = useTranslation();
+  const [grid] = useState(() => generateGrid(difficulty, random));
+  const [selected, setSelected] = useState([]);
+  const [cursor, setCursor] = useState(0);
+  const taps = useRef([]);
+  const startedAt = useRef(null);
+
+  useEffect(() => {
+    startedAt.current = Date.now();
+  }, []);
+
+  useEffect(() => {
+    setFeedback(t(onScreenPad ? 'selectiveAttention.padInstructions' : 'selectiveAttention.tapInstructions', { target: grid.target }));
+  }, [grid.target, onScreenPad, setFeedback, t]);
+
+  const handleTap = (index) => {
+    taps.current.push({ index, atMs: Date.now() - startedAt.current });
+    setSelected(prev => toggleSelection(prev, index));
+  };
+
+  const handleDone = () => {
+    const result = onTrial({ grid, selected, taps: taps.current, completionTimeMs: Date.now() - startedAt.current });
+    onComplete(result.details);
+  };
+
+  const cursorCell = grid.cells[cursor];
+
+  return (
+    <>
+      <CancellationGrid
+        grid={grid}
+        selected={selected}
+        onToggle={handleTap}
+        cursor={cursor}
+        onCursorChange={setCursor}
+        showCursor={onScreenPad}
+      />
+      {onScreenPad && (
+        <>
+          <p className="sr-only" aria-live="polite">
+            {t('selectiveAttention.cell', { row: cursorCell.row + 1, col: cursorCell.col + 1, symbol: cursorCell.symbol })}
+            {selected.includes(cursor) ? t('selectiveAttention.marked') : ''}
+          </p>
+          <DirectionPad
+            onMove={(rowStep, colStep) => setCursor(prev => moveCursor(grid, prev, rowStep, colStep))}
+            onSelect={() => handleTap(cursor)}
+          />
+        </>
+      )}
+      <button
+        onClick={handleDone}
+        className="mt-4 bg-purple-500 hover:bg-purple-600 text-white font-bold py-2 px-5 rounded-lg transition duration-300"
+      >
+        {t('selectiveAttention.done')}
+      </button>
+    </>
+  );
+};
+
+export default SelectiveAttentionExercise;
@@ -0,0 +1,123 @@
+// Cancellation task: find and tap every target in a grid of distractors.
+// Targets are split evenly between the left and right halves of the grid so that
+// side-specific omissions can be used as a hemispatial neglect screen.
+
+export const TARGET_SYMBOL = 'X';
+
+// Distractors get visually closer to the target as similarity increases
+export const DISTRACTOR_SETS = {
+  low: ['O', 'C', 'U', 'S'],
+  medium: ['A', 'H', 'N', 'M'],
+  high: ['K', 'Y', 'V', '+'],
+};
+
+export const GRID_LIMITS = {
+  rows: { min: 3, max: 10 },
+  cols: { min: 4, max: 12 },
+};
+
+export const DEFAULT_SETTINGS = {
+  rows: 6,
+  cols: 8,
+  targetCount: 8,
+  similarity: 'medium',
+};
+
+// Omission gap between the two sides that we flag for follow-up. This is a screening
+// prompt for the therapist, not a diagnosis.
+export const NEGLECT_MIN_OMISSION_GAP = 2;
+export const NEGLECT_MIN_OMISSION_RATIO = 0.25;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+export const sideOfColumn = (col, cols) => {
+  const middle = (cols - 1) / 2;
+  if (col < middle) return 'left';
+  if (col > middle) return 'right';
+  return 'center';
+};
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+export const normalizeSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  const rows = clamp(merged.rows, GRID_LIMITS.rows);
+  const cols = clamp(merged.cols, GRID_LIMITS.cols);
+  // Targets may fill at most half of each side, so there are always distractors to ignore
+  const perSide = Math.floor(cols / 2) * rows;
+  const targetCount = clamp(merged.targetCount, { min: 2, max: perSide });
+  const similarity = DISTRACTOR_SETS[merged.similarity] ? merged.similarity : DEFAULT_SETTINGS.similarity;
+  return { rows, cols, targetCount: targetCount - (targetCount % 2), similarity };
+};
+
+export const generateGrid = (settings, random = Math.random) => {
+  const { rows, cols, targetCount, similarity } = normalizeSettings(settings);
+  const distractors = DISTRACTOR_SETS[similarity];
+  const cells = Array.from({ length: rows * cols }, (_, index) => {
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    return { index, row, col, side: sideOfColumn(col, cols), isTarget: false, symbol: null };
+  });
+
+  const pickTargets = (side) => shuffle(cells.filter(cell => cell.side === side), random).slice(0, targetCount / 2);
+  const targetIndices = new Set([...pickTargets('left'), ...pickTargets('right')].map(cell => cell.index));
+
+  return {
+    rows,
+    cols,
+    similarity,
+    target: TARGET_SYMBOL,
+    cells: cells.map(cell => (targetIndices.has(cell.index)
+      ? { ...cell, isTarget: true, symbol: TARGET_SYMBOL }
+      : { ...cell, symbol: distractors[Math.floor(random() * distractors.length)] })),
+  };
+};
+
+// Tapping a marked cell again un-marks it, so the final selection is what gets scored.
+export const toggleSelection = (selected, index) => (
+  selected.includes(index) ? selected.filter(i => i !== index) : [...selected, index]
+);
+
+// Moves the keyboard / arrow-pad cursor one cell, stopping at the grid's edges
+export const moveCursor = (grid, index, rowStep, colStep) => {
+  const row = clamp(Math.floor(index / grid.cols) + rowStep, { min: 0, max: grid.rows - 1 });
+  const col = clamp((index % grid.cols) + colStep, { min: 0, max: grid.cols - 1 });
+  return row * grid.cols + col;
+};
+
+const neglectSide = (leftMisses, rightMisses, targetsPerSide) => {
+  const gap = Math.abs(leftMisses - rightMisses);
+  if (gap < Math.max(NEGLECT_MIN_OMISSION_GAP, Math.ceil(targetsPerSide * NEGLECT_MIN_OMISSION_RATIO))) return null;
+  return leftMisses > rightMisses ? 'left' : 'right';
+};
+
+export const scoreCancellation = (grid, selected, completionTimeMs) => {
+  const chosen = new Set(selected);
+  const targets = grid.cells.filter(cell => cell.isTarget);
+  const hits = targets.filter(cell => chosen.has(cell.index)).length;
+  const falseAlarms = grid.cells.filter(cell => !cell.isTarget && chosen.has(cell.index)).length;
+  const missesOn = (side) => targets.filter(cell => cell.side === side && !chosen.has(cell.index)).length;
+  const leftMisses = missesOn('left');
+  const rightMisses = missesOn('right');
+  const targetsPerSide = targets.length / 2;
+
+  return {
+    hits,
+    misses: targets.length - hits,
+    falseAlarms,
+    targetCount: targets.length,
+    itemCount: grid.cells.length,
+    completionTimeMs,
+    leftMisses,
+    rightMisses,
+    neglectSide: neglectSide(leftMisses, rightMisses, targetsPerSide),
+    points: Math.max(0, hits * 10 - falseAlarms * 5),
+  };
+};
@@ -0,0 +1,60 @@
+import { DISTRACTOR_SETS, TARGET_SYMBOL, generateGrid, moveCursor, normalizeSettings, scoreCancellation, toggleSelection } from './engine';
+
+const targetsOn = (grid, side) => grid.cells.filter(cell => cell.isTarget && cell.side === side);
+
+test('places the requested number of targets evenly on both sides', () => {
+  const grid = generateGrid({ rows: 6, cols: 8, targetCount: 10, similarity: 'high' });
+  expect(grid.cells).toHaveLength(48);
+  expect(targetsOn(grid, 'left')).toHaveLength(5);
+  expect(targetsOn(grid, 'right')).toHaveLength(5);
+  grid.cells.filter(cell => !cell.isTarget).forEach(cell => {
+    expect(DISTRACTOR_SETS.high).toContain(cell.symbol);
+    expect(cell.symbol).not.toBe(TARGET_SYMBOL);
+  });
+});
+
+test('keeps settings within the grid limits', () => {
+  expect(normalizeSettings({ rows: 1, cols: 40, targetCount: 7, similarity: 'bogus' }))
+    .toEqual({ rows: 3, cols: 12, targetCount: 6, similarity: 'medium' });
+});
+
+test('tapping a cell twice un-marks it', () => {
+  expect(toggleSelection(toggleSelection([], 3), 3)).toEqual([]);
+});
+
+test('moves the cursor one cell and stops at the edges', () => {
+  const grid = { rows: 3, cols: 4 };
+  expect(moveCursor(grid, 5, 0, 1)).toBe(6);
+  expect(moveCursor(grid, 5, 1, 0)).toBe(9);
+  expect(moveCursor(grid, 0, -1, 0)).toBe(0);
+  expect(moveCursor(grid, 3, 0, 1)).toBe(3);
+  expect(moveCursor(grid, 11, 1, 1)).toBe(11);
+});
+
+test('scores hits, false alarms and side-specific omissions', () => {
+  const grid = generateGrid({ rows: 6, cols: 8, targetCount: 8 });
+  const rightTargets = targetsOn(grid, 'right').map(cell => cell.index);
+  const distractor = grid.cells.find(cell => !cell.isTarget).index;
+
+  const summary = scoreCancellation(grid, [...rightTargets, distractor], 30000);
+  expect(summary).toMatchObject({
+    hits: 4,
+    misses: 4,
+    falseAlarms: 1,
+    leftMisses: 4,
+    rightMisses: 0,
+    neglectSide: 'left',
+    completionTimeMs: 30000,
+    points: 35,
+  });
+});
+
+test('does not flag neglect for a small, balanced number of misses', () => {
+  const grid = generateGrid({ rows: 6, cols: 8, targetCount: 8 });
+  const [leftMissed] = targetsOn(grid, 'left');
+  const [rightMissed] = targetsOn(grid, 'right');
+  const found = grid.cells
+    .filter(cell => cell.isTarget && cell !== leftMissed && cell !== rightMissed)
+    .map(cell => cell.index);
+  expect(scoreCancellation(grid, found, 1000).neglectSide).toBeNull();
+});
@@ -0,0 +1,52 @@
+import SelectiveAttentionExercise from './SelectiveAttentionExercise';
+import { DEFAULT_SETTINGS, normalizeSettings, scoreCancellation } from './engine';
+import { translateEnglish } from '../../i18n/i18n';
+
+const options = (values, label = String) => values.map(value => ({ value, label: label(value) }));
+
+const selectiveAttention = {
+  id: 'selectiveAttention',
+  title: 'Selective Attention',
+  description: 'Find and tap every X in the grid, as quickly and carefully as you can.',
+  color: 'bg-red-500 hover:bg-red-600',
+  difficultySchema: {
+    rows: { type: 'select', label: 'Rows', options: options([4, 6, 8]) },
+    cols: { type: 'select', label: 'Columns', options: options([6, 8, 10]) },
+    targetCount: { type: 'select', label: 'Targets to find', options: options([4, 6, 8, 10, 12]) },
+    similarity: {
+      type: 'select',
+      label: 'Distractors',
+      options: [
+        { value: 'low', label: 'Easy to tell apart' },
+        { value: 'medium', label: 'Somewhat similar' },
+        { value: 'high', label: 'Very similar' },
+      ],
+    },
+  },
+  defaultDifficulty: DEFAULT_SETTINGS,
+  Component: SelectiveAttentionExercise,
+
+  // attempt: { grid, selected, taps, completionTimeMs }
+  scoreTrial: ({ grid, selected, taps, completionTimeMs }, difficulty) => {
+    const summary = scoreCancellation(grid, selected, completionTimeMs);
+    return {
+      params: { ...normalizeSettings(difficulty), target: grid.target },
+      stimulus: grid.cells.map(({ symbol, isTarget, side }) => ({ symbol, isTarget, side })),
+      response: { selected, taps },
+      correct: summary.misses === 0 && summary.falseAlarms === 0,
+      reactionTimesMs: taps.map(tap => tap.atMs),
+      points: summary.points,
+      details: summary,
+    };
+  },
+
+  formatSummary: (summary, t = translateEnglish) => t('selectiveAttention.summary', {
+    hits: summary.hits,
+    total: summary.targetCount,
+    seconds: Math.round(summary.completionTimeMs / 1000),
+    mistakes: summary.falseAlarms ? t('selectiveAttention.summary.mistakes', { count: summary.falseAlarms }) : '',
+    points: summary.points,
+  }),
+};
+
+export default selectiveAttention;
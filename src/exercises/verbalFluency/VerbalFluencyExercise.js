@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Volume2 } from 'lucide-react';
+import MicButton from '../../speech/MicButton';
+import { useSpeechRecognition } from '../../speech/useSpeechRecognition';
+import { PRESENTATIONS, RESPONSE_MODES, cancelSpeech, speak, speechSynthesisSupported } from '../../speech/speech';
+import { addFluencyEntry, createFluencyState, creditedWords, hasFluencyCategory, splitSpokenWords, summarizeFluency, ENTRY_KINDS } from './engine';
+import { CATEGORIES } from './lexicon';
+import { LANGUAGES } from '../../i18n/i18n';
+import { useTranslation } from '../../i18n/I18nContext';
+
+const TICK_MS = 250;
+const FALLBACK_CATEGORY = 'animals';
+
+const VerbalFluencyExercise = ({ difficulty, onTrial, onComplete, setFeedback }) => {
+  const { language, speechLang, t } = useTranslation();
+  const durationMs = difficulty.durationSeconds * 1000;
+  // Letter rounds don't exist in every language; those play the animals round instead
+  const [categoryId] = useState(() => (hasFluencyCategory(difficulty.category, language) ? difficulty.category : FALLBACK_CATEGORY));
+  const [fluencyState, setFluencyState] = useState(() => createFluencyState(categoryId, language));
+  const [input, setInput] = useState('');
+  const [timeLeft, setTimeLeft] = useState(durationMs);
+  const [audio] = useState(() => difficulty.presentation === PRESENTATIONS.audio && speechSynthesisSupported());
+  const [started, setStarted] = useState(!audio);
+  const spokenAnswers = difficulty.responseMode === RESPONSE_MODES.spoken;
+  // The countdown callback reads these refs so it always sees the latest words (state would be stale there)
+  const stateRef = useRef(fluencyState);
+  const startedAt = useRef(null);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  const categoryLabel = (id) => t(`verbalFluency.category.${id}`, { defaultValue: CATEGORIES[id].label });
+
+  const addWord = (raw) => {
+    if (raw.trim() === '' || startedAt.current === null || Date.now() - startedAt.current >= durationMs) return;
+
+    const elapsedMs = Date.now() - startedAt.current;
+    const { state, entry } = addFluencyEntry(stateRef.current, raw, elapsedMs);
+    stateRef.current = state;
+    setFluencyState(state);
+    onTrial({ category: state.category.id, language: state.category.language, entry });
+
+    if (entry.kind === ENTRY_KINDS.perseveration) {
+      setFeedback(t('verbalFluency.repeated', { word: entry.word }));
+    } else if (entry.kind === ENTRY_KINDS.unverified) {
+      setFeedback(t('verbalFluency.unverified', { word: entry.word }));
+    } else if (entry.kind === ENTRY_KINDS.intrusion) {
+      setFeedback(t('verbalFluency.intrusion', { input: entry.input.trim(), category: categoryLabel(state.category.id).toLowerCase() }));
+    } else {
+      setFeedback(t('verbalFluency.named', { word: entry.word, total: creditedWords(state).length }));
+    }
+  };
+
+  // Each spoken phrase may hold several answers ("cat, dog and a horse")
+  const recognition = useSpeechRecognition({
+    continuous: true,
+    onFinal: (transcript) => splitSpokenWords(transcript, stateRef.current.category).forEach(addWord),
+  });
+
+  // The clock only starts once the instructions have been read out, as in the clinical task
+  const runRound = () => {
+    let interval = null;
+    let cancelled = false;
+    const { category } = stateRef.current;
+    const prompt = category.type === 'phonemic'
+      ? t('verbalFluency.prompt.letter', { letter: category.letter.toUpperCase() })
+      : t(`verbalFluency.prompt.${category.id}`);
+    setFeedback(`${prompt} ${t(spokenAnswers ? 'verbalFluency.spokenInstructions' : 'verbalFluency.typedInstructions')}`);
+
+    const begin = () => {
+      startedAt.current = Date.now();
+      setStarted(true);
+      if (spokenAnswers) recognition.start();
+      interval = setInterval(() => {
+        const remaining = durationMs - (Date.now() - startedAt.current);
+        setTimeLeft(Math.max(0, remaining));
+        if (remaining <= 0) {
+          clearInterval(interval);
+          recognition.stop();
+          onCompleteRef.current(summarizeFluency(stateRef.current, durationMs));
+        }
+      }, TICK_MS);
+    };
+
+    if (audio) {
+      speak(`${prompt} ${t('verbalFluency.startsNow')}`, { lang: speechLang }).then(() => { if (!cancelled) begin(); });
+    } else {
+      begin();
+    }
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      cancelSpeech();
+    };
+  };
+
+  // One round per mount, with the settings it started with
+  const round = useRef(runRound);
+  useEffect(() => round.current(), []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim() === '' || timeLeft <= 0 || !started) return;
+    addWord(input);
+    setInput('');
+  };
+
+  const words = creditedWords(fluencyState);
+
+  return (
+    <>
+      {categoryId !== difficulty.category && (
+        <p className="text-sm text-gray-600 mb-2" role="status">
+          {t('verbalFluency.categoryUnavailable', {
+            category: categoryLabel(difficulty.category),
+            language: LANGUAGES[language].label,
+            fallback: categoryLabel(categoryId).toLowerCase(),
+          })}
+        </p>
+      )}
+      {difficulty.presentation === PRESENTATIONS.audio && !audio && (
+        <p className="text-sm text-gray-600 mb-2" role="status">
+          {t('verbalFluency.noVoices')}
+        </p>
+      )}
+      {started ? (
+        <p className="text-3xl font-bold text-gray-800 mb-3" role="timer" aria-live="off">
+          {Math.ceil(timeLeft / 1000)}s
+        </p>
+      ) : (
+        <p className="text-3xl font-bold text-gray-800 mb-3 flex items-center justify-center space-x-3">
+          <Volume2 size={32} aria-hidden="true" />
+          <span>{t('verbalFluency.listening')}</span>
+        </p>
+      )}
+      <div className="w-full h-2 bg-gray-200 rounded-full mb-4">
+        <div
+          className="h-2 bg-green-500 rounded-full transition-all"
+          style={{ width: `${(timeLeft / durationMs) * 100}%` }}
+        />
+      </div>
+      {spokenAnswers && started && <MicButton recognition={recognition} label={t('verbalFluency.startListening')} />}
+      <form onSubmit={handleSubmit} className="flex">
+        <input
+          type="text"
+          className="flex-grow min-w-0 p-3 border border-gray-300 rounded-l-md text-gray-800 focus:outline-none focus:ring-2 focus:ring-green-500"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={t('verbalFluency.placeholder')}
+          aria-label={t('verbalFluency.word')}
+          disabled={!started}
+          autoFocus={!spokenAnswers}
+        />
+        <button type="submit" disabled={!started} className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-bold py-3 px-5 rounded-r-md transition duration-300">
+          {t('verbalFluency.add')}
+        </button>
+      </form>
+      <p className="mt-3 text-lg">{t('verbalFluency.words')} <span className="font-bold">{words.length}</span></p>
+      <ul className="text-sm text-gray-600 mt-2 list-disc list-inside">
+        {words.map(word => (
+          <li key={word}>{word}</li>
+        ))}
+      </ul>
+    </>
+  );
+};
+
+export default VerbalFluencyExercise;
@@ -0,0 +1,274 @@
+// Verbal fluency scoring, following the usual clinical conventions:
+// - each new word that fits the category scores one point
+// - repeats (including plurals or variants of an earlier word) are perseverations
+// - words outside the category, or with the wrong first letter, are intrusions
+// - in letter rounds, a plausible word missing from the bundled list is set aside as unverified:
+//   it scores nothing and is listed separately for the clinician to check
+// Production is also binned into 15-second intervals, since the time course is informative.
+// Each language has its own word lists and its own plural, variant and filler rules.
+
+import { CATEGORIES, IRREGULAR_PLURALS } from './lexicon';
+import { CATEGORIES as SPANISH_CATEGORIES } from './lexicon.es';
+import { CATEGORIES as CHINESE_CATEGORIES } from './lexicon.zh';
+
+export const FLUENCY_DURATION_MS = 60000;
+export const BIN_MS = 15000;
+
+export const ENTRY_KINDS = {
+  valid: 'valid',
+  unverified: 'unverified',
+  perseveration: 'perseveration',
+  intrusion: 'intrusion',
+};
+
+// Accents are dropped so "raton" matches "ratón"; letters of any script are kept
+export const normalizeWord = (raw) => raw
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f'’]/g, '')
+  .replace(/[^\p{L}\s-]+/gu, ' ')
+  .replace(/[\s-]+/g, ' ')
+  .trim();
+
+// Damerau-Levenshtein (optimal string alignment) distance, which treats "tigre" as one edit from "tiger"
+export const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Short words get no spelling tolerance, otherwise "cat" would also match "bat"
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0);
+
+const englishSingulars = (word) => {
+  const candidates = [];
+  if (IRREGULAR_PLURALS[word]) candidates.push(IRREGULAR_PLURALS[word]);
+  if (word.endsWith('ies')) candidates.push(`${word.slice(0, -3)}y`);
+  if (word.endsWith('ves')) candidates.push(`${word.slice(0, -3)}f`, `${word.slice(0, -3)}fe`);
+  if (word.endsWith('es')) candidates.push(word.slice(0, -2));
+  if (word.endsWith('s') && !word.endsWith('ss')) candidates.push(word.slice(0, -1));
+  return candidates;
+};
+
+const spanishSingulars = (word) => {
+  const candidates = [];
+  if (word.endsWith('ces')) candidates.push(`${word.slice(0, -3)}z`);
+  if (word.endsWith('es')) candidates.push(word.slice(0, -2));
+  if (word.endsWith('s')) candidates.push(word.slice(0, -1));
+  return candidates;
+};
+
+// variantSuffixes make a word a "variant" of an earlier one in phonemic scoring (fish / fishing).
+// fillers are the joining words people say between answers. Chinese is spoken without spaces,
+// so its answers are found by matching the lexicon (unspaced).
+const LANGUAGE_RULES = {
+  en: {
+    categories: CATEGORIES,
+    singularCandidates: englishSingulars,
+    variantSuffixes: ['ing', 'ed', 'er', 'ers', 'es', 's', 'ly', 'y'],
+    fillers: new Set(['a', 'an', 'and', 'the', 'um', 'uh', 'er', 'erm', 'hmm', 'oh', 'also', 'then', 'some', 'maybe']),
+  },
+  es: {
+    categories: SPANISH_CATEGORIES,
+    singularCandidates: spanishSingulars,
+    variantSuffixes: ['s', 'es', 'mente'],
+    fillers: new Set([
+      'y', 'e', 'o', 'u', 'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'eh', 'em', 'mm',
+      'este', 'pues', 'tambien', 'luego', 'bueno', 'despues', 'ademas', 'otro', 'otra',
+    ]),
+  },
+  zh: {
+    categories: CHINESE_CATEGORIES,
+    singularCandidates: () => [],
+    variantSuffixes: [],
+    fillers: new Set([
+      '和', '跟', '还有', '然后', '再', '也', '嗯', '呃', '啊', '那个', '就是',
+      '一个', '一只', '一头', '一条', '一种', '一把',
+    ]),
+    unspaced: true,
+  },
+};
+
+const rulesFor = (category) => LANGUAGE_RULES[category.language] || LANGUAGE_RULES.en;
+
+export const singularCandidates = (word, language = 'en') => LANGUAGE_RULES[language].singularCandidates(word);
+
+export const hasFluencyCategory = (categoryId, language) => Boolean(LANGUAGE_RULES[language]?.categories[categoryId]);
+
+// The languages that have a word list for the category, for the settings form
+export const fluencyCategoryLanguages = (categoryId) => Object.keys(LANGUAGE_RULES).filter(language => hasFluencyCategory(categoryId, language));
+
+// Normalized form -> the word as written in the list ("raton" -> "ratón")
+const lexiconCache = new Map();
+const lexiconFor = (category) => {
+  const key = `${category.language || 'en'}:${category.id}`;
+  if (!lexiconCache.has(key)) lexiconCache.set(key, new Map(category.words.map(word => [normalizeWord(word), word])));
+  return lexiconCache.get(key);
+};
+
+// Maps what the patient typed to a lexicon entry: exact, then plural, then close misspelling.
+export const resolveWord = (raw, category) => {
+  const normalized = normalizeWord(raw);
+  const lexicon = lexiconFor(category);
+  if (!normalized) return { normalized, canonical: null, matchedBy: null };
+  if (lexicon.has(normalized)) return { normalized, canonical: lexicon.get(normalized), matchedBy: 'exact' };
+
+  const singular = rulesFor(category).singularCandidates(normalized).find(candidate => lexicon.has(candidate));
+  if (singular) return { normalized, canonical: lexicon.get(singular), matchedBy: 'plural' };
+
+  const tolerance = allowedTypos(normalized);
+  if (tolerance > 0) {
+    let best = null;
+    lexicon.forEach((word, key) => {
+      if (key[0] !== normalized[0]) return;
+      const distance = editDistance(normalized, key);
+      if (distance <= tolerance && (!best || distance < best.distance)) best = { word, distance };
+    });
+    if (best) return { normalized, canonical: best.word, matchedBy: 'spelling' };
+  }
+  return { normalized, canonical: null, matchedBy: null };
+};
+
+// Fillers still count in a letter round when they start with the letter ("and" in an A round)
+const isFiller = (token, category) => rulesFor(category).fillers.has(token)
+  && !(category.type === 'phonemic' && token.startsWith(category.letter));
+
+const longestMatch = (text, start, words) => {
+  let match = null;
+  words.forEach(word => {
+    if ((!match || word.length > match.length) && text.startsWith(word, start)) match = word;
+  });
+  return match;
+};
+
+// "猫狗还有一只大熊猫" -> 猫, 狗, 大熊猫: the longest lexicon word at each position wins, fillers are
+// skipped, and characters that match nothing are kept together as one (intruding) answer.
+const segmentUnspaced = (text, category) => {
+  const lexicon = [...lexiconFor(category).keys()];
+  const { fillers } = rulesFor(category);
+  const words = [];
+  let unknown = '';
+  const flush = () => {
+    if (unknown) words.push(unknown);
+    unknown = '';
+  };
+  for (let i = 0; i < text.length;) {
+    const word = longestMatch(text, i, lexicon);
+    const filler = word ? null : longestMatch(text, i, fillers);
+    if (word) {
+      flush();
+      words.push(word);
+      i += word.length;
+    } else if (filler || text[i] === ' ') {
+      flush();
+      i += filler ? filler.length : 1;
+    } else {
+      unknown += text[i];
+      i += 1;
+    }
+  }
+  flush();
+  return words;
+};
+
+// Splits one recognized phrase ("cat dog and a polar bear") into separate answers. Two words
+// that together make a lexicon entry stay together.
+export const splitSpokenWords = (transcript, category) => {
+  if (rulesFor(category).unspaced) return segmentUnspaced(normalizeWord(transcript), category);
+
+  const lexicon = lexiconFor(category);
+  const { singularCandidates: singulars } = rulesFor(category);
+  const tokens = normalizeWord(transcript).split(' ').filter(token => token && !isFiller(token, category));
+  const words = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const pair = i + 1 < tokens.length ? `${tokens[i]} ${tokens[i + 1]}` : null;
+    if (pair && (lexicon.has(pair) || singulars(pair).some(candidate => lexicon.has(candidate)))) {
+      words.push(pair);
+      i++;
+    } else {
+      words.push(tokens[i]);
+    }
+  }
+  return words;
+};
+
+// Keeps keyboard mashing ("f", "fff", "fzzq") out of the review list
+const looksLikeWord = (word) => word.length >= 3 && !word.includes(' ') && /[aeiouy]/.test(word.slice(1));
+
+const isVariantOf = (word, earlier, category) => (
+  word !== earlier && rulesFor(category).variantSuffixes.some(suffix => word === `${earlier}${suffix}` || earlier === `${word}${suffix}`)
+);
+
+export const createFluencyState = (categoryId, language = 'en') => {
+  const category = LANGUAGE_RULES[language]?.categories[categoryId];
+  if (!category) throw new Error(`Unknown fluency category: ${categoryId} (${language})`);
+  return { category: { ...category, language }, entries: [] };
+};
+
+// Classifies one response and returns the new state plus the scored entry.
+export const addFluencyEntry = (state, raw, elapsedMs) => {
+  const { category } = state;
+  const { normalized, canonical, matchedBy } = resolveWord(raw, category);
+  const word = canonical || normalized;
+  // Compared without accents, so a typed "raton" repeats an earlier "ratón"
+  const key = normalizeWord(word);
+  const earlierWords = state.entries.filter(entry => entry.kind === ENTRY_KINDS.valid || entry.kind === ENTRY_KINDS.unverified);
+
+  let kind;
+  if (!normalized) {
+    kind = ENTRY_KINDS.intrusion;
+  } else if (earlierWords.some(entry => {
+    const earlier = normalizeWord(entry.word);
+    return earlier === key || (category.type === 'phonemic' && isVariantOf(key, earlier, category));
+  })) {
+    kind = ENTRY_KINDS.perseveration;
+  } else if (canonical) {
+    kind = ENTRY_KINDS.valid;
+  } else if (category.type === 'phonemic' && normalized.startsWith(category.letter) && looksLikeWord(normalized)) {
+    kind = ENTRY_KINDS.unverified;
+  } else {
+    kind = ENTRY_KINDS.intrusion;
+  }
+
+  const entry = { input: raw, word, matchedBy, kind, elapsedMs };
+  return { state: { ...state, entries: [...state.entries, entry] }, entry };
+};
+
+const wordsOfKind = (state, kind) => state.entries.filter(entry => entry.kind === kind).map(entry => entry.word);
+
+export const creditedWords = (state) => wordsOfKind(state, ENTRY_KINDS.valid);
+
+export const unverifiedWords = (state) => wordsOfKind(state, ENTRY_KINDS.unverified);
+
+export const summarizeFluency = (state, durationMs = FLUENCY_DURATION_MS) => {
+  const countOf = (kind) => state.entries.filter(entry => entry.kind === kind).length;
+  const bins = Array.from({ length: Math.ceil(durationMs / BIN_MS) }, () => 0);
+  state.entries
+    .filter(entry => entry.kind === ENTRY_KINDS.valid)
+    .forEach(entry => { bins[Math.min(bins.length - 1, Math.floor(entry.elapsedMs / BIN_MS))] += 1; });
+  const count = countOf(ENTRY_KINDS.valid);
+
+  return {
+    category: state.category.id,
+    categoryType: state.category.type,
+    language: state.category.language || 'en',
+    count,
+    unverified: countOf(ENTRY_KINDS.unverified),
+    perseverations: countOf(ENTRY_KINDS.perseveration),
+    intrusions: countOf(ENTRY_KINDS.intrusion),
+    bins,
+    words: creditedWords(state),
+    unverifiedWords: unverifiedWords(state),
+    durationMs,
+    points: count * 10,
+  };
+};
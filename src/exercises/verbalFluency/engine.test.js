@@ -0,0 +1,84 @@
+import { ENTRY_KINDS, addFluencyEntry, createFluencyState, hasFluencyCategory, resolveWord, splitSpokenWords, summarizeFluency } from './engine';
+import { CATEGORIES } from './lexicon';
+import verbalFluency from '.';
+
+const enter = (categoryId, words, language) => words.reduce(
+  (state, [word, elapsedMs]) => addFluencyEntry(state, word, elapsedMs).state,
+  createFluencyState(categoryId, language)
+);
+
+test('normalises plurals and small misspellings to lexicon entries', () => {
+  expect(resolveWord('  Dogs! ', CATEGORIES.animals)).toMatchObject({ canonical: 'dog', matchedBy: 'plural' });
+  expect(resolveWord('butterflies', CATEGORIES.animals)).toMatchObject({ canonical: 'butterfly', matchedBy: 'plural' });
+  expect(resolveWord('mice', CATEGORIES.animals)).toMatchObject({ canonical: 'mouse', matchedBy: 'plural' });
+  expect(resolveWord('girafe', CATEGORIES.animals)).toMatchObject({ canonical: 'giraffe', matchedBy: 'spelling' });
+  expect(resolveWord('elephnat', CATEGORIES.animals)).toMatchObject({ canonical: 'elephant', matchedBy: 'spelling' });
+  expect(resolveWord('cot', CATEGORIES.animals)).toMatchObject({ canonical: null });
+});
+
+test('splits a spoken phrase into answers, keeping multi-word entries together', () => {
+  expect(splitSpokenWords('Cat, dog and um a polar bear', CATEGORIES.animals)).toEqual(['cat', 'dog', 'polar bear']);
+  expect(splitSpokenWords('guinea pigs then horse', CATEGORIES.animals)).toEqual(['guinea pigs', 'horse']);
+  expect(splitSpokenWords('apple and also ant', CATEGORIES.letterA)).toEqual(['apple', 'and', 'also', 'ant']);
+  expect(splitSpokenWords('um', CATEGORIES.animals)).toEqual([]);
+});
+
+test('counts perseverations and intrusions separately from valid words', () => {
+  const state = enter('animals', [['cat', 1000], ['cats', 2000], ['table', 3000], ['dog', 4000]]);
+  expect(state.entries.map(entry => entry.kind)).toEqual([
+    ENTRY_KINDS.valid,
+    ENTRY_KINDS.perseveration,
+    ENTRY_KINDS.intrusion,
+    ENTRY_KINDS.valid,
+  ]);
+  expect(summarizeFluency(state)).toMatchObject({ count: 2, perseverations: 1, intrusions: 1, words: ['cat', 'dog'], points: 20 });
+});
+
+test('bins credited words into 15 second intervals', () => {
+  const state = enter('fruits', [['apple', 1000], ['pear', 14999], ['plum', 15000], ['fig', 59000], ['lime', 61000]]);
+  expect(summarizeFluency(state).bins).toEqual([2, 1, 0, 2]);
+});
+
+test('phonemic rounds reject wrong letters, treat word variants as repeats and flag unknown words', () => {
+  const state = enter('letterF', [['fish', 1000], ['fishing', 2000], ['apple', 3000], ['fjord', 4000]]);
+  expect(state.entries.map(entry => entry.kind)).toEqual([
+    ENTRY_KINDS.valid,
+    ENTRY_KINDS.perseveration,
+    ENTRY_KINDS.intrusion,
+    ENTRY_KINDS.unverified,
+  ]);
+  expect(summarizeFluency(state)).toMatchObject({ count: 1, unverified: 1, words: ['fish'], unverifiedWords: ['fjord'], points: 10 });
+  const fjord = state.entries[3];
+  expect(verbalFluency.scoreTrial({ category: 'letterF', language: 'en', entry: fjord })).toMatchObject({ correct: false, points: 0 });
+});
+
+test('nonsense strings in a letter round score nothing', () => {
+  const state = enter('letterF', [['f', 1000], ['fa', 2000], ['fb', 3000], ['fzzq', 4000], ['fff', 5000]]);
+  expect(state.entries.every(entry => entry.kind === ENTRY_KINDS.intrusion)).toBe(true);
+  expect(summarizeFluency(state)).toMatchObject({ count: 0, points: 0, unverifiedWords: [], bins: [0, 0, 0, 0] });
+});
+
+test('scores Spanish answers with or without accents, and their plurals', () => {
+  const state = enter('animals', [['raton', 1000], ['Ratones', 2000], ['leones', 3000], ['mesa', 4000]], 'es');
+  expect(state.entries.map(entry => entry.kind)).toEqual([
+    ENTRY_KINDS.valid,
+    ENTRY_KINDS.perseveration,
+    ENTRY_KINDS.valid,
+    ENTRY_KINDS.intrusion,
+  ]);
+  expect(summarizeFluency(state)).toMatchObject({ language: 'es', words: ['ratón', 'león'] });
+  expect(splitSpokenWords('un perro y el oso polar', createFluencyState('animals', 'es').category)).toEqual(['perro', 'oso polar']);
+});
+
+test('finds Chinese answers in a phrase spoken without spaces', () => {
+  const { category } = createFluencyState('animals', 'zh');
+  expect(splitSpokenWords('猫，狗还有一只大熊猫', category)).toEqual(['猫', '狗', '大熊猫']);
+  expect(splitSpokenWords('桌子和猫', category)).toEqual(['桌子', '猫']);
+  expect(enter('animals', [['桌子', 1000], ['猫', 2000], ['猫', 3000]], 'zh').entries.map(entry => entry.kind)).toEqual([
+    ENTRY_KINDS.intrusion,
+    ENTRY_KINDS.valid,
+    ENTRY_KINDS.perseveration,
+  ]);
+  expect(hasFluencyCategory('letterF', 'zh')).toBe(false);
+  expect(() => createFluencyState('letterF', 'zh')).toThrow();
+});
@@ -0,0 +1,82 @@
+import VerbalFluencyExercise from './VerbalFluencyExercise';
+import { ENTRY_KINDS, FLUENCY_DURATION_MS, fluencyCategoryLanguages } from './engine';
+import { CATEGORIES } from './lexicon';
+import { PRESENTATIONS, RESPONSE_MODES } from '../../speech/speech';
+import { translateEnglish } from '../../i18n/i18n';
+
+const POINTS_PER_WORD = 10;
+
+const verbalFluency = {
+  id: 'verbalFluency',
+  title: 'Verbal Fluency',
+  description: 'Name as many words as you can that fit the category before the timer runs out, by typing or out loud.',
+  color: 'bg-green-500 hover:bg-green-600',
+  difficultySchema: {
+    category: {
+      type: 'select',
+      label: 'Category',
+      options: Object.values(CATEGORIES).map(category => ({
+        value: category.id,
+        label: category.label,
+        languages: fluencyCategoryLanguages(category.id),
+      })),
+    },
+    durationSeconds: {
+      type: 'select',
+      label: 'Time',
+      options: [
+        { value: 30, label: '30 seconds' },
+        { value: 60, label: '60 seconds' },
+        { value: 90, label: '90 seconds' },
+      ],
+    },
+    presentation: {
+      type: 'select',
+      label: 'Instructions are',
+      options: [
+        { value: PRESENTATIONS.visual, label: 'Shown on screen' },
+        { value: PRESENTATIONS.audio, label: 'Read aloud' },
+      ],
+    },
+    responseMode: {
+      type: 'select',
+      label: 'Answer by',
+      options: [
+        { value: RESPONSE_MODES.typed, label: 'Typing' },
+        { value: RESPONSE_MODES.spoken, label: 'Speaking' },
+      ],
+    },
+  },
+  defaultDifficulty: {
+    category: 'animals',
+    durationSeconds: FLUENCY_DURATION_MS / 1000,
+    presentation: PRESENTATIONS.visual,
+    responseMode: RESPONSE_MODES.typed,
+  },
+  Component: VerbalFluencyExercise,
+
+  // attempt: { category, language, entry } where entry was classified by addFluencyEntry
+  scoreTrial: ({ category, language, entry }) => {
+    // Unverified words are kept in the response for review but don't score
+    const correct = entry.kind === ENTRY_KINDS.valid;
+    return {
+      params: { category, language },
+      stimulus: category,
+      response: { input: entry.input, word: entry.word, kind: entry.kind, matchedBy: entry.matchedBy },
+      correct,
+      reactionTimesMs: [entry.elapsedMs],
+      points: correct ? POINTS_PER_WORD : 0,
+    };
+  },
+
+  formatSummary: (summary, t = translateEnglish) => t('verbalFluency.summary', {
+    category: t(`verbalFluency.category.${summary.category}`, { defaultValue: CATEGORIES[summary.category].label }),
+    count: summary.count,
+    points: summary.points,
+  })
+    + (summary.perseverations ? t('verbalFluency.summary.repeated', { count: summary.perseverations }) : '')
+    + (summary.intrusions ? t('verbalFluency.summary.intrusions', { count: summary.intrusions }) : '')
+    + (summary.unverified ? t('verbalFluency.summary.unverified', { count: summary.unverified }) : ''),
+};
+
+export default verbalFluency;
@@ -0,0 +1,78 @@
+// Spanish word lists for the fluency task, written with their accents; answers are matched
+// with accents removed, so "raton" and "ratón" are the same word. Phonemic rounds use the
+// same F/A/S letters as the English version of the test.
+
+const words = (text) => text.trim().split(/\s*,\s*/);
+
+const ANIMALS = words(`
+  abeja, águila, alce, alpaca, anaconda, anguila, antílope, araña, ardilla, armadillo, atún, avestruz,
+  avispa, babosa, ballena, bisonte, búfalo, búho, burro, caballo, cabra, cacatúa, caimán, calamar,
+  camaleón, camello, canario, cangrejo, canguro, caracol, carnero, castor, cebra, cerdo, chimpancé,
+  chinchilla, ciervo, cigüeña, cisne, cobaya, cocodrilo, codorniz, conejo, cordero, cotorra, coyote,
+  cucaracha, cuervo, delfín, dromedario, elefante, erizo, escarabajo, escorpión, estrella de mar,
+  faisán, flamenco, foca, gacela, gallina, gallo, ganso, garza, gato, gatito, gaviota, gorila,
+  gorrión, grillo, guepardo, gusano, halcón, hámster, hiena, hipopótamo, hormiga, iguana, jabalí,
+  jaguar, jirafa, koala, lagartija, lagarto, langosta, lechuza, león, leopardo, libélula, liebre,
+  lince, llama, lobo, loro, mapache, mariposa, mariquita, medusa, mejillón, merluza, mofeta, mono,
+  mosca, mosquito, mula, murciélago, nutria, oca, orangután, orca, oruga, oso, oso hormiguero,
+  oso panda, oso polar, oveja, paloma, panda, pantera, pato, pavo, pavo real, pelícano, perdiz,
+  perico, perro, perrito, pez, pingüino, piraña, pollo, potro, puercoespín, pulga, pulpo, puma,
+  rana, rata, ratón, reno, rinoceronte, ruiseñor, salamandra, salmón, saltamontes, sapo, sardina,
+  serpiente, suricata, tapir, tejón, ternera, tiburón, tigre, topo, toro, tortuga, trucha, tucán,
+  urraca, vaca, víbora, yak, yegua, zarigüeya, zorro
+`);
+
+const FRUITS = words(`
+  aceituna, aguacate, albaricoque, arándano, banana, breva, caqui, carambola, cereza, chabacano,
+  chirimoya, ciruela, coco, dátil, durazno, frambuesa, fresa, frutilla, granada, grosella, guanábana,
+  guayaba, higo, kiwi, lichi, lima, limón, mamey, mandarina, mango, manzana, maracuyá, melocotón,
+  melón, membrillo, mora, naranja, nectarina, níspero, papaya, pera, piña, pitaya, plátano, pomelo,
+  sandía, tamarindo, tomate, toronja, tuna, uva, zapote, zarzamora
+`);
+
+const TOOLS = words(`
+  alicates, azada, azadón, barreno, berbiquí, brocha, buril, carretilla, cepillo, cincel, cinta métrica,
+  cizalla, clavadora, cortacésped, cúter, desarmador, destornillador, escalera, escoplo, escuadra,
+  espátula, formón, garlopa, gato, guadaña, hacha, hoz, lija, lijadora, lima, llave inglesa, llave,
+  martillo, maza, mazo, metro, motosierra, nivel, pala, palanca, pico, pincel, pinzas, rastrillo, regla, serrucho, sierra, soldador, taladro, tenazas, tijeras, tornillo de banco,
+  pistola de silicona, destornillador eléctrico, grapadora, horca, llana, paleta, plomada, trinchete
+`);
+
+const LETTER_F = words(`
+  fábrica, fácil, factura, falda, falso, falta, fama, familia, famoso, farmacia, faro, farol, fase,
+  favor, favorito, fe, febrero, fecha, feliz, feo, feria, feroz, ferretería, ferrocarril, festival,
+  fiebre, fiel, fiesta, fila, filete, fin, final, firma, firme, física, flaco, flan, flauta, flecha,
+  flojo, flor, florero, flota, foca, fogata, folleto, fondo, forma, foto, fotografía, fracaso, frágil,
+  francés, frase, frasco, frecuente, fregadero, freír, frenar, freno, frente, fresa, fresco, frijol,
+  frío, frito, frontera, fruta, frutero, fuego, fuente, fuera, fuerte, fuerza, fumar, función, funda,
+  fútbol, futuro
+`);
+
+const LETTER_A = words(`
+  abanico, abeja, abierto, abogado, abrazo, abrigo, abril, abrir, abuela, abuelo, aburrido, acabar,
+  aceite, aceituna, acelga, aceptar, acera, ácido, actor, acuerdo, adiós, adulto, aeropuerto, afeitar,
+  agosto, agua, águila, aguja, agujero, ahora, aire, ajedrez, ajo, ala, alas, alegre, alegría,
+  alfombra, algodón, alimento, almendra, almohada, almuerzo, alto, alumno, amable, amanecer, amar,
+  amarillo, amigo, amor, ancho, anciano, andar, anillo, animal, año, antes, antiguo, anuncio, apagar,
+  aparato, apellido, apio, aprender, árbol, arco, arena, armario, arroz, arte, asiento, atún, aula,
+  autobús, avena, avión, aviso, ayer, ayuda, azúcar, azul
+`);
+
+const LETTER_S = words(`
+  sábado, sábana, saber, sabor, sacar, saco, sal, sala, salado, salir, salón, salsa, saltar, salud,
+  saludo, sandalia, sandía, sangre, sano, sapo, sardina, sartén, secador, secar, seco, secreto, sed,
+  seda, seguir, segundo, seguro, seis, sello, selva, semana, semilla, sencillo, sentar, sentir,
+  señal, señor, señora, septiembre, ser, serio, serpiente, servilleta, sesenta, setenta, sexto,
+  siempre, sierra, siesta, siete, siglo, silencio, silla, sillón, simpático, sitio, sobre, sobrino,
+  sofá, sol, soldado, solo, sombra, sombrero, sonar, sonido, sonrisa, sopa, sordo, sorpresa, subir,
+  sucio, suegra, suelo, sueño, suerte, suéter, supermercado, sur
+`);
+
+export const CATEGORIES = {
+  animals: { id: 'animals', type: 'semantic', words: ANIMALS },
+  fruits: { id: 'fruits', type: 'semantic', words: FRUITS },
+  tools: { id: 'tools', type: 'semantic', words: TOOLS },
+  letterF: { id: 'letterF', type: 'phonemic', letter: 'f', words: LETTER_F },
+  letterA: { id: 'letterA', type: 'phonemic', letter: 'a', words: LETTER_A },
+  letterS: { id: 'letterS', type: 'phonemic', letter: 's', words: LETTER_S },
+};
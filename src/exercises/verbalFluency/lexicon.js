@@ -0,0 +1,127 @@
+// Offline word lists for the fluency task. Semantic lists aim to cover what patients
+// commonly produce; phonemic lists are common English words for the F/A/S letters.
+// Multi-word entries are stored with single spaces.
+
+const words = (text) => text.trim().split(/\s*,\s*/);
+
+const ANIMALS = words(`
+  aardvark, albatross, alligator, alpaca, anaconda, angelfish, ant, anteater, antelope, ape, armadillo,
+  baboon, badger, bat, bear, beaver, bee, beetle, bison, blackbird, bluebird, boar, bobcat, buffalo,
+  bull, bullfrog, butterfly, buzzard, camel, canary, caribou, cat, caterpillar, catfish, centipede,
+  chameleon, cheetah, chick, chicken, chimpanzee, chinchilla, chipmunk, clam, cobra, cockatoo,
+  cockroach, cod, condor, cougar, cow, coyote, crab, crane, cricket, crocodile, crow, cuckoo, deer,
+  dingo, dog, dolphin, donkey, dove, dragonfly, duck, eagle, eel, elephant, elk, emu, falcon, ferret,
+  finch, fish, flamingo, flea, fly, fox, frog, gazelle, gecko, gerbil, gibbon, giraffe, gnat, gnu,
+  goat, goldfish, goose, gopher, gorilla, grasshopper, grizzly, groundhog, guinea pig, gull, haddock,
+  halibut, hamster, hare, hawk, hedgehog, hen, heron, herring, hippopotamus, hippo, hornet, horse,
+  hummingbird, hyena, ibis, iguana, impala, jackal, jaguar, jellyfish, kangaroo, kingfisher, kitten,
+  kiwi, koala, ladybug, lamb, lark, leopard, lion, lizard, llama, lobster, lynx, macaw, mackerel,
+  magpie, mammoth, manatee, meerkat, mink, mole, mongoose, monkey, moose, mosquito, moth, mouse, mule,
+  muskrat, mussel, newt, nightingale, octopus, opossum, orangutan, orca, ostrich, otter, owl, ox,
+  oyster, panda, panther, parrot, partridge, peacock, pelican, penguin, pheasant, pig, pigeon, pike,
+  piranha, platypus, polar bear, pony, porcupine, porpoise, possum, prawn, puffin, puma, puppy,
+  python, quail, rabbit, raccoon, ram, rat, rattlesnake, raven, reindeer, rhinoceros, rhino, robin,
+  rooster, salamander, salmon, sardine, scorpion, seahorse, seal, shark, sheep, shrimp, skunk, sloth,
+  slug, snail, snake, sparrow, spider, squid, squirrel, starfish, stingray, stork, swallow, swan,
+  tadpole, tapir, termite, tiger, toad, tortoise, toucan, trout, tuna, turkey, turtle, viper, vulture,
+  walrus, wasp, weasel, whale, wildebeest, wolf, wolverine, wombat, woodpecker, worm, wren, yak, zebra
+`);
+
+const FRUITS = words(`
+  apple, apricot, avocado, banana, blackberry, blackcurrant, blueberry, boysenberry, cantaloupe,
+  cherry, clementine, coconut, cranberry, currant, date, dragon fruit, durian, elderberry, fig,
+  gooseberry, grape, grapefruit, guava, honeydew, huckleberry, jackfruit, kiwi, kumquat, lemon, lime,
+  lychee, mandarin, mango, melon, mulberry, nectarine, olive, orange, papaya, passion fruit, peach,
+  pear, persimmon, pineapple, plantain, plum, pomegranate, pomelo, prune, quince, raisin, raspberry,
+  redcurrant, rhubarb, satsuma, starfruit, strawberry, tangerine, tomato, watermelon
+`);
+
+const TOOLS = words(`
+  anvil, awl, axe, bolt cutter, brush, chainsaw, chisel, clamp, crowbar, drill, file, gimlet, glue gun,
+  hacksaw, hammer, hatchet, hoe, jack, jigsaw, knife, ladder, level, mallet, measuring tape, nail gun,
+  needle, paintbrush, pickaxe, pitchfork, plane, pliers, plunger, pruner, rake, rasp, ruler, sander,
+  saw, scalpel, scissors, scraper, screwdriver, scythe, shears, shovel, sickle, soldering iron,
+  spade, spanner, spatula, sledgehammer, stapler, tape measure, tongs, trowel, tweezers, vice, vise,
+  wheelbarrow, whisk, wrench
+`);
+
+const LETTER_F = words(`
+  face, fact, factory, fade, fail, faint, fair, fairy, faith, fake, fall, false, fame, family, famous,
+  fan, fancy, fang, far, fare, farm, farmer, fashion, fast, fat, fate, father, fault, favor, favour,
+  favorite, fear, feast, feather, feature, february, fee, feed, feel, feet, fell, fellow, felt, female,
+  fence, fern, ferry, festival, fetch, fever, few, fiber, fibre, fiction, fiddle, field, fierce, fig,
+  fight, figure, file, fill, film, filter, final, find, fine, finger, finish, fir, fire, firm, first,
+  fish, fist, fit, five, fix, flag, flame, flap, flash, flat, flavor, flavour, flea, flee, fleet,
+  flesh, flight, flip, float, flock, flood, floor, flour, flow, flower, flu, fluid, flush, flute, fly,
+  foam, focus, fog, fold, folk, follow, fond, food, fool, foot, football, for, force, forehead,
+  foreign, forest, forever, forget, forgive, fork, form, formal, fort, fortune, forty, forward,
+  fossil, foster, foul, found, fountain, four, fox, fraction, frame, frank, freckle, free, freedom,
+  freeze, freight, frequent, fresh, friday, fridge, friend, fright, frog, from, front, frost, frown,
+  frozen, fruit, fry, fuel, full, fun, function, fund, funeral, fungus, funny, fur, furnace,
+  furniture, fury, fuse, fuss, future
+`);
+
+const LETTER_A = words(`
+  abandon, ability, able, aboard, about, above, abroad, absent, absolute, absorb, abuse, academy,
+  accent, accept, access, accident, account, accurate, ace, ache, achieve, acid, acorn, acre, across,
+  act, action, active, actor, actress, actual, adapt, add, address, adjust, admire, admit, adopt,
+  adult, advance, adventure, advice, afford, afraid, after, afternoon, again, against, age, agent,
+  agree, ahead, aid, aim, air, airplane, airport, aisle, alarm, album, alcohol, alert, alien, alike,
+  alive, all, alley, allow, almond, almost, alone, along, aloud, alphabet, already, also, altar,
+  alter, always, amaze, ambulance, among, amount, amuse, anchor, ancient, and, angel, anger, angle,
+  angry, animal, ankle, announce, annoy, annual, another, answer, ant, anxious, any, apart, ape,
+  apology, appeal, appear, appetite, applaud, apple, apply, appoint, approach, approve, apricot,
+  april, apron, arch, area, argue, arm, armchair, army, around, arrange, arrest, arrive, arrow, art,
+  article, artist, ash, ask, asleep, aspect, assist, athlete, atom, attach, attack, attempt, attend,
+  attic, attitude, attract, auction, audience, august, aunt, author, auto, autumn, avenue, average,
+  avocado, avoid, awake, award, aware, away, awful, awkward, axe, axis
+`);
+
+const LETTER_S = words(`
+  sack, sad, saddle, safe, safety, sail, sailor, salad, salary, sale, salmon, salt, same, sample,
+  sand, sandal, sandwich, satellite, saturday, sauce, saucer, sausage, save, saw, say, scale, scare,
+  scarf, scene, school, science, scissors, score, scratch, scream, screen, screw, sea, seal, search,
+  season, seat, second, secret, see, seed, seek, seem, self, sell, send, sense, sentence, separate,
+  september, serious, serve, service, set, seven, several, sew, shade, shadow, shake, shallow, shape,
+  share, shark, sharp, shave, she, sheep, sheet, shelf, shell, shelter, shield, shift, shine, ship,
+  shirt, shock, shoe, shoot, shop, shore, short, shoulder, shout, show, shower, shut, shy, sick, side,
+  sight, sign, signal, silent, silk, silly, silver, simple, sing, singer, single, sink, sister, sit,
+  six, size, skate, ski, skill, skin, skirt, skull, sky, sleep, sleeve, slice, slide, slip, slow,
+  small, smart, smell, smile, smoke, smooth, snack, snail, snake, sneeze, snow, soap, soccer, sock,
+  sofa, soft, soil, soldier, solid, some, son, song, soon, sore, sorry, sort, soul, sound, soup,
+  sour, south, space, spade, spare, speak, special, speed, spell, spend, spider, spill, spin, spine,
+  spoon, sport, spot, spring, square, squeeze, stable, stair, stamp, stand, star, start, station,
+  stay, steak, steal, steam, steel, step, stick, still, stone, stop, store, storm, story, stove,
+  straight, strange, straw, street, string, strong, student, study, sugar, suit, summer, sun, sunday,
+  supper, sure, surprise, swan, sweater, sweep, sweet, swim, swing, switch, sword
+`);
+
+export const CATEGORIES = {
+  animals: { id: 'animals', type: 'semantic', label: 'Animals', prompt: 'Name as many animals as you can.', words: ANIMALS },
+  fruits: { id: 'fruits', type: 'semantic', label: 'Fruits', prompt: 'Name as many fruits as you can.', words: FRUITS },
+  tools: { id: 'tools', type: 'semantic', label: 'Tools', prompt: 'Name as many tools as you can.', words: TOOLS },
+  letterF: { id: 'letterF', type: 'phonemic', letter: 'f', label: 'Words starting with F', prompt: 'Say words that start with F. No names of people or places.', words: LETTER_F },
+  letterA: { id: 'letterA', type: 'phonemic', letter: 'a', label: 'Words starting with A', prompt: 'Say words that start with A. No names of people or places.', words: LETTER_A },
+  letterS: { id: 'letterS', type: 'phonemic', letter: 's', label: 'Words starting with S', prompt: 'Say words that start with S. No names of people or places.', words: LETTER_S },
+};
+
+// Plurals that suffix stripping can't undo
+export const IRREGULAR_PLURALS = {
+  mice: 'mouse',
+  geese: 'goose',
+  oxen: 'ox',
+  teeth: 'tooth',
+  feet: 'foot',
+  children: 'child',
+  wolves: 'wolf',
+  knives: 'knife',
+  leaves: 'leaf',
+  calves: 'calf',
+  halves: 'half',
+  cacti: 'cactus',
+  fungi: 'fungus',
+  octopi: 'octopus',
+  people: 'person',
+  men: 'man',
+  women: 'woman',
+};
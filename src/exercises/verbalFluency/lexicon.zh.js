@@ -0,0 +1,39 @@
+// Mandarin word lists for the fluency task, in simplified characters. Letter rounds have no
+// Chinese equivalent, so only the semantic categories exist here.
+
+const words = (text) => text.trim().split(/\s*[,，]\s*/);
+
+const ANIMALS = words(`
+  狗, 小狗, 猫, 小猫, 猪, 牛, 奶牛, 水牛, 黄牛, 羊, 山羊, 绵羊, 马, 驴, 骡子, 鸡, 公鸡, 母鸡, 小鸡,
+  鸭, 鸭子, 鹅, 兔子, 老鼠, 仓鼠, 松鼠, 老虎, 狮子, 豹, 豹子, 猎豹, 大象, 熊, 狗熊, 黑熊, 北极熊,
+  熊猫, 大熊猫, 猴子, 猩猩, 大猩猩, 长颈鹿, 斑马, 河马, 犀牛, 骆驼, 鹿, 梅花鹿, 驯鹿, 袋鼠, 考拉,
+  狐狸, 狼, 刺猬, 蝙蝠, 鼹鼠, 黄鼠狼, 水獭, 海獭, 浣熊, 羚羊, 牦牛, 鸟, 小鸟, 麻雀, 燕子, 鸽子,
+  乌鸦, 喜鹊, 老鹰, 鹰, 猫头鹰, 啄木鸟, 鹦鹉, 孔雀, 天鹅, 仙鹤, 鹤, 丹顶鹤, 白鹭, 海鸥, 企鹅,
+  鸵鸟, 火烈鸟, 鹈鹕, 蜂鸟, 大雁, 鱼, 金鱼, 鲤鱼, 鲫鱼, 草鱼, 鲨鱼, 鲸, 鲸鱼, 海豚, 海豹, 海狮,
+  海象, 海龟, 乌龟, 螃蟹, 虾, 龙虾, 章鱼, 鱿鱼, 水母, 海星, 海马, 青蛙, 蛤蟆, 癞蛤蟆, 蝌蚪, 蛇,
+  眼镜蛇, 蟒蛇, 蜥蜴, 壁虎, 变色龙, 鳄鱼, 蜜蜂, 蝴蝶, 蚂蚁, 蜘蛛, 蚊子, 苍蝇, 蜻蜓, 蟋蟀, 蚱蜢,
+  蝗虫, 瓢虫, 蜗牛, 蚯蚓, 蝎子, 蟑螂, 毛毛虫, 萤火虫, 蝉, 知了, 蚕, 骆马, 羊驼, 树懒, 穿山甲,
+  獾, 豪猪, 食蚁兽, 鹦鹉螺, 狒狒, 牛蛙, 火鸡, 鹌鹑, 野猪, 山猫, 猞猁, 貂
+`);
+
+const FRUITS = words(`
+  苹果, 香蕉, 梨, 桃, 桃子, 橘子, 橙子, 柑橘, 柚子, 葡萄, 提子, 西瓜, 哈密瓜, 甜瓜, 香瓜, 草莓,
+  蓝莓, 樱桃, 车厘子, 李子, 杏, 杏子, 枣, 红枣, 柿子, 石榴, 荔枝, 龙眼, 桂圆, 芒果, 菠萝, 凤梨,
+  木瓜, 椰子, 猕猴桃, 奇异果, 火龙果, 榴莲, 山竹, 杨梅, 枇杷, 柠檬, 青柠, 金橘, 无花果, 桑葚,
+  山楂, 百香果, 番石榴, 杨桃, 牛油果, 西柚, 蔓越莓, 树莓, 覆盆子, 黑莓, 橄榄, 圣女果, 小番茄,
+  西红柿, 番茄, 甘蔗, 莲雾, 释迦, 红毛丹
+`);
+
+const TOOLS = words(`
+  锤子, 榔头, 螺丝刀, 起子, 扳手, 钳子, 老虎钳, 尖嘴钳, 锯子, 锯, 电锯, 斧头, 斧子, 凿子, 刨子,
+  锉刀, 钻, 电钻, 剪刀, 刀, 菜刀, 小刀, 美工刀, 卷尺, 尺子, 直尺, 水平仪, 铲子, 铁锹, 锄头, 镰刀,
+  耙子, 扫帚, 簸箕, 梯子, 钉子, 螺丝, 胶枪, 订书机, 针, 刷子, 油漆刷, 砂纸, 镊子, 手推车, 独轮车,
+  撬棍, 千斤顶, 电烙铁, 焊枪, 抹子, 瓦刀, 铁锤, 大锤, 钢丝钳, 管钳, 扫把, 拖把, 斧, 钻头, 锥子,
+  夹子, 台钳, 测电笔, 电笔
+`);
+
+export const CATEGORIES = {
+  animals: { id: 'animals', type: 'semantic', words: ANIMALS },
+  fruits: { id: 'fruits', type: 'semantic', words: FRUITS },
+  tools: { id: 'tools', type: 'semantic', words: TOOLS },
+};
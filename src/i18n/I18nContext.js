@@ -0,0 +1,17 @@
+import { createContext, useCallback, useContext } from 'react';
+import { DEFAULT_LANGUAGE, LANGUAGES, translate } from './i18n';
+
+// The language on screen and a setter. App owns the state; screens read it with useTranslation.
+export const I18nContext = createContext({ language: DEFAULT_LANGUAGE, setLanguage: () => {} });
+
+export const useTranslation = () => {
+  const { language, setLanguage } = useContext(I18nContext);
+  // Stable while the language stays the same, so effects can depend on it
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  return {
+    language,
+    setLanguage,
+    speechLang: LANGUAGES[language].speechLang,
+    t,
+  };
+};
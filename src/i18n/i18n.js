@@ -0,0 +1,57 @@
+// Translations for the patient-facing screens. Locale files are flat { key: template } maps;
+// templates take {name} placeholders. A key missing from a locale falls back to English, then
+// to the caller's defaultValue, so an untranslated string shows in English instead of a key.
+
+import en from './locales/en';
+import es from './locales/es';
+import zh from './locales/zh';
+
+export const LANGUAGES = {
+  en: { id: 'en', label: 'English', speechLang: 'en-US' },
+  es: { id: 'es', label: 'Español', speechLang: 'es-ES' },
+  zh: { id: 'zh', label: '中文', speechLang: 'zh-CN' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// History store meta key for the patient's language, so it follows the profile to other devices
+export const LANGUAGE_META_KEY = 'language';
+
+// The device's language, used on the profile picker before anyone has signed in
+const DEVICE_LANGUAGE_KEY = 'strokeRecoveryLanguage';
+
+export const MESSAGES = { en, es, zh };
+
+// 'es-MX' -> 'es'; anything the app isn't translated into -> null
+export const normalizeLanguage = (value) => {
+  const base = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : null;
+};
+
+export const detectLanguage = (preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => (
+  preferred.map(normalizeLanguage).find(Boolean) || DEFAULT_LANGUAGE
+);
+
+export const loadDeviceLanguage = () => {
+  try {
+    return normalizeLanguage(localStorage.getItem(DEVICE_LANGUAGE_KEY)) || detectLanguage();
+  } catch (error) {
+    return detectLanguage();
+  }
+};
+
+export const saveDeviceLanguage = (language) => {
+  try {
+    localStorage.setItem(DEVICE_LANGUAGE_KEY, language);
+  } catch (error) {
+    console.error('Error saving language:', error);
+  }
+};
+
+export const translate = (language, key, { defaultValue, ...params } = {}) => {
+  const template = (MESSAGES[language] || en)[key] ?? en[key] ?? defaultValue ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+// For code that runs outside the app's screens (formatters called from English-only panels)
+export const translateEnglish = (key, params) => translate(DEFAULT_LANGUAGE, key, params);
@@ -0,0 +1,41 @@
+import { MESSAGES, detectLanguage, normalizeLanguage, translate } from './i18n';
+import { listExercises } from '../exercises';
+
+const placeholders = (template) => (template.match(/\{\w+\}/g) || []).sort();
+
+test('fills placeholders and falls back to English, then the default value, then the key', () => {
+  expect(translate('en', 'home.switchProfile', { name: 'Ana' })).toBe('Ana · Switch profile');
+  expect(translate('es', 'home.switchProfile', { name: 'Ana' })).toBe(MESSAGES.es['home.switchProfile'].replace('{name}', 'Ana'));
+  expect(translate('fr', 'common.back')).toBe(MESSAGES.en['common.back']);
+  expect(translate('zh', 'memoryGame.title', { defaultValue: 'Memory Game' })).toBe('Memory Game');
+  expect(translate('en', 'no.such.key')).toBe('no.such.key');
+});
+
+test('maps browser language tags to a supported language', () => {
+  expect(normalizeLanguage('es-MX')).toBe('es');
+  expect(normalizeLanguage('zh_CN')).toBe('zh');
+  expect(normalizeLanguage('fr')).toBeNull();
+  expect(normalizeLanguage(undefined)).toBeNull();
+  expect(detectLanguage(['fr-FR', 'zh-TW', 'en'])).toBe('zh');
+  expect(detectLanguage(['de'])).toBe('en');
+});
+
+test.each(['es', 'zh'])('%s translates every English string with the same placeholders', (language) => {
+  Object.entries(MESSAGES.en).forEach(([key, template]) => {
+    expect([key, language, typeof MESSAGES[language][key]]).toEqual([key, language, 'string']);
+    expect([key, placeholders(MESSAGES[language][key])]).toEqual([key, placeholders(template)]);
+  });
+});
+
+test.each(['es', 'zh'])('English defines every key %s translates', (language) => {
+  expect(Object.keys(MESSAGES[language]).filter(key => MESSAGES.en[key] === undefined)).toEqual([]);
+});
+
+test('the English exercise labels match the plugins they repeat', () => {
+  listExercises().forEach(exercise => {
+    expect(MESSAGES.en[`${exercise.id}.title`]).toBe(exercise.title);
+    Object.entries(exercise.difficultySchema).forEach(([field, spec]) => {
+      expect(MESSAGES.en[`${exercise.id}.${field}`]).toBe(spec.label);
+    });
+  });
+});
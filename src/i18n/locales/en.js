@@ -0,0 +1,482 @@
+// English is the source language: every key used in the app is defined here, and the other
+// locales fall back to it key by key. Exercise titles and settings labels repeat the plugin's
+// own English text, which stays as the fallback for a plugin without locale entries.
+const en = {
+  'app.title': 'Stroke Recovery Companion',
+  'app.loadingProfiles': 'Loading profiles...',
+  'app.profilesFailed': 'Profiles could not be loaded on this device.',
+  'language.label': 'Language',
+
+  'common.back': 'Back',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+
+  'picker.heading': 'Who is using the app?',
+  'picker.patient': 'Patient',
+  'picker.therapist': 'Therapist',
+  'picker.pinProtected': 'PIN protected',
+  'picker.addPatient': 'Add patient',
+  'picker.newPatient': 'New patient profile',
+  'picker.setUpTherapist': 'Set up therapist access',
+
+  'pin.title': 'Enter the PIN for {name}',
+  'pin.wrong': 'That PIN is not right. Please try again.',
+  'pin.tooMany': 'Too many wrong PINs. Please wait {seconds} seconds.',
+  'pin.checkFailed': 'Could not check the PIN: {message}',
+  'pin.unlockSoon': 'The keypad will unlock shortly.',
+  'pin.unlock': 'Unlock',
+
+  'profileForm.name': 'Name',
+  'profileForm.pin': 'PIN',
+  'profileForm.pinOptional': 'PIN (optional)',
+  'profileForm.pinAgain': 'Type the PIN again',
+  'profileForm.httpsOnly': 'PINs can only be set when the app is opened over https.',
+  'profileForm.save': 'Save profile',
+  'profileForm.nameMissing': 'Give the profile a name.',
+  'profileForm.pinMissing': 'Choose a PIN.',
+  'profileForm.pinLength': 'A PIN is {min} to {max} digits.',
+  'profileForm.pinMismatch': 'The two PINs are different.',
+
+  'numberPad.answer': 'Your answer',
+  'numberPad.pinDigits': 'PIN, {count} digits entered',
+  'numberPad.delete': 'Delete last digit',
+  'numberPad.check': 'Check',
+  'directionPad.up': 'Move up',
+  'directionPad.down': 'Move down',
+  'directionPad.left': 'Move left',
+  'directionPad.right': 'Move right',
+  'directionPad.mark': 'Mark',
+
+  'home.welcomeTitle': 'Welcome to Your Stroke Recovery App!',
+  'home.welcomeIntro': 'This app is designed to help you with your cognitive recovery through engaging exercises and provide emotional support.',
+  'home.welcomeDemoNote': '**Note: If you are seeing pre-filled data or example chat messages, you are in DEMO MODE.** '
+    + 'This is for demonstration purposes. For your personal recovery tracking, please ensure the app is not in demo mode. '
+    + '(If you are a beta tester, your progress will be saved in your browser.)',
+  'home.start': 'Start My Recovery Journey',
+  'home.accessibilityOptions': 'Larger text, high contrast and other options',
+  'home.accessibility': 'Accessibility',
+  'home.switchProfile': '{name} · Switch profile',
+  'home.install': 'Install app',
+  'home.progress': 'My Progress',
+  'home.points': 'points',
+  'home.sessions': 'Total Sessions Completed:',
+  'home.lastSession': 'Last session:',
+  'home.viewDashboard': 'View Dashboard',
+  'home.hideDashboard': 'Hide Dashboard',
+  'home.export': 'Export',
+  'home.journal': 'Journal',
+  'home.program': 'Program',
+  'home.backup': 'Backup',
+  'home.moodQuestion': 'How are you feeling today?',
+  'home.moodLabel': 'Mood: {mood}',
+  'home.moodFeedback': 'You selected: {mood}. Thanks for sharing. Add more about your day in your journal.',
+  'home.screenerDue': 'Your wellbeing check-in is due.',
+  'home.openJournal': 'Open journal',
+  'home.exercises': 'Cognitive Exercises',
+  'home.todaysSession': "Today's session: {name}",
+  'home.complete': '{name} complete! {message}',
+  'mood.positive': 'positive',
+  'mood.neutral': 'neutral',
+  'mood.negative': 'negative',
+
+  'connection.offline': 'Offline: exercises and your history still work. Chat messages will wait until you reconnect.',
+  'demo.banner': 'Demo mode: made-up data, nothing is saved.',
+  'demo.scenario': 'Scenario',
+  'demo.scenario.improving': '8 weeks of steady improvement',
+  'demo.scenario.decliningMood': 'Declining mood with a crisis event',
+  'demo.scenario.firstWeek': 'First week home from hospital',
+  'demo.restart': 'Restart',
+  'demo.seed': 'Seed: {seed}',
+
+  'accessibility.title': 'Accessibility',
+  'accessibility.close': 'Close accessibility settings',
+  'accessibility.turnOn': 'Turn on accessibility mode',
+  'accessibility.turnOff': 'Turn off accessibility mode',
+  'accessibility.on': 'On',
+  'accessibility.off': 'Off',
+  'accessibility.largeTargets': 'Large buttons',
+  'accessibility.largeTargets.hint': 'Bigger buttons and boxes that are easier to tap.',
+  'accessibility.highContrast': 'High contrast',
+  'accessibility.highContrast.hint': 'Black text on white with strong outlines.',
+  'accessibility.onScreenPad': 'On-screen keypad',
+  'accessibility.onScreenPad.hint': 'Number pad for Digit Span and arrow pad for the attention task.',
+  'accessibility.textSize': 'Text size',
+  'accessibility.fontScale.1': 'Normal',
+  'accessibility.fontScale.1.25': 'Large',
+  'accessibility.fontScale.1.5': 'Larger',
+  'accessibility.fontScale.1.75': 'Largest',
+
+  'runner.therapistSets': 'Your therapist sets these.',
+  'runner.start': 'Start',
+  'runner.stop': 'Stop exercise',
+
+  'program.step': '{name}: step {step} of {total}',
+  'program.round': '(round {round} of {rounds})',
+  'program.wellDone': 'Well done! {message}',
+  'program.rest': 'Take a short rest. Next:',
+  'program.stopForToday': 'Stop for today',
+  'program.continue': 'Continue',
+  'program.nothingToRun': 'This program has no exercises that can run here.',
+  'program.title': 'Training Program',
+  'program.close': 'Close programs',
+  'program.notificationsBlocked': 'Notifications are blocked in your browser settings, so session reminders cannot be shown.',
+  'program.notificationsOff': 'Turn on notifications to get a reminder when a session is due.',
+  'program.turnOnReminders': 'Turn on reminders',
+  'program.therapistSets': 'Your therapist sets up your programs.',
+  'program.new': 'New program',
+  'program.loading': 'Loading programs...',
+  'program.none': 'No programs yet. Ask your therapist what to practise each week and add it here.',
+  'program.adherence': 'Last 7 days: {done} of {total} scheduled sessions done',
+  'program.start': 'Start session',
+  'program.edit': 'Edit program',
+  'program.delete': 'Delete program',
+  'program.confirmDelete': 'Delete the program "{name}"? Past sessions stay in the history.',
+  'program.weekday.0': 'Sun',
+  'program.weekday.1': 'Mon',
+  'program.weekday.2': 'Tue',
+  'program.weekday.3': 'Wed',
+  'program.weekday.4': 'Thu',
+  'program.weekday.5': 'Fri',
+  'program.weekday.6': 'Sat',
+  'program.blockTrials': '{count} {title} trials',
+  'program.blockRounds': '{label} × {rounds}',
+  'program.reminder.title': '{profile}: time for your training session',
+  'program.reminder.body': '{name} is scheduled for today.',
+  'program.name': 'Program name',
+  'program.namePlaceholder': 'e.g. Memory and language',
+  'program.reminderTime': 'Reminder time',
+  'program.sendReminders': 'Send reminders',
+  'program.days': 'Days',
+  'program.exercises': 'Exercises, in order',
+  'program.exercise': 'Exercise {number}',
+  'program.rounds': 'Rounds',
+  'program.removeExercise': 'Remove exercise',
+  'program.addExercise': 'Add exercise',
+  'program.save': 'Save program',
+  'program.error.name': 'Give the program a name.',
+  'program.error.days': 'Pick at least one day.',
+  'program.error.time': 'Reminder time must be HH:MM.',
+  'program.error.blocks': 'Add at least one exercise.',
+  'program.error.unavailable': 'Exercise {number} is not available.',
+  'program.error.rounds': 'Exercise {number} needs between 1 and {max} rounds.',
+
+  'speech.unsupported': "Voice answers aren't available in this browser. Please type your answer.",
+  'speech.listening': 'Listening... tap to stop',
+  'speech.speak': 'Speak your answer',
+  'speech.error.noSpeech': "I didn't hear anything. Tap the microphone and try again, or type your answer.",
+  'speech.error.notAllowed': 'Microphone access is blocked. Allow it in your browser settings, or type your answer.',
+  'speech.error.audioCapture': 'No microphone was found. Please type your answer.',
+  'speech.error.network': 'Voice answers need an internet connection in this browser. Please type your answer.',
+  'speech.error.other': 'Voice answers stopped working. Please type your answer.',
+
+  'digitSpan.title': 'Digit Span Test',
+  'digitSpan.description': 'Watch or listen to the digits one at a time, then repeat them. The sequence grows as you get them right.',
+  'digitSpan.direction': 'Recall order',
+  'digitSpan.direction.forward': 'Forward (same order)',
+  'digitSpan.direction.backward': 'Backward (reverse order)',
+  'digitSpan.startLength': 'Starting length',
+  'digitSpan.trialsPerSession': 'Trials',
+  'digitSpan.presentation': 'Digits are',
+  'digitSpan.presentation.visual': 'Shown on screen',
+  'digitSpan.presentation.audio': 'Spoken aloud',
+  'digitSpan.responseMode': 'Answer by',
+  'digitSpan.responseMode.typed': 'Typing or tapping',
+  'digitSpan.responseMode.spoken': 'Speaking',
+  'digitSpan.trial': 'Trial {trial} of {total}: {length} digits. {instruction}',
+  'digitSpan.watch': 'Watch carefully...',
+  'digitSpan.listen': 'Listen carefully...',
+  'digitSpan.enter': 'Enter the sequence:',
+  'digitSpan.enterBackward': 'Enter the sequence in reverse order:',
+  'digitSpan.say': 'Say the sequence:',
+  'digitSpan.sayBackward': 'Say the sequence in reverse order:',
+  'digitSpan.correct': 'Correct! +{points} points',
+  'digitSpan.wrong': 'Not quite. The sequence was: {sequence}',
+  'digitSpan.spoken.listen': 'Listen.',
+  'digitSpan.spoken.now': 'Now say them.',
+  'digitSpan.spoken.nowBackward': 'Now say them backwards.',
+  'digitSpan.spoken.correct': 'Correct!',
+  'digitSpan.spoken.wrong': 'Not quite.',
+  'digitSpan.noVoices': "Spoken digits aren't available in this browser, so they are shown on screen instead.",
+  'digitSpan.listening': 'Listen...',
+  'digitSpan.sayNumbers': 'Say the numbers',
+  'digitSpan.placeholder': 'e.g., 1 2 3 4 5',
+  'digitSpan.check': 'Check',
+  'digitSpan.forward': 'forward',
+  'digitSpan.backward': 'backward',
+  'digitSpan.summary': 'Max {direction} span: {maxSpan}. {correct}/{total} correct, +{points} points.',
+
+  'verbalFluency.title': 'Verbal Fluency',
+  'verbalFluency.description': 'Name as many words as you can that fit the category before the timer runs out, by typing or out loud.',
+  'verbalFluency.category': 'Category',
+  'verbalFluency.category.animals': 'Animals',
+  'verbalFluency.category.fruits': 'Fruits',
+  'verbalFluency.category.tools': 'Tools',
+  'verbalFluency.category.letterF': 'Words starting with F',
+  'verbalFluency.category.letterA': 'Words starting with A',
+  'verbalFluency.category.letterS': 'Words starting with S',
+  'verbalFluency.durationSeconds': 'Time',
+  'verbalFluency.durationSeconds.30': '30 seconds',
+  'verbalFluency.durationSeconds.60': '60 seconds',
+  'verbalFluency.durationSeconds.90': '90 seconds',
+  'verbalFluency.presentation': 'Instructions are',
+  'verbalFluency.presentation.visual': 'Shown on screen',
+  'verbalFluency.presentation.audio': 'Read aloud',
+  'verbalFluency.responseMode': 'Answer by',
+  'verbalFluency.responseMode.typed': 'Typing',
+  'verbalFluency.responseMode.spoken': 'Speaking',
+  'verbalFluency.spokenInstructions': 'Say each word out loud, or type it and press Enter.',
+  'verbalFluency.typedInstructions': 'Press Enter or Add after each word.',
+  'verbalFluency.startsNow': 'Your time starts now.',
+  'verbalFluency.repeated': '"{word}" was already named.',
+  'verbalFluency.intrusion': '"{input}" doesn\'t fit: {category}.',
+  'verbalFluency.named': 'Named: {word}. Total: {total}',
+  'verbalFluency.unverified': '"{word}" isn\'t in the word list. Your therapist can check it.',
+  'verbalFluency.noVoices': "Reading aloud isn't available in this browser, so the instructions are shown on screen.",
+  'verbalFluency.categoryUnavailable': "{category} isn't available in {language}, so this round is {fallback}.",
+  'verbalFluency.listening': 'Listen...',
+  'verbalFluency.startListening': 'Start listening',
+  'verbalFluency.placeholder': 'Type a word and press Enter',
+  'verbalFluency.word': 'Word',
+  'verbalFluency.add': 'Add',
+  'verbalFluency.words': 'Words:',
+  'verbalFluency.prompt.animals': 'Name as many animals as you can.',
+  'verbalFluency.prompt.fruits': 'Name as many fruits as you can.',
+  'verbalFluency.prompt.tools': 'Name as many tools as you can.',
+  'verbalFluency.prompt.letter': 'Say words that start with {letter}. No names of people or places.',
+  'verbalFluency.summary': '{category}: {count} words, +{points} points.',
+  'verbalFluency.summary.repeated': ' {count} repeated.',
+  'verbalFluency.summary.intrusions': ' {count} not in the category.',
+  'verbalFluency.summary.unverified': ' {count} for your therapist to check.',
+
+  'selectiveAttention.title': 'Selective Attention',
+  'selectiveAttention.description': 'Find and tap every X in the grid, as quickly and carefully as you can.',
+  'selectiveAttention.rows': 'Rows',
+  'selectiveAttention.cols': 'Columns',
+  'selectiveAttention.targetCount': 'Targets to find',
+  'selectiveAttention.similarity': 'Distractors',
+  'selectiveAttention.similarity.low': 'Easy to tell apart',
+  'selectiveAttention.similarity.medium': 'Somewhat similar',
+  'selectiveAttention.similarity.high': 'Very similar',
+  'selectiveAttention.padInstructions': 'Find every {target}. Use the arrows to move the blue box and press Mark. Press Done when you have found them all.',
+  'selectiveAttention.tapInstructions': 'Tap every {target}. Tap again to undo. Press Done when you have found them all.',
+  'selectiveAttention.grid': 'Find every {target}',
+  'selectiveAttention.cell': 'Row {row}, column {col}: {symbol}',
+  'selectiveAttention.marked': ', marked',
+  'selectiveAttention.done': 'Done',
+  'selectiveAttention.summary': 'Found {hits} of {total} in {seconds} seconds{mistakes}. +{points} points.',
+  'selectiveAttention.summary.mistakes': ', {count} tapped by mistake',
+
+  'journal.title': 'My Journal',
+  'journal.close': 'Close journal',
+  'journal.loading': 'Loading your journal...',
+  'journal.saved': 'Journal saved.',
+  'journal.saveFailed': 'Could not save your journal: {message}',
+  'journal.clinicianTitle': 'Please talk to your doctor or care team',
+  'journal.clinicianBody': 'Your check-in score was {score} ({severity}). Low mood is common after a stroke and it can be treated. '
+    + 'Please contact your doctor, nurse or therapist in the next few days and let them know how you have been feeling.',
+  'journal.thanks': 'Thank you for completing your check-in. Your score was {score} ({severity}).',
+  'journal.checkIn': 'Wellbeing Check-in',
+  'journal.remindEvery': 'Remind me every',
+  'journal.days': '{count} days',
+  'journal.wording': 'Wording',
+  'journal.wording.standard': 'Standard',
+  'journal.wording.simple': 'Aphasia-friendly',
+  'journal.lastCheckIn': 'Last check-in: {date} (score {score}).',
+  'journal.noCheckIn': 'You have not done a check-in yet.',
+  'journal.checkInDue': 'A new check-in is due.',
+  'journal.startCheckIn': 'Start check-in',
+  'journal.today': 'Today, {date}',
+  'journal.notes': 'Notes',
+  'journal.notesPlaceholder': 'Anything you want to remember about today',
+  'journal.recent': 'Last {days} Days',
+  'journal.noEntries': 'No journal entries yet.',
+  'journal.symptomValue': '{symptom}: {value}/{max}',
+  'journal.symptom.fatigue': 'Fatigue',
+  'journal.symptom.fatigue.low': 'None',
+  'journal.symptom.fatigue.high': 'Exhausted',
+  'journal.symptom.pain': 'Pain',
+  'journal.symptom.pain.low': 'None',
+  'journal.symptom.pain.high': 'Worst',
+  'journal.symptom.sleep': 'Sleep quality',
+  'journal.symptom.sleep.low': 'Very poor',
+  'journal.symptom.sleep.high': 'Very good',
+  'mood.short.positive': 'Good',
+  'mood.short.neutral': 'OK',
+  'mood.short.negative': 'Low',
+
+  // PHQ-9 (Pfizer). The simple wording is the app's aphasia-friendly version of the same items.
+  'phq9.prompt': 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+  'phq9.prompt.simple': 'In the last 2 weeks, how often?',
+  'phq9.item.interest': 'Little interest or pleasure in doing things',
+  'phq9.item.interest.simple': 'Not enjoying things',
+  'phq9.item.down': 'Feeling down, depressed, or hopeless',
+  'phq9.item.down.simple': 'Feeling sad',
+  'phq9.item.sleep': 'Trouble falling or staying asleep, or sleeping too much',
+  'phq9.item.sleep.simple': 'Sleep problems',
+  'phq9.item.energy': 'Feeling tired or having little energy',
+  'phq9.item.energy.simple': 'Feeling tired',
+  'phq9.item.appetite': 'Poor appetite or overeating',
+  'phq9.item.appetite.simple': 'Eating too little or too much',
+  'phq9.item.selfWorth': 'Feeling bad about yourself — or that you are a failure or have let yourself or your family down',
+  'phq9.item.selfWorth.simple': 'Feeling bad about yourself',
+  'phq9.item.concentration': 'Trouble concentrating on things, such as reading the newspaper or watching television',
+  'phq9.item.concentration.simple': 'Hard to concentrate',
+  'phq9.item.movement': 'Moving or speaking so slowly that other people could have noticed, or being so fidgety or restless '
+    + 'that you have been moving around a lot more than usual',
+  'phq9.item.movement.simple': 'Moving or talking slowly, or feeling restless',
+  'phq9.item.selfHarm': 'Thoughts that you would be better off dead, or of hurting yourself in some way',
+  'phq9.item.selfHarm.simple': 'Thinking you would be better off dead, or of hurting yourself',
+  'phq9.response.0': 'Not at all',
+  'phq9.response.0.simple': 'No',
+  'phq9.response.1': 'Several days',
+  'phq9.response.1.simple': 'Some days',
+  'phq9.response.2': 'More than half the days',
+  'phq9.response.2.simple': 'Most days',
+  'phq9.response.3': 'Nearly every day',
+  'phq9.response.3.simple': 'Every day',
+  'phq9.severity.minimal': 'minimal',
+  'phq9.severity.mild': 'mild',
+  'phq9.severity.moderate': 'moderate',
+  'phq9.severity.moderately severe': 'moderately severe',
+  'phq9.severity.severe': 'severe',
+  'phq9.notNow': 'Not now',
+  'phq9.submit': 'Submit',
+
+  'dashboard.title': 'Progress Dashboard',
+  'dashboard.close': 'Close dashboard',
+  'dashboard.loading': 'Loading your history...',
+  'dashboard.thisWeek': 'This Week',
+  'dashboard.dailyGoal': 'Daily goal:',
+  'dashboard.sessions': 'sessions',
+  'dashboard.dayCount': '{date}: {count} of {goal} sessions',
+  'dashboard.goalMet': 'Goal met on {days} of the last 7 days.',
+  'dashboard.noData': 'No data yet',
+  'dashboard.digitSpan': 'Max Digit Span',
+  'dashboard.forward': 'Forward',
+  'dashboard.backward': 'Backward',
+  'dashboard.animals': 'Animals Named per 60 Seconds',
+  'dashboard.letterFluency': 'Letter Fluency (F/A/S) per 60 Seconds',
+  'dashboard.words': 'Words',
+  'dashboard.accuracy': 'Accuracy',
+  'dashboard.hitRate': 'Hit rate',
+  'dashboard.falseAlarms': 'False alarms',
+  'dashboard.mood': 'Mood',
+  'dashboard.journal': 'Journal',
+  'dashboard.phq9': 'Wellbeing Check-in (PHQ-9)',
+  'dashboard.score': 'Score',
+
+  'export.title': 'Export for Your Therapist',
+  'export.close': 'Close export',
+  'export.from': 'From',
+  'export.to': 'To',
+  'export.report': 'Print / PDF Report',
+  'export.csv': 'All Trials (CSV)',
+  'export.fhir': 'FHIR Observations',
+  'export.label.report': 'Summary report',
+  'export.label.csv': 'Trial CSV',
+  'export.label.fhir': 'FHIR bundle',
+  'export.preparing': 'Preparing {label}...',
+  'export.ready': '{label} ready.',
+  'export.failed': 'Could not create {label}: {message}',
+
+  'backup.title': 'Backup and Sync',
+  'backup.close': 'Close backup and sync',
+  'backup.needsHttps': 'Backups are encrypted in the browser, which needs the app to be opened over https.',
+  'backup.saveHeading': 'Save a backup file',
+  'backup.saveIntro': 'Everything in this profile, encrypted with a passphrase you choose ({min} characters or more).',
+  'backup.passphrase': 'Passphrase',
+  'backup.passphraseAgain': 'Type it again',
+  'backup.download': 'Download backup',
+  'backup.restoreHeading': 'Restore from a backup file',
+  'backup.restoreIntro': 'The backup is merged into this profile; nothing recorded here is lost.',
+  'backup.file': 'Backup file',
+  'backup.restore': 'Restore',
+  'backup.syncHeading': 'Sync between devices',
+  'backup.syncIntro': 'Use the same server, sync code and passphrase on each device. The server only ever stores the encrypted backup.',
+  'backup.server': 'Sync server',
+  'backup.token': 'Access token (if the server needs one)',
+  'backup.syncCode': 'Sync code',
+  'backup.newCode': 'New code',
+  'backup.syncNow': 'Sync now',
+  'backup.lastSynced': 'Last synced {time}',
+  'backup.stopSync': 'Stop syncing',
+  'backup.confirmStop': 'Stop syncing this profile on this device? The copy on the server and on other devices stays as it is.',
+  'backup.stopped': 'Syncing stopped on this device.',
+  'backup.action.backup': 'Backup',
+  'backup.action.restore': 'Restore',
+  'backup.action.sync': 'Sync',
+  'backup.working': '{action}...',
+  'backup.failed': '{action} failed: {message}',
+  'backup.downloaded': 'Backup downloaded. Keep the passphrase somewhere safe: without it the file cannot be opened.',
+  'backup.restored': 'Backup restored. {changes}',
+  'backup.synced': 'Synced. {changes}',
+  'backup.nothingNew': 'Nothing new.',
+  'backup.changes': '{added} records added, {updated} updated, {removed} removed.',
+  'backup.error.mismatch': 'The two passphrases are different.',
+  'backup.error.noFile': 'Choose a backup file first.',
+  'backup.error.notBackup': 'This is not a Stroke Recovery backup file.',
+  'backup.error.noServer': 'Enter the sync server address.',
+  'backup.error.syncCode': 'The sync code should be at least 16 letters and digits.',
+
+  'chat.title': 'Crisis Management Chatbot',
+  'chat.caregiverContact': 'Caregiver contact',
+  'chat.newConversation': 'New conversation',
+  'chat.pastConversations': 'Past conversations',
+  'chat.backToConversation': 'Back to conversation',
+  'chat.noConversations': 'No saved conversations yet.',
+  'chat.untitled': 'Untitled',
+  'chat.messageCount': '{count} messages',
+  'chat.waitingCount': '{count} waiting to send',
+  'chat.deleteConversation': 'Delete conversation',
+  'chat.confirmDelete': 'Delete the conversation "{title}"? This cannot be undone.',
+  'chat.conversation': 'Conversation',
+  'chat.you': 'You',
+  'chat.ai': 'AI',
+  'chat.waiting': 'Waiting to send',
+  'chat.typing': 'AI is typing...',
+  'chat.offline': 'You are offline. Your messages will be sent when the connection is back.',
+  'chat.unreachable': 'The chat service could not be reached.',
+  'chat.tryAgain': 'Try again',
+  'chat.placeholder': 'Type your message...',
+  'chat.message': 'Message',
+  'chat.send': 'Send message',
+  'chat.noReply': "I'm sorry, I could not generate a response at this time.",
+  'chat.error': 'I apologize, something went wrong. Please try again later.',
+  'caregiver.name': 'Caregiver name',
+  'caregiver.phone': 'Phone number',
+
+  'safety.title.stroke': 'These may be signs of a stroke',
+  'safety.title.advice': 'Please check with your care team',
+  'safety.title.help': 'Please get help now',
+  'safety.dismiss': 'Dismiss',
+  'safety.notAlone': 'You are not alone. Trained counsellors are available any time, day or night.',
+  'safety.call': 'Call {name}',
+  'safety.caregiver': 'caregiver',
+  'safety.addCaregiver': 'Add a caregiver contact with the phone button above so they are one tap away.',
+  'safety.letter.balance': 'B',
+  'safety.letter.eyes': 'E',
+  'safety.letter.face': 'F',
+  'safety.letter.arms': 'A',
+  'safety.letter.speech': 'S',
+  'safety.letter.time': 'T',
+  'safety.sign.balance': 'Balance',
+  'safety.sign.eyes': 'Eyes',
+  'safety.sign.face': 'Face',
+  'safety.sign.arms': 'Arms',
+  'safety.sign.speech': 'Speech',
+  'safety.sign.time': 'Time',
+  'safety.check.balance': 'Sudden loss of balance or coordination?',
+  'safety.check.eyes': 'Sudden blurred, double or lost vision?',
+  'safety.check.face': 'Does one side of the face droop when smiling?',
+  'safety.check.arms': 'Does one arm drift down when both are raised?',
+  'safety.check.speech': 'Is speech slurred or hard to understand?',
+  'safety.check.time': 'Call emergency services now and note when the symptoms started.',
+  'safety.reply.selfHarm': "I'm really glad you told me. You deserve support right now from a person who can help. "
+    + 'Please call {crisisLine} or {emergency}, or reach out to someone you trust.',
+  'safety.reply.strokeWarning': 'These could be signs of a new stroke. '
+    + "Call {emergency} right away and note the time the symptoms started. Don't wait to see if they go away.",
+  'safety.reply.medicalEmergency': 'This sounds like it could be a medical emergency. Please call {emergency} now.',
+  'safety.reply.unsafeAdvice': "I can't give advice about that. Please check with your doctor, pharmacist or care team.",
+};
+
+export default en;
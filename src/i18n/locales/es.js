@@ -0,0 +1,481 @@
+const es = {
+  'app.title': 'Compañero de Recuperación del Ictus',
+  'app.loadingProfiles': 'Cargando perfiles...',
+  'app.profilesFailed': 'No se pudieron cargar los perfiles en este dispositivo.',
+  'language.label': 'Idioma',
+
+  'common.back': 'Volver',
+  'common.cancel': 'Cancelar',
+  'common.save': 'Guardar',
+
+  'picker.heading': '¿Quién está usando la aplicación?',
+  'picker.patient': 'Paciente',
+  'picker.therapist': 'Terapeuta',
+  'picker.pinProtected': 'Protegido con PIN',
+  'picker.addPatient': 'Añadir paciente',
+  'picker.newPatient': 'Nuevo perfil de paciente',
+  'picker.setUpTherapist': 'Configurar acceso de terapeuta',
+
+  'pin.title': 'Introduzca el PIN de {name}',
+  'pin.wrong': 'El PIN no es correcto. Inténtelo de nuevo.',
+  'pin.tooMany': 'Demasiados PIN incorrectos. Espere {seconds} segundos.',
+  'pin.checkFailed': 'No se pudo comprobar el PIN: {message}',
+  'pin.unlockSoon': 'El teclado se desbloqueará en breve.',
+  'pin.unlock': 'Desbloquear',
+
+  'profileForm.name': 'Nombre',
+  'profileForm.pin': 'PIN',
+  'profileForm.pinOptional': 'PIN (opcional)',
+  'profileForm.pinAgain': 'Escriba el PIN otra vez',
+  'profileForm.httpsOnly': 'Solo se puede poner un PIN cuando la aplicación se abre por https.',
+  'profileForm.save': 'Guardar perfil',
+  'profileForm.nameMissing': 'Ponga un nombre al perfil.',
+  'profileForm.pinMissing': 'Elija un PIN.',
+  'profileForm.pinLength': 'Un PIN tiene de {min} a {max} cifras.',
+  'profileForm.pinMismatch': 'Los dos PIN son distintos.',
+
+  'numberPad.answer': 'Su respuesta',
+  'numberPad.pinDigits': 'PIN, {count} cifras introducidas',
+  'numberPad.delete': 'Borrar la última cifra',
+  'numberPad.check': 'Comprobar',
+  'directionPad.up': 'Mover arriba',
+  'directionPad.down': 'Mover abajo',
+  'directionPad.left': 'Mover a la izquierda',
+  'directionPad.right': 'Mover a la derecha',
+  'directionPad.mark': 'Marcar',
+
+  'home.welcomeTitle': '¡Bienvenido a su aplicación de recuperación del ictus!',
+  'home.welcomeIntro': 'Esta aplicación le ayuda en su recuperación cognitiva con ejercicios amenos y le ofrece apoyo emocional.',
+  'home.welcomeDemoNote': '**Nota: si ve datos ya rellenados o mensajes de chat de ejemplo, está en MODO DEMOSTRACIÓN.** '
+    + 'Sirve solo para enseñar la aplicación. Para seguir su propia recuperación, asegúrese de que la aplicación no está en modo demostración. '
+    + '(Si participa en las pruebas, su progreso se guarda en su navegador.)',
+  'home.start': 'Empezar mi recuperación',
+  'home.accessibilityOptions': 'Letra más grande, alto contraste y otras opciones',
+  'home.accessibility': 'Accesibilidad',
+  'home.switchProfile': '{name} · Cambiar de perfil',
+  'home.install': 'Instalar la aplicación',
+  'home.progress': 'Mi progreso',
+  'home.points': 'puntos',
+  'home.sessions': 'Sesiones completadas:',
+  'home.lastSession': 'Última sesión:',
+  'home.viewDashboard': 'Ver panel',
+  'home.hideDashboard': 'Ocultar panel',
+  'home.export': 'Exportar',
+  'home.journal': 'Diario',
+  'home.program': 'Programa',
+  'home.backup': 'Copia de seguridad',
+  'home.moodQuestion': '¿Cómo se siente hoy?',
+  'home.moodLabel': 'Ánimo: {mood}',
+  'home.moodFeedback': 'Ha elegido: {mood}. Gracias por contárnoslo. Puede escribir más sobre su día en el diario.',
+  'home.screenerDue': 'Le toca su revisión de bienestar.',
+  'home.openJournal': 'Abrir el diario',
+  'home.exercises': 'Ejercicios cognitivos',
+  'home.todaysSession': 'Sesión de hoy: {name}',
+  'home.complete': '¡{name} terminado! {message}',
+  'mood.positive': 'bien',
+  'mood.neutral': 'regular',
+  'mood.negative': 'mal',
+
+  'connection.offline': 'Sin conexión: los ejercicios y su historial siguen funcionando. Los mensajes del chat esperarán hasta que vuelva la conexión.',
+  'demo.banner': 'Modo demostración: datos inventados, no se guarda nada.',
+  'demo.scenario': 'Escenario',
+  'demo.scenario.improving': '8 semanas de mejora constante',
+  'demo.scenario.decliningMood': 'Ánimo en descenso con un episodio de crisis',
+  'demo.scenario.firstWeek': 'Primera semana en casa tras el hospital',
+  'demo.restart': 'Reiniciar',
+  'demo.seed': 'Semilla: {seed}',
+
+  'accessibility.title': 'Accesibilidad',
+  'accessibility.close': 'Cerrar los ajustes de accesibilidad',
+  'accessibility.turnOn': 'Activar el modo de accesibilidad',
+  'accessibility.turnOff': 'Desactivar el modo de accesibilidad',
+  'accessibility.on': 'Sí',
+  'accessibility.off': 'No',
+  'accessibility.largeTargets': 'Botones grandes',
+  'accessibility.largeTargets.hint': 'Botones y casillas más grandes y fáciles de pulsar.',
+  'accessibility.highContrast': 'Alto contraste',
+  'accessibility.highContrast.hint': 'Texto negro sobre blanco con bordes marcados.',
+  'accessibility.onScreenPad': 'Teclado en pantalla',
+  'accessibility.onScreenPad.hint': 'Teclado numérico para Dígitos y flechas para la tarea de atención.',
+  'accessibility.textSize': 'Tamaño del texto',
+  'accessibility.fontScale.1': 'Normal',
+  'accessibility.fontScale.1.25': 'Grande',
+  'accessibility.fontScale.1.5': 'Más grande',
+  'accessibility.fontScale.1.75': 'Máximo',
+
+  'runner.therapistSets': 'Estos ajustes los decide su terapeuta.',
+  'runner.start': 'Empezar',
+  'runner.stop': 'Parar el ejercicio',
+
+  'program.step': '{name}: paso {step} de {total}',
+  'program.round': '(ronda {round} de {rounds})',
+  'program.wellDone': '¡Muy bien! {message}',
+  'program.rest': 'Descanse un momento. Siguiente:',
+  'program.stopForToday': 'Terminar por hoy',
+  'program.continue': 'Continuar',
+  'program.nothingToRun': 'Este programa no tiene ejercicios que se puedan hacer aquí.',
+  'program.title': 'Programa de entrenamiento',
+  'program.close': 'Cerrar programas',
+  'program.notificationsBlocked': 'Las notificaciones están bloqueadas en los ajustes del navegador, así que no se pueden mostrar recordatorios.',
+  'program.notificationsOff': 'Active las notificaciones para recibir un recordatorio cuando toque una sesión.',
+  'program.turnOnReminders': 'Activar recordatorios',
+  'program.therapistSets': 'Sus programas los prepara su terapeuta.',
+  'program.new': 'Nuevo programa',
+  'program.loading': 'Cargando programas...',
+  'program.none': 'Todavía no hay programas. Pregunte a su terapeuta qué practicar cada semana y añádalo aquí.',
+  'program.adherence': 'Últimos 7 días: {done} de {total} sesiones previstas hechas',
+  'program.start': 'Empezar sesión',
+  'program.edit': 'Editar programa',
+  'program.delete': 'Borrar programa',
+  'program.confirmDelete': '¿Borrar el programa "{name}"? Las sesiones anteriores se quedan en el historial.',
+  'program.weekday.0': 'Dom',
+  'program.weekday.1': 'Lun',
+  'program.weekday.2': 'Mar',
+  'program.weekday.3': 'Mié',
+  'program.weekday.4': 'Jue',
+  'program.weekday.5': 'Vie',
+  'program.weekday.6': 'Sáb',
+  'program.blockTrials': '{title}: {count} intentos',
+  'program.blockRounds': '{label} × {rounds}',
+  'program.reminder.title': '{profile}: es la hora de su sesión de entrenamiento',
+  'program.reminder.body': '{name} está previsto para hoy.',
+  'program.name': 'Nombre del programa',
+  'program.namePlaceholder': 'p. ej., Memoria y lenguaje',
+  'program.reminderTime': 'Hora del recordatorio',
+  'program.sendReminders': 'Enviar recordatorios',
+  'program.days': 'Días',
+  'program.exercises': 'Ejercicios, en orden',
+  'program.exercise': 'Ejercicio {number}',
+  'program.rounds': 'Rondas',
+  'program.removeExercise': 'Quitar ejercicio',
+  'program.addExercise': 'Añadir ejercicio',
+  'program.save': 'Guardar programa',
+  'program.error.name': 'Ponga un nombre al programa.',
+  'program.error.days': 'Elija al menos un día.',
+  'program.error.time': 'La hora del recordatorio debe ser HH:MM.',
+  'program.error.blocks': 'Añada al menos un ejercicio.',
+  'program.error.unavailable': 'El ejercicio {number} no está disponible.',
+  'program.error.rounds': 'El ejercicio {number} necesita entre 1 y {max} rondas.',
+
+  'speech.unsupported': 'Las respuestas habladas no funcionan en este navegador. Escriba su respuesta.',
+  'speech.listening': 'Escuchando... pulse para parar',
+  'speech.speak': 'Diga su respuesta',
+  'speech.error.noSpeech': 'No he oído nada. Pulse el micrófono y vuelva a intentarlo, o escriba su respuesta.',
+  'speech.error.notAllowed': 'El micrófono está bloqueado. Permítalo en los ajustes del navegador, o escriba su respuesta.',
+  'speech.error.audioCapture': 'No se ha encontrado ningún micrófono. Escriba su respuesta.',
+  'speech.error.network': 'En este navegador las respuestas habladas necesitan conexión a internet. Escriba su respuesta.',
+  'speech.error.other': 'Las respuestas habladas han dejado de funcionar. Escriba su respuesta.',
+
+  'digitSpan.title': 'Prueba de dígitos',
+  'digitSpan.description': 'Mire o escuche los números de uno en uno y repítalos. La serie se alarga cuando acierta.',
+  'digitSpan.direction': 'Orden',
+  'digitSpan.direction.forward': 'Directo (mismo orden)',
+  'digitSpan.direction.backward': 'Inverso (al revés)',
+  'digitSpan.startLength': 'Longitud inicial',
+  'digitSpan.trialsPerSession': 'Intentos',
+  'digitSpan.presentation': 'Los números se',
+  'digitSpan.presentation.visual': 'Muestran en pantalla',
+  'digitSpan.presentation.audio': 'Dicen en voz alta',
+  'digitSpan.responseMode': 'Responder',
+  'digitSpan.responseMode.typed': 'Escribiendo o pulsando',
+  'digitSpan.responseMode.spoken': 'Hablando',
+  'digitSpan.trial': 'Intento {trial} de {total}: {length} números. {instruction}',
+  'digitSpan.watch': 'Mire con atención...',
+  'digitSpan.listen': 'Escuche con atención...',
+  'digitSpan.enter': 'Escriba la serie:',
+  'digitSpan.enterBackward': 'Escriba la serie al revés:',
+  'digitSpan.say': 'Diga la serie:',
+  'digitSpan.sayBackward': 'Diga la serie al revés:',
+  'digitSpan.correct': '¡Correcto! +{points} puntos',
+  'digitSpan.wrong': 'Casi. La serie era: {sequence}',
+  'digitSpan.spoken.listen': 'Escuche.',
+  'digitSpan.spoken.now': 'Ahora dígalos.',
+  'digitSpan.spoken.nowBackward': 'Ahora dígalos al revés.',
+  'digitSpan.spoken.correct': '¡Correcto!',
+  'digitSpan.spoken.wrong': 'Casi.',
+  'digitSpan.noVoices': 'Este navegador no puede decir los números en voz alta, así que se muestran en pantalla.',
+  'digitSpan.listening': 'Escuche...',
+  'digitSpan.sayNumbers': 'Diga los números',
+  'digitSpan.placeholder': 'p. ej., 1 2 3 4 5',
+  'digitSpan.check': 'Comprobar',
+  'digitSpan.forward': 'directa',
+  'digitSpan.backward': 'inversa',
+  'digitSpan.summary': 'Serie {direction} máxima: {maxSpan}. {correct}/{total} correctos, +{points} puntos.',
+
+  'verbalFluency.title': 'Fluidez verbal',
+  'verbalFluency.description': 'Diga todas las palabras que pueda de la categoría antes de que se acabe el tiempo, escribiéndolas o en voz alta.',
+  'verbalFluency.category': 'Categoría',
+  'verbalFluency.category.animals': 'Animales',
+  'verbalFluency.category.fruits': 'Frutas',
+  'verbalFluency.category.tools': 'Herramientas',
+  'verbalFluency.category.letterF': 'Palabras que empiezan por F',
+  'verbalFluency.category.letterA': 'Palabras que empiezan por A',
+  'verbalFluency.category.letterS': 'Palabras que empiezan por S',
+  'verbalFluency.durationSeconds': 'Tiempo',
+  'verbalFluency.durationSeconds.30': '30 segundos',
+  'verbalFluency.durationSeconds.60': '60 segundos',
+  'verbalFluency.durationSeconds.90': '90 segundos',
+  'verbalFluency.presentation': 'Las instrucciones se',
+  'verbalFluency.presentation.visual': 'Muestran en pantalla',
+  'verbalFluency.presentation.audio': 'Leen en voz alta',
+  'verbalFluency.responseMode': 'Responder',
+  'verbalFluency.responseMode.typed': 'Escribiendo',
+  'verbalFluency.responseMode.spoken': 'Hablando',
+  'verbalFluency.spokenInstructions': 'Diga cada palabra en voz alta, o escríbala y pulse Intro.',
+  'verbalFluency.typedInstructions': 'Pulse Intro o Añadir después de cada palabra.',
+  'verbalFluency.startsNow': 'Su tiempo empieza ahora.',
+  'verbalFluency.repeated': '"{word}" ya se ha dicho.',
+  'verbalFluency.intrusion': '"{input}" no es de la categoría: {category}.',
+  'verbalFluency.named': 'Dicho: {word}. Total: {total}',
+  'verbalFluency.unverified': '"{word}" no está en la lista de palabras. Su terapeuta puede revisarla.',
+  'verbalFluency.noVoices': 'Este navegador no puede leer en voz alta, así que las instrucciones se muestran en pantalla.',
+  'verbalFluency.categoryUnavailable': '{category} no está disponible en {language}, así que esta ronda es de {fallback}.',
+  'verbalFluency.listening': 'Escuche...',
+  'verbalFluency.startListening': 'Empezar a escuchar',
+  'verbalFluency.placeholder': 'Escriba una palabra y pulse Intro',
+  'verbalFluency.word': 'Palabra',
+  'verbalFluency.add': 'Añadir',
+  'verbalFluency.words': 'Palabras:',
+  'verbalFluency.prompt.animals': 'Diga todos los animales que pueda.',
+  'verbalFluency.prompt.fruits': 'Diga todas las frutas que pueda.',
+  'verbalFluency.prompt.tools': 'Diga todas las herramientas que pueda.',
+  'verbalFluency.prompt.letter': 'Diga palabras que empiecen por {letter}. Sin nombres de personas ni de lugares.',
+  'verbalFluency.summary': '{category}: {count} palabras, +{points} puntos.',
+  'verbalFluency.summary.repeated': ' {count} repetidas.',
+  'verbalFluency.summary.intrusions': ' {count} fuera de la categoría.',
+  'verbalFluency.summary.unverified': ' {count} para que su terapeuta las revise.',
+
+  'selectiveAttention.title': 'Atención selectiva',
+  'selectiveAttention.description': 'Encuentre y pulse todas las X de la cuadrícula, con rapidez y cuidado.',
+  'selectiveAttention.rows': 'Filas',
+  'selectiveAttention.cols': 'Columnas',
+  'selectiveAttention.targetCount': 'Objetivos que encontrar',
+  'selectiveAttention.similarity': 'Distractores',
+  'selectiveAttention.similarity.low': 'Fáciles de distinguir',
+  'selectiveAttention.similarity.medium': 'Algo parecidos',
+  'selectiveAttention.similarity.high': 'Muy parecidos',
+  'selectiveAttention.padInstructions': 'Encuentre todas las {target}. Mueva el recuadro azul con las flechas y pulse Marcar. Pulse Hecho cuando las haya encontrado todas.',
+  'selectiveAttention.tapInstructions': 'Pulse todas las {target}. Pulse otra vez para deshacer. Pulse Hecho cuando las haya encontrado todas.',
+  'selectiveAttention.grid': 'Encuentre todas las {target}',
+  'selectiveAttention.cell': 'Fila {row}, columna {col}: {symbol}',
+  'selectiveAttention.marked': ', marcada',
+  'selectiveAttention.done': 'Hecho',
+  'selectiveAttention.summary': 'Encontró {hits} de {total} en {seconds} segundos{mistakes}. +{points} puntos.',
+  'selectiveAttention.summary.mistakes': ', {count} pulsadas por error',
+
+  'journal.title': 'Mi diario',
+  'journal.close': 'Cerrar el diario',
+  'journal.loading': 'Cargando su diario...',
+  'journal.saved': 'Diario guardado.',
+  'journal.saveFailed': 'No se pudo guardar su diario: {message}',
+  'journal.clinicianTitle': 'Hable con su médico o su equipo de atención',
+  'journal.clinicianBody': 'Su puntuación fue {score} ({severity}). El ánimo bajo es frecuente después de un ictus y tiene tratamiento. '
+    + 'Póngase en contacto con su médico, enfermera o terapeuta en los próximos días y cuénteles cómo se ha sentido.',
+  'journal.thanks': 'Gracias por completar el cuestionario. Su puntuación fue {score} ({severity}).',
+  'journal.checkIn': 'Cuestionario de bienestar',
+  'journal.remindEvery': 'Recordármelo cada',
+  'journal.days': '{count} días',
+  'journal.wording': 'Redacción',
+  'journal.wording.standard': 'Estándar',
+  'journal.wording.simple': 'Adaptada para afasia',
+  'journal.lastCheckIn': 'Último cuestionario: {date} (puntuación {score}).',
+  'journal.noCheckIn': 'Todavía no ha hecho ningún cuestionario.',
+  'journal.checkInDue': 'Toca hacer un nuevo cuestionario.',
+  'journal.startCheckIn': 'Empezar el cuestionario',
+  'journal.today': 'Hoy, {date}',
+  'journal.notes': 'Notas',
+  'journal.notesPlaceholder': 'Lo que quiera recordar de hoy',
+  'journal.recent': 'Últimos {days} días',
+  'journal.noEntries': 'Todavía no hay entradas en el diario.',
+  'journal.symptomValue': '{symptom}: {value}/{max}',
+  'journal.symptom.fatigue': 'Cansancio',
+  'journal.symptom.fatigue.low': 'Nada',
+  'journal.symptom.fatigue.high': 'Agotado',
+  'journal.symptom.pain': 'Dolor',
+  'journal.symptom.pain.low': 'Nada',
+  'journal.symptom.pain.high': 'El peor',
+  'journal.symptom.sleep': 'Calidad del sueño',
+  'journal.symptom.sleep.low': 'Muy mala',
+  'journal.symptom.sleep.high': 'Muy buena',
+  'mood.short.positive': 'Bien',
+  'mood.short.neutral': 'Regular',
+  'mood.short.negative': 'Mal',
+
+  // PHQ-9: the published Spanish (USA) translation from Pfizer. The .simple wording translates
+  // the app's aphasia-friendly version and is not part of the validated questionnaire.
+  'phq9.prompt': 'Durante las últimas 2 semanas, ¿qué tan seguido ha tenido molestias debido a los siguientes problemas?',
+  'phq9.prompt.simple': 'En las últimas 2 semanas, ¿con qué frecuencia?',
+  'phq9.item.interest': 'Poco interés o placer en hacer cosas',
+  'phq9.item.interest.simple': 'No disfrutar de las cosas',
+  'phq9.item.down': 'Se ha sentido decaído(a), deprimido(a) o sin esperanzas',
+  'phq9.item.down.simple': 'Sentirse triste',
+  'phq9.item.sleep': 'Ha tenido dificultad para quedarse o permanecer dormido(a), o ha dormido demasiado',
+  'phq9.item.sleep.simple': 'Problemas para dormir',
+  'phq9.item.energy': 'Se ha sentido cansado(a) o con poca energía',
+  'phq9.item.energy.simple': 'Sentirse cansado(a)',
+  'phq9.item.appetite': 'Sin apetito o ha comido en exceso',
+  'phq9.item.appetite.simple': 'Comer muy poco o demasiado',
+  'phq9.item.selfWorth': 'Se ha sentido mal con usted mismo(a) – o que es un fracaso o que ha quedado mal con usted mismo(a) o con su familia',
+  'phq9.item.selfWorth.simple': 'Sentirse mal con uno mismo',
+  'phq9.item.concentration': 'Ha tenido dificultad para concentrarse en ciertas actividades, tales como leer el periódico o ver la televisión',
+  'phq9.item.concentration.simple': 'Cuesta concentrarse',
+  'phq9.item.movement': '¿Se ha movido o hablado tan lento que otras personas podrían haberlo notado? o lo contrario – '
+    + 'muy inquieto(a) o agitado(a) que ha estado moviéndose mucho más de lo normal',
+  'phq9.item.movement.simple': 'Moverse o hablar despacio, o sentirse inquieto(a)',
+  'phq9.item.selfHarm': 'Pensamientos de que estaría mejor muerto(a) o de lastimarse de alguna manera',
+  'phq9.item.selfHarm.simple': 'Pensar que estaría mejor muerto(a), o en hacerse daño',
+  'phq9.response.0': 'Ningún día',
+  'phq9.response.0.simple': 'No',
+  'phq9.response.1': 'Varios días',
+  'phq9.response.1.simple': 'Algunos días',
+  'phq9.response.2': 'Más de la mitad de los días',
+  'phq9.response.2.simple': 'Casi siempre',
+  'phq9.response.3': 'Casi todos los días',
+  'phq9.response.3.simple': 'Todos los días',
+  'phq9.severity.minimal': 'mínima',
+  'phq9.severity.mild': 'leve',
+  'phq9.severity.moderate': 'moderada',
+  'phq9.severity.moderately severe': 'moderadamente grave',
+  'phq9.severity.severe': 'grave',
+  'phq9.notNow': 'Ahora no',
+  'phq9.submit': 'Enviar',
+
+  'dashboard.title': 'Panel de progreso',
+  'dashboard.close': 'Cerrar el panel',
+  'dashboard.loading': 'Cargando su historial...',
+  'dashboard.thisWeek': 'Esta semana',
+  'dashboard.dailyGoal': 'Objetivo diario:',
+  'dashboard.sessions': 'sesiones',
+  'dashboard.dayCount': '{date}: {count} de {goal} sesiones',
+  'dashboard.goalMet': 'Objetivo cumplido {days} de los últimos 7 días.',
+  'dashboard.noData': 'Todavía no hay datos',
+  'dashboard.digitSpan': 'Serie de dígitos máxima',
+  'dashboard.forward': 'Directa',
+  'dashboard.backward': 'Inversa',
+  'dashboard.animals': 'Animales dichos en 60 segundos',
+  'dashboard.letterFluency': 'Fluidez por letra (F/A/S) en 60 segundos',
+  'dashboard.words': 'Palabras',
+  'dashboard.accuracy': 'Precisión',
+  'dashboard.hitRate': 'Aciertos',
+  'dashboard.falseAlarms': 'Falsas alarmas',
+  'dashboard.mood': 'Estado de ánimo',
+  'dashboard.journal': 'Diario',
+  'dashboard.phq9': 'Cuestionario de bienestar (PHQ-9)',
+  'dashboard.score': 'Puntuación',
+
+  'export.title': 'Exportar para su terapeuta',
+  'export.close': 'Cerrar exportación',
+  'export.from': 'Desde',
+  'export.to': 'Hasta',
+  'export.report': 'Informe para imprimir / PDF',
+  'export.csv': 'Todos los intentos (CSV)',
+  'export.fhir': 'Observaciones FHIR',
+  'export.label.report': 'Informe resumido',
+  'export.label.csv': 'CSV de intentos',
+  'export.label.fhir': 'Paquete FHIR',
+  'export.preparing': 'Preparando: {label}...',
+  'export.ready': 'Listo: {label}.',
+  'export.failed': 'No se pudo crear {label}: {message}',
+
+  'backup.title': 'Copia de seguridad y sincronización',
+  'backup.close': 'Cerrar copia de seguridad y sincronización',
+  'backup.needsHttps': 'Las copias se cifran en el navegador, y para eso la aplicación tiene que abrirse con https.',
+  'backup.saveHeading': 'Guardar una copia de seguridad',
+  'backup.saveIntro': 'Todo lo de este perfil, cifrado con una contraseña que usted elige ({min} caracteres o más).',
+  'backup.passphrase': 'Contraseña',
+  'backup.passphraseAgain': 'Escríbala otra vez',
+  'backup.download': 'Descargar la copia',
+  'backup.restoreHeading': 'Restaurar desde una copia de seguridad',
+  'backup.restoreIntro': 'La copia se une a este perfil; no se pierde nada de lo guardado aquí.',
+  'backup.file': 'Archivo de copia',
+  'backup.restore': 'Restaurar',
+  'backup.syncHeading': 'Sincronizar entre dispositivos',
+  'backup.syncIntro': 'Use el mismo servidor, código y contraseña en cada dispositivo. El servidor solo guarda la copia cifrada.',
+  'backup.server': 'Servidor de sincronización',
+  'backup.token': 'Clave de acceso (si el servidor la pide)',
+  'backup.syncCode': 'Código de sincronización',
+  'backup.newCode': 'Nuevo código',
+  'backup.syncNow': 'Sincronizar ahora',
+  'backup.lastSynced': 'Última sincronización: {time}',
+  'backup.stopSync': 'Dejar de sincronizar',
+  'backup.confirmStop': '¿Dejar de sincronizar este perfil en este dispositivo? La copia del servidor y la de los otros dispositivos no cambian.',
+  'backup.stopped': 'Se ha dejado de sincronizar en este dispositivo.',
+  'backup.action.backup': 'Copia de seguridad',
+  'backup.action.restore': 'Restauración',
+  'backup.action.sync': 'Sincronización',
+  'backup.working': '{action}...',
+  'backup.failed': '{action}: no se pudo completar. {message}',
+  'backup.downloaded': 'Copia descargada. Guarde la contraseña en un lugar seguro: sin ella no se puede abrir el archivo.',
+  'backup.restored': 'Copia restaurada. {changes}',
+  'backup.synced': 'Sincronizado. {changes}',
+  'backup.nothingNew': 'Nada nuevo.',
+  'backup.changes': '{added} registros añadidos, {updated} actualizados, {removed} eliminados.',
+  'backup.error.mismatch': 'Las dos contraseñas no coinciden.',
+  'backup.error.noFile': 'Elija primero un archivo de copia.',
+  'backup.error.notBackup': 'Este archivo no es una copia de seguridad de esta aplicación.',
+  'backup.error.noServer': 'Escriba la dirección del servidor de sincronización.',
+  'backup.error.syncCode': 'El código de sincronización debe tener al menos 16 letras y números.',
+
+  'chat.title': 'Chat de apoyo en crisis',
+  'chat.caregiverContact': 'Contacto del cuidador',
+  'chat.newConversation': 'Nueva conversación',
+  'chat.pastConversations': 'Conversaciones anteriores',
+  'chat.backToConversation': 'Volver a la conversación',
+  'chat.noConversations': 'Todavía no hay conversaciones guardadas.',
+  'chat.untitled': 'Sin título',
+  'chat.messageCount': '{count} mensajes',
+  'chat.waitingCount': '{count} esperando para enviarse',
+  'chat.deleteConversation': 'Borrar la conversación',
+  'chat.confirmDelete': '¿Borrar la conversación "{title}"? No se puede deshacer.',
+  'chat.conversation': 'Conversación',
+  'chat.you': 'Usted',
+  'chat.ai': 'IA',
+  'chat.waiting': 'Esperando para enviarse',
+  'chat.typing': 'La IA está escribiendo...',
+  'chat.offline': 'No tiene conexión. Sus mensajes se enviarán cuando vuelva la conexión.',
+  'chat.unreachable': 'No se pudo contactar con el servicio de chat.',
+  'chat.tryAgain': 'Intentar de nuevo',
+  'chat.placeholder': 'Escriba su mensaje...',
+  'chat.message': 'Mensaje',
+  'chat.send': 'Enviar mensaje',
+  'chat.noReply': 'Lo siento, ahora mismo no he podido responder.',
+  'chat.error': 'Lo siento, algo ha fallado. Inténtelo de nuevo más tarde.',
+  'caregiver.name': 'Nombre del cuidador',
+  'caregiver.phone': 'Número de teléfono',
+
+  'safety.title.stroke': 'Pueden ser señales de un ictus',
+  'safety.title.advice': 'Consúltelo con su equipo médico',
+  'safety.title.help': 'Pida ayuda ahora',
+  'safety.dismiss': 'Cerrar',
+  'safety.notAlone': 'No está solo. Hay profesionales disponibles a cualquier hora, de día y de noche.',
+  'safety.call': 'Llamar a {name}',
+  'safety.caregiver': 'su cuidador',
+  'safety.addCaregiver': 'Añada un contacto de su cuidador con el botón del teléfono de arriba para tenerlo a un toque.',
+  // BE-FAST is an English mnemonic; the signs are listed without its letters
+  'safety.letter.balance': '',
+  'safety.letter.eyes': '',
+  'safety.letter.face': '',
+  'safety.letter.arms': '',
+  'safety.letter.speech': '',
+  'safety.letter.time': '',
+  'safety.sign.balance': 'Equilibrio',
+  'safety.sign.eyes': 'Vista',
+  'safety.sign.face': 'Cara',
+  'safety.sign.arms': 'Brazos',
+  'safety.sign.speech': 'Habla',
+  'safety.sign.time': 'Tiempo',
+  'safety.check.balance': '¿Pérdida repentina del equilibrio o de la coordinación?',
+  'safety.check.eyes': '¿Visión borrosa, doble o pérdida de visión de repente?',
+  'safety.check.face': '¿Se cae un lado de la cara al sonreír?',
+  'safety.check.arms': '¿Baja un brazo al levantar los dos?',
+  'safety.check.speech': '¿Habla arrastrando las palabras o cuesta entenderle?',
+  'safety.check.time': 'Llame ya a emergencias y apunte la hora a la que empezaron los síntomas.',
+  'safety.reply.selfHarm': 'Me alegra mucho que me lo haya contado. Ahora mismo merece el apoyo de una persona que pueda ayudarle. '
+    + 'Llame al {crisisLine} o al {emergency}, o hable con alguien de confianza.',
+  'safety.reply.strokeWarning': 'Pueden ser señales de un nuevo ictus. '
+    + 'Llame al {emergency} ahora mismo y apunte la hora a la que empezaron los síntomas. No espere a ver si se pasan.',
+  'safety.reply.medicalEmergency': 'Parece que puede ser una urgencia médica. Llame al {emergency} ahora.',
+  'safety.reply.unsafeAdvice': 'No puedo aconsejarle sobre eso. Consúltelo con su médico, su farmacéutico o su equipo médico.',
+};
+
+export default es;
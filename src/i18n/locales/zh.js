@@ -0,0 +1,482 @@
+// Simplified Chinese, for Mandarin-speaking patients
+const zh = {
+  'app.title': '中风康复助手',
+  'app.loadingProfiles': '正在加载用户...',
+  'app.profilesFailed': '无法在此设备上加载用户。',
+  'language.label': '语言',
+
+  'common.back': '返回',
+  'common.cancel': '取消',
+  'common.save': '保存',
+
+  'picker.heading': '谁在使用本应用？',
+  'picker.patient': '患者',
+  'picker.therapist': '治疗师',
+  'picker.pinProtected': '已设置密码',
+  'picker.addPatient': '添加患者',
+  'picker.newPatient': '新患者',
+  'picker.setUpTherapist': '设置治疗师账户',
+
+  'pin.title': '请输入{name}的密码',
+  'pin.wrong': '密码不对，请再试一次。',
+  'pin.tooMany': '密码错误次数太多，请等待{seconds}秒。',
+  'pin.checkFailed': '无法验证密码：{message}',
+  'pin.unlockSoon': '键盘很快就会解锁。',
+  'pin.unlock': '解锁',
+
+  'profileForm.name': '姓名',
+  'profileForm.pin': '密码',
+  'profileForm.pinOptional': '密码（可选）',
+  'profileForm.pinAgain': '再次输入密码',
+  'profileForm.httpsOnly': '只有通过 https 打开应用时才能设置密码。',
+  'profileForm.save': '保存',
+  'profileForm.nameMissing': '请输入姓名。',
+  'profileForm.pinMissing': '请设置密码。',
+  'profileForm.pinLength': '密码为{min}到{max}位数字。',
+  'profileForm.pinMismatch': '两次输入的密码不一致。',
+
+  'numberPad.answer': '您的答案',
+  'numberPad.pinDigits': '密码，已输入{count}位',
+  'numberPad.delete': '删除最后一位',
+  'numberPad.check': '确定',
+  'directionPad.up': '向上',
+  'directionPad.down': '向下',
+  'directionPad.left': '向左',
+  'directionPad.right': '向右',
+  'directionPad.mark': '标记',
+
+  'home.welcomeTitle': '欢迎使用中风康复应用！',
+  'home.welcomeIntro': '本应用通过有趣的练习帮助您进行认知康复，并为您提供情感支持。',
+  'home.welcomeDemoNote': '**注意：如果您看到预先填好的数据或示例聊天，说明应用处于演示模式。**'
+    + '演示模式仅用于展示。如需记录您自己的康复进展，请确认应用没有处于演示模式。'
+    + '（如果您是测试用户，您的进展会保存在浏览器中。）',
+  'home.start': '开始我的康复之旅',
+  'home.accessibilityOptions': '放大文字、高对比度和其他选项',
+  'home.accessibility': '无障碍',
+  'home.switchProfile': '{name} · 切换用户',
+  'home.install': '安装应用',
+  'home.progress': '我的进展',
+  'home.points': '分',
+  'home.sessions': '已完成练习次数：',
+  'home.lastSession': '上次练习：',
+  'home.viewDashboard': '查看统计',
+  'home.hideDashboard': '隐藏统计',
+  'home.export': '导出',
+  'home.journal': '日记',
+  'home.program': '训练计划',
+  'home.backup': '备份',
+  'home.moodQuestion': '您今天感觉怎么样？',
+  'home.moodLabel': '心情：{mood}',
+  'home.moodFeedback': '您选择了：{mood}。谢谢您的分享。可以在日记里多写一些今天的事。',
+  'home.screenerDue': '该做心理健康自查了。',
+  'home.openJournal': '打开日记',
+  'home.exercises': '认知练习',
+  'home.todaysSession': '今天的练习：{name}',
+  'home.complete': '{name}完成！{message}',
+  'mood.positive': '好',
+  'mood.neutral': '一般',
+  'mood.negative': '不好',
+
+  'connection.offline': '已离线：练习和记录仍可使用。聊天消息会在恢复网络后发送。',
+  'demo.banner': '演示模式：数据为虚构，不会保存任何内容。',
+  'demo.scenario': '场景',
+  'demo.scenario.improving': '8周稳步好转',
+  'demo.scenario.decliningMood': '情绪下滑并出现危机事件',
+  'demo.scenario.firstWeek': '出院回家的第一周',
+  'demo.restart': '重新开始',
+  'demo.seed': '随机种子：{seed}',
+
+  'accessibility.title': '无障碍',
+  'accessibility.close': '关闭无障碍设置',
+  'accessibility.turnOn': '打开无障碍模式',
+  'accessibility.turnOff': '关闭无障碍模式',
+  'accessibility.on': '开',
+  'accessibility.off': '关',
+  'accessibility.largeTargets': '大按钮',
+  'accessibility.largeTargets.hint': '按钮和输入框更大，更容易点按。',
+  'accessibility.highContrast': '高对比度',
+  'accessibility.highContrast.hint': '白底黑字，边框清晰。',
+  'accessibility.onScreenPad': '屏幕键盘',
+  'accessibility.onScreenPad.hint': '数字广度练习用数字键盘，注意力练习用方向键。',
+  'accessibility.textSize': '文字大小',
+  'accessibility.fontScale.1': '标准',
+  'accessibility.fontScale.1.25': '大',
+  'accessibility.fontScale.1.5': '较大',
+  'accessibility.fontScale.1.75': '最大',
+
+  'runner.therapistSets': '这些设置由您的治疗师决定。',
+  'runner.start': '开始',
+  'runner.stop': '停止练习',
+
+  'program.step': '{name}：第{step}步，共{total}步',
+  'program.round': '（第{round}轮，共{rounds}轮）',
+  'program.wellDone': '做得好！{message}',
+  'program.rest': '休息一下。下一个：',
+  'program.stopForToday': '今天到此为止',
+  'program.continue': '继续',
+  'program.nothingToRun': '这个计划里没有可以在这里进行的练习。',
+  'program.title': '训练计划',
+  'program.close': '关闭训练计划',
+  'program.notificationsBlocked': '浏览器设置中已屏蔽通知，所以无法显示练习提醒。',
+  'program.notificationsOff': '打开通知，到练习时间时就会收到提醒。',
+  'program.turnOnReminders': '打开提醒',
+  'program.therapistSets': '您的训练计划由治疗师制定。',
+  'program.new': '新建计划',
+  'program.loading': '正在加载计划...',
+  'program.none': '还没有计划。问问您的治疗师每周该练习什么，然后在这里添加。',
+  'program.adherence': '最近7天：已完成{done}次，共安排{total}次',
+  'program.start': '开始练习',
+  'program.edit': '编辑计划',
+  'program.delete': '删除计划',
+  'program.confirmDelete': '删除计划“{name}”吗？以前的练习记录会保留。',
+  'program.weekday.0': '周日',
+  'program.weekday.1': '周一',
+  'program.weekday.2': '周二',
+  'program.weekday.3': '周三',
+  'program.weekday.4': '周四',
+  'program.weekday.5': '周五',
+  'program.weekday.6': '周六',
+  'program.blockTrials': '{title}{count}题',
+  'program.blockRounds': '{label} × {rounds}',
+  'program.reminder.title': '{profile}：该做训练了',
+  'program.reminder.body': '今天安排了{name}。',
+  'program.name': '计划名称',
+  'program.namePlaceholder': '例如：记忆和语言',
+  'program.reminderTime': '提醒时间',
+  'program.sendReminders': '发送提醒',
+  'program.days': '日期',
+  'program.exercises': '练习（按顺序）',
+  'program.exercise': '练习{number}',
+  'program.rounds': '轮数',
+  'program.removeExercise': '移除练习',
+  'program.addExercise': '添加练习',
+  'program.save': '保存计划',
+  'program.error.name': '请给计划起个名字。',
+  'program.error.days': '请至少选择一天。',
+  'program.error.time': '提醒时间必须是 HH:MM 格式。',
+  'program.error.blocks': '请至少添加一个练习。',
+  'program.error.unavailable': '练习{number}无法使用。',
+  'program.error.rounds': '练习{number}的轮数必须在1到{max}之间。',
+
+  'speech.unsupported': '此浏览器不支持语音回答，请输入您的答案。',
+  'speech.listening': '正在听...点一下停止',
+  'speech.speak': '说出您的答案',
+  'speech.error.noSpeech': '没有听到声音。请点麦克风再试一次，或者输入答案。',
+  'speech.error.notAllowed': '麦克风被禁止使用。请在浏览器设置中允许，或者输入答案。',
+  'speech.error.audioCapture': '没有找到麦克风，请输入答案。',
+  'speech.error.network': '此浏览器的语音回答需要联网，请输入答案。',
+  'speech.error.other': '语音回答出了问题，请输入答案。',
+
+  'digitSpan.title': '数字广度练习',
+  'digitSpan.description': '一次看或听一个数字，然后按顺序复述。答对后数字会越来越多。',
+  'digitSpan.direction': '复述顺序',
+  'digitSpan.direction.forward': '顺背（相同顺序）',
+  'digitSpan.direction.backward': '倒背（相反顺序）',
+  'digitSpan.startLength': '起始位数',
+  'digitSpan.trialsPerSession': '题数',
+  'digitSpan.presentation': '数字的呈现方式',
+  'digitSpan.presentation.visual': '显示在屏幕上',
+  'digitSpan.presentation.audio': '朗读出来',
+  'digitSpan.responseMode': '回答方式',
+  'digitSpan.responseMode.typed': '输入或点按',
+  'digitSpan.responseMode.spoken': '说出来',
+  'digitSpan.trial': '第{trial}题，共{total}题：{length}个数字。{instruction}',
+  'digitSpan.watch': '请仔细看...',
+  'digitSpan.listen': '请仔细听...',
+  'digitSpan.enter': '请输入这串数字：',
+  'digitSpan.enterBackward': '请倒着输入这串数字：',
+  'digitSpan.say': '请说出这串数字：',
+  'digitSpan.sayBackward': '请倒着说出这串数字：',
+  'digitSpan.correct': '答对了！+{points}分',
+  'digitSpan.wrong': '差一点。正确答案是：{sequence}',
+  'digitSpan.spoken.listen': '请听。',
+  'digitSpan.spoken.now': '现在请说出来。',
+  'digitSpan.spoken.nowBackward': '现在请倒着说出来。',
+  'digitSpan.spoken.correct': '答对了！',
+  'digitSpan.spoken.wrong': '差一点。',
+  'digitSpan.noVoices': '此浏览器不能朗读数字，所以数字会显示在屏幕上。',
+  'digitSpan.listening': '请听...',
+  'digitSpan.sayNumbers': '说出数字',
+  'digitSpan.placeholder': '例如：1 2 3 4 5',
+  'digitSpan.check': '确定',
+  'digitSpan.forward': '顺背',
+  'digitSpan.backward': '倒背',
+  'digitSpan.summary': '{direction}最长：{maxSpan}位。答对{correct}/{total}题，+{points}分。',
+
+  'verbalFluency.title': '言语流畅性练习',
+  'verbalFluency.description': '在时间结束前，尽可能多地说出或写出属于这个类别的词语。',
+  'verbalFluency.category': '类别',
+  'verbalFluency.category.animals': '动物',
+  'verbalFluency.category.fruits': '水果',
+  'verbalFluency.category.tools': '工具',
+  'verbalFluency.category.letterF': 'F开头的词',
+  'verbalFluency.category.letterA': 'A开头的词',
+  'verbalFluency.category.letterS': 'S开头的词',
+  'verbalFluency.durationSeconds': '时间',
+  'verbalFluency.durationSeconds.30': '30秒',
+  'verbalFluency.durationSeconds.60': '60秒',
+  'verbalFluency.durationSeconds.90': '90秒',
+  'verbalFluency.presentation': '说明的呈现方式',
+  'verbalFluency.presentation.visual': '显示在屏幕上',
+  'verbalFluency.presentation.audio': '朗读出来',
+  'verbalFluency.responseMode': '回答方式',
+  'verbalFluency.responseMode.typed': '输入',
+  'verbalFluency.responseMode.spoken': '说出来',
+  'verbalFluency.spokenInstructions': '每个词都大声说出来，或者输入后按回车。',
+  'verbalFluency.typedInstructions': '每个词输入后按回车或“添加”。',
+  'verbalFluency.startsNow': '现在开始计时。',
+  'verbalFluency.repeated': '“{word}”已经说过了。',
+  'verbalFluency.intrusion': '“{input}”不属于：{category}。',
+  'verbalFluency.named': '说出：{word}。共{total}个',
+  'verbalFluency.unverified': '“{word}”不在词表中，治疗师可以核对。',
+  'verbalFluency.noVoices': '此浏览器不能朗读，所以说明会显示在屏幕上。',
+  'verbalFluency.categoryUnavailable': '{language}没有“{category}”，这一轮改为“{fallback}”。',
+  'verbalFluency.listening': '请听...',
+  'verbalFluency.startListening': '开始听',
+  'verbalFluency.placeholder': '输入一个词后按回车',
+  'verbalFluency.word': '词语',
+  'verbalFluency.add': '添加',
+  'verbalFluency.words': '词语数：',
+  'verbalFluency.prompt.animals': '请尽可能多地说出动物的名称。',
+  'verbalFluency.prompt.fruits': '请尽可能多地说出水果的名称。',
+  'verbalFluency.prompt.tools': '请尽可能多地说出工具的名称。',
+  'verbalFluency.prompt.letter': '请说出以{letter}开头的词，不包括人名和地名。',
+  'verbalFluency.summary': '{category}：{count}个词，+{points}分。',
+  'verbalFluency.summary.repeated': '重复{count}个。',
+  'verbalFluency.summary.intrusions': '不属于类别的{count}个。',
+  'verbalFluency.summary.unverified': '另有{count}个待治疗师核对。',
+
+  'selectiveAttention.title': '选择性注意练习',
+  'selectiveAttention.description': '又快又仔细地找出并点按格子里所有的 X。',
+  'selectiveAttention.rows': '行数',
+  'selectiveAttention.cols': '列数',
+  'selectiveAttention.targetCount': '要找的数量',
+  'selectiveAttention.similarity': '干扰符号',
+  'selectiveAttention.similarity.low': '容易区分',
+  'selectiveAttention.similarity.medium': '有些相似',
+  'selectiveAttention.similarity.high': '非常相似',
+  'selectiveAttention.padInstructions': '找出所有的 {target}。用方向键移动蓝框，然后按“标记”。全部找到后按“完成”。',
+  'selectiveAttention.tapInstructions': '点按所有的 {target}。再点一次可以取消。全部找到后按“完成”。',
+  'selectiveAttention.grid': '找出所有的 {target}',
+  'selectiveAttention.cell': '第{row}行，第{col}列：{symbol}',
+  'selectiveAttention.marked': '，已标记',
+  'selectiveAttention.done': '完成',
+  'selectiveAttention.summary': '用{seconds}秒找到了{total}个中的{hits}个{mistakes}。+{points}分。',
+  'selectiveAttention.summary.mistakes': '，误点{count}个',
+
+  'journal.title': '我的日记',
+  'journal.close': '关闭日记',
+  'journal.loading': '正在加载您的日记...',
+  'journal.saved': '日记已保存。',
+  'journal.saveFailed': '日记保存失败：{message}',
+  'journal.clinicianTitle': '请和您的医生或护理团队谈一谈',
+  'journal.clinicianBody': '您的问卷得分是{score}（{severity}）。中风后情绪低落很常见，而且可以治疗。'
+    + '请在接下来几天内联系您的医生、护士或治疗师，告诉他们您最近的感受。',
+  'journal.thanks': '谢谢您完成问卷。您的得分是{score}（{severity}）。',
+  'journal.checkIn': '身心状况问卷',
+  'journal.remindEvery': '提醒间隔',
+  'journal.days': '{count}天',
+  'journal.wording': '措辞',
+  'journal.wording.standard': '标准',
+  'journal.wording.simple': '适合失语症',
+  'journal.lastCheckIn': '上次问卷：{date}（得分{score}）。',
+  'journal.noCheckIn': '您还没有做过问卷。',
+  'journal.checkInDue': '该做新的问卷了。',
+  'journal.startCheckIn': '开始问卷',
+  'journal.today': '今天，{date}',
+  'journal.notes': '备注',
+  'journal.notesPlaceholder': '今天想记住的任何事情',
+  'journal.recent': '最近{days}天',
+  'journal.noEntries': '还没有日记。',
+  'journal.symptomValue': '{symptom}：{value}/{max}',
+  'journal.symptom.fatigue': '疲劳',
+  'journal.symptom.fatigue.low': '没有',
+  'journal.symptom.fatigue.high': '筋疲力尽',
+  'journal.symptom.pain': '疼痛',
+  'journal.symptom.pain.low': '没有',
+  'journal.symptom.pain.high': '最痛',
+  'journal.symptom.sleep': '睡眠质量',
+  'journal.symptom.sleep.low': '很差',
+  'journal.symptom.sleep.high': '很好',
+  'mood.short.positive': '好',
+  'mood.short.neutral': '一般',
+  'mood.short.negative': '不好',
+
+  // PHQ-9: the published simplified Chinese (China) translation from Pfizer. The .simple
+  // wording translates the app's aphasia-friendly version and is not part of the validated
+  // questionnaire.
+  'phq9.prompt': '在过去两个星期，有多少时候您受到以下任何问题所困扰？',
+  'phq9.prompt.simple': '过去两个星期，有多经常？',
+  'phq9.item.interest': '做事时提不起劲或没有兴趣',
+  'phq9.item.interest.simple': '对事情没兴趣',
+  'phq9.item.down': '感到心情低落、沮丧或绝望',
+  'phq9.item.down.simple': '心情不好',
+  'phq9.item.sleep': '入睡困难、睡不安稳或睡眠过多',
+  'phq9.item.sleep.simple': '睡不好',
+  'phq9.item.energy': '感觉疲倦或没有活力',
+  'phq9.item.energy.simple': '觉得累',
+  'phq9.item.appetite': '食欲不振或吃太多',
+  'phq9.item.appetite.simple': '吃得太少或太多',
+  'phq9.item.selfWorth': '觉得自己很糟——或觉得自己很失败，或让自己或家人失望',
+  'phq9.item.selfWorth.simple': '觉得自己很糟',
+  'phq9.item.concentration': '对事物专注有困难，例如阅读报纸或看电视时',
+  'phq9.item.concentration.simple': '难以集中注意力',
+  'phq9.item.movement': '动作或说话速度缓慢到别人已经觉察？或正好相反——烦躁或坐立不安、动来动去的情况更胜于平常',
+  'phq9.item.movement.simple': '动作或说话很慢，或者坐立不安',
+  'phq9.item.selfHarm': '有不如死掉或用某种方式伤害自己的念头',
+  'phq9.item.selfHarm.simple': '想过不如死掉，或想伤害自己',
+  'phq9.response.0': '完全不会',
+  'phq9.response.0.simple': '没有',
+  'phq9.response.1': '好几天',
+  'phq9.response.1.simple': '有几天',
+  'phq9.response.2': '一半以上的天数',
+  'phq9.response.2.simple': '大多数日子',
+  'phq9.response.3': '几乎每天',
+  'phq9.response.3.simple': '每天',
+  'phq9.severity.minimal': '极轻微',
+  'phq9.severity.mild': '轻度',
+  'phq9.severity.moderate': '中度',
+  'phq9.severity.moderately severe': '中重度',
+  'phq9.severity.severe': '重度',
+  'phq9.notNow': '以后再说',
+  'phq9.submit': '提交',
+
+  'dashboard.title': '进展总览',
+  'dashboard.close': '关闭总览',
+  'dashboard.loading': '正在加载您的记录...',
+  'dashboard.thisWeek': '本周',
+  'dashboard.dailyGoal': '每日目标：',
+  'dashboard.sessions': '次',
+  'dashboard.dayCount': '{date}：{count}次，目标{goal}次',
+  'dashboard.goalMet': '最近7天中有{days}天达到目标。',
+  'dashboard.noData': '还没有数据',
+  'dashboard.digitSpan': '最长数字广度',
+  'dashboard.forward': '顺背',
+  'dashboard.backward': '倒背',
+  'dashboard.animals': '60秒内说出的动物数',
+  'dashboard.letterFluency': '字母流畅性（F/A/S），每60秒',
+  'dashboard.words': '词数',
+  'dashboard.accuracy': '准确率',
+  'dashboard.hitRate': '命中率',
+  'dashboard.falseAlarms': '误点率',
+  'dashboard.mood': '心情',
+  'dashboard.journal': '日记',
+  'dashboard.phq9': '身心状况问卷（PHQ-9）',
+  'dashboard.score': '得分',
+
+  'export.title': '导出给治疗师',
+  'export.close': '关闭导出',
+  'export.from': '开始日期',
+  'export.to': '结束日期',
+  'export.report': '打印 / PDF 报告',
+  'export.csv': '全部练习题（CSV）',
+  'export.fhir': 'FHIR 观察记录',
+  'export.label.report': '总结报告',
+  'export.label.csv': '练习题 CSV',
+  'export.label.fhir': 'FHIR 数据包',
+  'export.preparing': '正在准备{label}...',
+  'export.ready': '{label}已准备好。',
+  'export.failed': '无法生成{label}：{message}',
+
+  'backup.title': '备份与同步',
+  'backup.close': '关闭备份与同步',
+  'backup.needsHttps': '备份在浏览器中加密，需要通过 https 打开应用。',
+  'backup.saveHeading': '保存备份文件',
+  'backup.saveIntro': '这个档案里的全部内容，用您选择的密码加密（至少{min}个字符）。',
+  'backup.passphrase': '密码',
+  'backup.passphraseAgain': '再输入一次',
+  'backup.download': '下载备份',
+  'backup.restoreHeading': '从备份文件恢复',
+  'backup.restoreIntro': '备份会合并到这个档案中，这里已有的记录不会丢失。',
+  'backup.file': '备份文件',
+  'backup.restore': '恢复',
+  'backup.syncHeading': '在设备之间同步',
+  'backup.syncIntro': '在每台设备上使用相同的服务器、同步码和密码。服务器只保存加密后的备份。',
+  'backup.server': '同步服务器',
+  'backup.token': '访问令牌（如果服务器需要）',
+  'backup.syncCode': '同步码',
+  'backup.newCode': '新同步码',
+  'backup.syncNow': '立即同步',
+  'backup.lastSynced': '上次同步：{time}',
+  'backup.stopSync': '停止同步',
+  'backup.confirmStop': '要在这台设备上停止同步这个档案吗？服务器和其他设备上的副本保持不变。',
+  'backup.stopped': '这台设备已停止同步。',
+  'backup.action.backup': '备份',
+  'backup.action.restore': '恢复',
+  'backup.action.sync': '同步',
+  'backup.working': '正在{action}...',
+  'backup.failed': '{action}失败：{message}',
+  'backup.downloaded': '备份已下载。请把密码保存在安全的地方：没有密码就无法打开这个文件。',
+  'backup.restored': '备份已恢复。{changes}',
+  'backup.synced': '已同步。{changes}',
+  'backup.nothingNew': '没有新内容。',
+  'backup.changes': '新增{added}条记录，更新{updated}条，删除{removed}条。',
+  'backup.error.mismatch': '两次输入的密码不一样。',
+  'backup.error.noFile': '请先选择一个备份文件。',
+  'backup.error.notBackup': '这不是本应用的备份文件。',
+  'backup.error.noServer': '请输入同步服务器地址。',
+  'backup.error.syncCode': '同步码至少要有16个字母和数字。',
+
+  'chat.title': '危机支持聊天',
+  'chat.caregiverContact': '照护者联系方式',
+  'chat.newConversation': '新对话',
+  'chat.pastConversations': '以前的对话',
+  'chat.backToConversation': '返回对话',
+  'chat.noConversations': '还没有保存的对话。',
+  'chat.untitled': '无标题',
+  'chat.messageCount': '{count}条消息',
+  'chat.waitingCount': '{count}条等待发送',
+  'chat.deleteConversation': '删除对话',
+  'chat.confirmDelete': '删除对话“{title}”吗？删除后无法恢复。',
+  'chat.conversation': '对话',
+  'chat.you': '您',
+  'chat.ai': 'AI',
+  'chat.waiting': '等待发送',
+  'chat.typing': 'AI 正在输入...',
+  'chat.offline': '您已离线。恢复网络后会发送您的消息。',
+  'chat.unreachable': '无法连接聊天服务。',
+  'chat.tryAgain': '重试',
+  'chat.placeholder': '输入您的消息...',
+  'chat.message': '消息',
+  'chat.send': '发送消息',
+  'chat.noReply': '抱歉，现在无法回复。',
+  'chat.error': '抱歉，出了点问题。请稍后再试。',
+  'caregiver.name': '照护者姓名',
+  'caregiver.phone': '电话号码',
+
+  'safety.title.stroke': '这些可能是中风的征兆',
+  'safety.title.advice': '请咨询您的医护团队',
+  'safety.title.help': '请立即求助',
+  'safety.dismiss': '关闭',
+  'safety.notAlone': '您并不孤单。专业的心理咨询人员全天候都可以帮助您。',
+  'safety.call': '呼叫{name}',
+  'safety.caregiver': '照护者',
+  'safety.addCaregiver': '用上方的电话按钮添加照护者的联系方式，需要时一点就能打给他们。',
+  // BE-FAST is an English mnemonic; the signs are listed without its letters
+  'safety.letter.balance': '',
+  'safety.letter.eyes': '',
+  'safety.letter.face': '',
+  'safety.letter.arms': '',
+  'safety.letter.speech': '',
+  'safety.letter.time': '',
+  'safety.sign.balance': '平衡',
+  'safety.sign.eyes': '视力',
+  'safety.sign.face': '面部',
+  'safety.sign.arms': '手臂',
+  'safety.sign.speech': '言语',
+  'safety.sign.time': '时间',
+  'safety.check.balance': '突然失去平衡或动作不协调？',
+  'safety.check.eyes': '突然视物模糊、重影或看不见？',
+  'safety.check.face': '微笑时一侧脸是否下垂？',
+  'safety.check.arms': '双臂平举时是否有一侧往下掉？',
+  'safety.check.speech': '说话是否含糊不清或难以听懂？',
+  'safety.check.time': '立即拨打急救电话，并记下症状开始的时间。',
+  'safety.reply.selfHarm': '谢谢您愿意告诉我。您现在需要一个能帮助您的人的支持。'
+    + '请拨打 {crisisLine} 或 {emergency}，或者联系您信任的人。',
+  'safety.reply.strokeWarning': '这些可能是再次中风的征兆。'
+    + '请马上拨打 {emergency}，并记下症状开始的时间。不要等着看症状会不会消失。',
+  'safety.reply.medicalEmergency': '这听起来可能是急症。请立即拨打 {emergency}。',
+  'safety.reply.unsafeAdvice': '这方面我不能给建议。请咨询您的医生、药剂师或医护团队。',
+};
+
+export default zh;
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { registerServiceWorker } from './offline/serviceWorker';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,6 +12,11 @@ root.render(
   </React.StrictMode>
 );
 
+// The dev server rebuilds on every save, so offline caching only runs in production builds
+if (process.env.NODE_ENV === 'production') {
+  registerServiceWorker().catch(error => console.error('Error registering service worker:', error));
+}
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,18 @@
+// Daily journal entries: one per local calendar day, keyed by its date ('YYYY-MM-DD').
+// Every slider is optional; an untouched slider is stored as null, not 0. Each slider's name
+// and end labels are the journal.symptom.* translations.
+
+export const SYMPTOM_FIELDS = [
+  { id: 'fatigue', color: '#8b5cf6' },
+  { id: 'pain', color: '#ef4444' },
+  { id: 'sleep', color: '#3b82f6' },
+];
+
+export const SYMPTOM_MIN = 0;
+export const SYMPTOM_MAX = 10;
+
+export const emptyJournalEntry = (date) => ({
+  date,
+  ...Object.fromEntries(SYMPTOM_FIELDS.map(field => [field.id, null])),
+  notes: '',
+});
@@ -0,0 +1,59 @@
+// PHQ-9 depression screener. The aphasia-friendly format keeps the same nine items and
+// scoring, with shorter wording and picture-supported answers, so scores are comparable.
+// The wording lives in the locale files (phq9.*): English as published, and the published
+// Spanish and Chinese translations of the questionnaire.
+
+export const PHQ9_ITEMS = [
+  { id: 'interest' },
+  { id: 'down' },
+  { id: 'sleep' },
+  { id: 'energy' },
+  { id: 'appetite' },
+  { id: 'selfWorth' },
+  { id: 'concentration' },
+  { id: 'movement' },
+  { id: 'selfHarm' },
+];
+
+// How often, from "Not at all" (0) to "Nearly every day" (3)
+export const PHQ9_RESPONSES = [0, 1, 2, 3];
+
+export const SCREENER_FORMATS = ['standard', 'simple'];
+
+// Scores at or above this are the usual cut-off for referral (moderate depression)
+export const PHQ9_CLINICIAN_THRESHOLD = 10;
+
+export const DEFAULT_SCREENER_SETTINGS = { enabled: true, intervalDays: 14, format: 'standard' };
+
+const SEVERITY_BANDS = [
+  { min: 20, severity: 'severe' },
+  { min: 15, severity: 'moderately severe' },
+  { min: 10, severity: 'moderate' },
+  { min: 5, severity: 'mild' },
+  { min: 0, severity: 'minimal' },
+];
+
+// answers: { [itemId]: 0..3 }; every item must be answered
+export const scorePhq9 = (answers) => {
+  const missing = PHQ9_ITEMS.filter(item => !PHQ9_RESPONSES.includes(answers[item.id]));
+  if (missing.length > 0) throw new Error(`Unanswered PHQ-9 items: ${missing.map(item => item.id).join(', ')}`);
+
+  const score = PHQ9_ITEMS.reduce((total, item) => total + answers[item.id], 0);
+  const selfHarmPositive = answers.selfHarm > 0;
+  return {
+    score,
+    severity: SEVERITY_BANDS.find(band => score >= band.min).severity,
+    selfHarmPositive,
+    // Any thoughts of self-harm warrant contact regardless of the total
+    needsClinician: score >= PHQ9_CLINICIAN_THRESHOLD || selfHarmPositive,
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastTimestamp: ISO time of the most recent screening (or null); `today` for tests
+export const isScreenerDue = (lastTimestamp, settings = DEFAULT_SCREENER_SETTINGS, today = new Date()) => {
+  if (!settings.enabled) return false;
+  if (!lastTimestamp) return true;
+  return today - new Date(lastTimestamp) >= settings.intervalDays * DAY_MS;
+};
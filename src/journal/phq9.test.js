@@ -0,0 +1,28 @@
+import { PHQ9_ITEMS, scorePhq9, isScreenerDue } from './phq9';
+
+const answersOf = (values) => Object.fromEntries(PHQ9_ITEMS.map((item, index) => [item.id, values[index]]));
+
+test('scores the nine items and bands severity', () => {
+  expect(scorePhq9(answersOf([0, 0, 0, 0, 0, 0, 0, 0, 0]))).toEqual({
+    score: 0, severity: 'minimal', selfHarmPositive: false, needsClinician: false,
+  });
+  expect(scorePhq9(answersOf([1, 1, 1, 1, 1, 1, 1, 2, 0]))).toMatchObject({ score: 9, severity: 'mild', needsClinician: false });
+  expect(scorePhq9(answersOf([2, 2, 1, 1, 1, 1, 1, 1, 0]))).toMatchObject({ score: 10, severity: 'moderate', needsClinician: true });
+  expect(scorePhq9(answersOf([3, 3, 3, 3, 3, 3, 3, 3, 3]))).toMatchObject({ score: 27, severity: 'severe' });
+});
+
+test('any thoughts of self-harm need a clinician whatever the total', () => {
+  expect(scorePhq9(answersOf([0, 0, 0, 0, 0, 0, 0, 0, 1]))).toMatchObject({ score: 1, selfHarmPositive: true, needsClinician: true });
+});
+
+test('rejects incomplete answers', () => {
+  expect(() => scorePhq9({ interest: 1 })).toThrow(/Unanswered PHQ-9 items: down/);
+});
+
+test('is due when never taken or once the interval has passed', () => {
+  const today = new Date('2026-03-15T12:00:00Z');
+  expect(isScreenerDue(null, undefined, today)).toBe(true);
+  expect(isScreenerDue('2026-03-05T12:00:00Z', undefined, today)).toBe(false);
+  expect(isScreenerDue('2026-03-01T12:00:00Z', undefined, today)).toBe(true);
+  expect(isScreenerDue(null, { enabled: false, intervalDays: 14 }, today)).toBe(false);
+});
@@ -0,0 +1,14 @@
+// public/sw.js caches the app for offline use and shows session reminders
+export const WORKER_URL = `${process.env.PUBLIC_URL}/sw.js`;
+
+export const serviceWorkerSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+// Registers the worker and, while online, asks it to cache the build that is running now,
+// so the app opens without a connection next time.
+export const registerServiceWorker = async () => {
+  if (!serviceWorkerSupported()) return null;
+  await navigator.serviceWorker.register(WORKER_URL);
+  const registration = await navigator.serviceWorker.ready;
+  if (navigator.onLine && registration.active) registration.active.postMessage({ type: 'refresh-precache' });
+  return registration;
+};
@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+
+// Chromium browsers offer to install the app through beforeinstallprompt; we hold on to the
+// event so the app can show its own Install button. Elsewhere canInstall stays false and the
+// browser's own "Add to Home Screen" menu item is the way in.
+export const useInstallPrompt = () => {
+  const [promptEvent, setPromptEvent] = useState(null);
+
+  useEffect(() => {
+    const handleBeforeInstall = (event) => {
+      event.preventDefault();
+      setPromptEvent(event);
+    };
+    const handleInstalled = () => setPromptEvent(null);
+    window.addEventListener('beforeinstallprompt', handleBeforeInstall);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', handleBeforeInstall);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  const install = async () => {
+    if (!promptEvent) return false;
+    promptEvent.prompt();
+    const { outcome } = await promptEvent.userChoice;
+    setPromptEvent(null);
+    return outcome === 'accepted';
+  };
+
+  return { canInstall: Boolean(promptEvent), install };
+};
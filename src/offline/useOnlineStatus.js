@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+// navigator.onLine only knows whether there is a network at all, not whether the chat
+// service is reachable; the chat client reports that separately (see isOfflineError).
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,34 @@
+// Profile PINs are stored as salted PBKDF2 hashes, never as the digits themselves. A 4-8 digit
+// PIN only keeps patients out of each other's data on a shared tablet; it is not encryption.
+// WebCrypto is only available on https (or localhost), so PINs can't be set over plain http.
+
+import { cryptoSupported, fromBase64, toBase64 } from '../backup/crypto';
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+export const PIN_ITERATIONS = 100000;
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MS = 30000;
+
+export const isValidPin = (pin) => new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(pin);
+
+export const pinSupported = cryptoSupported;
+
+const derive = async (pin, salt, iterations) => {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  return toBase64(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256));
+};
+
+// -> { salt, hash, iterations }, all JSON-safe for the profile record
+export const hashPin = async (pin) => {
+  if (!isValidPin(pin)) throw new Error(`A PIN is ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits.`);
+  if (!pinSupported()) throw new Error('PINs need a secure (https) connection.');
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt: toBase64(salt), hash: await derive(pin, salt, PIN_ITERATIONS), iterations: PIN_ITERATIONS };
+};
+
+export const checkPin = async (pin, stored) => {
+  if (!stored) return true;
+  if (!isValidPin(pin) || !pinSupported()) return false;
+  return (await derive(pin, fromBase64(stored.salt), stored.iterations)) === stored.hash;
+};
@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ */
+// WebCrypto's subtle API isn't in jsdom, so these run against Node's implementation.
+import { webcrypto } from 'crypto';
+import { checkPin, hashPin, isValidPin } from './pin';
+
+beforeAll(() => {
+  if (!global.crypto) global.crypto = webcrypto;
+});
+
+test('accepts 4 to 8 digit PINs only', () => {
+  expect(isValidPin('1234')).toBe(true);
+  expect(isValidPin('12345678')).toBe(true);
+  expect(isValidPin('123')).toBe(false);
+  expect(isValidPin('12a4')).toBe(false);
+  expect(isValidPin('123456789')).toBe(false);
+});
+
+test('stores a salted hash that only the same PIN matches', async () => {
+  const stored = await hashPin('2468');
+  expect(JSON.stringify(stored)).not.toContain('2468');
+  expect(await checkPin('2468', stored)).toBe(true);
+  expect(await checkPin('2469', stored)).toBe(false);
+  expect((await hashPin('2468')).hash).not.toBe(stored.hash);
+});
+
+test('a profile without a PIN always opens', async () => {
+  expect(await checkPin('', null)).toBe(true);
+  await expect(hashPin('12')).rejects.toThrow(/4 to 8 digits/);
+});
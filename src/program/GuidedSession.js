@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import ExerciseRunner from '../exercises/ExerciseRunner';
+import { getExercise, resolveDifficulty } from '../exercises';
+import { expandProgramSteps } from './program';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Runs every step of a program back to back as one guided session. Each step is an ordinary
+// exercise session in the history; the program run ties them together and only counts as
+// done once the last step finishes.
+const GuidedSession = ({ program, historyStore, onPoints, onFinish, onCancel }) => {
+  const { t } = useTranslation();
+  const steps = useMemo(() => expandProgramSteps(program, getExercise, resolveDifficulty), [program]);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [betweenSteps, setBetweenSteps] = useState(null);
+  const [runId, setRunId] = useState(null);
+  const [runOpened, setRunOpened] = useState(!historyStore);
+  const started = useRef(false);
+
+  // Fire-and-forget write; storage problems are logged rather than interrupting the session
+  const writeHistory = (write) => {
+    if (!historyStore) return Promise.resolve();
+    return write(historyStore).catch(error => console.error('Error writing program run:', error));
+  };
+
+  // Guarded so StrictMode's double mount doesn't open two program runs
+  useEffect(() => {
+    if (started.current || !historyStore) return;
+    started.current = true;
+    historyStore.startProgramRun(program.id)
+      .then(run => setRunId(run.id))
+      .catch(error => console.error('Error writing program run:', error))
+      .finally(() => setRunOpened(true));
+  }, [historyStore, program.id]);
+
+  const step = steps[stepIndex];
+  const exercise = step && getExercise(step.exerciseId);
+
+  const handleStepComplete = (completedExercise, summary, message) => {
+    const isLast = stepIndex === steps.length - 1;
+    writeHistory(async store => {
+      if (!runId) return;
+      await store.recordProgramStep(runId, { exerciseId: completedExercise.id, round: step.round, summary });
+      if (isLast) await store.finishProgramRun(runId);
+    }).then(() => {
+      if (isLast) onFinish(program, message);
+    });
+    if (!isLast) setBetweenSteps(message);
+  };
+
+  const handleContinue = () => {
+    setBetweenSteps(null);
+    setStepIndex(prev => prev + 1);
+  };
+
+  if (!exercise) {
+    return <p className="text-gray-700">{t('program.nothingToRun')}</p>;
+  }
+
+  // Still opening the program run, so the first step's session is tied to it. If that fails
+  // the steps still run, just without the run record.
+  if (!runOpened) return null;
+
+  const nextStep = steps[stepIndex + 1];
+  const titleOf = (candidate) => t(`${candidate.id}.title`, { defaultValue: candidate.title });
+
+  return (
+    <div className="w-full text-center">
+      <p className="text-sm text-gray-600 mb-2">
+        {t('program.step', { name: program.name, step: stepIndex + 1, total: steps.length })}
+      </p>
+      {betweenSteps ? (
+        <div>
+          <p className="text-lg text-green-700 mb-4" role="status">{t('program.wellDone', { message: betweenSteps })}</p>
+          <p className="text-gray-700 mb-4">
+            {t('program.rest')} <span className="font-bold">{titleOf(getExercise(nextStep.exerciseId))}</span>
+            {nextStep.rounds > 1 && ` ${t('program.round', { round: nextStep.round, rounds: nextStep.rounds })}`}
+          </p>
+          <div className="flex justify-center gap-4">
+            <button onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-3 px-6 rounded-lg transition duration-300">
+              {t('program.stopForToday')}
+            </button>
+            <button onClick={handleContinue} className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-3 px-6 rounded-lg transition duration-300">
+              {t('program.continue')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <h3 className="text-xl font-bold mb-2 text-blue-700">
+            {titleOf(exercise)}
+            {step.rounds > 1 && <span className="text-base font-normal text-gray-600"> {t('program.round', { round: step.round, rounds: step.rounds })}</span>}
+          </h3>
+          <ExerciseRunner
+            key={stepIndex}
+            exercise={exercise}
+            historyStore={historyStore}
+            presetDifficulty={step.difficulty}
+            programRunId={runId}
+            onPoints={onPoints}
+            onComplete={handleStepComplete}
+            onCancel={onCancel}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GuidedSession;
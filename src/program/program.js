@@ -0,0 +1,116 @@
+// Prescribed training programs: a weekly plan of exercise blocks that the app runs as one
+// guided session. A program is
+//
+//   {
+//     id, name,
+//     days: [1, 3, 5],                  // weekdays, 0 = Sunday (as Date#getDay)
+//     reminderTime: '10:00',            // local time, 'HH:MM'
+//     remindersEnabled: true,
+//     blocks: [                         // run in order
+//       { exerciseId: 'digitSpan', rounds: 1, difficulty: { trialsPerSession: 10 } },
+//       { exerciseId: 'verbalFluency', rounds: 2, difficulty: {} },
+//     ],
+//   }
+//
+// Block difficulty only lists the fields the prescriber changed; the rest come from the
+// exercise's defaults when the session runs.
+
+import { toDateKey } from '../data/metrics';
+import { translateEnglish } from '../i18n/i18n';
+
+// As Date#getDay; the names are the program.weekday.* translations
+export const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+export const MAX_ROUNDS = 5;
+export const DEFAULT_REMINDER_TIME = '10:00';
+
+export const newProgram = () => ({
+  name: '',
+  days: [1, 3, 5],
+  reminderTime: DEFAULT_REMINDER_TIME,
+  remindersEnabled: true,
+  blocks: [],
+});
+
+// Returns a list of problems, in the language of `t`; empty when the program can be saved
+export const validateProgram = (program, getExercise, t = translateEnglish) => {
+  const errors = [];
+  if (!program.name || !program.name.trim()) errors.push(t('program.error.name'));
+  if (program.days.length === 0) errors.push(t('program.error.days'));
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(program.reminderTime)) errors.push(t('program.error.time'));
+  if (program.blocks.length === 0) errors.push(t('program.error.blocks'));
+  program.blocks.forEach((block, index) => {
+    if (!getExercise(block.exerciseId)) errors.push(t('program.error.unavailable', { number: index + 1 }));
+    if (!Number.isInteger(block.rounds) || block.rounds < 1 || block.rounds > MAX_ROUNDS) {
+      errors.push(t('program.error.rounds', { number: index + 1, max: MAX_ROUNDS }));
+    }
+  });
+  return errors;
+};
+
+// One step per round, with the difficulty fully resolved for the runner
+export const expandProgramSteps = (program, getExercise, resolveDifficulty) => program.blocks.flatMap(block => {
+  const exercise = getExercise(block.exerciseId);
+  if (!exercise) return [];
+  const difficulty = resolveDifficulty(exercise, { ...exercise.defaultDifficulty, ...block.difficulty });
+  return Array.from({ length: block.rounds }, (_, round) => ({
+    exerciseId: block.exerciseId,
+    difficulty,
+    round: round + 1,
+    rounds: block.rounds,
+  }));
+});
+
+// "Mon/Wed/Fri: 10 Digit Span Test trials + Verbal Fluency × 2"
+export const describeProgram = (program, getExercise, t = translateEnglish) => {
+  const days = [...program.days].sort().map(day => t(`program.weekday.${day}`)).join('/');
+  const blocks = program.blocks.map(block => {
+    const exercise = getExercise(block.exerciseId);
+    const title = exercise ? t(`${exercise.id}.title`, { defaultValue: exercise.title }) : block.exerciseId;
+    const trials = block.difficulty && block.difficulty.trialsPerSession;
+    const label = trials ? t('program.blockTrials', { count: trials, title }) : title;
+    return block.rounds > 1 ? t('program.blockRounds', { label, rounds: block.rounds }) : label;
+  }).join(' + ');
+  return `${days}: ${blocks}`;
+};
+
+export const isProgramDay = (program, date) => program.days.includes(new Date(date).getDay());
+
+const atReminderTime = (day, reminderTime) => {
+  const [hours, minutes] = reminderTime.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+};
+
+const completedDays = (runs, programId) => new Set(
+  runs.filter(run => run.programId === programId && run.completedAt).map(run => toDateKey(run.completedAt))
+);
+
+// Reminders for the next `days` days (today included) for sessions not yet done that day.
+// A reminder whose time has already passed today is still returned, so it fires straight away.
+// The notification text is in the language of `t`, and its title names the profile so a shared
+// device shows whose session is due.
+export const buildReminders = (programs, runs, { profileName, now = new Date(), days = 7, t = translateEnglish } = {}) => programs
+  .filter(program => program.remindersEnabled)
+  .flatMap(program => {
+    const done = completedDays(runs, program.id);
+    return Array.from({ length: days }, (_, offset) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset))
+      .filter(day => isProgramDay(program, day) && !done.has(toDateKey(day)))
+      .map(day => ({
+        tag: `${program.id}:${toDateKey(day)}`,
+        at: atReminderTime(day, program.reminderTime).toISOString(),
+        title: t('program.reminder.title', { profile: profileName }),
+        body: t('program.reminder.body', { name: program.name }),
+      }));
+  })
+  .sort((a, b) => (a.at < b.at ? -1 : 1));
+
+// Scheduled days in the last `days` days (oldest first) and whether a session was completed
+export const programAdherence = (program, runs, today = new Date(), days = 7) => {
+  const done = completedDays(runs, program.id);
+  return Array.from({ length: days }, (_, i) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i)))
+    .filter(day => isProgramDay(program, day))
+    .map(day => ({ date: toDateKey(day), completed: done.has(toDateKey(day)) }));
+};
+
+export const isDueToday = (program, runs, today = new Date()) => (
+  isProgramDay(program, today) && !completedDays(runs, program.id).has(toDateKey(today))
+);
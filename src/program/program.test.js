@@ -0,0 +1,75 @@
+import { getExercise, resolveDifficulty } from '../exercises';
+import {
+  buildReminders,
+  describeProgram,
+  expandProgramSteps,
+  isDueToday,
+  newProgram,
+  programAdherence,
+  validateProgram,
+} from './program';
+import { translate } from '../i18n/i18n';
+
+const program = {
+  ...newProgram(),
+  id: 'p1',
+  name: 'Memory and words',
+  blocks: [
+    { exerciseId: 'digitSpan', rounds: 1, difficulty: { trialsPerSession: 10 } },
+    { exerciseId: 'verbalFluency', rounds: 2, difficulty: {} },
+  ],
+};
+
+// 2026-03-02 is a Monday
+const run = (completedAt) => ({ id: completedAt, programId: 'p1', startedAt: completedAt, completedAt });
+
+test('validates names, days, times and blocks', () => {
+  expect(validateProgram(program, getExercise)).toEqual([]);
+  expect(validateProgram({ ...newProgram(), days: [], reminderTime: '25:00' }, getExercise)).toEqual([
+    'Give the program a name.',
+    'Pick at least one day.',
+    'Reminder time must be HH:MM.',
+    'Add at least one exercise.',
+  ]);
+  expect(validateProgram({ ...program, blocks: [{ exerciseId: 'juggling', rounds: 9 }] }, getExercise)).toEqual([
+    'Exercise 1 is not available.',
+    'Exercise 1 needs between 1 and 5 rounds.',
+  ]);
+});
+
+test('expands blocks into one step per round with resolved difficulty', () => {
+  const steps = expandProgramSteps(program, getExercise, resolveDifficulty);
+  expect(steps.map(step => [step.exerciseId, step.round])).toEqual([['digitSpan', 1], ['verbalFluency', 1], ['verbalFluency', 2]]);
+  expect(steps[0].difficulty).toMatchObject({ direction: 'forward', trialsPerSession: 10 });
+  expect(steps[1].difficulty).toEqual(getExercise('verbalFluency').defaultDifficulty);
+});
+
+test('describes the plan the way a therapist writes it', () => {
+  expect(describeProgram(program, getExercise)).toBe('Mon/Wed/Fri: 10 Digit Span Test trials + Verbal Fluency × 2');
+  expect(describeProgram(program, getExercise, (key, params) => translate('es', key, params)))
+    .toBe('Lun/Mié/Vie: Prueba de dígitos: 10 intentos + Fluidez verbal × 2');
+});
+
+test('builds reminders for upcoming program days that are not done yet', () => {
+  const now = new Date(2026, 2, 2, 8, 0);
+  const reminders = buildReminders([program], [run(new Date(2026, 2, 2, 7, 30).toISOString())], { profileName: 'Ana', now });
+  expect(reminders.map(reminder => reminder.tag)).toEqual(['p1:2026-03-04', 'p1:2026-03-06']);
+  expect(new Date(reminders[0].at)).toEqual(new Date(2026, 2, 4, 10, 0));
+  expect(reminders[0]).toMatchObject({ title: 'Ana: time for your training session', body: 'Memory and words is scheduled for today.' });
+  expect(buildReminders([program], [], { profileName: '王芳', now, t: (key, params) => translate('zh', key, params) })[0])
+    .toMatchObject({ title: '王芳：该做训练了', body: '今天安排了Memory and words。' });
+  expect(buildReminders([{ ...program, remindersEnabled: false }], [], { now })).toEqual([]);
+});
+
+test('tracks adherence on scheduled days only', () => {
+  const today = new Date(2026, 2, 8, 12, 0); // Sunday
+  const runs = [run(new Date(2026, 2, 2, 11, 0).toISOString()), run(new Date(2026, 2, 6, 11, 0).toISOString())];
+  expect(programAdherence(program, runs, today)).toEqual([
+    { date: '2026-03-02', completed: true },
+    { date: '2026-03-04', completed: false },
+    { date: '2026-03-06', completed: true },
+  ]);
+  expect(isDueToday(program, runs, new Date(2026, 2, 4, 9, 0))).toBe(true);
+  expect(isDueToday(program, runs, new Date(2026, 2, 2, 9, 0))).toBe(false);
+  expect(isDueToday(program, runs, today)).toBe(false);
+});
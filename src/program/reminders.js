@@ -0,0 +1,68 @@
+// Session reminders are shown by the service worker in public/sw.js. The app works out what
+// is due (see buildReminders) and hands the list over; the worker shows each one on time.
+// The worker keeps a list per profile, so each patient sharing a device gets their own.
+
+import { buildReminders } from './program';
+import { translateEnglish } from '../i18n/i18n';
+import { WORKER_URL, serviceWorkerSupported } from '../offline/serviceWorker';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+// Must match REMINDER_SYNC_TAG in public/sw.js
+const REMINDER_SYNC_TAG = 'session-reminders';
+
+export const remindersSupported = () => (
+  typeof window !== 'undefined' && serviceWorkerSupported() && 'Notification' in window
+);
+
+export const notificationPermission = () => (remindersSupported() ? Notification.permission : 'unsupported');
+
+export const requestReminderPermission = async () => {
+  if (!remindersSupported()) return 'unsupported';
+  return Notification.requestPermission();
+};
+
+const getRegistration = async () => {
+  await navigator.serviceWorker.register(WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+// Recomputes a profile's reminders from its history store and passes them to the worker,
+// worded in the language of `t`. Call again whenever programs change or a guided session finishes.
+export const syncReminders = async (historyStore, profile, t = translateEnglish) => {
+  if (!remindersSupported() || Notification.permission !== 'granted') return [];
+  const [programs, runs] = await Promise.all([
+    historyStore.listPrograms(),
+    historyStore.listProgramRuns({ completedOnly: true }),
+  ]);
+  const reminders = buildReminders(programs, runs, { profileName: profile.name, t });
+  const registration = await getRegistration();
+  registration.active.postMessage({ type: 'schedule-reminders', profileId: profile.id, reminders });
+  // Lets an installed app remind the patient while it is closed (Chromium only)
+  if (registration.periodicSync) {
+    registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 60 * 60 * 1000 })
+      .catch(() => {}); // not installed or permission denied; reminders still fire while open
+  }
+  return reminders;
+};
+
+// Drops a deleted profile's reminders
+export const clearReminders = async (profileId) => {
+  if (!remindersSupported()) return;
+  const registration = await navigator.serviceWorker.getRegistration(WORKER_URL);
+  if (registration && registration.active) {
+    registration.active.postMessage({ type: 'schedule-reminders', profileId, reminders: [] });
+  }
+};
+
+// While the app is open, nudge the worker every minute so reminders fire on time.
+// Returns a function that stops the loop.
+export const startReminderChecks = () => {
+  if (!remindersSupported()) return () => {};
+  const timer = setInterval(() => {
+    if (Notification.permission !== 'granted') return;
+    navigator.serviceWorker.getRegistration(WORKER_URL)
+      .then(registration => registration && registration.active && registration.active.postMessage({ type: 'check-reminders' }))
+      .catch(error => console.error('Error checking reminders:', error));
+  }, CHECK_INTERVAL_MS);
+  return () => clearInterval(timer);
+};
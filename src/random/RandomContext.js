@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+import { createRandomSource } from './random';
+
+// Where exercise runs get their random numbers. App provides a seeded source when a seed is set.
+export const RandomContext = createContext(createRandomSource(null));
+
+export const useRandomSource = () => useContext(RandomContext);
@@ -0,0 +1,55 @@
+// Seedable randomness for exercises and demo data. With a seed, every digit sequence, grid and
+// demo history comes out the same each time, so a walkthrough or a failing test can be
+// repeated exactly. Without one the app uses Math.random as before.
+
+// FNV-1a, so any string (a word, a date, 'demo:digitSpan:2') can be a seed
+export const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and plenty for shuffling grids; not for anything security related
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+export const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+export const shuffled = (random, items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Hands out one stream per run: the nth digit span session after a reload always gets
+// 'seed:digitSpan:n'. A null seed gives Math.random.
+export const createRandomSource = (seed = null) => {
+  const runs = new Map();
+  return (label) => {
+    if (seed === null || seed === '') return Math.random;
+    const run = runs.get(label) || 0;
+    runs.set(label, run + 1);
+    return createRandom(`${seed}:${label}:${run}`);
+  };
+};
+
+// ?seed= in the address, then REACT_APP_RANDOM_SEED at build time
+export const loadSeed = (search = typeof window !== 'undefined' ? window.location.search : '') => (
+  new URLSearchParams(search).get('seed') || process.env.REACT_APP_RANDOM_SEED || null
+);
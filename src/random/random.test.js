@@ -0,0 +1,30 @@
+import { createRandom, createRandomSource, loadSeed, shuffled } from './random';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+test('the same seed always gives the same numbers', () => {
+  expect(draw(createRandom('clinic demo'))).toEqual(draw(createRandom('clinic demo')));
+  expect(draw(createRandom('clinic demo'))).not.toEqual(draw(createRandom('clinic demo 2')));
+  draw(createRandom(42), 1000).forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+  expect(shuffled(createRandom(1), [1, 2, 3, 4, 5]).sort()).toEqual([1, 2, 3, 4, 5]);
+});
+
+test('a seeded source gives each run of an exercise its own repeatable stream', () => {
+  const source = createRandomSource('walkthrough');
+  const first = draw(source('digitSpan'));
+  const second = draw(source('digitSpan'));
+  expect(first).not.toEqual(second);
+  expect(first).toEqual(draw(createRandom('walkthrough:digitSpan:0')));
+
+  const replay = createRandomSource('walkthrough');
+  expect(draw(replay('digitSpan'))).toEqual(first);
+  expect(createRandomSource(null)('digitSpan')).toBe(Math.random);
+});
+
+test('reads the seed from the address', () => {
+  expect(loadSeed('?seed=abc&scenario=improving')).toBe('abc');
+  expect(loadSeed('')).toBeNull();
+});
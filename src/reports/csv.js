@@ -0,0 +1,35 @@
+// Raw trial export: one row per recorded attempt, structured fields as JSON.
+
+export const TRIAL_COLUMNS = [
+  'timestamp',
+  'sessionId',
+  'exerciseType',
+  'params',
+  'stimulus',
+  'response',
+  'correct',
+  'reactionTimesMs',
+  'points',
+];
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value) && value.every(item => typeof item === 'number')) return value.join(';');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Spreadsheets run a cell starting with one of these as a formula. Typed text (a fluency
+// answer, a journal note) gets a leading ' so Excel shows it as text instead.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// RFC 4180 quoting: wrap in quotes when needed and double any embedded quotes
+export const escapeCsvCell = (value) => {
+  const formatted = formatCell(value);
+  const text = typeof value === 'string' && FORMULA_START.test(formatted) ? `'${formatted}` : formatted;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const trialsToCsv = (trials) => [
+  TRIAL_COLUMNS.join(','),
+  ...trials.map(trial => TRIAL_COLUMNS.map(column => escapeCsvCell(trial[column])).join(',')),
+].join('\r\n');
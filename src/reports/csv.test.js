@@ -0,0 +1,36 @@
+import { TRIAL_COLUMNS, escapeCsvCell, trialsToCsv } from './csv';
+
+test('quotes cells containing commas, quotes or newlines', () => {
+  expect(escapeCsvCell('cat')).toBe('cat');
+  expect(escapeCsvCell('a, b')).toBe('"a, b"');
+  expect(escapeCsvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(escapeCsvCell(null)).toBe('');
+});
+
+test('neutralises typed text that a spreadsheet would run as a formula', () => {
+  expect(escapeCsvCell('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+  expect(escapeCsvCell('+1')).toBe("'+1");
+  expect(escapeCsvCell('-2+3')).toBe("'-2+3");
+  expect(escapeCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+  expect(escapeCsvCell('\t=1')).toBe("'\t=1");
+  expect(escapeCsvCell(-5)).toBe('-5');
+  const row = trialsToCsv([{ exerciseType: 'verbalFluency', stimulus: '=cmd|\' /C calc\'!A0', points: 0 }]).split('\r\n')[1];
+  expect(row.split(',')[4]).toBe("'=cmd|' /C calc'!A0");
+});
+
+test('writes one row per trial with number lists and JSON fields', () => {
+  const csv = trialsToCsv([{
+    timestamp: '2026-03-01T09:00:00.000Z',
+    sessionId: 's1',
+    exerciseType: 'digitSpan',
+    params: { direction: 'forward' },
+    stimulus: [1, 2, 3],
+    response: [1, 2, 3],
+    correct: true,
+    reactionTimesMs: [1500],
+    points: 30,
+  }]);
+  const [header, row] = csv.split('\r\n');
+  expect(header).toBe(TRIAL_COLUMNS.join(','));
+  expect(row).toBe('2026-03-01T09:00:00.000Z,s1,digitSpan,"{""direction"":""forward""}",1;2;3,1;2;3,true,1500,30');
+});
@@ -0,0 +1,17 @@
+// Saves generated content as a file through a temporary object URL.
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Inclusive local-date range ("YYYY-MM-DD") as the ISO bounds the history store filters on
+export const dateRangeToIso = ({ from, to }) => ({
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+});
@@ -0,0 +1,115 @@
+// FHIR R4 export: a collection Bundle with one Observation per completed session and mood check-in.
+// Exercise metrics have no standard LOINC codes, so they use the app's own code system.
+
+import { attentionRates } from '../data/metrics';
+import { createId } from '../data/historyStore';
+
+export const CODE_SYSTEM = 'https://strokerecovery.app/fhir/CodeSystem/exercise-metrics';
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const UCUM = 'http://unitsofmeasure.org';
+
+const coding = (code, display) => ({ coding: [{ system: CODE_SYSTEM, code, display }], text: display });
+
+const quantity = (value, unit, code) => ({ value, unit, system: UCUM, code });
+
+const component = (code, display, valueQuantity) => ({ code: coding(code, display), valueQuantity });
+
+const percent = (value) => (value === null ? null : quantity(Math.round(value * 1000) / 10, '%', '%'));
+
+// Each exercise maps its session summary to an Observation code and components
+const SESSION_MAPPERS = {
+  digitSpan: ({ summary }) => ({
+    code: coding(`digit-span-${summary.direction}`, `Digit span (${summary.direction})`),
+    valueQuantity: quantity(summary.maxSpan, 'digits', '{digits}'),
+    component: [
+      component('trial-count', 'Trials', quantity(summary.trialCount, 'trials', '{trials}')),
+      component('correct-trials', 'Correct trials', quantity(summary.correctTrials, 'trials', '{trials}')),
+    ],
+  }),
+  verbalFluency: ({ summary, params }) => ({
+    code: coding(`verbal-fluency-${summary.category}`, `Verbal fluency (${summary.category})`),
+    valueQuantity: quantity(summary.count, 'words', '{words}'),
+    component: [
+      component('duration', 'Duration', quantity((summary.durationMs || params?.durationMs || 60000) / 1000, 's', 's')),
+      component('perseverations', 'Perseverations', quantity(summary.perseverations, 'words', '{words}')),
+      component('intrusions', 'Intrusions', quantity(summary.intrusions, 'words', '{words}')),
+      ...(summary.bins || []).map((count, i) => component(
+        `words-bin-${i + 1}`,
+        `Words in ${i * 15}-${(i + 1) * 15} s`,
+        quantity(count, 'words', '{words}')
+      )),
+    ],
+  }),
+  // Rounds recorded before the verbal fluency module
+  animalNaming: ({ summary, params }) => SESSION_MAPPERS.verbalFluency({
+    summary: { ...summary, category: 'animals' },
+    params,
+  }),
+  selectiveAttention: ({ summary }) => {
+    const rates = summary.itemCount !== undefined ? attentionRates(summary) : {};
+    return {
+      code: coding('selective-attention', 'Selective attention cancellation'),
+      valueQuantity: percent(rates.accuracy ?? null),
+      component: [
+        component('hits', 'Hits', quantity(summary.hits, 'targets', '{targets}')),
+        component('misses', 'Misses', quantity(summary.misses, 'targets', '{targets}')),
+        component('false-alarms', 'False alarms', quantity(summary.falseAlarms, 'items', '{items}')),
+        component('hit-rate', 'Hit rate', percent(rates.hitRate ?? null)),
+        component('false-alarm-rate', 'False alarm rate', percent(rates.falseAlarmRate ?? null)),
+        component('completion-time', 'Time to complete', quantity(
+          summary.completionTimeMs === undefined ? undefined : summary.completionTimeMs / 1000, 's', 's'
+        )),
+        component('left-omissions', 'Left-side omissions', quantity(summary.leftMisses, 'targets', '{targets}')),
+        component('right-omissions', 'Right-side omissions', quantity(summary.rightMisses, 'targets', '{targets}')),
+      ],
+    };
+  },
+};
+
+const hasValue = (valueQuantity) => valueQuantity && valueQuantity.value !== null && valueQuantity.value !== undefined;
+
+// FHIR forbids empty values and empty arrays, so metrics a session didn't record are left out
+const withoutEmpty = ({ valueQuantity, component: parts = [], ...observation }) => {
+  const components = parts.filter(part => hasValue(part.valueQuantity));
+  return {
+    ...observation,
+    ...(hasValue(valueQuantity) ? { valueQuantity } : {}),
+    ...(components.length ? { component: components } : {}),
+  };
+};
+
+const baseObservation = (category, effectiveDateTime, subject) => ({
+  resourceType: 'Observation',
+  id: createId(),
+  status: 'final',
+  category: [{ coding: [{ system: CATEGORY_SYSTEM, code: category }] }],
+  ...(subject ? { subject } : {}),
+  effectiveDateTime,
+});
+
+export const sessionToObservation = (session, subject) => {
+  const mapper = SESSION_MAPPERS[session.exerciseType];
+  if (!mapper || !session.completedAt || !session.summary) return null;
+  return withoutEmpty({ ...baseObservation('exam', session.completedAt, subject), ...mapper(session) });
+};
+
+export const moodToObservation = (entry, subject) => ({
+  ...baseObservation('survey', entry.timestamp, subject),
+  code: coding('mood-check-in', 'Self-reported mood'),
+  valueCodeableConcept: coding(`mood-${entry.mood}`, entry.mood),
+});
+
+export const buildObservationBundle = ({ sessions, moods, patientName, timestamp = new Date().toISOString() }) => {
+  const subject = patientName ? { display: patientName } : undefined;
+  const observations = [
+    ...sessions.map(session => sessionToObservation(session, subject)).filter(Boolean),
+    ...moods.map(entry => moodToObservation(entry, subject)),
+  ];
+  return {
+    resourceType: 'Bundle',
+    id: createId(),
+    type: 'collection',
+    timestamp,
+    entry: observations.map(resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource })),
+  };
+};
@@ -0,0 +1,38 @@
+import { CODE_SYSTEM, buildObservationBundle } from './fhir';
+
+const sessions = [
+  {
+    exerciseType: 'digitSpan',
+    completedAt: '2026-03-01T09:00:00.000Z',
+    params: { direction: 'backward' },
+    summary: { direction: 'backward', maxSpan: 4, trialCount: 12, correctTrials: 7 },
+  },
+  { exerciseType: 'digitSpan', completedAt: null, summary: null },
+  {
+    exerciseType: 'selectiveAttention',
+    completedAt: '2026-03-02T09:00:00.000Z',
+    summary: { hits: 4, misses: 0, falseAlarms: 0, targetCount: 4, itemCount: 20 },
+  },
+];
+
+test('builds a collection bundle of final observations for completed sessions and moods', () => {
+  const bundle = buildObservationBundle({
+    sessions,
+    moods: [{ mood: 'positive', timestamp: '2026-03-01T20:00:00.000Z' }],
+    patientName: 'Test Patient',
+  });
+
+  expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+  expect(bundle.entry).toHaveLength(3);
+  bundle.entry.forEach(({ fullUrl, resource }) => {
+    expect(fullUrl).toBe(`urn:uuid:${resource.id}`);
+    expect(resource).toMatchObject({ resourceType: 'Observation', status: 'final', subject: { display: 'Test Patient' } });
+  });
+
+  const [span, attention, mood] = bundle.entry.map(entry => entry.resource);
+  expect(span.code.coding[0]).toMatchObject({ system: CODE_SYSTEM, code: 'digit-span-backward' });
+  expect(span.valueQuantity.value).toBe(4);
+  expect(span.effectiveDateTime).toBe('2026-03-01T09:00:00.000Z');
+  expect(attention.valueQuantity).toMatchObject({ value: 100, unit: '%' });
+  expect(mood.valueCodeableConcept.coding[0].code).toBe('mood-positive');
+});
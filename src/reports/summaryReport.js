@@ -0,0 +1,174 @@
+// Printable clinician summary. The browser's print dialog doubles as "Save as PDF",
+// so the report is plain HTML with print-friendly styling.
+
+import { attentionRates, fluencyCategoryOf, fluencyPerMinute, toDateKey } from '../data/metrics';
+import { CATEGORIES as FLUENCY_CATEGORIES } from '../exercises/verbalFluency/lexicon';
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const max = (values) => (values.length ? Math.max(...values) : null);
+const defined = (values) => values.filter(value => value !== null && value !== undefined);
+
+const completedOf = (sessions, exerciseType) => sessions.filter(session => (
+  session.exerciseType === exerciseType && session.completedAt && session.summary
+));
+
+const digitSpanMetrics = (sessions, direction) => {
+  const spans = defined(completedOf(sessions, 'digitSpan')
+    .filter(session => session.summary.direction === direction)
+    .map(session => session.summary.maxSpan));
+  return { sessions: spans.length, bestMaxSpan: max(spans), meanMaxSpan: mean(spans) };
+};
+
+const fluencyMetrics = (sessions, category) => {
+  const rounds = [...completedOf(sessions, 'verbalFluency'), ...completedOf(sessions, 'animalNaming')]
+    .filter(session => fluencyCategoryOf(session) === category && session.summary.count !== undefined);
+  const perMinute = rounds.map(fluencyPerMinute);
+  return {
+    sessions: rounds.length,
+    bestPerMinute: max(perMinute),
+    meanPerMinute: mean(perMinute),
+    // Older animal-naming rounds didn't record errors, so these only cover the newer ones
+    perseverations: defined(rounds.map(session => session.summary.perseverations)).reduce((sum, n) => sum + n, 0),
+    intrusions: defined(rounds.map(session => session.summary.intrusions)).reduce((sum, n) => sum + n, 0),
+  };
+};
+
+const attentionMetrics = (sessions) => {
+  const summaries = completedOf(sessions, 'selectiveAttention')
+    .filter(session => session.summary.itemCount !== undefined)
+    .map(session => session.summary);
+  const rates = summaries.map(attentionRates);
+  const total = (field) => defined(summaries.map(summary => summary[field])).reduce((sum, value) => sum + value, 0);
+  return {
+    sessions: summaries.length,
+    meanAccuracy: mean(defined(rates.map(rate => rate.accuracy))),
+    meanHitRate: mean(defined(rates.map(rate => rate.hitRate))),
+    meanFalseAlarmRate: mean(defined(rates.map(rate => rate.falseAlarmRate))),
+    meanCompletionSeconds: mean(defined(summaries.map(summary => summary.completionTimeMs)).map(ms => ms / 1000)),
+    leftOmissions: total('leftMisses'),
+    rightOmissions: total('rightMisses'),
+    neglectFlags: {
+      left: summaries.filter(summary => summary.neglectSide === 'left').length,
+      right: summaries.filter(summary => summary.neglectSide === 'right').length,
+    },
+  };
+};
+
+export const buildSummaryReport = ({ sessions, trials, moods, from, to, generatedAt = new Date().toISOString() }) => ({
+  from,
+  to,
+  generatedAt,
+  totals: {
+    sessions: sessions.filter(session => session.completedAt).length,
+    trials: trials.length,
+  },
+  digitSpan: {
+    forward: digitSpanMetrics(sessions, 'forward'),
+    backward: digitSpanMetrics(sessions, 'backward'),
+  },
+  verbalFluency: Object.keys(FLUENCY_CATEGORIES).reduce((metrics, category) => ({
+    ...metrics,
+    [category]: fluencyMetrics(sessions, category),
+  }), {}),
+  selectiveAttention: attentionMetrics(sessions),
+  moods: moods.map(entry => ({ date: toDateKey(entry.timestamp), timestamp: entry.timestamp, mood: entry.mood })),
+});
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatNumber = (value) => (value === null ? '–' : Number.isInteger(value) ? String(value) : value.toFixed(1));
+const formatPercent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+export const renderSummaryReportHtml = (report) => {
+  const { digitSpan, verbalFluency, selectiveAttention } = report;
+  const range = `${report.from || 'first record'} to ${report.to || 'today'}`;
+  const moodRows = report.moods.length
+    ? report.moods.map(entry => `<tr><td>${escapeHtml(entry.date)}</td><td>${escapeHtml(entry.mood)}</td></tr>`).join('')
+    : '<tr><td colspan="2">No mood check-ins in this period.</td></tr>';
+  const fluencyRows = Object.entries(verbalFluency)
+    .filter(([, metrics]) => metrics.sessions > 0)
+    .map(([category, metrics]) => row(
+      FLUENCY_CATEGORIES[category].label,
+      `${metrics.sessions} · ${formatNumber(metrics.bestPerMinute)} / ${formatNumber(metrics.meanPerMinute)}`
+        + ` · ${metrics.perseverations} · ${metrics.intrusions}`
+    ))
+    .join('') || '<tr><td colspan="2">No fluency rounds in this period.</td></tr>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Stroke Recovery Summary (${escapeHtml(range)})</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #1f2937; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.15rem; margin-top: 1.5rem; border-bottom: 1px solid #d1d5db; }
+  table { border-collapse: collapse; width: 100%; margin-top: 0.5rem; }
+  th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  th { width: 50%; font-weight: normal; color: #4b5563; }
+  .meta { color: #6b7280; font-size: 0.9rem; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Stroke Recovery Companion: Summary Report</h1>
+<p class="meta">Period: ${escapeHtml(range)} &middot; Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}</p>
+<p class="meta">${report.totals.sessions} completed sessions, ${report.totals.trials} recorded trials.</p>
+
+<h2>Digit Span</h2>
+<table>
+${row('Forward sessions', digitSpan.forward.sessions)}
+${row('Forward best max span', formatNumber(digitSpan.forward.bestMaxSpan))}
+${row('Forward mean max span', formatNumber(digitSpan.forward.meanMaxSpan))}
+${row('Backward sessions', digitSpan.backward.sessions)}
+${row('Backward best max span', formatNumber(digitSpan.backward.bestMaxSpan))}
+${row('Backward mean max span', formatNumber(digitSpan.backward.meanMaxSpan))}
+</table>
+
+<h2>Verbal Fluency</h2>
+<table>
+<tr><th>Category</th><td>Rounds &middot; best / mean words per 60 s &middot; perseverations &middot; intrusions</td></tr>
+${fluencyRows}
+</table>
+
+<h2>Selective Attention</h2>
+<table>
+${row('Sessions', selectiveAttention.sessions)}
+${row('Mean accuracy', formatPercent(selectiveAttention.meanAccuracy))}
+${row('Mean hit rate', formatPercent(selectiveAttention.meanHitRate))}
+${row('Mean false alarm rate', formatPercent(selectiveAttention.meanFalseAlarmRate))}
+${row('Mean time to complete (s)', formatNumber(selectiveAttention.meanCompletionSeconds))}
+${row('Left-side omissions (total)', selectiveAttention.leftOmissions)}
+${row('Right-side omissions (total)', selectiveAttention.rightOmissions)}
+${row('Sessions with left-sided omission pattern', selectiveAttention.neglectFlags.left)}
+${row('Sessions with right-sided omission pattern', selectiveAttention.neglectFlags.right)}
+</table>
+<p class="meta">An omission pattern means clearly more targets were missed on one side of the grid.
+It is a screening flag for possible hemispatial neglect, not a diagnosis.</p>
+
+<h2>Mood Log</h2>
+<table>
+<tr><th>Date</th><th>Mood</th></tr>
+${moodRows}
+</table>
+</body>
+</html>`;
+};
+
+// Writes the report into a new window and brings up the print dialog. Callers running after an
+// await should open the window up front, inside the click handler, or pop-up blockers will stop it.
+export const printSummaryReport = (report, reportWindow = window.open('', '_blank')) => {
+  if (!reportWindow) {
+    throw new Error('The report window was blocked. Please allow pop-ups for this site.');
+  }
+  reportWindow.document.write(renderSummaryReportHtml(report));
+  reportWindow.document.close();
+  reportWindow.focus();
+  reportWindow.print();
+};
@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no layout, so scrolling a chat to its latest message is a no-op in tests.
+// Suites that run in the node environment have no window at all.
+if (typeof window !== 'undefined') window.HTMLElement.prototype.scrollIntoView = () => {};
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Mic, MicOff } from 'lucide-react';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Microphone toggle for a spoken answer, with what has been heard so far. When the browser
+// has no speech recognition it says so, and the exercise's typed input is the only way in.
+const MicButton = ({ recognition, label }) => {
+  const { t } = useTranslation();
+  const { supported, listening, interim, error, start, stop } = recognition;
+
+  if (!supported) {
+    return (
+      <p className="flex items-center justify-center space-x-2 mb-3 text-gray-600" role="status">
+        <MicOff size={20} />
+        <span>{t('speech.unsupported')}</span>
+      </p>
+    );
+  }
+
+  return (
+    <div className="mb-3">
+      <button
+        type="button"
+        onClick={listening ? stop : start}
+        aria-pressed={listening}
+        className={`${listening ? 'bg-red-600 hover:bg-red-700 animate-pulse' : 'bg-purple-600 hover:bg-purple-700'} text-white font-bold py-3 px-6 rounded-full transition duration-300 inline-flex items-center space-x-2`}
+      >
+        <Mic size={22} />
+        <span>{listening ? t('speech.listening') : label || t('speech.speak')}</span>
+      </button>
+      <p className="mt-2 text-gray-600 min-h-[1.5rem]" aria-live="polite">
+        {error || interim}
+      </p>
+    </div>
+  );
+};
+
+export default MicButton;
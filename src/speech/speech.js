@@ -0,0 +1,65 @@
+// Thin wrappers around the Web Speech API. Both halves are optional in browsers (Firefox has
+// no recognition, some embedded webviews have no synthesis), so callers check support and
+// fall back to text on screen and typed answers.
+
+import { DEFAULT_LANGUAGE, translate } from '../i18n/i18n';
+
+export const SPEECH_LANG = 'en-US';
+
+// Clinical presentation is slower and clearer than the browser's default voice rate
+export const SPEECH_RATE = 0.9;
+
+// How an exercise presents its stimuli and instructions, and how the patient answers
+export const PRESENTATIONS = {
+  visual: 'visual',
+  audio: 'audio',
+};
+
+export const RESPONSE_MODES = {
+  typed: 'typed',
+  spoken: 'spoken',
+};
+
+export const speechSynthesisSupported = (win = window) => Boolean(win.speechSynthesis && win.SpeechSynthesisUtterance);
+
+export const recognitionClass = (win = window) => win.SpeechRecognition || win.webkitSpeechRecognition || null;
+
+export const speechRecognitionSupported = (win = window) => Boolean(recognitionClass(win));
+
+// Resolves true once the text has been spoken, false if it couldn't be (no support, cancelled)
+export const speak = (text, { lang = SPEECH_LANG, rate = SPEECH_RATE } = {}) => new Promise(resolve => {
+  if (!speechSynthesisSupported()) {
+    resolve(false);
+    return;
+  }
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.rate = rate;
+  utterance.onend = () => resolve(true);
+  utterance.onerror = () => resolve(false);
+  window.speechSynthesis.speak(utterance);
+});
+
+export const cancelSpeech = () => {
+  if (speechSynthesisSupported()) window.speechSynthesis.cancel();
+};
+
+// Patient-facing explanation for a SpeechRecognition error code, or null when it can be ignored
+export const recognitionErrorMessage = (code, language = DEFAULT_LANGUAGE) => {
+  switch (code) {
+    case 'aborted':
+      return null;
+    case 'no-speech':
+      return translate(language, 'speech.error.noSpeech');
+    case 'not-allowed':
+    case 'service-not-allowed':
+      return translate(language, 'speech.error.notAllowed');
+    case 'audio-capture':
+      return translate(language, 'speech.error.audioCapture');
+    case 'network':
+      // Chrome and Edge send speech to an online service
+      return translate(language, 'speech.error.network');
+    default:
+      return translate(language, 'speech.error.other');
+  }
+};
@@ -0,0 +1,18 @@
+import { recognitionErrorMessage, speak, speechRecognitionSupported, speechSynthesisSupported } from './speech';
+
+test('detects speech support, including the prefixed recognizer', () => {
+  expect(speechRecognitionSupported({})).toBe(false);
+  expect(speechRecognitionSupported({ webkitSpeechRecognition: function Recognition() {} })).toBe(true);
+  expect(speechSynthesisSupported({ speechSynthesis: {} })).toBe(false);
+  expect(speechSynthesisSupported({ speechSynthesis: {}, SpeechSynthesisUtterance: function Utterance() {} })).toBe(true);
+});
+
+test('speaking without synthesis resolves false so callers can carry on', async () => {
+  await expect(speak('Listen.')).resolves.toBe(false);
+});
+
+test('explains recognition errors except deliberate aborts', () => {
+  expect(recognitionErrorMessage('aborted')).toBeNull();
+  expect(recognitionErrorMessage('not-allowed')).toMatch(/blocked/);
+  expect(recognitionErrorMessage('network')).toMatch(/internet connection/);
+});
@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from 'react';
+import { recognitionClass, recognitionErrorMessage } from './speech';
+import { useTranslation } from '../i18n/I18nContext';
+
+// Listens for spoken answers, in the language on screen unless `lang` says otherwise.
+// onFinal gets each finished phrase. In continuous mode the recognizer is restarted whenever
+// the browser ends it (after a pause, or Chrome's time limit) until stop() is called, so a
+// timed task keeps listening for its whole duration.
+export const useSpeechRecognition = ({ continuous = false, onFinal, lang }) => {
+  const { language, speechLang } = useTranslation();
+  const [supported] = useState(() => Boolean(recognitionClass()));
+  const [listening, setListening] = useState(false);
+  const [interim, setInterim] = useState('');
+  const [error, setError] = useState(null);
+  const recognizer = useRef(null);
+  const wanted = useRef(false);
+  const onFinalRef = useRef(onFinal);
+  onFinalRef.current = onFinal;
+
+  const createRecognizer = () => {
+    const Recognition = recognitionClass();
+    const recognition = new Recognition();
+    recognition.lang = lang || speechLang;
+    recognition.continuous = continuous;
+    recognition.interimResults = true;
+
+    recognition.onresult = (event) => {
+      let pending = '';
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          onFinalRef.current(result[0].transcript);
+        } else {
+          pending += result[0].transcript;
+        }
+      }
+      setInterim(pending);
+    };
+    recognition.onerror = (event) => {
+      // A quiet stretch in a timed task isn't an error; the restart below carries on listening
+      if (continuous && event.error === 'no-speech') return;
+      const message = recognitionErrorMessage(event.error, language);
+      if (message) {
+        wanted.current = false;
+        setError(message);
+      }
+    };
+    recognition.onend = () => {
+      setInterim('');
+      if (wanted.current && continuous) {
+        try {
+          recognition.start();
+          return;
+        } catch (restartError) {
+          console.error('Error restarting speech recognition:', restartError);
+        }
+      }
+      wanted.current = false;
+      setListening(false);
+    };
+    return recognition;
+  };
+
+  const start = () => {
+    if (!supported || wanted.current) return;
+    if (!recognizer.current) recognizer.current = createRecognizer();
+    wanted.current = true;
+    setError(null);
+    setListening(true);
+    try {
+      recognizer.current.start();
+    } catch (startError) {
+      // start() throws if the previous session hasn't fully ended yet
+      console.error('Error starting speech recognition:', startError);
+      wanted.current = false;
+      setListening(false);
+    }
+  };
+
+  const stop = () => {
+    wanted.current = false;
+    if (recognizer.current) recognizer.current.stop();
+  };
+
+  // Detach before aborting so a late onend can't touch a remounted component's state
+  useEffect(() => () => {
+    const current = recognizer.current;
+    wanted.current = false;
+    recognizer.current = null;
+    if (current) {
+      current.onresult = null;
+      current.onerror = null;
+      current.onend = null;
+      current.abort();
+    }
+  }, []);
+
+  return { supported, listening, interim, error, start, stop };
+};